@@ -17,7 +17,8 @@ CREATE TABLE IF NOT EXISTS mailboxes (
   is_pinned INTEGER DEFAULT 0,
   can_login INTEGER DEFAULT 0,
   forward_to TEXT DEFAULT NULL,
-  is_favorite INTEGER DEFAULT 0
+  is_favorite INTEGER DEFAULT 0,
+  spam_threshold REAL DEFAULT NULL
 );
 
 -- 邮件消息表
@@ -25,6 +26,7 @@ CREATE TABLE IF NOT EXISTS messages (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   mailbox_id INTEGER NOT NULL,
   sender TEXT NOT NULL,
+  sender_name TEXT DEFAULT NULL,
   to_addrs TEXT NOT NULL DEFAULT '',
   subject TEXT NOT NULL,
   verification_code TEXT,
@@ -33,6 +35,23 @@ CREATE TABLE IF NOT EXISTS messages (
   r2_object_key TEXT NOT NULL DEFAULT '',
   received_at TEXT DEFAULT CURRENT_TIMESTAMP,
   is_read INTEGER DEFAULT 0,
+  attachments TEXT DEFAULT NULL,
+  cc_addrs TEXT DEFAULT NULL,
+  message_id TEXT DEFAULT NULL,
+  in_reply_to TEXT DEFAULT NULL,
+  references_ids TEXT DEFAULT NULL,
+  thread_id TEXT DEFAULT NULL,
+  spf_result TEXT DEFAULT NULL,
+  dkim_result TEXT DEFAULT NULL,
+  dmarc_result TEXT DEFAULT NULL,
+  spam_score REAL DEFAULT 0,
+  spam_reasons TEXT DEFAULT NULL,
+  is_spam INTEGER DEFAULT 0,
+  tag TEXT DEFAULT NULL,
+  rule_labels TEXT DEFAULT NULL,
+  verification_link TEXT DEFAULT NULL,
+  verification_otp TEXT DEFAULT NULL,
+  calendar_event TEXT DEFAULT NULL,
   FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id)
 );
 
@@ -72,9 +91,216 @@ CREATE TABLE IF NOT EXISTS sent_emails (
   status TEXT DEFAULT 'queued',
   scheduled_at TEXT,
   created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  message_id TEXT DEFAULT NULL,
+  diagnostic_code TEXT DEFAULT NULL,
+  bounced_at TEXT DEFAULT NULL
+);
+
+-- 域名 catch-all 收件策略表
+CREATE TABLE IF NOT EXISTS domain_policies (
+  domain TEXT PRIMARY KEY,
+  policy TEXT NOT NULL DEFAULT 'accept-and-create',
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 收件策略拒收计数表
+CREATE TABLE IF NOT EXISTS catchall_rejections (
+  domain TEXT NOT NULL,
+  policy TEXT NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  last_rejected_at TEXT,
+  PRIMARY KEY(domain, policy)
+);
+
+-- 邮箱发件人允许/拒绝列表
+CREATE TABLE IF NOT EXISTS mailbox_sender_filters (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mailbox_id INTEGER NOT NULL,
+  type TEXT NOT NULL,
+  pattern TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(mailbox_id, type, pattern),
+  FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE
+);
+
+-- 发件人拒收日志
+CREATE TABLE IF NOT EXISTS sender_rejections (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mailbox_id INTEGER NOT NULL,
+  sender TEXT NOT NULL DEFAULT '',
+  recipient TEXT NOT NULL DEFAULT '',
+  subject TEXT,
+  reason TEXT NOT NULL,
+  pattern TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE
+);
+
+-- 邮箱别名表（多个地址投递到同一邮箱）
+CREATE TABLE IF NOT EXISTS mailbox_aliases (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mailbox_id INTEGER NOT NULL,
+  address TEXT NOT NULL UNIQUE,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE
+);
+
+-- 邮箱收件规则表（按 position 顺序执行）
+CREATE TABLE IF NOT EXISTS mailbox_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mailbox_id INTEGER NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  name TEXT,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  condition_type TEXT NOT NULL,
+  condition_value TEXT NOT NULL DEFAULT '',
+  header_name TEXT,
+  action TEXT NOT NULL,
+  action_value TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE
+);
+
+-- 邮箱自动回复配置表（每个邮箱一条）
+CREATE TABLE IF NOT EXISTS mailbox_auto_replies (
+  mailbox_id INTEGER PRIMARY KEY,
+  enabled INTEGER NOT NULL DEFAULT 0,
+  subject TEXT,
+  body TEXT NOT NULL DEFAULT '',
+  start_at TEXT,
+  end_at TEXT,
+  throttle_days INTEGER NOT NULL DEFAULT 7,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE
+);
+
+-- 自动回复记录表（同一发件人在间隔内只回复一次）
+CREATE TABLE IF NOT EXISTS auto_reply_log (
+  mailbox_id INTEGER NOT NULL,
+  sender TEXT NOT NULL,
+  last_replied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY(mailbox_id, sender),
+  FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE
+);
+
+-- 新邮件 Webhook 订阅表（mailbox_id 与 user_id 二选一）
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mailbox_id INTEGER,
+  user_id INTEGER,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE,
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Webhook 投递记录表（每个 Webhook 保留最近 100 条）
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  message_id INTEGER,
+  success INTEGER NOT NULL DEFAULT 0,
+  status_code INTEGER,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  error TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY(webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+
+-- 邮箱转发目标表（每个目标可带发件人域名、主题关键字、仅含验证码条件）
+CREATE TABLE IF NOT EXISTS mailbox_forwards (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mailbox_id INTEGER NOT NULL,
+  target TEXT NOT NULL,
+  sender_domain TEXT,
+  subject_contains TEXT,
+  require_code INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(mailbox_id, target),
+  FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE
+);
+
+-- 全局转发规则（按收件地址本地部分匹配，优先级数字越小越先匹配）
+CREATE TABLE IF NOT EXISTS forward_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  pattern TEXT NOT NULL,
+  match_type TEXT NOT NULL DEFAULT 'prefix',
+  domain TEXT,
+  target TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 100,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
   updated_at TEXT DEFAULT CURRENT_TIMESTAMP
 );
 
+-- 转发记录（每次转发尝试的结果，每个邮箱保留最近 200 条）
+CREATE TABLE IF NOT EXISTS forward_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mailbox_id INTEGER NOT NULL,
+  message_id INTEGER,
+  email_message_id TEXT,
+  target TEXT NOT NULL,
+  source TEXT NOT NULL,
+  rule_id INTEGER,
+  success INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE
+);
+
+-- 验证码提取模板（sender 为发件人地址或域名，pattern 为带捕获组的正则，优先于内置规则）
+CREATE TABLE IF NOT EXISTS code_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  sender TEXT NOT NULL,
+  pattern TEXT NOT NULL,
+  min_length INTEGER NOT NULL DEFAULT 4,
+  max_length INTEGER NOT NULL DEFAULT 8,
+  priority INTEGER NOT NULL DEFAULT 100,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 邮件全文索引（FTS5，trigram 分词支持中文子串匹配；rowid 与 messages.id 一致，收件时写入）
+CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(subject, sender, preview, body, tokenize = 'trigram');
+CREATE TRIGGER IF NOT EXISTS trg_messages_fts_delete AFTER DELETE ON messages BEGIN DELETE FROM messages_fts WHERE rowid = old.id; END;
+
+-- 邮件标签（按邮箱划分，名称不区分大小写；手动添加与收件规则添加共用）
+CREATE TABLE IF NOT EXISTS labels (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mailbox_id INTEGER NOT NULL,
+  name TEXT NOT NULL COLLATE NOCASE,
+  color TEXT NOT NULL DEFAULT '#6366f1',
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(mailbox_id, name),
+  FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE
+);
+
+-- 邮件与标签的关联
+CREATE TABLE IF NOT EXISTS message_labels (
+  message_id INTEGER NOT NULL,
+  label_id INTEGER NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY(message_id, label_id),
+  FOREIGN KEY(message_id) REFERENCES messages(id) ON DELETE CASCADE,
+  FOREIGN KEY(label_id) REFERENCES labels(id) ON DELETE CASCADE
+);
+
+-- 邮件引用的消息 ID（In-Reply-To 与 References 逐条一行，用于查找先于原邮件到达的回复）
+CREATE TABLE IF NOT EXISTS message_references (
+  message_id INTEGER NOT NULL,
+  mailbox_id INTEGER NOT NULL,
+  ref_id TEXT NOT NULL,
+  PRIMARY KEY(message_id, ref_id),
+  FOREIGN KEY(message_id) REFERENCES messages(id) ON DELETE CASCADE
+);
+
 -- 创建索引
 
 -- mailboxes 索引
@@ -89,6 +315,9 @@ CREATE INDEX IF NOT EXISTS idx_messages_received_at ON messages(received_at DESC
 CREATE INDEX IF NOT EXISTS idx_messages_r2_object_key ON messages(r2_object_key);
 CREATE INDEX IF NOT EXISTS idx_messages_mailbox_received ON messages(mailbox_id, received_at DESC);
 CREATE INDEX IF NOT EXISTS idx_messages_mailbox_received_read ON messages(mailbox_id, received_at DESC, is_read);
+CREATE INDEX IF NOT EXISTS idx_messages_mailbox_thread ON messages(mailbox_id, thread_id);
+CREATE INDEX IF NOT EXISTS idx_messages_mailbox_message_id ON messages(mailbox_id, message_id);
+CREATE INDEX IF NOT EXISTS idx_messages_mailbox_tag ON messages(mailbox_id, tag);
 
 -- users 索引
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
@@ -103,4 +332,30 @@ CREATE INDEX IF NOT EXISTS idx_user_mailboxes_composite ON user_mailboxes(user_i
 CREATE INDEX IF NOT EXISTS idx_sent_emails_resend_id ON sent_emails(resend_id);
 CREATE INDEX IF NOT EXISTS idx_sent_emails_status_created ON sent_emails(status, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_sent_emails_from_addr ON sent_emails(from_addr);
+CREATE INDEX IF NOT EXISTS idx_sent_emails_message_id ON sent_emails(message_id);
+
+-- sender_rejections 索引
+CREATE INDEX IF NOT EXISTS idx_sender_rejections_mailbox ON sender_rejections(mailbox_id, id DESC);
+
+-- mailbox_aliases 索引
+CREATE INDEX IF NOT EXISTS idx_mailbox_aliases_mailbox ON mailbox_aliases(mailbox_id);
+
+-- mailbox_rules 索引
+CREATE INDEX IF NOT EXISTS idx_mailbox_rules_mailbox ON mailbox_rules(mailbox_id, position);
+
+-- webhooks 索引
+CREATE INDEX IF NOT EXISTS idx_webhooks_mailbox ON webhooks(mailbox_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);
+
+-- webhook_deliveries 索引
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id DESC);
+
+-- forward_log 索引
+CREATE INDEX IF NOT EXISTS idx_forward_log_mailbox ON forward_log(mailbox_id, id DESC);
+
+
+-- message_labels 索引
+CREATE INDEX IF NOT EXISTS idx_message_labels_label ON message_labels(label_id, message_id);
 
+-- message_references 索引
+CREATE INDEX IF NOT EXISTS idx_message_references_ref ON message_references(mailbox_id, ref_id);
@@ -3,7 +3,10 @@
  * @module admin
  */
 
-import { api, getUsers, createUser, updateUser, deleteUser, getUserMailboxes, assignMailbox, unassignMailbox } from './modules/admin/api.js';
+import { api, getUsers, createUser, updateUser, deleteUser, getUserMailboxes, assignMailbox, unassignMailbox, getDomainPolicies, updateDomainPolicy, getForwardRules, addForwardRule, updateForwardRule, deleteForwardRule, testForwardRule, importForwardRules, getCodeTemplates, addCodeTemplate, updateCodeTemplate, deleteCodeTemplate, testCodeTemplate, backfillVerificationCodes } from './modules/admin/api.js';
+import { renderDomainPolicies, POLICY_LABELS } from './modules/admin/domain-policies.js';
+import { renderForwardRules, renderForwardRuleTest } from './modules/admin/forward-rules.js';
+import { renderCodeTemplates, renderCodeTemplateTest } from './modules/admin/code-templates.js';
 import { formatTime, renderUserRow, renderUserList, generateSkeletonRows, renderPagination } from './modules/admin/user-list.js';
 import { fillEditForm, collectEditFormData, validateEditForm, resetEditState } from './modules/admin/user-edit.js';
 
@@ -68,6 +71,39 @@ const els = {
   editPass: document.getElementById('edit-pass'),
   editDelete: document.getElementById('edit-delete'),
   
+  domainPoliciesCard: document.getElementById('domain-policies-card'),
+  domainPoliciesTbody: document.getElementById('domain-policies-tbody'),
+  domainPoliciesRefresh: document.getElementById('domain-policies-refresh'),
+  
+  forwardRulesCard: document.getElementById('forward-rules-card'),
+  forwardRulesTbody: document.getElementById('forward-rules-tbody'),
+  forwardRulesRefresh: document.getElementById('forward-rules-refresh'),
+  forwardRulesEnvNotice: document.getElementById('forward-rules-env-notice'),
+  forwardRulesImport: document.getElementById('forward-rules-import'),
+  forwardRulePriority: document.getElementById('forward-rule-priority'),
+  forwardRuleDomain: document.getElementById('forward-rule-domain'),
+  forwardRuleType: document.getElementById('forward-rule-type'),
+  forwardRulePattern: document.getElementById('forward-rule-pattern'),
+  forwardRuleTarget: document.getElementById('forward-rule-target'),
+  forwardRuleAdd: document.getElementById('forward-rule-add'),
+  forwardRuleTestAddress: document.getElementById('forward-rule-test-address'),
+  forwardRuleTest: document.getElementById('forward-rule-test'),
+  forwardRuleTestResult: document.getElementById('forward-rule-test-result'),
+  
+  codeTemplatesCard: document.getElementById('code-templates-card'),
+  codeTemplatesTbody: document.getElementById('code-templates-tbody'),
+  codeTemplatesRefresh: document.getElementById('code-templates-refresh'),
+  codeTemplatePriority: document.getElementById('code-template-priority'),
+  codeTemplateSender: document.getElementById('code-template-sender'),
+  codeTemplatePattern: document.getElementById('code-template-pattern'),
+  codeTemplateMin: document.getElementById('code-template-min'),
+  codeTemplateMax: document.getElementById('code-template-max'),
+  codeTemplateAdd: document.getElementById('code-template-add'),
+  codeTemplateTestMessage: document.getElementById('code-template-test-message'),
+  codeTemplateTest: document.getElementById('code-template-test'),
+  codeTemplateBackfill: document.getElementById('code-template-backfill'),
+  codeTemplateTestResult: document.getElementById('code-template-test-result'),
+  
   userMailboxes: document.getElementById('user-mailboxes'),
   userMailboxesLoading: document.getElementById('user-mailboxes-loading'),
   mailboxesCount: document.getElementById('mailboxes-count'),
@@ -427,6 +463,219 @@ async function handleUnassignMailbox() {
   }
 }
 
+// 加载域名收件策略（仅严格管理员可见）
+async function loadDomainPolicies() {
+  try {
+    const data = await getDomainPolicies();
+    renderDomainPolicies(data, els.domainPoliciesTbody);
+    if (els.domainPoliciesCard) els.domainPoliciesCard.style.display = '';
+  } catch(_) {
+    if (els.domainPoliciesCard) els.domainPoliciesCard.style.display = 'none';
+  }
+}
+
+// 修改域名收件策略
+async function handleDomainPolicyChange(e) {
+  const select = e.target.closest('select[data-domain]');
+  if (!select) return;
+  const domain = select.dataset.domain;
+  const policy = select.value;
+  try {
+    const r = await updateDomainPolicy(domain, policy);
+    if (!r.ok) throw new Error(await r.text());
+    showToast(`${domain} 已设置为「${POLICY_LABELS[policy] || policy}」`, 'success');
+  } catch(err) {
+    showToast(err.message || '更新失败', 'error');
+    loadDomainPolicies();
+  }
+}
+
+// 加载全局转发规则（仅严格管理员可见）
+async function loadForwardRules() {
+  try {
+    const data = await getForwardRules();
+    renderForwardRules(data, els.forwardRulesTbody, els.forwardRulesEnvNotice);
+    if (els.forwardRulesCard) els.forwardRulesCard.style.display = '';
+  } catch(_) {
+    if (els.forwardRulesCard) els.forwardRulesCard.style.display = 'none';
+  }
+}
+
+// 添加全局转发规则
+async function handleAddForwardRule() {
+  const priority = els.forwardRulePriority?.value?.trim();
+  const rule = {
+    priority: priority === '' ? undefined : Number(priority),
+    domain: els.forwardRuleDomain?.value?.trim() || null,
+    match_type: els.forwardRuleType?.value || 'prefix',
+    pattern: els.forwardRulePattern?.value?.trim() || '',
+    target: els.forwardRuleTarget?.value?.trim() || ''
+  };
+  if (!rule.pattern || !rule.target) { showToast('请填写匹配模式和转发目标', 'warning'); return; }
+  try {
+    const r = await addForwardRule(rule);
+    if (!r.ok) throw new Error(await r.text() || '添加失败');
+    showToast('规则已添加', 'success');
+    if (els.forwardRulePattern) els.forwardRulePattern.value = '';
+    if (els.forwardRuleTarget) els.forwardRuleTarget.value = '';
+    loadForwardRules();
+  } catch(err) {
+    showToast(err.message || '添加失败', 'error');
+  }
+}
+
+// 启用/停用、删除全局转发规则
+async function handleForwardRuleAction(e) {
+  const toggle = e.target.closest('[data-rule-toggle]');
+  const remove = e.target.closest('[data-rule-delete]');
+  try {
+    if (toggle) {
+      const r = await updateForwardRule(Number(toggle.dataset.ruleToggle), { enabled: toggle.checked });
+      if (!r.ok) throw new Error(await r.text() || '更新失败');
+      showToast(toggle.checked ? '规则已启用' : '规则已停用', 'success');
+    } else if (remove) {
+      const confirmed = await showConfirm('确定删除这条全局转发规则吗？');
+      if (!confirmed) return;
+      const r = await deleteForwardRule(Number(remove.dataset.ruleDelete));
+      if (!r.ok) throw new Error(await r.text() || '删除失败');
+      showToast('规则已删除', 'success');
+    } else {
+      return;
+    }
+  } catch(err) {
+    showToast(err.message || '操作失败', 'error');
+  }
+  loadForwardRules();
+}
+
+// 测试地址命中的全局转发规则
+async function handleTestForwardRule() {
+  const address = els.forwardRuleTestAddress?.value?.trim();
+  if (!address) { showToast('请输入测试地址', 'warning'); return; }
+  try {
+    const r = await testForwardRule(address);
+    if (!r.ok) throw new Error(await r.text() || '测试失败');
+    const data = await r.json();
+    if (els.forwardRuleTestResult) els.forwardRuleTestResult.innerHTML = renderForwardRuleTest(data);
+  } catch(err) {
+    showToast(err.message || '测试失败', 'error');
+  }
+}
+
+// 从环境变量导入全局转发规则
+async function handleImportForwardRules() {
+  try {
+    const r = await importForwardRules();
+    if (!r.ok) throw new Error(await r.text() || '导入失败');
+    const data = await r.json();
+    showToast(`已导入 ${data.imported} 条规则`, 'success');
+    loadForwardRules();
+  } catch(err) {
+    showToast(err.message || '导入失败', 'error');
+  }
+}
+
+// 加载验证码提取模板（仅严格管理员可见）
+async function loadCodeTemplates() {
+  try {
+    const data = await getCodeTemplates();
+    renderCodeTemplates(data, els.codeTemplatesTbody);
+    if (els.codeTemplatesCard) els.codeTemplatesCard.style.display = '';
+  } catch(_) {
+    if (els.codeTemplatesCard) els.codeTemplatesCard.style.display = 'none';
+  }
+}
+
+// 添加验证码提取模板
+async function handleAddCodeTemplate() {
+  const priority = els.codeTemplatePriority?.value?.trim();
+  const template = {
+    priority: priority === '' ? undefined : Number(priority),
+    sender: els.codeTemplateSender?.value?.trim() || '',
+    pattern: els.codeTemplatePattern?.value?.trim() || '',
+    min_length: Number(els.codeTemplateMin?.value || 4),
+    max_length: Number(els.codeTemplateMax?.value || 8)
+  };
+  if (!template.sender || !template.pattern) { showToast('请填写发件人和正则', 'warning'); return; }
+  try {
+    const r = await addCodeTemplate(template);
+    if (!r.ok) throw new Error(await r.text() || '添加失败');
+    showToast('模板已添加', 'success');
+    if (els.codeTemplatePattern) els.codeTemplatePattern.value = '';
+    loadCodeTemplates();
+  } catch(err) {
+    showToast(err.message || '添加失败', 'error');
+  }
+}
+
+// 用测试邮件运行模板；templateId 为空时按收件流程尝试全部已启用模板
+async function runCodeTemplateTest(templateId = null) {
+  const messageId = Number(els.codeTemplateTestMessage?.value || 0);
+  if (!messageId) { showToast('请输入测试邮件 ID', 'warning'); return; }
+  try {
+    const r = await testCodeTemplate(messageId, templateId);
+    if (!r.ok) throw new Error(await r.text() || '测试失败');
+    const data = await r.json();
+    if (els.codeTemplateTestResult) els.codeTemplateTestResult.innerHTML = renderCodeTemplateTest(data);
+  } catch(err) {
+    showToast(err.message || '测试失败', 'error');
+  }
+}
+
+// 启用/停用、测试、删除验证码提取模板
+async function handleCodeTemplateAction(e) {
+  const toggle = e.target.closest('[data-template-toggle]');
+  const test = e.target.closest('[data-template-test]');
+  const remove = e.target.closest('[data-template-delete]');
+  try {
+    if (toggle) {
+      const r = await updateCodeTemplate(Number(toggle.dataset.templateToggle), { enabled: toggle.checked });
+      if (!r.ok) throw new Error(await r.text() || '更新失败');
+      showToast(toggle.checked ? '模板已启用' : '模板已停用', 'success');
+    } else if (test) {
+      await runCodeTemplateTest(Number(test.dataset.templateTest));
+      return;
+    } else if (remove) {
+      const confirmed = await showConfirm('确定删除这个验证码提取模板吗？');
+      if (!confirmed) return;
+      const r = await deleteCodeTemplate(Number(remove.dataset.templateDelete));
+      if (!r.ok) throw new Error(await r.text() || '删除失败');
+      showToast('模板已删除', 'success');
+    } else {
+      return;
+    }
+  } catch(err) {
+    showToast(err.message || '操作失败', 'error');
+  }
+  loadCodeTemplates();
+}
+
+// 按当前模板分批重新计算已存储邮件的验证码
+async function handleBackfillCodes() {
+  const confirmed = await showConfirm('按当前模板与内置规则重新计算全部已存储邮件的验证码？邮件较多时需要一些时间。');
+  if (!confirmed) return;
+  const btn = els.codeTemplateBackfill;
+  if (btn) btn.disabled = true;
+  let afterId = 0, processed = 0, updated = 0;
+  try {
+    while (true) {
+      const r = await backfillVerificationCodes(afterId, 100);
+      if (!r.ok) throw new Error(await r.text() || '回填失败');
+      const data = await r.json();
+      processed += data.processed;
+      updated += data.updated;
+      afterId = data.next_after_id;
+      if (els.codeTemplateTestResult) els.codeTemplateTestResult.textContent = `回填中：已处理 ${processed} 封，更新 ${updated} 封`;
+      if (data.done) break;
+    }
+    showToast(`回填完成：处理 ${processed} 封，更新 ${updated} 封`, 'success');
+  } catch(err) {
+    showToast(err.message || '回填失败', 'error');
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
 // 事件绑定
 els.back?.addEventListener('click', () => history.back());
 els.logout?.addEventListener('click', async () => { try { await api('/api/logout', { method: 'POST' }); } catch(_) {} location.replace('/html/login.html'); });
@@ -474,5 +723,28 @@ els.editDelete?.addEventListener('click', async () => {
 els.mailboxesPrevPage?.addEventListener('click', () => { if (mailboxPage > 1) { mailboxPage--; loadUserMailboxes(); }});
 els.mailboxesNextPage?.addEventListener('click', () => { const totalPages = Math.ceil(totalMailboxes / mailboxPageSize); if (mailboxPage < totalPages) { mailboxPage++; loadUserMailboxes(); }});
 
+// 域名收件策略
+els.domainPoliciesRefresh?.addEventListener('click', loadDomainPolicies);
+els.domainPoliciesTbody?.addEventListener('change', handleDomainPolicyChange);
+
+// 全局转发规则
+els.forwardRulesRefresh?.addEventListener('click', loadForwardRules);
+els.forwardRulesTbody?.addEventListener('change', handleForwardRuleAction);
+els.forwardRulesTbody?.addEventListener('click', (e) => { if (e.target.closest('[data-rule-delete]')) handleForwardRuleAction(e); });
+els.forwardRuleAdd?.addEventListener('click', handleAddForwardRule);
+els.forwardRuleTest?.addEventListener('click', handleTestForwardRule);
+els.forwardRulesImport?.addEventListener('click', handleImportForwardRules);
+
+// 验证码提取模板
+els.codeTemplatesRefresh?.addEventListener('click', loadCodeTemplates);
+els.codeTemplatesTbody?.addEventListener('change', handleCodeTemplateAction);
+els.codeTemplatesTbody?.addEventListener('click', (e) => { if (e.target.closest('[data-template-test], [data-template-delete]')) handleCodeTemplateAction(e); });
+els.codeTemplateAdd?.addEventListener('click', handleAddCodeTemplate);
+els.codeTemplateTest?.addEventListener('click', () => runCodeTemplateTest());
+els.codeTemplateBackfill?.addEventListener('click', handleBackfillCodes);
+
 // 初始化
 loadUsers();
+loadDomainPolicies();
+loadForwardRules();
+loadCodeTemplates();
@@ -4,7 +4,7 @@
  */
 
 import { cacheGet, cacheSet, setCurrentUserKey, getCurrentUserKey } from './storage.js';
-import { openForwardDialog, toggleFavorite, injectDialogStyles } from './mailbox-settings.js';
+import { openForwardDialog, openSenderFilterDialog, openAliasDialog, openRulesDialog, openAutoReplyDialog, openWebhookDialog, toggleFavorite, injectDialogStyles } from './mailbox-settings.js';
 
 // 导入模块
 import { formatTs, formatTsMobile, extractCode, escapeHtml, escapeAttr } from './modules/app/ui-helpers.js';
@@ -12,7 +12,7 @@ import { mockApi, MOCK_STATE } from './modules/app/mock-api.js';
 import { showConfirm } from './modules/app/confirm-dialog.js';
 import { startAutoRefresh, stopAutoRefresh, initVisibilityTracking } from './modules/app/auto-refresh.js';
 import { getCurrentMailbox, setCurrentMailbox, loadCurrentMailbox, clearCurrentMailbox, setCurrentMailboxInfo, getCurrentMailboxInfo } from './modules/app/mailbox-state.js';
-import { renderPager, sliceByPage, prevPage, nextPage, resetPager, setView, isSentViewActive, renderEmailItem, markViewLoaded, isFirstLoad } from './modules/app/email-list.js';
+import { renderPager, sliceByPage, prevPage, nextPage, resetPager, setView, isSentViewActive, renderEmailItem, markViewLoaded, isFirstLoad, setThreadView, isThreadViewActive, setOpenThread, getOpenThread, renderThreadItem, renderThreadHeader, setSpamView, isSpamViewActive, setSearchQuery, getSearchQuery, renderSearchHeader, TAG_GROUP, setTagFilter, getTagFilter, renderTagOptions, renderTagGroups, setLabelFilter, getLabelFilter, renderLabelFilterHeader } from './modules/app/email-list.js';
 import { renderMailboxList, renderMbPager, getCurrentPage, setCurrentPage, getPageSize, prevMbPage, nextMbPage, resetMbPage, setSearchTerm, getSearchTerm, setLoading, isLoadingMailboxes, setLastCount, getLastCount } from './modules/app/mailbox-list.js';
 import { initSessionFromCache, validateSession, isGuest, isAdmin, applySessionUI, initGuestMode } from './modules/app/session.js';
 import { loadDomains, getStoredLength, saveLength, updateRangeProgress, getSelectedDomainIndex, populateDomains, STORAGE_KEYS } from './modules/app/domains.js';
@@ -48,7 +48,7 @@ app.innerHTML = templateResp && templateResp.ok ? await templateResp.text() : aw
 const els = {
   email: document.getElementById('email'), gen: document.getElementById('gen'), genName: document.getElementById('gen-name'),
   copy: document.getElementById('copy'), clear: document.getElementById('clear'), list: document.getElementById('list'),
-  listCard: document.getElementById('list-card'), tabInbox: document.getElementById('tab-inbox'), tabSent: document.getElementById('tab-sent'),
+  listCard: document.getElementById('list-card'), tabInbox: document.getElementById('tab-inbox'), tabSent: document.getElementById('tab-sent'), tabThreads: document.getElementById('tab-threads'), tabSpam: document.getElementById('tab-spam'), tagFilter: document.getElementById('tag-filter'), emailSearch: document.getElementById('email-search'),
   boxTitle: document.getElementById('box-title'), boxIcon: document.getElementById('box-icon'), refresh: document.getElementById('refresh'),
   logout: document.getElementById('logout'), modal: document.getElementById('email-modal'), modalClose: document.getElementById('modal-close'),
   modalSubject: document.getElementById('modal-subject'), modalContent: document.getElementById('modal-content'),
@@ -67,7 +67,7 @@ const els = {
   pager: document.getElementById('list-pager'), prevPage: document.getElementById('prev-page'), nextPage: document.getElementById('next-page'), pageInfo: document.getElementById('page-info'),
   sidebarToggle: document.getElementById('sidebar-toggle'), sidebarToggleIcon: document.getElementById('sidebar-toggle-icon'),
   sidebar: document.querySelector('.sidebar'), container: document.querySelector('.container'),
-  forwardSetting: document.getElementById('forward-setting'), toggleFavorite: document.getElementById('toggle-favorite'),
+  forwardSetting: document.getElementById('forward-setting'), senderFilterSetting: document.getElementById('sender-filter-setting'), aliasSetting: document.getElementById('alias-setting'), rulesSetting: document.getElementById('rules-setting'), autoReplySetting: document.getElementById('auto-reply-setting'), webhookSetting: document.getElementById('webhook-setting'), toggleFavorite: document.getElementById('toggle-favorite'),
   favoriteIcon: document.getElementById('favorite-icon'), favoriteText: document.getElementById('favorite-text')
 };
 const lenRange = document.getElementById('len-range'), lenVal = document.getElementById('len-val'), domainSelect = document.getElementById('domain-select');
@@ -91,19 +91,52 @@ async function refresh() {
   try {
     showHeaderLoading(isFirstLoad() ? '加载中…' : '正在更新…');
     if (isFirstLoad() && els.list) els.list.innerHTML = '';
-    const url = !isSentViewActive() ? `/api/emails?mailbox=${encodeURIComponent(mailbox)}` : `/api/sent?from=${encodeURIComponent(mailbox)}`;
+    const search = getSearchQuery();
+    const threadView = !search && !isSentViewActive() && isThreadViewActive();
+    const openThread = threadView ? getOpenThread() : null;
+    const inboxView = !search && !isSentViewActive() && !threadView && !isSpamViewActive();
+    if (inboxView && isFirstLoad()) loadTagOptions(mailbox);
+    if (els.tagFilter) els.tagFilter.style.display = inboxView && els.tagFilter.options.length > 2 ? '' : 'none';
+    const tag = inboxView ? getTagFilter() : null;
+    const label = inboxView ? getLabelFilter() : null;
+    const tagQuery = (tag && tag !== TAG_GROUP ? `&tag=${encodeURIComponent(tag)}` : '') + (label ? `&label=${encodeURIComponent(label)}` : '');
+    let url = !isSentViewActive() ? `/api/emails?mailbox=${encodeURIComponent(mailbox)}${isSpamViewActive() ? '&spam=only' : tagQuery}` : `/api/sent?from=${encodeURIComponent(mailbox)}`;
+    if (openThread) url = `/api/threads/${encodeURIComponent(openThread)}?mailbox=${encodeURIComponent(mailbox)}`;
+    else if (threadView) url = `/api/threads?mailbox=${encodeURIComponent(mailbox)}`;
+    if (search) url = `/api/search?q=${encodeURIComponent(search)}&limit=50`;
     const ctrl = new AbortController(); const timeout = setTimeout(() => ctrl.abort(), 8000);
     let emails = [];
+    let hasMore = false;
     try { const r = await api(url, { signal: ctrl.signal }); emails = await r.json(); } finally { clearTimeout(timeout); }
-    if (!Array.isArray(emails) || !emails.length) { els.list.innerHTML = '<div style="text-align:center;color:#64748b">📭 暂无邮件</div>'; if (els.pager) els.pager.style.display = 'none'; return; }
+    if (search) { hasMore = !!emails?.has_more; emails = Array.isArray(emails?.list) ? emails.list : []; }
+    if (!Array.isArray(emails) || !emails.length) { els.list.innerHTML = (openThread ? renderThreadHeader([]) : '') + (search ? renderSearchHeader(0) + '<div style="text-align:center;color:#64748b">🔍 未找到匹配的邮件</div>' : (label ? renderLabelFilterHeader(0) : '') + '<div style="text-align:center;color:#64748b">📭 暂无邮件</div>'); if (els.pager) els.pager.style.display = 'none'; return; }
     const isMobile = window.matchMedia?.('(max-width: 900px)').matches;
-    els.list.innerHTML = sliceByPage(emails, els).map(e => renderEmailItem(e, isMobile)).join('');
-    if (!isSentViewActive()) prefetchEmails(emails, api);
+    if (search) els.list.innerHTML = renderSearchHeader(emails.length, hasMore) + sliceByPage(emails, els).map(e => renderEmailItem(e, isMobile)).join('');
+    else if (openThread) { if (els.pager) els.pager.style.display = 'none'; els.list.innerHTML = renderThreadHeader(emails) + emails.map(e => renderEmailItem(e, isMobile)).join(''); }
+    else if (threadView) els.list.innerHTML = sliceByPage(emails, els).map(t => renderThreadItem(t, isMobile)).join('');
+    else if (tag === TAG_GROUP) els.list.innerHTML = (label ? renderLabelFilterHeader(emails.length) : '') + renderTagGroups(sliceByPage(emails, els), isMobile);
+    else els.list.innerHTML = (label ? renderLabelFilterHeader(emails.length) : '') + sliceByPage(emails, els).map(e => renderEmailItem(e, isMobile)).join('');
+    if (!isSentViewActive() && (!threadView || openThread)) prefetchEmails(emails, api);
     markViewLoaded();
   } catch (_) {}
   finally { hideHeaderLoading(); if (getCurrentMailbox()) { countdown = REFRESH_INTERVAL; showCountdown(); } }
 }
 
+// 加载子地址标签筛选选项
+async function loadTagOptions(mailbox) {
+  if (!els.tagFilter) return;
+  try {
+    const r = await api(`/api/emails/tags?mailbox=${encodeURIComponent(mailbox)}`);
+    const tags = await r.json();
+    const list = Array.isArray(tags) ? tags : [];
+    const current = getTagFilter();
+    if (current && current !== TAG_GROUP && !list.some(t => t.tag === current)) setTagFilter(null);
+    els.tagFilter.innerHTML = renderTagOptions(list);
+    els.tagFilter.style.display = list.length ? '' : 'none';
+  } catch (_) { els.tagFilter.style.display = 'none'; }
+}
+if (els.tagFilter) els.tagFilter.onchange = () => { setTagFilter(els.tagFilter.value || null); resetPager(els); refresh(); };
+
 function autoRefreshCallback() { if (countdown > 0) { countdown--; showCountdown(); if (countdown <= 0) refresh().finally(() => { countdown = REFRESH_INTERVAL; showCountdown(); }); }}
 
 // 加载邮箱列表
@@ -133,6 +166,10 @@ window.showSentEmail = async (id) => { try { const r = await api(`/api/sent/${id
 window.deleteEmail = (id) => deleteEmailById(id, api, showToast, showConfirm, refresh);
 window.deleteSent = (id) => deleteSentById(id, api, showToast, showConfirm, refresh);
 window.copyFromList = (e, id) => copyFromEmailList(e, id, api, showToast);
+window.openThread = (threadId) => { setOpenThread(threadId); refresh(); };
+window.closeThread = () => { setOpenThread(null); resetPager(els); refresh(); };
+window.clearEmailSearch = () => { if (els.emailSearch) els.emailSearch.value = ''; setSearchQuery(''); setView(false); setThreadView(false); setSpamView(false); activateTab(els.tabInbox, '收件箱', '📥'); };
+window.filterByLabel = (name) => { setLabelFilter(name || null); setView(false); setThreadView(false); setSpamView(false); activateTab(els.tabInbox, '收件箱', '📥'); };
 window.refreshEmails = refresh;
 
 // 事件绑定
@@ -149,8 +186,11 @@ if (els.modalClose) els.modalClose.onclick = () => els.modal?.classList.remove('
 els.modal?.addEventListener('click', (e) => { if (e.target === els.modal) els.modal.classList.remove('show'); });
 
 // 视图切换
-if (els.tabInbox) els.tabInbox.onclick = () => { setView(false); els.tabInbox.classList.add('active'); els.tabSent?.classList.remove('active'); if (els.boxTitle) els.boxTitle.textContent = '收件箱'; if (els.boxIcon) els.boxIcon.textContent = '📥'; resetPager(els); refresh(); };
-if (els.tabSent) els.tabSent.onclick = () => { setView(true); els.tabSent.classList.add('active'); els.tabInbox?.classList.remove('active'); if (els.boxTitle) els.boxTitle.textContent = '发件箱'; if (els.boxIcon) els.boxIcon.textContent = '📤'; resetPager(els); refresh(); };
+function activateTab(tab, title, icon) { if (tab && getSearchQuery()) { setSearchQuery(''); if (els.emailSearch) els.emailSearch.value = ''; } [els.tabInbox, els.tabSent, els.tabThreads, els.tabSpam].forEach(t => { if (!t) return; t.classList.toggle('active', t === tab); t.setAttribute('aria-pressed', t === tab ? 'true' : 'false'); }); if (els.boxTitle) els.boxTitle.textContent = title; if (els.boxIcon) els.boxIcon.textContent = icon; resetPager(els); refresh(); }
+if (els.tabInbox) els.tabInbox.onclick = () => { setView(false); setThreadView(false); setSpamView(false); activateTab(els.tabInbox, '收件箱', '📥'); };
+if (els.tabSent) els.tabSent.onclick = () => { setView(true); setThreadView(false); setSpamView(false); activateTab(els.tabSent, '发件箱', '📤'); };
+if (els.tabThreads) els.tabThreads.onclick = () => { setView(false); setThreadView(true); setSpamView(false); activateTab(els.tabThreads, '会话', '💬'); };
+if (els.tabSpam) els.tabSpam.onclick = () => { setView(false); setThreadView(false); setSpamView(true); activateTab(els.tabSpam, '垃圾邮件', '🚫'); };
 
 // 分页
 if (els.prevPage) els.prevPage.onclick = () => prevPage(refresh);
@@ -159,6 +199,7 @@ if (els.mbPrev) els.mbPrev.onclick = () => prevMbPage(loadMailboxes);
 if (els.mbNext) els.mbNext.onclick = () => nextMbPage(loadMailboxes, getLastCount());
 
 // 搜索
+if (els.emailSearch) { let t = null; els.emailSearch.oninput = () => { if (t) clearTimeout(t); t = setTimeout(() => { const q = els.emailSearch.value.trim(); if (!q) { if (getSearchQuery()) window.clearEmailSearch(); return; } setSearchQuery(q); setView(false); setThreadView(false); setSpamView(false); activateTab(null, '搜索结果', '🔍'); }, 300); };}
 if (els.mbSearch) { let t = null; els.mbSearch.oninput = () => { if (t) clearTimeout(t); t = setTimeout(() => { setSearchTerm(els.mbSearch.value); resetMbPage(); loadMailboxes(); }, 300); };}
 
 // 长度滑块
@@ -177,6 +218,31 @@ if (els.forwardSetting) els.forwardSetting.onclick = () => {
   if (i && i.id) openForwardDialog(i.id, i.address, i.forward_to); 
   else showToast('请先选择一个邮箱', 'warn'); 
 };
+if (els.senderFilterSetting) els.senderFilterSetting.onclick = () => { 
+  const i = getCurrentMailboxInfo(); 
+  if (i && i.id) openSenderFilterDialog(i.id, i.address); 
+  else showToast('请先选择一个邮箱', 'warn'); 
+};
+if (els.aliasSetting) els.aliasSetting.onclick = () => { 
+  const i = getCurrentMailboxInfo(); 
+  if (i && i.id) openAliasDialog(i.id, i.address); 
+  else showToast('请先选择一个邮箱', 'warn'); 
+};
+if (els.rulesSetting) els.rulesSetting.onclick = () => { 
+  const i = getCurrentMailboxInfo(); 
+  if (i && i.id) openRulesDialog(i.id, i.address); 
+  else showToast('请先选择一个邮箱', 'warn'); 
+};
+if (els.autoReplySetting) els.autoReplySetting.onclick = () => { 
+  const i = getCurrentMailboxInfo(); 
+  if (i && i.id) openAutoReplyDialog(i.id, i.address); 
+  else showToast('请先选择一个邮箱', 'warn'); 
+};
+if (els.webhookSetting) els.webhookSetting.onclick = () => { 
+  const i = getCurrentMailboxInfo(); 
+  if (i && i.id) openWebhookDialog(i.id, i.address); 
+  else showToast('请先选择一个邮箱', 'warn'); 
+};
 if (els.toggleFavorite) els.toggleFavorite.onclick = async () => { 
   const i = getCurrentMailboxInfo(); 
   if (i && i.id) { 
@@ -1,5 +1,5 @@
 /**
- * 邮箱设置模块 - 处理转发和收藏相关的前端逻辑
+ * 邮箱设置模块 - 处理转发、收藏、发件人过滤、垃圾邮件阈值、别名和收件规则相关的前端逻辑
  * @module mailbox-settings
  */
 
@@ -18,12 +18,12 @@ async function apiRequest(path, options = {}) {
 // ========== 转发设置 ==========
 
 /**
- * 打开转发设置弹窗
+ * 打开转发设置弹窗（每个邮箱可配置多个转发目标，每个目标可附带条件）
  * @param {number} mailboxId - 邮箱 ID
  * @param {string} mailboxAddress - 邮箱地址
- * @param {string|null} currentForwardTo - 当前转发目标
+ * @param {string|null} currentForwardTo - 当前转发目标（第一个目标）
  */
-export function openForwardDialog(mailboxId, mailboxAddress, currentForwardTo) {
+export async function openForwardDialog(mailboxId, mailboxAddress, currentForwardTo) {
   // 移除已存在的弹窗
   const existing = document.getElementById('forward-dialog');
   if (existing) existing.remove();
@@ -32,7 +32,7 @@ export function openForwardDialog(mailboxId, mailboxAddress, currentForwardTo) {
   dialog.id = 'forward-dialog';
   dialog.className = 'modal-overlay';
   dialog.innerHTML = `
-    <div class="modal-content" style="max-width: 400px;">
+    <div class="modal-content" style="max-width: 560px;">
       <div class="modal-header">
         <h3>转发设置</h3>
         <button class="modal-close" onclick="document.getElementById('forward-dialog').remove()">×</button>
@@ -42,220 +42,1585 @@ export function openForwardDialog(mailboxId, mailboxAddress, currentForwardTo) {
           邮箱: <strong>${escapeHtml(mailboxAddress)}</strong>
         </p>
         <div class="form-group">
-          <label for="forward-to-input">转发目标邮箱</label>
-          <input type="email" id="forward-to-input" class="form-input" 
-                 placeholder="留空则不转发" 
-                 value="${escapeHtml(currentForwardTo || '')}">
+          <label for="forward-to-input">添加转发目标</label>
+          <div style="display: flex; gap: 8px;">
+            <input type="email" id="forward-to-input" class="form-input" placeholder="target@example.com">
+            <button class="btn btn-primary" id="save-forward-btn">添加</button>
+          </div>
+          <div style="display: flex; gap: 8px; margin-top: 8px; align-items: center;">
+            <input type="text" id="forward-domain-input" class="form-input" placeholder="发件人域名（可选）">
+            <input type="text" id="forward-subject-input" class="form-input" maxlength="100" placeholder="主题包含（可选）">
+            <label style="white-space: nowrap; font-size: 13px;">
+              <input type="checkbox" id="forward-code-input"> 仅含验证码
+            </label>
+          </div>
           <p style="margin-top: 5px; color: var(--text-tertiary); font-size: 12px;">
-            设置后，此邮箱收到的邮件将自动转发到指定地址
+            收到的邮件会转发到所有满足条件的目标，未设置的条件视为满足；再次添加同一目标会更新其条件
           </p>
         </div>
+        <div id="forward-list" class="sender-filter-list">加载中…</div>
+        <div class="form-group" style="margin-top: 15px;">
+          <label>最近转发记录 <span id="forward-log-summary" style="color: var(--text-tertiary); font-size: 12px;"></span></label>
+          <div id="forward-log" class="sender-filter-list">加载中…</div>
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-ghost" id="clear-forward-btn">全部清除</button>
+        <button class="btn btn-ghost" onclick="document.getElementById('forward-dialog').remove()">关闭</button>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(dialog);
+  
+  const input = document.getElementById('forward-to-input');
+  
+  // 绑定添加事件
+  document.getElementById('save-forward-btn').onclick = async () => {
+    const target = input.value.trim();
+    if (!target) {
+      showToast('请输入转发目标', 'warning');
+      return;
+    }
+    const added = await addForwardTarget(mailboxId, {
+      target,
+      sender_domain: document.getElementById('forward-domain-input').value.trim(),
+      subject_contains: document.getElementById('forward-subject-input').value.trim(),
+      require_code: document.getElementById('forward-code-input').checked
+    });
+    if (added) {
+      input.value = '';
+      await loadForwardTargets(mailboxId);
+    }
+  };
+  
+  document.getElementById('clear-forward-btn').onclick = async () => {
+    if (!confirm('确定清除此邮箱的全部转发目标？')) return;
+    if (await saveForwardSetting(mailboxId, null)) await loadForwardTargets(mailboxId);
+  };
+  
+  document.getElementById('forward-list').addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-forward-id]');
+    if (!btn) return;
+    if (await deleteForwardTarget(mailboxId, btn.dataset.forwardId)) {
+      await loadForwardTargets(mailboxId);
+    }
+  });
+  
+  // 按 ESC 关闭，回车添加
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') dialog.remove();
+    if (e.key === 'Enter' && e.target === input) document.getElementById('save-forward-btn').click();
+  });
+  
+  // 点击背景关闭
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.remove();
+  });
+  
+  // 聚焦输入框
+  setTimeout(() => input.focus(), 100);
+  
+  await loadForwardTargets(mailboxId);
+  await loadForwardLog(mailboxId);
+}
+
+/** 转发记录来源名称 */
+const FORWARD_SOURCE_LABELS = { mailbox: '邮箱转发', rule: '收件规则', global: '全局规则', env: '环境变量规则' };
+
+/**
+ * 加载并渲染邮箱最近的转发记录
+ * @param {number} mailboxId - 邮箱 ID
+ */
+async function loadForwardLog(mailboxId) {
+  const listEl = document.getElementById('forward-log');
+  const summaryEl = document.getElementById('forward-log-summary');
+  if (!listEl) return;
+
+  try {
+    const resp = await apiRequest(`/api/mailbox/forward/log?mailbox_id=${encodeURIComponent(mailboxId)}&limit=10`);
+    const result = await resp.json();
+    if (!resp.ok || !result.success) {
+      listEl.innerHTML = `<div class="sender-filter-empty">${escapeHtml(result.error || '加载失败')}</div>`;
+      return;
+    }
+    const summary = result.summary || {};
+    if (summaryEl) summaryEl.textContent = summary.failed_24h ? `（24 小时内失败 ${Number(summary.failed_24h)} 次）` : '';
+    const entries = result.entries || [];
+    listEl.innerHTML = entries.length
+      ? entries.map(e => `
+        <div class="sender-filter-item" title="${escapeHtml(e.error || '')}">
+          <span class="sender-filter-meta">${e.success ? '✅' : '❌'}</span>
+          <span class="sender-filter-pattern">${escapeHtml(e.target)}${e.message_id ? ` #${Number(e.message_id)}` : ''}</span>
+          <span class="sender-filter-meta">${escapeHtml(FORWARD_SOURCE_LABELS[e.source] || e.source)} · ${escapeHtml(e.created_at || '')}${e.error ? ` · ${escapeHtml(e.error)}` : ''}</span>
+        </div>`).join('')
+      : '<div class="sender-filter-empty">暂无转发记录</div>';
+  } catch (e) {
+    console.error('加载转发记录失败:', e);
+    listEl.innerHTML = '<div class="sender-filter-empty">加载失败</div>';
+  }
+}
+
+/**
+ * 加载并渲染邮箱的转发目标列表
+ * @param {number} mailboxId - 邮箱 ID
+ */
+async function loadForwardTargets(mailboxId) {
+  const listEl = document.getElementById('forward-list');
+  if (!listEl) return;
+  
+  try {
+    const resp = await apiRequest(`/api/mailbox/forwards?mailbox_id=${encodeURIComponent(mailboxId)}`);
+    const result = await resp.json();
+    if (!resp.ok || !result.success) {
+      listEl.innerHTML = `<div class="sender-filter-empty">${escapeHtml(result.error || '加载失败')}</div>`;
+      return;
+    }
+    
+    const forwards = result.forwards || [];
+    notifyForwardUpdated(mailboxId, forwards[0]?.target || null);
+    listEl.innerHTML = forwards.length
+      ? forwards.map(f => {
+        const conditions = [
+          f.sender_domain ? `发件域 ${f.sender_domain}` : '',
+          f.subject_contains ? `主题含「${f.subject_contains}」` : '',
+          f.require_code ? '含验证码' : ''
+        ].filter(Boolean).join('，') || '全部邮件';
+        return `
+        <div class="sender-filter-item">
+          <span class="sender-filter-pattern">${escapeHtml(f.target)}</span>
+          <span class="sender-filter-meta">${escapeHtml(conditions)}</span>
+          <button class="btn btn-ghost btn-sm" data-forward-id="${Number(f.id)}" title="删除">✕</button>
+        </div>`;
+      }).join('')
+      : '<div class="sender-filter-empty">未设置转发</div>';
+  } catch (e) {
+    console.error('加载转发目标失败:', e);
+    listEl.innerHTML = '<div class="sender-filter-empty">加载失败</div>';
+  }
+}
+
+/**
+ * 通知页面转发设置（forward_to 为第一个转发目标）
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {string|null} forwardTo - 第一个转发目标
+ */
+function notifyForwardUpdated(mailboxId, forwardTo) {
+  window.dispatchEvent(new CustomEvent('mailbox-settings-updated', { 
+    detail: { mailboxId, forward_to: forwardTo } 
+  }));
+}
+
+/**
+ * 添加转发目标（同一目标已存在时更新其条件）
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {object} forward - 转发目标 { target, sender_domain, subject_contains, require_code }
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function addForwardTarget(mailboxId, forward) {
+  try {
+    const resp = await apiRequest('/api/mailbox/forwards', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mailbox_id: mailboxId, ...forward })
+    });
+    const result = await resp.json();
+    if (resp.ok && result.success) {
+      showToast(`已设置转发到: ${result.forward?.target || forward.target}`, 'success');
+      return true;
+    }
+    showToast(result.error || '设置失败', 'error');
+  } catch (e) {
+    console.error('添加转发目标失败:', e);
+    showToast('保存失败，请重试', 'error');
+  }
+  return false;
+}
+
+/**
+ * 删除转发目标
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {number} forwardId - 转发目标 ID
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function deleteForwardTarget(mailboxId, forwardId) {
+  try {
+    const resp = await apiRequest(`/api/mailbox/forwards?mailbox_id=${encodeURIComponent(mailboxId)}&id=${encodeURIComponent(forwardId)}`, {
+      method: 'DELETE'
+    });
+    const result = await resp.json();
+    if (resp.ok && result.success) {
+      showToast('转发目标已删除', 'success');
+      return true;
+    }
+    showToast(result.error || '删除失败', 'error');
+  } catch (e) {
+    console.error('删除转发目标失败:', e);
+    showToast('删除失败，请重试', 'error');
+  }
+  return false;
+}
+
+/**
+ * 保存转发设置（替换为给定目标，为空时取消全部转发）
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {string|string[]|null} forwardTo - 转发目标邮箱
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function saveForwardSetting(mailboxId, forwardTo) {
+  try {
+    const resp = await apiRequest('/api/mailbox/forward', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mailbox_id: mailboxId, forward_to: forwardTo })
+    });
+    
+    const result = await resp.json();
+    
+    if (resp.ok && result.success) {
+      showToast(result.forward_to ? `已设置转发到: ${result.forward_to}` : '已取消转发', 'success');
+      // 触发刷新事件
+      notifyForwardUpdated(mailboxId, result.forward_to || null);
+      return true;
+    }
+    showToast(result.error || '设置失败', 'error');
+  } catch (e) {
+    console.error('保存转发设置失败:', e);
+    showToast('保存失败，请重试', 'error');
+  }
+  return false;
+}
+
+// ========== 收藏功能 ==========
+
+/**
+ * 切换邮箱收藏状态
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {Function} [callback] - 成功后的回调函数
+ * @returns {Promise<{success: boolean, is_favorite: number}>}
+ */
+export async function toggleFavorite(mailboxId, callback) {
+  try {
+    const resp = await apiRequest('/api/mailbox/favorite', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mailbox_id: mailboxId })
+    });
+    
+    const result = await resp.json();
+    
+    if (resp.ok && result.success) {
+      const isFav = result.is_favorite;
+      showToast(isFav ? '已收藏' : '已取消收藏', 'success');
+      // 触发刷新事件
+      window.dispatchEvent(new CustomEvent('mailbox-settings-updated', { 
+        detail: { mailboxId, is_favorite: isFav } 
+      }));
+      if (callback) callback(result);
+      return result;
+    } else {
+      showToast(result.error || '操作失败', 'error');
+      return { success: false };
+    }
+  } catch (e) {
+    console.error('切换收藏失败:', e);
+    showToast('操作失败，请重试', 'error');
+    return { success: false };
+  }
+}
+
+/**
+ * 批量设置收藏状态
+ * @param {number[]} mailboxIds - 邮箱 ID 列表
+ * @param {boolean} isFavorite - 是否收藏
+ * @returns {Promise<{success: boolean}>}
+ */
+export async function batchSetFavorite(mailboxIds, isFavorite) {
+  if (!mailboxIds || mailboxIds.length === 0) {
+    showToast('请先选择邮箱', 'warning');
+    return { success: false };
+  }
+  
+  try {
+    const resp = await apiRequest('/api/mailboxes/batch-favorite', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mailbox_ids: mailboxIds, is_favorite: isFavorite })
+    });
+    
+    const result = await resp.json();
+    
+    if (resp.ok && result.success) {
+      showToast(`已${isFavorite ? '收藏' : '取消收藏'} ${result.updated_count} 个邮箱`, 'success');
+      window.dispatchEvent(new CustomEvent('mailbox-settings-batch-updated'));
+      return result;
+    } else {
+      showToast(result.error || '批量操作失败', 'error');
+      return { success: false };
+    }
+  } catch (e) {
+    console.error('批量设置收藏失败:', e);
+    showToast('操作失败，请重试', 'error');
+    return { success: false };
+  }
+}
+
+// ========== UI 辅助函数 ==========
+
+/**
+ * 渲染转发状态标识
+ * @param {string|null} forwardTo - 转发目标
+ * @returns {string} HTML 字符串
+ */
+export function renderForwardBadge(forwardTo) {
+  if (!forwardTo) return '';
+  return `<span class="badge badge-forward" title="转发到: ${escapeHtml(forwardTo)}">↪️</span>`;
+}
+
+/**
+ * 渲染收藏状态标识
+ * @param {number|boolean} isFavorite - 是否收藏
+ * @returns {string} HTML 字符串
+ */
+export function renderFavoriteBadge(isFavorite) {
+  return isFavorite ? '<span class="badge badge-favorite" title="已收藏">⭐</span>' : '';
+}
+
+/**
+ * 创建转发设置按钮
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {string} mailboxAddress - 邮箱地址
+ * @param {string|null} forwardTo - 当前转发目标
+ * @returns {HTMLButtonElement}
+ */
+export function createForwardButton(mailboxId, mailboxAddress, forwardTo) {
+  const btn = document.createElement('button');
+  btn.className = 'btn btn-ghost btn-sm';
+  btn.title = forwardTo ? `转发到: ${forwardTo}` : '设置转发';
+  btn.innerHTML = forwardTo ? '↪️' : '➡️';
+  btn.onclick = (e) => {
+    e.stopPropagation();
+    openForwardDialog(mailboxId, mailboxAddress, forwardTo);
+  };
+  return btn;
+}
+
+/**
+ * 创建收藏按钮
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {number|boolean} isFavorite - 是否收藏
+ * @param {Function} [onUpdate] - 更新后的回调
+ * @returns {HTMLButtonElement}
+ */
+export function createFavoriteButton(mailboxId, isFavorite, onUpdate) {
+  const btn = document.createElement('button');
+  btn.className = 'btn btn-ghost btn-sm';
+  btn.title = isFavorite ? '取消收藏' : '收藏';
+  btn.innerHTML = isFavorite ? '⭐' : '☆';
+  btn.onclick = async (e) => {
+    e.stopPropagation();
+    const result = await toggleFavorite(mailboxId);
+    if (result.success && onUpdate) {
+      onUpdate(result.is_favorite);
+    }
+  };
+  return btn;
+}
+
+// ========== 收件过滤（发件人过滤与垃圾邮件阈值） ==========
+
+const SENDER_FILTER_LABELS = { allow: '允许', block: '拒绝' };
+
+const REJECTION_REASON_LABELS = { blocked: '命中拒绝列表', 'not-allowed': '不在允许列表' };
+
+/**
+ * 打开收件过滤设置弹窗（发件人允许/拒绝列表与垃圾邮件阈值）
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {string} mailboxAddress - 邮箱地址
+ */
+export async function openSenderFilterDialog(mailboxId, mailboxAddress) {
+  const existing = document.getElementById('sender-filter-dialog');
+  if (existing) existing.remove();
+
+  const dialog = document.createElement('div');
+  dialog.id = 'sender-filter-dialog';
+  dialog.className = 'modal-overlay';
+  dialog.innerHTML = `
+    <div class="modal-content" style="max-width: 520px;">
+      <div class="modal-header">
+        <h3>收件过滤</h3>
+        <button class="modal-close" onclick="document.getElementById('sender-filter-dialog').remove()">×</button>
+      </div>
+      <div class="modal-body">
+        <p style="margin-bottom: 10px; color: var(--text-secondary); font-size: 14px;">
+          邮箱: <strong>${escapeHtml(mailboxAddress)}</strong>
+        </p>
+        <div class="form-group">
+          <label for="sender-filter-pattern">添加规则</label>
+          <div style="display: flex; gap: 8px;">
+            <select id="sender-filter-type" class="form-input" style="width: 90px;">
+              <option value="allow">允许</option>
+              <option value="block">拒绝</option>
+            </select>
+            <input type="text" id="sender-filter-pattern" class="form-input" placeholder="*@github.com 或 example.com">
+            <button class="btn btn-primary" id="add-sender-filter-btn">添加</button>
+          </div>
+          <p style="margin-top: 5px; color: var(--text-tertiary); font-size: 12px;">
+            存在允许规则时，仅接收匹配的发件人；拒绝规则优先。不含 @ 的模式按域名（含子域名）匹配
+          </p>
+        </div>
+        <div id="sender-filter-list" class="sender-filter-list">加载中…</div>
+        <div class="form-group" style="margin-top: 15px;">
+          <label for="spam-threshold-input">垃圾邮件阈值</label>
+          <div style="display: flex; gap: 8px;">
+            <input type="number" id="spam-threshold-input" class="form-input" min="0.5" max="100" step="0.5" placeholder="默认">
+            <button class="btn btn-primary" id="save-spam-threshold-btn">保存</button>
+          </div>
+          <p style="margin-top: 5px; color: var(--text-tertiary); font-size: 12px;">
+            根据 SPF/DKIM/DMARC 结果与内容特征评分，评分达到阈值的邮件进入垃圾邮件；留空使用默认值
+          </p>
+        </div>
+        <div class="form-group" style="margin-top: 15px;">
+          <label>最近拒收</label>
+          <div id="sender-rejection-list" class="sender-filter-list"></div>
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-ghost" onclick="document.getElementById('sender-filter-dialog').remove()">关闭</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  document.getElementById('add-sender-filter-btn').onclick = async () => {
+    const type = document.getElementById('sender-filter-type').value;
+    const input = document.getElementById('sender-filter-pattern');
+    const pattern = input.value.trim();
+    if (!pattern) {
+      showToast('请输入发件人模式', 'warning');
+      return;
+    }
+    if (await addSenderFilter(mailboxId, type, pattern)) {
+      input.value = '';
+      await loadSenderFilters(mailboxId);
+    }
+  };
+
+  document.getElementById('save-spam-threshold-btn').onclick = async () => {
+    const value = document.getElementById('spam-threshold-input').value.trim();
+    await saveSpamThreshold(mailboxId, value === '' ? null : Number(value));
+  };
+
+  document.getElementById('sender-filter-list').addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-filter-id]');
+    if (!btn) return;
+    if (await deleteSenderFilter(mailboxId, btn.dataset.filterId)) {
+      await loadSenderFilters(mailboxId);
+    }
+  });
+
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') dialog.remove();
+  });
+
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.remove();
+  });
+
+  await Promise.all([loadSenderFilters(mailboxId), loadSpamThreshold(mailboxId)]);
+}
+
+/**
+ * 加载并渲染发件人过滤规则和拒收记录
+ * @param {number} mailboxId - 邮箱 ID
+ */
+async function loadSenderFilters(mailboxId) {
+  const listEl = document.getElementById('sender-filter-list');
+  const rejectionEl = document.getElementById('sender-rejection-list');
+  if (!listEl) return;
+
+  try {
+    const resp = await apiRequest(`/api/mailbox/sender-filters?mailbox_id=${encodeURIComponent(mailboxId)}`);
+    const result = await resp.json();
+    if (!resp.ok || !result.success) {
+      listEl.innerHTML = `<div class="sender-filter-empty">${escapeHtml(result.error || '加载失败')}</div>`;
+      return;
+    }
+
+    const filters = result.filters || [];
+    listEl.innerHTML = filters.length
+      ? filters.map(f => `
+        <div class="sender-filter-item">
+          <span class="badge badge-filter-${f.type === 'block' ? 'block' : 'allow'}">${SENDER_FILTER_LABELS[f.type] || f.type}</span>
+          <span class="sender-filter-pattern">${escapeHtml(f.pattern)}</span>
+          <button class="btn btn-ghost btn-sm" data-filter-id="${Number(f.id)}" title="删除">✕</button>
+        </div>`).join('')
+      : '<div class="sender-filter-empty">未设置规则，接收所有发件人</div>';
+
+    const rejections = result.rejections || [];
+    if (rejectionEl) {
+      rejectionEl.innerHTML = rejections.length
+        ? rejections.map(r => `
+          <div class="sender-filter-item" title="${escapeHtml(r.subject || '')}">
+            <span class="sender-filter-pattern">${escapeHtml(r.sender)}</span>
+            <span class="sender-filter-meta">${escapeHtml(REJECTION_REASON_LABELS[r.reason] || r.reason)} · ${escapeHtml(r.created_at || '')}</span>
+          </div>`).join('')
+        : '<div class="sender-filter-empty">暂无拒收记录</div>';
+    }
+  } catch (e) {
+    console.error('加载发件人过滤规则失败:', e);
+    listEl.innerHTML = '<div class="sender-filter-empty">加载失败</div>';
+  }
+}
+
+/**
+ * 添加发件人过滤规则
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {string} type - 规则类型: allow, block
+ * @param {string} pattern - 发件人模式
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function addSenderFilter(mailboxId, type, pattern) {
+  try {
+    const resp = await apiRequest('/api/mailbox/sender-filters', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mailbox_id: mailboxId, type, pattern })
+    });
+    const result = await resp.json();
+    if (resp.ok && result.success) {
+      showToast(`已添加${SENDER_FILTER_LABELS[type] || ''}规则: ${result.filter?.pattern || pattern}`, 'success');
+      return true;
+    }
+    showToast(result.error || '添加失败', 'error');
+  } catch (e) {
+    console.error('添加发件人过滤规则失败:', e);
+    showToast('添加失败，请重试', 'error');
+  }
+  return false;
+}
+
+/**
+ * 删除发件人过滤规则
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {number} filterId - 规则 ID
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function deleteSenderFilter(mailboxId, filterId) {
+  try {
+    const resp = await apiRequest(`/api/mailbox/sender-filters?mailbox_id=${encodeURIComponent(mailboxId)}&id=${encodeURIComponent(filterId)}`, {
+      method: 'DELETE'
+    });
+    const result = await resp.json();
+    if (resp.ok && result.success) {
+      showToast('规则已删除', 'success');
+      return true;
+    }
+    showToast(result.error || '删除失败', 'error');
+  } catch (e) {
+    console.error('删除发件人过滤规则失败:', e);
+    showToast('删除失败，请重试', 'error');
+  }
+  return false;
+}
+
+/**
+ * 加载邮箱垃圾邮件阈值到输入框
+ * @param {number} mailboxId - 邮箱 ID
+ */
+async function loadSpamThreshold(mailboxId) {
+  const input = document.getElementById('spam-threshold-input');
+  if (!input) return;
+  try {
+    const resp = await apiRequest(`/api/mailbox/spam-threshold?mailbox_id=${encodeURIComponent(mailboxId)}`);
+    const result = await resp.json();
+    if (resp.ok && result.success) {
+      input.value = result.spam_threshold ?? '';
+      input.placeholder = `默认 ${result.default_threshold}`;
+    }
+  } catch (e) {
+    console.error('加载垃圾邮件阈值失败:', e);
+  }
+}
+
+/**
+ * 保存邮箱垃圾邮件阈值
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {number|null} threshold - 阈值，null 表示恢复默认
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function saveSpamThreshold(mailboxId, threshold) {
+  try {
+    const resp = await apiRequest('/api/mailbox/spam-threshold', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mailbox_id: mailboxId, spam_threshold: threshold })
+    });
+    const result = await resp.json();
+    if (resp.ok && result.success) {
+      showToast(threshold === null ? '已恢复默认阈值' : `垃圾邮件阈值已设为 ${threshold}`, 'success');
+      return true;
+    }
+    showToast(result.error || '保存失败', 'error');
+  } catch (e) {
+    console.error('保存垃圾邮件阈值失败:', e);
+    showToast('保存失败，请重试', 'error');
+  }
+  return false;
+}
+
+// ========== 邮箱别名 ==========
+
+/**
+ * 打开邮箱别名设置弹窗
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {string} mailboxAddress - 邮箱地址
+ */
+export async function openAliasDialog(mailboxId, mailboxAddress) {
+  const existing = document.getElementById('alias-dialog');
+  if (existing) existing.remove();
+
+  const dialog = document.createElement('div');
+  dialog.id = 'alias-dialog';
+  dialog.className = 'modal-overlay';
+  dialog.innerHTML = `
+    <div class="modal-content" style="max-width: 520px;">
+      <div class="modal-header">
+        <h3>邮箱别名</h3>
+        <button class="modal-close" onclick="document.getElementById('alias-dialog').remove()">×</button>
+      </div>
+      <div class="modal-body">
+        <p style="margin-bottom: 10px; color: var(--text-secondary); font-size: 14px;">
+          邮箱: <strong>${escapeHtml(mailboxAddress)}</strong>
+        </p>
+        <div class="form-group">
+          <label for="alias-address-input">添加别名</label>
+          <div style="display: flex; gap: 8px;">
+            <input type="email" id="alias-address-input" class="form-input" placeholder="alias@example.com">
+            <button class="btn btn-primary" id="add-alias-btn">添加</button>
+          </div>
+          <p style="margin-top: 5px; color: var(--text-tertiary); font-size: 12px;">
+            发往别名地址的邮件直接投递到此邮箱，可使用任一已配置域名；别名计入邮箱配额
+          </p>
+        </div>
+        <div id="alias-list" class="sender-filter-list">加载中…</div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-ghost" onclick="document.getElementById('alias-dialog').remove()">关闭</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const input = document.getElementById('alias-address-input');
+  input.focus();
+
+  document.getElementById('add-alias-btn').onclick = async () => {
+    const address = input.value.trim();
+    if (!address) {
+      showToast('请输入别名地址', 'warning');
+      return;
+    }
+    if (await addAlias(mailboxId, address)) {
+      input.value = '';
+      await loadAliases(mailboxId);
+    }
+  };
+
+  document.getElementById('alias-list').addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-alias-id]');
+    if (!btn) return;
+    if (await deleteAlias(mailboxId, btn.dataset.aliasId)) {
+      await loadAliases(mailboxId);
+    }
+  });
+
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') dialog.remove();
+    if (e.key === 'Enter' && e.target === input) document.getElementById('add-alias-btn').click();
+  });
+
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.remove();
+  });
+
+  await loadAliases(mailboxId);
+}
+
+/**
+ * 加载并渲染邮箱别名列表
+ * @param {number} mailboxId - 邮箱 ID
+ */
+async function loadAliases(mailboxId) {
+  const listEl = document.getElementById('alias-list');
+  if (!listEl) return;
+
+  try {
+    const resp = await apiRequest(`/api/mailbox/aliases?mailbox_id=${encodeURIComponent(mailboxId)}`);
+    const result = await resp.json();
+    if (!resp.ok || !result.success) {
+      listEl.innerHTML = `<div class="sender-filter-empty">${escapeHtml(result.error || '加载失败')}</div>`;
+      return;
+    }
+
+    const aliases = result.aliases || [];
+    listEl.innerHTML = aliases.length
+      ? aliases.map(a => `
+        <div class="sender-filter-item">
+          <span class="sender-filter-pattern">${escapeHtml(a.address)}</span>
+          <span class="sender-filter-meta">${escapeHtml(a.created_at || '')}</span>
+          <button class="btn btn-ghost btn-sm" data-alias-id="${Number(a.id)}" title="删除">✕</button>
+        </div>`).join('')
+      : '<div class="sender-filter-empty">暂无别名</div>';
+  } catch (e) {
+    console.error('加载邮箱别名失败:', e);
+    listEl.innerHTML = '<div class="sender-filter-empty">加载失败</div>';
+  }
+}
+
+/**
+ * 添加邮箱别名
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {string} address - 别名地址
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function addAlias(mailboxId, address) {
+  try {
+    const resp = await apiRequest('/api/mailbox/aliases', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mailbox_id: mailboxId, address })
+    });
+    const result = await resp.json();
+    if (resp.ok && result.success) {
+      showToast(`已添加别名: ${result.alias?.address || address}`, 'success');
+      return true;
+    }
+    showToast(result.error || '添加失败', 'error');
+  } catch (e) {
+    console.error('添加邮箱别名失败:', e);
+    showToast('添加失败，请重试', 'error');
+  }
+  return false;
+}
+
+/**
+ * 删除邮箱别名
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {number} aliasId - 别名 ID
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function deleteAlias(mailboxId, aliasId) {
+  try {
+    const resp = await apiRequest(`/api/mailbox/aliases?mailbox_id=${encodeURIComponent(mailboxId)}&id=${encodeURIComponent(aliasId)}`, {
+      method: 'DELETE'
+    });
+    const result = await resp.json();
+    if (resp.ok && result.success) {
+      showToast('别名已删除', 'success');
+      return true;
+    }
+    showToast(result.error || '删除失败', 'error');
+  } catch (e) {
+    console.error('删除邮箱别名失败:', e);
+    showToast('删除失败，请重试', 'error');
+  }
+  return false;
+}
+
+// ========== 收件规则 ==========
+
+const RULE_CONDITION_LABELS = { sender: '发件人', subject: '主题匹配', has_code: '含验证码', header: '邮件头' };
+
+const RULE_ACTION_LABELS = { label: '添加标签', mark_read: '标记已读', delete: '删除', skip_storage: '不保存原文', forward: '转发', stop: '停止后续规则' };
+
+const RULE_VALUE_PLACEHOLDERS = { sender: '*@github.com 或 example.com', subject: '正则，如 ^\\[CI\\]', header: '正则，留空表示存在该头', has_code: '' };
+
+/**
+ * 打开收件规则编辑弹窗
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {string} mailboxAddress - 邮箱地址
+ */
+export async function openRulesDialog(mailboxId, mailboxAddress) {
+  const existing = document.getElementById('rules-dialog');
+  if (existing) existing.remove();
+
+  const dialog = document.createElement('div');
+  dialog.id = 'rules-dialog';
+  dialog.className = 'modal-overlay';
+  dialog.innerHTML = `
+    <div class="modal-content" style="max-width: 640px;">
+      <div class="modal-header">
+        <h3>收件规则</h3>
+        <button class="modal-close" onclick="document.getElementById('rules-dialog').remove()">×</button>
+      </div>
+      <div class="modal-body" style="max-height: 70vh; overflow-y: auto;">
+        <p style="margin-bottom: 10px; color: var(--text-secondary); font-size: 14px;">
+          邮箱: <strong>${escapeHtml(mailboxAddress)}</strong>
+        </p>
+        <div class="form-group">
+          <label for="rule-condition-type">条件</label>
+          <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+            <select id="rule-condition-type" class="form-input" style="width: 110px;">
+              ${Object.entries(RULE_CONDITION_LABELS).map(([k, v]) => `<option value="${k}">${v}</option>`).join('')}
+            </select>
+            <input type="text" id="rule-header-name" class="form-input" placeholder="头名称，如 List-Id" style="width: 150px; display: none;">
+            <input type="text" id="rule-condition-value" class="form-input" style="flex: 1; min-width: 160px;">
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="rule-action">动作</label>
+          <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+            <select id="rule-action" class="form-input" style="width: 130px;">
+              ${Object.entries(RULE_ACTION_LABELS).map(([k, v]) => `<option value="${k}">${v}</option>`).join('')}
+            </select>
+            <input type="text" id="rule-action-value" class="form-input" style="flex: 1; min-width: 160px;">
+          </div>
+        </div>
+        <div class="form-group" style="display: flex; gap: 8px;">
+          <input type="text" id="rule-name" class="form-input" placeholder="规则名称（可选）">
+          <button class="btn btn-primary" id="save-rule-btn">添加</button>
+          <button class="btn btn-ghost" id="cancel-rule-edit-btn" style="display: none;">取消</button>
+        </div>
+        <p style="margin: -5px 0 10px; color: var(--text-tertiary); font-size: 12px;">
+          规则按顺序执行，命中“删除”或“停止后续规则”后不再执行后面的规则
+        </p>
+        <div id="rule-list" class="sender-filter-list">加载中…</div>
+        <div class="form-group" style="margin-top: 15px;">
+          <label for="rule-dry-run-limit">试运行</label>
+          <div style="display: flex; gap: 8px;">
+            <input type="number" id="rule-dry-run-limit" class="form-input" min="1" max="50" value="20" style="width: 90px;">
+            <button class="btn btn-ghost" id="rule-dry-run-btn">对最近邮件试运行</button>
+          </div>
+          <div id="rule-dry-run-result" class="sender-filter-list" style="margin-top: 8px; display: none;"></div>
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-ghost" onclick="document.getElementById('rules-dialog').remove()">关闭</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const conditionType = document.getElementById('rule-condition-type');
+  const headerName = document.getElementById('rule-header-name');
+  const conditionValue = document.getElementById('rule-condition-value');
+  const action = document.getElementById('rule-action');
+  const actionValue = document.getElementById('rule-action-value');
+  const ruleName = document.getElementById('rule-name');
+  const saveBtn = document.getElementById('save-rule-btn');
+  const cancelBtn = document.getElementById('cancel-rule-edit-btn');
+  let rules = [];
+  let editingId = null;
+
+  const syncInputs = () => {
+    headerName.style.display = conditionType.value === 'header' ? '' : 'none';
+    conditionValue.style.display = conditionType.value === 'has_code' ? 'none' : '';
+    conditionValue.placeholder = RULE_VALUE_PLACEHOLDERS[conditionType.value] || '';
+    actionValue.style.display = ['label', 'forward'].includes(action.value) ? '' : 'none';
+    actionValue.placeholder = action.value === 'forward' ? '转发目标地址' : '标签名称';
+  };
+  conditionType.onchange = syncInputs;
+  action.onchange = syncInputs;
+  syncInputs();
+
+  const resetForm = () => {
+    editingId = null;
+    conditionValue.value = '';
+    headerName.value = '';
+    actionValue.value = '';
+    ruleName.value = '';
+    saveBtn.textContent = '添加';
+    cancelBtn.style.display = 'none';
+  };
+  cancelBtn.onclick = resetForm;
+
+  const reload = async () => {
+    rules = await loadRules(mailboxId);
+  };
+
+  saveBtn.onclick = async () => {
+    const rule = {
+      name: ruleName.value.trim(),
+      condition_type: conditionType.value,
+      condition_value: conditionValue.value.trim(),
+      header_name: headerName.value.trim(),
+      action: action.value,
+      action_value: actionValue.value.trim()
+    };
+    const current = editingId ? rules.find(r => r.id === editingId) : null;
+    if (current) rule.enabled = !!current.enabled;
+    const ok = editingId ? await saveRule(mailboxId, { ...rule, id: editingId }) : await saveRule(mailboxId, rule);
+    if (ok) {
+      resetForm();
+      await reload();
+    }
+  };
+
+  document.getElementById('rule-list').addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-rule-action]');
+    if (!btn) return;
+    const id = Number(btn.dataset.ruleId);
+    const rule = rules.find(r => r.id === id);
+    if (!rule) return;
+    const op = btn.dataset.ruleAction;
+    if (op === 'delete') {
+      if (await deleteRule(mailboxId, id)) await reload();
+    } else if (op === 'toggle') {
+      if (await saveRule(mailboxId, { ...rule, enabled: !rule.enabled }, true)) await reload();
+    } else if (op === 'up' || op === 'down') {
+      const ids = rules.map(r => r.id);
+      const idx = ids.indexOf(id);
+      const swap = op === 'up' ? idx - 1 : idx + 1;
+      if (swap < 0 || swap >= ids.length) return;
+      [ids[idx], ids[swap]] = [ids[swap], ids[idx]];
+      if (await reorderRules(mailboxId, ids)) await reload();
+    } else if (op === 'edit') {
+      editingId = id;
+      conditionType.value = rule.condition_type;
+      conditionValue.value = rule.condition_value || '';
+      headerName.value = rule.header_name || '';
+      action.value = rule.action;
+      actionValue.value = rule.action_value || '';
+      ruleName.value = rule.name || '';
+      saveBtn.textContent = '保存';
+      cancelBtn.style.display = '';
+      syncInputs();
+    }
+  });
+
+  document.getElementById('rule-dry-run-btn').onclick = async () => {
+    const limit = Number(document.getElementById('rule-dry-run-limit').value) || 20;
+    await dryRunRules(mailboxId, limit);
+  };
+
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') dialog.remove();
+  });
+
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.remove();
+  });
+
+  await reload();
+}
+
+/**
+ * 规则的可读描述
+ * @param {object} rule - 规则记录
+ * @returns {string} 描述文本（已转义）
+ */
+function describeRule(rule) {
+  let condition = RULE_CONDITION_LABELS[rule.condition_type] || rule.condition_type;
+  if (rule.condition_type === 'header') condition += ` ${rule.header_name}`;
+  if (rule.condition_value) condition += ` ~ ${rule.condition_value}`;
+  let actionText = RULE_ACTION_LABELS[rule.action] || rule.action;
+  if (rule.action_value) actionText += ` ${rule.action_value}`;
+  return `${escapeHtml(condition)} → ${escapeHtml(actionText)}`;
+}
+
+/**
+ * 加载并渲染收件规则列表
+ * @param {number} mailboxId - 邮箱 ID
+ * @returns {Promise<Array>} 规则列表
+ */
+async function loadRules(mailboxId) {
+  const listEl = document.getElementById('rule-list');
+  if (!listEl) return [];
+
+  try {
+    const resp = await apiRequest(`/api/mailbox/rules?mailbox_id=${encodeURIComponent(mailboxId)}`);
+    const result = await resp.json();
+    if (!resp.ok || !result.success) {
+      listEl.innerHTML = `<div class="sender-filter-empty">${escapeHtml(result.error || '加载失败')}</div>`;
+      return [];
+    }
+
+    const rules = result.rules || [];
+    listEl.innerHTML = rules.length
+      ? rules.map((r, i) => `
+        <div class="sender-filter-item" style="${r.enabled ? '' : 'opacity: 0.55;'}">
+          <span class="sender-filter-meta">${i + 1}</span>
+          <span class="sender-filter-pattern" title="${escapeHtml(r.name || '')}">${r.name ? `<strong>${escapeHtml(r.name)}</strong> ` : ''}${describeRule(r)}</span>
+          <button class="btn btn-ghost btn-sm" data-rule-action="toggle" data-rule-id="${Number(r.id)}" title="${r.enabled ? '停用' : '启用'}">${r.enabled ? '⏸' : '▶'}</button>
+          <button class="btn btn-ghost btn-sm" data-rule-action="up" data-rule-id="${Number(r.id)}" title="上移"${i === 0 ? ' disabled' : ''}>↑</button>
+          <button class="btn btn-ghost btn-sm" data-rule-action="down" data-rule-id="${Number(r.id)}" title="下移"${i === rules.length - 1 ? ' disabled' : ''}>↓</button>
+          <button class="btn btn-ghost btn-sm" data-rule-action="edit" data-rule-id="${Number(r.id)}" title="编辑">✎</button>
+          <button class="btn btn-ghost btn-sm" data-rule-action="delete" data-rule-id="${Number(r.id)}" title="删除">✕</button>
+        </div>`).join('')
+      : '<div class="sender-filter-empty">暂无规则</div>';
+    return rules;
+  } catch (e) {
+    console.error('加载收件规则失败:', e);
+    listEl.innerHTML = '<div class="sender-filter-empty">加载失败</div>';
+    return [];
+  }
+}
+
+/**
+ * 添加或更新收件规则（带 id 时更新）
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {object} rule - 规则内容
+ * @param {boolean} silent - 成功时不提示
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function saveRule(mailboxId, rule, silent = false) {
+  try {
+    const resp = await apiRequest('/api/mailbox/rules', {
+      method: rule.id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...rule, mailbox_id: mailboxId })
+    });
+    const result = await resp.json();
+    if (resp.ok && result.success) {
+      if (!silent) showToast(rule.id ? '规则已更新' : '规则已添加', 'success');
+      return true;
+    }
+    showToast(result.error || '保存失败', 'error');
+  } catch (e) {
+    console.error('保存收件规则失败:', e);
+    showToast('保存失败，请重试', 'error');
+  }
+  return false;
+}
+
+/**
+ * 删除收件规则
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {number} ruleId - 规则 ID
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function deleteRule(mailboxId, ruleId) {
+  try {
+    const resp = await apiRequest(`/api/mailbox/rules?mailbox_id=${encodeURIComponent(mailboxId)}&id=${encodeURIComponent(ruleId)}`, {
+      method: 'DELETE'
+    });
+    const result = await resp.json();
+    if (resp.ok && result.success) {
+      showToast('规则已删除', 'success');
+      return true;
+    }
+    showToast(result.error || '删除失败', 'error');
+  } catch (e) {
+    console.error('删除收件规则失败:', e);
+    showToast('删除失败，请重试', 'error');
+  }
+  return false;
+}
+
+/**
+ * 调整收件规则顺序
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {Array<number>} ids - 规则 ID 顺序
+ * @returns {Promise<boolean>} 是否成功
+ */
+async function reorderRules(mailboxId, ids) {
+  try {
+    const resp = await apiRequest('/api/mailbox/rules/reorder', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mailbox_id: mailboxId, ids })
+    });
+    const result = await resp.json();
+    if (resp.ok && result.success) return true;
+    showToast(result.error || '调整顺序失败', 'error');
+  } catch (e) {
+    console.error('调整规则顺序失败:', e);
+    showToast('调整顺序失败，请重试', 'error');
+  }
+  return false;
+}
+
+/**
+ * 对最近邮件试运行已保存的规则并渲染结果
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {number} limit - 邮件数量
+ */
+async function dryRunRules(mailboxId, limit) {
+  const resultEl = document.getElementById('rule-dry-run-result');
+  if (!resultEl) return;
+  resultEl.style.display = '';
+  resultEl.innerHTML = '运行中…';
+
+  try {
+    const resp = await apiRequest('/api/mailbox/rules/dry-run', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mailbox_id: mailboxId, limit })
+    });
+    const result = await resp.json();
+    if (!resp.ok || !result.success) {
+      resultEl.innerHTML = `<div class="sender-filter-empty">${escapeHtml(result.error || '试运行失败')}</div>`;
+      return;
+    }
+
+    const matched = (result.results || []).filter(r => r.matched_rules.length);
+    const describeActions = (a) => [
+      ...a.labels.map(l => `标签 ${l}`),
+      a.mark_read ? '标记已读' : '',
+      a.delete ? '删除' : '',
+      a.skip_storage ? '不保存原文' : '',
+      ...a.forwards.map(f => `转发 ${f}`)
+    ].filter(Boolean).join('、') || '无动作';
+    resultEl.innerHTML = `<div class="sender-filter-meta">最近 ${result.evaluated} 封邮件中命中 ${result.matched} 封</div>` +
+      matched.map(r => `
+        <div class="sender-filter-item" title="${escapeHtml(r.sender)}">
+          <span class="sender-filter-pattern">${escapeHtml(r.subject || '(无主题)')}</span>
+          <span class="sender-filter-meta">${escapeHtml(describeActions(r.actions))}</span>
+        </div>`).join('');
+  } catch (e) {
+    console.error('试运行收件规则失败:', e);
+    resultEl.innerHTML = '<div class="sender-filter-empty">试运行失败</div>';
+  }
+}
+
+// ========== 自动回复 ==========
+
+/**
+ * 将 ISO 时间转换为 datetime-local 输入框的值（本地时间）
+ * @param {string|null} iso - ISO 时间
+ * @returns {string} 输入框值
+ */
+function toLocalInputValue(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * 打开自动回复设置弹窗
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {string} mailboxAddress - 邮箱地址
+ */
+export async function openAutoReplyDialog(mailboxId, mailboxAddress) {
+  const existing = document.getElementById('auto-reply-dialog');
+  if (existing) existing.remove();
+
+  const dialog = document.createElement('div');
+  dialog.id = 'auto-reply-dialog';
+  dialog.className = 'modal-overlay';
+  dialog.innerHTML = `
+    <div class="modal-content" style="max-width: 560px;">
+      <div class="modal-header">
+        <h3>自动回复</h3>
+        <button class="modal-close" onclick="document.getElementById('auto-reply-dialog').remove()">×</button>
+      </div>
+      <div class="modal-body">
+        <p style="margin-bottom: 10px; color: var(--text-secondary); font-size: 14px;">
+          邮箱: <strong>${escapeHtml(mailboxAddress)}</strong>
+        </p>
+        <div class="form-group">
+          <label style="display: flex; align-items: center; gap: 6px;">
+            <input type="checkbox" id="auto-reply-enabled"> 启用自动回复
+          </label>
+          <p id="auto-reply-hint" style="margin-top: 5px; color: var(--text-tertiary); font-size: 12px;">
+            通过发件服务以此邮箱地址回复；不回复邮件列表、退信与其他自动邮件
+          </p>
+        </div>
+        <div class="form-group">
+          <label for="auto-reply-subject">回复主题</label>
+          <input type="text" id="auto-reply-subject" class="form-input" maxlength="200" placeholder="留空使用 Re: 原主题">
+        </div>
+        <div class="form-group">
+          <label for="auto-reply-body">回复内容</label>
+          <textarea id="auto-reply-body" class="form-input" rows="6" maxlength="5000" placeholder="您好 {{sender}}，我目前不在，回来后会尽快处理「{{subject}}」。"></textarea>
+          <p style="margin-top: 5px; color: var(--text-tertiary); font-size: 12px;">
+            可使用 {{sender}}（发件人）与 {{subject}}（原邮件主题）占位符
+          </p>
+        </div>
+        <div class="form-group" style="display: flex; gap: 8px;">
+          <div style="flex: 1;">
+            <label for="auto-reply-start">开始时间</label>
+            <input type="datetime-local" id="auto-reply-start" class="form-input">
+          </div>
+          <div style="flex: 1;">
+            <label for="auto-reply-end">结束时间</label>
+            <input type="datetime-local" id="auto-reply-end" class="form-input">
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="auto-reply-throttle">同一发件人回复间隔（天）</label>
+          <input type="number" id="auto-reply-throttle" class="form-input" min="1" max="365" step="1">
+        </div>
       </div>
       <div class="modal-footer">
-        <button class="btn btn-ghost" onclick="document.getElementById('forward-dialog').remove()">取消</button>
-        <button class="btn btn-primary" id="save-forward-btn">保存</button>
+        <button class="btn btn-ghost" onclick="document.getElementById('auto-reply-dialog').remove()">取消</button>
+        <button class="btn btn-primary" id="save-auto-reply-btn">保存</button>
       </div>
     </div>
   `;
-  
+
   document.body.appendChild(dialog);
-  
-  // 绑定保存事件
-  document.getElementById('save-forward-btn').onclick = async () => {
-    const forwardTo = document.getElementById('forward-to-input').value.trim();
-    await saveForwardSetting(mailboxId, forwardTo || null);
+
+  document.getElementById('save-auto-reply-btn').onclick = async () => {
+    const startValue = document.getElementById('auto-reply-start').value;
+    const endValue = document.getElementById('auto-reply-end').value;
+    const config = {
+      enabled: document.getElementById('auto-reply-enabled').checked,
+      subject: document.getElementById('auto-reply-subject').value.trim(),
+      body: document.getElementById('auto-reply-body').value,
+      start_at: startValue ? new Date(startValue).toISOString() : null,
+      end_at: endValue ? new Date(endValue).toISOString() : null,
+      throttle_days: document.getElementById('auto-reply-throttle').value
+    };
+    if (config.enabled && !config.body.trim()) {
+      showToast('请输入回复内容', 'warning');
+      return;
+    }
+    if (await saveAutoReply(mailboxId, config)) dialog.remove();
   };
-  
-  // 按 ESC 关闭
+
   dialog.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') dialog.remove();
   });
-  
-  // 点击背景关闭
+
   dialog.addEventListener('click', (e) => {
     if (e.target === dialog) dialog.remove();
   });
-  
-  // 聚焦输入框
-  setTimeout(() => document.getElementById('forward-to-input').focus(), 100);
+
+  await loadAutoReply(mailboxId);
 }
 
 /**
- * 保存转发设置
+ * 加载自动回复配置到表单
  * @param {number} mailboxId - 邮箱 ID
- * @param {string|null} forwardTo - 转发目标邮箱
  */
-export async function saveForwardSetting(mailboxId, forwardTo) {
-  const btn = document.getElementById('save-forward-btn');
-  if (btn) {
-    btn.disabled = true;
-    btn.textContent = '保存中...';
+async function loadAutoReply(mailboxId) {
+  try {
+    const resp = await apiRequest(`/api/mailbox/auto-reply?mailbox_id=${encodeURIComponent(mailboxId)}`);
+    const result = await resp.json();
+    if (!resp.ok || !result.success) {
+      showToast(result.error || '加载自动回复配置失败', 'error');
+      return;
+    }
+    const config = result.auto_reply || {};
+    document.getElementById('auto-reply-enabled').checked = !!config.enabled;
+    document.getElementById('auto-reply-subject').value = config.subject || '';
+    document.getElementById('auto-reply-body').value = config.body || '';
+    document.getElementById('auto-reply-start').value = toLocalInputValue(config.start_at);
+    document.getElementById('auto-reply-end').value = toLocalInputValue(config.end_at);
+    document.getElementById('auto-reply-throttle').value = config.throttle_days || result.default_throttle_days || 7;
+    if (!result.resend_configured) {
+      const hint = document.getElementById('auto-reply-hint');
+      if (hint) hint.textContent = '未配置发件服务，暂无法启用自动回复';
+    }
+  } catch (e) {
+    console.error('加载自动回复配置失败:', e);
   }
-  
+}
+
+/**
+ * 保存自动回复配置
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {object} config - 配置（enabled、subject、body、start_at、end_at、throttle_days）
+ * @returns {Promise<boolean>} 是否成功
+ */
+export async function saveAutoReply(mailboxId, config) {
   try {
-    const resp = await apiRequest('/api/mailbox/forward', {
+    const resp = await apiRequest('/api/mailbox/auto-reply', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ mailbox_id: mailboxId, forward_to: forwardTo })
+      body: JSON.stringify({ mailbox_id: mailboxId, ...config })
     });
-    
     const result = await resp.json();
-    
     if (resp.ok && result.success) {
-      showToast(forwardTo ? `已设置转发到: ${forwardTo}` : '已取消转发', 'success');
-      document.getElementById('forward-dialog')?.remove();
-      // 触发刷新事件
-      window.dispatchEvent(new CustomEvent('mailbox-settings-updated', { 
-        detail: { mailboxId, forward_to: forwardTo } 
-      }));
-    } else {
-      showToast(result.error || '设置失败', 'error');
+      showToast(config.enabled ? '自动回复已启用' : '自动回复已保存（未启用）', 'success');
+      return true;
     }
+    showToast(result.error || '保存失败', 'error');
   } catch (e) {
-    console.error('保存转发设置失败:', e);
+    console.error('保存自动回复配置失败:', e);
     showToast('保存失败，请重试', 'error');
-  } finally {
-    if (btn) {
-      btn.disabled = false;
-      btn.textContent = '保存';
-    }
   }
+  return false;
 }
 
-// ========== 收藏功能 ==========
+// ========== Webhook ==========
 
 /**
- * 切换邮箱收藏状态
+ * 读取 Webhook 接口响应（错误响应为纯文本）
+ * @param {Response} resp - 响应对象
+ * @returns {Promise<object>} 响应数据，错误时为 { error }
+ */
+async function readWebhookResult(resp) {
+  const text = await resp.text();
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return { error: text };
+  }
+}
+
+/**
+ * 打开邮箱 Webhook 设置弹窗
  * @param {number} mailboxId - 邮箱 ID
- * @param {Function} [callback] - 成功后的回调函数
- * @returns {Promise<{success: boolean, is_favorite: number}>}
+ * @param {string} mailboxAddress - 邮箱地址
  */
-export async function toggleFavorite(mailboxId, callback) {
+export async function openWebhookDialog(mailboxId, mailboxAddress) {
+  const existing = document.getElementById('webhook-dialog');
+  if (existing) existing.remove();
+
+  const dialog = document.createElement('div');
+  dialog.id = 'webhook-dialog';
+  dialog.className = 'modal-overlay';
+  dialog.innerHTML = `
+    <div class="modal-content" style="max-width: 600px;">
+      <div class="modal-header">
+        <h3>Webhook 推送</h3>
+        <button class="modal-close" onclick="document.getElementById('webhook-dialog').remove()">×</button>
+      </div>
+      <div class="modal-body" style="max-height: 70vh; overflow-y: auto;">
+        <p style="margin-bottom: 10px; color: var(--text-secondary); font-size: 14px;">
+          邮箱: <strong>${escapeHtml(mailboxAddress)}</strong>
+        </p>
+        <div class="form-group">
+          <label for="webhook-url-input">添加 Webhook</label>
+          <div style="display: flex; gap: 8px;">
+            <input type="url" id="webhook-url-input" class="form-input" placeholder="https://ci.example.com/hooks/mail">
+            <button class="btn btn-primary" id="add-webhook-btn">添加</button>
+          </div>
+          <p style="margin-top: 5px; color: var(--text-tertiary); font-size: 12px;">
+            收到新邮件时 POST JSON，使用 X-Freemail-Signature（HMAC-SHA256）签名，失败自动重试
+          </p>
+        </div>
+        <div id="webhook-secret" class="sender-filter-item" style="display: none;"></div>
+        <div id="webhook-list" class="sender-filter-list">加载中…</div>
+        <div id="webhook-deliveries" class="sender-filter-list" style="margin-top: 10px;"></div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-ghost" onclick="document.getElementById('webhook-dialog').remove()">关闭</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const input = document.getElementById('webhook-url-input');
+  input.focus();
+
+  const showSecret = (webhook) => {
+    const el = document.getElementById('webhook-secret');
+    if (!el || !webhook?.secret) return;
+    el.style.display = '';
+    el.innerHTML = `
+      <span class="sender-filter-meta">签名密钥（仅显示一次）</span>
+      <span class="sender-filter-pattern" style="font-family: monospace; word-break: break-all;">${escapeHtml(webhook.secret)}</span>`;
+  };
+
+  document.getElementById('add-webhook-btn').onclick = async () => {
+    const url = input.value.trim();
+    if (!url) {
+      showToast('请输入 Webhook 地址', 'warning');
+      return;
+    }
+    const webhook = await addWebhook(mailboxId, url);
+    if (webhook) {
+      input.value = '';
+      showSecret(webhook);
+      await loadWebhooks(mailboxId);
+    }
+  };
+
+  document.getElementById('webhook-list').addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-webhook-action]');
+    if (!btn) return;
+    const id = Number(btn.dataset.webhookId);
+    const action = btn.dataset.webhookAction;
+    if (action === 'test') {
+      await testWebhook(id);
+      await loadWebhookDeliveries(id);
+    } else if (action === 'log') {
+      await loadWebhookDeliveries(id);
+      return;
+    } else if (action === 'toggle') {
+      await updateWebhook(id, { enabled: btn.dataset.enabled !== '1' });
+    } else if (action === 'rotate') {
+      if (!confirm('重置后旧密钥立即失效，确定继续？')) return;
+      showSecret(await updateWebhook(id, { rotate_secret: true }));
+    } else if (action === 'delete') {
+      if (!confirm('确定删除该 Webhook？')) return;
+      await deleteWebhook(id);
+    }
+    await loadWebhooks(mailboxId);
+  });
+
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') dialog.remove();
+    if (e.key === 'Enter' && e.target === input) document.getElementById('add-webhook-btn').click();
+  });
+
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.remove();
+  });
+
+  await loadWebhooks(mailboxId);
+}
+
+/**
+ * 加载并渲染邮箱 Webhook 列表
+ * @param {number} mailboxId - 邮箱 ID
+ */
+async function loadWebhooks(mailboxId) {
+  const listEl = document.getElementById('webhook-list');
+  if (!listEl) return;
+
   try {
-    const resp = await apiRequest('/api/mailbox/favorite', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ mailbox_id: mailboxId })
-    });
-    
-    const result = await resp.json();
-    
-    if (resp.ok && result.success) {
-      const isFav = result.is_favorite;
-      showToast(isFav ? '已收藏' : '已取消收藏', 'success');
-      // 触发刷新事件
-      window.dispatchEvent(new CustomEvent('mailbox-settings-updated', { 
-        detail: { mailboxId, is_favorite: isFav } 
-      }));
-      if (callback) callback(result);
-      return result;
-    } else {
-      showToast(result.error || '操作失败', 'error');
-      return { success: false };
+    const resp = await apiRequest(`/api/webhooks?mailbox_id=${encodeURIComponent(mailboxId)}`);
+    const result = await readWebhookResult(resp);
+    if (!resp.ok || !result.success) {
+      listEl.innerHTML = `<div class="sender-filter-empty">${escapeHtml(result.error || '加载失败')}</div>`;
+      return;
     }
+
+    const webhooks = result.webhooks || [];
+    listEl.innerHTML = webhooks.length
+      ? webhooks.map(w => `
+        <div class="sender-filter-item" style="${w.enabled ? '' : 'opacity: 0.55;'}">
+          <span class="sender-filter-pattern" title="密钥 ${escapeHtml(w.secret_hint || '')}">${escapeHtml(w.url)}</span>
+          <button class="btn btn-ghost btn-sm" data-webhook-action="test" data-webhook-id="${Number(w.id)}" title="发送测试事件">⚡</button>
+          <button class="btn btn-ghost btn-sm" data-webhook-action="log" data-webhook-id="${Number(w.id)}" title="投递记录">📜</button>
+          <button class="btn btn-ghost btn-sm" data-webhook-action="toggle" data-webhook-id="${Number(w.id)}" data-enabled="${w.enabled ? 1 : 0}" title="${w.enabled ? '停用' : '启用'}">${w.enabled ? '⏸' : '▶'}</button>
+          <button class="btn btn-ghost btn-sm" data-webhook-action="rotate" data-webhook-id="${Number(w.id)}" title="重置密钥">🔑</button>
+          <button class="btn btn-ghost btn-sm" data-webhook-action="delete" data-webhook-id="${Number(w.id)}" title="删除">✕</button>
+        </div>`).join('')
+      : '<div class="sender-filter-empty">暂无 Webhook</div>';
   } catch (e) {
-    console.error('切换收藏失败:', e);
-    showToast('操作失败，请重试', 'error');
-    return { success: false };
+    console.error('加载 Webhook 失败:', e);
+    listEl.innerHTML = '<div class="sender-filter-empty">加载失败</div>';
   }
 }
 
 /**
- * 批量设置收藏状态
- * @param {number[]} mailboxIds - 邮箱 ID 列表
- * @param {boolean} isFavorite - 是否收藏
- * @returns {Promise<{success: boolean}>}
+ * 加载并渲染 Webhook 最近的投递记录
+ * @param {number} webhookId - Webhook ID
  */
-export async function batchSetFavorite(mailboxIds, isFavorite) {
-  if (!mailboxIds || mailboxIds.length === 0) {
-    showToast('请先选择邮箱', 'warning');
-    return { success: false };
+async function loadWebhookDeliveries(webhookId) {
+  const listEl = document.getElementById('webhook-deliveries');
+  if (!listEl) return;
+
+  try {
+    const resp = await apiRequest(`/api/webhooks/deliveries?id=${encodeURIComponent(webhookId)}&limit=10`);
+    const result = await readWebhookResult(resp);
+    if (!resp.ok || !result.success) {
+      listEl.innerHTML = `<div class="sender-filter-empty">${escapeHtml(result.error || '加载失败')}</div>`;
+      return;
+    }
+    const deliveries = result.deliveries || [];
+    listEl.innerHTML = deliveries.length
+      ? deliveries.map(d => `
+        <div class="sender-filter-item" title="${escapeHtml(d.error || '')}">
+          <span class="sender-filter-meta">${d.success ? '✅' : '❌'} ${escapeHtml(d.status_code ?? '-')}</span>
+          <span class="sender-filter-pattern">${escapeHtml(d.event)}${d.message_id ? ` #${Number(d.message_id)}` : ''}</span>
+          <span class="sender-filter-meta">尝试 ${Number(d.attempts)} 次 · ${escapeHtml(d.created_at || '')}</span>
+        </div>`).join('')
+      : '<div class="sender-filter-empty">暂无投递记录</div>';
+  } catch (e) {
+    console.error('加载 Webhook 投递记录失败:', e);
+    listEl.innerHTML = '<div class="sender-filter-empty">加载失败</div>';
   }
-  
+}
+
+/**
+ * 添加邮箱 Webhook（签名密钥由服务端生成）
+ * @param {number} mailboxId - 邮箱 ID
+ * @param {string} url - 接收地址
+ * @returns {Promise<object|null>} 新建的 Webhook（含密钥），失败返回 null
+ */
+export async function addWebhook(mailboxId, url) {
   try {
-    const resp = await apiRequest('/api/mailboxes/batch-favorite', {
+    const resp = await apiRequest('/api/webhooks', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ mailbox_ids: mailboxIds, is_favorite: isFavorite })
+      body: JSON.stringify({ mailbox_id: mailboxId, url })
     });
-    
-    const result = await resp.json();
-    
+    const result = await readWebhookResult(resp);
     if (resp.ok && result.success) {
-      showToast(`已${isFavorite ? '收藏' : '取消收藏'} ${result.updated_count} 个邮箱`, 'success');
-      window.dispatchEvent(new CustomEvent('mailbox-settings-batch-updated'));
-      return result;
-    } else {
-      showToast(result.error || '批量操作失败', 'error');
-      return { success: false };
+      showToast('Webhook 已添加', 'success');
+      return result.webhook;
     }
+    showToast(result.error || '添加失败', 'error');
   } catch (e) {
-    console.error('批量设置收藏失败:', e);
-    showToast('操作失败，请重试', 'error');
-    return { success: false };
+    console.error('添加 Webhook 失败:', e);
+    showToast('添加失败，请重试', 'error');
   }
-}
-
-// ========== UI 辅助函数 ==========
-
-/**
- * 渲染转发状态标识
- * @param {string|null} forwardTo - 转发目标
- * @returns {string} HTML 字符串
- */
-export function renderForwardBadge(forwardTo) {
-  if (!forwardTo) return '';
-  return `<span class="badge badge-forward" title="转发到: ${escapeHtml(forwardTo)}">↪️</span>`;
+  return null;
 }
 
 /**
- * 渲染收藏状态标识
- * @param {number|boolean} isFavorite - 是否收藏
- * @returns {string} HTML 字符串
+ * 更新 Webhook（启用状态或重置密钥）
+ * @param {number} webhookId - Webhook ID
+ * @param {object} fields - 更新字段（enabled、rotate_secret）
+ * @returns {Promise<object|null>} 更新后的 Webhook，失败返回 null
  */
-export function renderFavoriteBadge(isFavorite) {
-  return isFavorite ? '<span class="badge badge-favorite" title="已收藏">⭐</span>' : '';
+export async function updateWebhook(webhookId, fields) {
+  try {
+    const resp = await apiRequest('/api/webhooks', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: webhookId, ...fields })
+    });
+    const result = await readWebhookResult(resp);
+    if (resp.ok && result.success) {
+      showToast(fields.rotate_secret ? '密钥已重置' : 'Webhook 已更新', 'success');
+      return result.webhook;
+    }
+    showToast(result.error || '更新失败', 'error');
+  } catch (e) {
+    console.error('更新 Webhook 失败:', e);
+    showToast('更新失败，请重试', 'error');
+  }
+  return null;
 }
 
 /**
- * 创建转发设置按钮
- * @param {number} mailboxId - 邮箱 ID
- * @param {string} mailboxAddress - 邮箱地址
- * @param {string|null} forwardTo - 当前转发目标
- * @returns {HTMLButtonElement}
+ * 删除 Webhook
+ * @param {number} webhookId - Webhook ID
+ * @returns {Promise<boolean>} 是否成功
  */
-export function createForwardButton(mailboxId, mailboxAddress, forwardTo) {
-  const btn = document.createElement('button');
-  btn.className = 'btn btn-ghost btn-sm';
-  btn.title = forwardTo ? `转发到: ${forwardTo}` : '设置转发';
-  btn.innerHTML = forwardTo ? '↪️' : '➡️';
-  btn.onclick = (e) => {
-    e.stopPropagation();
-    openForwardDialog(mailboxId, mailboxAddress, forwardTo);
-  };
-  return btn;
+export async function deleteWebhook(webhookId) {
+  try {
+    const resp = await apiRequest(`/api/webhooks?id=${encodeURIComponent(webhookId)}`, { method: 'DELETE' });
+    const result = await readWebhookResult(resp);
+    if (resp.ok && result.success) {
+      showToast('Webhook 已删除', 'success');
+      return true;
+    }
+    showToast(result.error || '删除失败', 'error');
+  } catch (e) {
+    console.error('删除 Webhook 失败:', e);
+    showToast('删除失败，请重试', 'error');
+  }
+  return false;
 }
 
 /**
- * 创建收藏按钮
- * @param {number} mailboxId - 邮箱 ID
- * @param {number|boolean} isFavorite - 是否收藏
- * @param {Function} [onUpdate] - 更新后的回调
- * @returns {HTMLButtonElement}
+ * 向 Webhook 发送测试事件
+ * @param {number} webhookId - Webhook ID
+ * @returns {Promise<boolean>} 是否投递成功
  */
-export function createFavoriteButton(mailboxId, isFavorite, onUpdate) {
-  const btn = document.createElement('button');
-  btn.className = 'btn btn-ghost btn-sm';
-  btn.title = isFavorite ? '取消收藏' : '收藏';
-  btn.innerHTML = isFavorite ? '⭐' : '☆';
-  btn.onclick = async (e) => {
-    e.stopPropagation();
-    const result = await toggleFavorite(mailboxId);
-    if (result.success && onUpdate) {
-      onUpdate(result.is_favorite);
+export async function testWebhook(webhookId) {
+  try {
+    const resp = await apiRequest('/api/webhooks/test', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: webhookId })
+    });
+    const result = await readWebhookResult(resp);
+    if (resp.ok && result.success) {
+      showToast('测试事件已送达', 'success');
+      return true;
     }
-  };
-  return btn;
+    showToast(result.error || `测试失败: ${result.delivery?.error || '未知错误'}`, 'error');
+  } catch (e) {
+    console.error('发送 Webhook 测试事件失败:', e);
+    showToast('测试失败，请重试', 'error');
+  }
+  return false;
 }
 
 // ========== 工具函数 ==========
@@ -408,6 +1773,36 @@ export function injectDialogStyles() {
     .badge-favorite {
       background: rgba(245, 158, 11, 0.1);
     }
+    .badge-filter-allow {
+      background: rgba(16, 185, 129, 0.12);
+      color: #059669;
+      margin-left: 0;
+    }
+    .badge-filter-block {
+      background: rgba(239, 68, 68, 0.12);
+      color: #dc2626;
+      margin-left: 0;
+    }
+    .sender-filter-list {
+      max-height: 180px;
+      overflow-y: auto;
+      font-size: 13px;
+    }
+    .sender-filter-item {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 0;
+      border-bottom: 1px solid var(--border-color, #e5e7eb);
+    }
+    .sender-filter-pattern {
+      flex: 1;
+      word-break: break-all;
+    }
+    .sender-filter-meta, .sender-filter-empty {
+      color: var(--text-tertiary, #9ca3af);
+      font-size: 12px;
+    }
     @keyframes modalIn {
       from {
         opacity: 0;
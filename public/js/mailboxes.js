@@ -4,7 +4,7 @@
  */
 
 import { getCurrentUserKey } from './storage.js';
-import { openForwardDialog, toggleFavorite, batchSetFavorite, injectDialogStyles } from './mailbox-settings.js';
+import { openForwardDialog, openSenderFilterDialog, openAliasDialog, openRulesDialog, openAutoReplyDialog, openWebhookDialog, toggleFavorite, batchSetFavorite, injectDialogStyles } from './mailbox-settings.js';
 import { api, loadMailboxes as fetchMailboxes, loadDomains as fetchDomains, deleteMailbox as apiDeleteMailbox, toggleLogin as apiToggleLogin, batchToggleLogin, resetPassword as apiResetPassword, changePassword as apiChangePassword } from './modules/mailboxes/api.js';
 import { formatTime, escapeHtml, generateSkeleton, renderGrid, renderList } from './modules/mailboxes/render.js';
 
@@ -172,6 +172,26 @@ function bindCardEvents() {
           const m = currentData.find(x => x.address === address);
           if (m && m.id) openForwardDialog(m.id, m.address, m.forward_to);
           break;
+        case 'sender-filter':
+          const fm = currentData.find(x => x.address === address);
+          if (fm && fm.id) openSenderFilterDialog(fm.id, fm.address);
+          break;
+        case 'aliases':
+          const am = currentData.find(x => x.address === address);
+          if (am && am.id) openAliasDialog(am.id, am.address);
+          break;
+        case 'rules':
+          const rm = currentData.find(x => x.address === address);
+          if (rm && rm.id) openRulesDialog(rm.id, rm.address);
+          break;
+        case 'auto-reply':
+          const arm = currentData.find(x => x.address === address);
+          if (arm && arm.id) openAutoReplyDialog(arm.id, arm.address);
+          break;
+        case 'webhooks':
+          const wm = currentData.find(x => x.address === address);
+          if (wm && wm.id) openWebhookDialog(wm.id, wm.address);
+          break;
         case 'favorite':
           const mb = currentData.find(x => x.address === address);
           if (mb && mb.id) { 
@@ -397,8 +417,8 @@ async function executeBatchAction() {
         });
         break;
       case 'forward':
-        const forwardTo = els.batchForwardTarget?.value?.trim();
-        if (!forwardTo) { showToast('请输入转发目标', 'error'); return; }
+        const forwardTo = (els.batchForwardTarget?.value || '').split(/[,;\s]+/).map(t => t.trim()).filter(Boolean);
+        if (!forwardTo.length) { showToast('请输入转发目标', 'error'); return; }
         result = await api('/api/mailboxes/batch-forward-by-address', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
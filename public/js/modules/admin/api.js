@@ -119,6 +119,167 @@ export async function unassignMailbox(username, address) {
   });
 }
 
+/**
+ * 获取域名收件策略
+ * @returns {Promise<object>}
+ */
+export async function getDomainPolicies() {
+  const r = await api('/api/domains/policies');
+  if (!r.ok) throw new Error(await r.text());
+  return r.json();
+}
+
+/**
+ * 更新域名收件策略
+ * @param {string} domain - 域名
+ * @param {string} policy - 策略名称
+ * @returns {Promise<Response>}
+ */
+export async function updateDomainPolicy(domain, policy) {
+  return api('/api/domains/policies', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ domain, policy })
+  });
+}
+
+/**
+ * 获取全局转发规则
+ * @returns {Promise<object>}
+ */
+export async function getForwardRules() {
+  const r = await api('/api/forward-rules');
+  if (!r.ok) throw new Error(await r.text());
+  return r.json();
+}
+
+/**
+ * 添加全局转发规则
+ * @param {object} rule - 规则 { pattern, match_type, domain, target, priority, enabled }
+ * @returns {Promise<Response>}
+ */
+export async function addForwardRule(rule) {
+  return api('/api/forward-rules', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(rule)
+  });
+}
+
+/**
+ * 更新全局转发规则
+ * @param {number} id - 规则 ID
+ * @param {object} fields - 需要更新的字段
+ * @returns {Promise<Response>}
+ */
+export async function updateForwardRule(id, fields) {
+  return api('/api/forward-rules', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, ...fields })
+  });
+}
+
+/**
+ * 删除全局转发规则
+ * @param {number} id - 规则 ID
+ * @returns {Promise<Response>}
+ */
+export async function deleteForwardRule(id) {
+  return api(`/api/forward-rules?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * 测试地址会命中哪条全局转发规则
+ * @param {string} address - 邮箱地址
+ * @returns {Promise<Response>}
+ */
+export async function testForwardRule(address) {
+  return api(`/api/forward-rules/test?address=${encodeURIComponent(address)}`);
+}
+
+/**
+ * 从 FORWARD_RULES 环境变量导入全局转发规则
+ * @returns {Promise<Response>}
+ */
+export async function importForwardRules() {
+  return api('/api/forward-rules/import', { method: 'POST' });
+}
+
+/**
+ * 获取验证码提取模板列表
+ * @returns {Promise<object>}
+ */
+export async function getCodeTemplates() {
+  const r = await api('/api/code-templates');
+  if (!r.ok) throw new Error(await r.text());
+  return r.json();
+}
+
+/**
+ * 添加验证码提取模板
+ * @param {object} template - 模板 { sender, pattern, min_length, max_length, priority, enabled }
+ * @returns {Promise<Response>}
+ */
+export async function addCodeTemplate(template) {
+  return api('/api/code-templates', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(template)
+  });
+}
+
+/**
+ * 更新验证码提取模板
+ * @param {number} id - 模板 ID
+ * @param {object} fields - 需要更新的字段
+ * @returns {Promise<Response>}
+ */
+export async function updateCodeTemplate(id, fields) {
+  return api('/api/code-templates', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, ...fields })
+  });
+}
+
+/**
+ * 删除验证码提取模板
+ * @param {number} id - 模板 ID
+ * @returns {Promise<Response>}
+ */
+export async function deleteCodeTemplate(id) {
+  return api(`/api/code-templates?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * 对已存储的邮件运行验证码提取模板
+ * @param {number} messageId - 邮件 ID
+ * @param {number|null} templateId - 模板 ID，为空时尝试全部已启用模板
+ * @returns {Promise<Response>}
+ */
+export async function testCodeTemplate(messageId, templateId = null) {
+  return api('/api/code-templates/test', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message_id: messageId, template_id: templateId || undefined })
+  });
+}
+
+/**
+ * 重新计算一批已存储邮件的验证码
+ * @param {number} afterId - 从该邮件 ID 之后开始
+ * @param {number} limit - 本批数量
+ * @returns {Promise<Response>}
+ */
+export async function backfillVerificationCodes(afterId = 0, limit = 50) {
+  return api('/api/code-templates/backfill', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ after_id: afterId, limit })
+  });
+}
+
 export default {
   api,
   getUsers,
@@ -127,5 +288,19 @@ export default {
   deleteUser,
   getUserMailboxes,
   assignMailbox,
-  unassignMailbox
+  unassignMailbox,
+  getDomainPolicies,
+  updateDomainPolicy,
+  getForwardRules,
+  addForwardRule,
+  updateForwardRule,
+  deleteForwardRule,
+  testForwardRule,
+  importForwardRules,
+  getCodeTemplates,
+  addCodeTemplate,
+  updateCodeTemplate,
+  deleteCodeTemplate,
+  testCodeTemplate,
+  backfillVerificationCodes
 };
@@ -0,0 +1,63 @@
+/**
+ * 验证码提取模板模块
+ * @module modules/admin/code-templates
+ */
+
+import { escapeHtml, escapeAttr } from '../app/ui-helpers.js';
+
+/**
+ * 渲染单条模板行
+ * @param {object} template - 模板数据
+ * @returns {string}
+ */
+export function renderCodeTemplateRow(template) {
+  const id = Number(template.id) || 0;
+  return `
+    <tr>
+      <td>${Number(template.priority) || 0}</td>
+      <td>${escapeHtml(template.sender)}</td>
+      <td><code title="${escapeAttr(template.pattern)}">${escapeHtml(template.pattern)}</code></td>
+      <td>${Number(template.min_length)}-${Number(template.max_length)}</td>
+      <td><input type="checkbox" data-template-toggle="${id}" ${template.enabled ? 'checked' : ''} title="启用/停用"></td>
+      <td>
+        <button class="btn btn-ghost btn-sm" data-template-test="${id}" title="用测试邮件运行此模板">🧪</button>
+        <button class="btn btn-ghost btn-sm" data-template-delete="${id}" title="删除">✕</button>
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * 渲染模板列表
+ * @param {object} data - 接口返回数据 { templates }
+ * @param {HTMLElement} tbody - 表格 body 元素
+ */
+export function renderCodeTemplates(data, tbody) {
+  if (!tbody) return;
+  const templates = Array.isArray(data?.templates) ? data.templates : [];
+  tbody.innerHTML = templates.length
+    ? templates.map(renderCodeTemplateRow).join('')
+    : '<tr><td colspan="6" class="empty-state">暂无验证码提取模板</td></tr>';
+}
+
+/**
+ * 渲染模板测试结果
+ * @param {object} data - 接口返回数据 { message_id, sender, template, sender_matched, code, builtin_code, current_code }
+ * @returns {string}
+ */
+export function renderCodeTemplateTest(data) {
+  const head = `邮件 #${Number(data?.message_id)}（${escapeHtml(data?.sender || '')}）`;
+  const builtin = `内置规则: ${escapeHtml(data?.builtin_code || '无')}，当前存储: ${escapeHtml(data?.current_code || '无')}`;
+  if (!data?.template) return `${head} 没有适用的模板；${builtin}`;
+  const which = data.template.id ? `模板 #${Number(data.template.id)}` : '模板';
+  const senderNote = data.sender_matched ? '' : '（发件人不适用此模板，收件时不会使用）';
+  const result = data.code ? `提取到 <strong>${escapeHtml(data.code)}</strong>` : '未提取到验证码';
+  return `${head} ${which}${senderNote} ${result}；${builtin}`;
+}
+
+// 导出默认对象
+export default {
+  renderCodeTemplateRow,
+  renderCodeTemplates,
+  renderCodeTemplateTest
+};
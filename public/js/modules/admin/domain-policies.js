@@ -0,0 +1,64 @@
+/**
+ * 域名收件策略模块
+ * @module modules/admin/domain-policies
+ */
+
+import { escapeHtml, escapeAttr } from '../app/ui-helpers.js';
+import { formatTime } from './user-list.js';
+
+/**
+ * 策略显示名称
+ */
+export const POLICY_LABELS = {
+  'accept-and-create': '接收并自动创建',
+  'accept-only-existing': '仅接收已有邮箱',
+  'reject': '全部拒收'
+};
+
+/**
+ * 渲染单个域名的策略行
+ * @param {object} item - 域名策略数据
+ * @param {Array<string>} policies - 可选策略列表
+ * @returns {string}
+ */
+export function renderDomainPolicyRow(item, policies) {
+  const domain = item.domain || '';
+  const rejected = item.rejected || {};
+  const options = policies.map(p => `<option value="${escapeAttr(p)}" ${p === item.policy ? 'selected' : ''}>${escapeHtml(POLICY_LABELS[p] || p)}</option>`).join('');
+  const counters = policies
+    .filter(p => rejected[p])
+    .map(p => `<span class="role-badge role-user" title="${escapeAttr(POLICY_LABELS[p] || p)}">${escapeHtml(POLICY_LABELS[p] || p)}: ${Number(rejected[p]) || 0}</span>`)
+    .join(' ');
+
+  return `
+    <tr>
+      <td>${escapeHtml(domain)}</td>
+      <td><select class="input" data-domain="${escapeAttr(domain)}" style="padding:4px 8px">${options}</select></td>
+      <td>${counters || '<span class="muted">0</span>'}</td>
+      <td>${item.last_rejected_at ? formatTime(item.last_rejected_at) : '-'}</td>
+    </tr>
+  `;
+}
+
+/**
+ * 渲染域名策略列表
+ * @param {object} data - 接口返回数据 { policies, list }
+ * @param {HTMLElement} tbody - 表格 body 元素
+ */
+export function renderDomainPolicies(data, tbody) {
+  if (!tbody) return;
+  const list = Array.isArray(data?.list) ? data.list : [];
+  const policies = Array.isArray(data?.policies) ? data.policies : Object.keys(POLICY_LABELS);
+  if (!list.length) {
+    tbody.innerHTML = '<tr><td colspan="4" class="empty-state">暂无域名</td></tr>';
+    return;
+  }
+  tbody.innerHTML = list.map(item => renderDomainPolicyRow(item, policies)).join('');
+}
+
+// 导出默认对象
+export default {
+  POLICY_LABELS,
+  renderDomainPolicyRow,
+  renderDomainPolicies
+};
@@ -0,0 +1,85 @@
+/**
+ * 全局转发规则模块
+ * @module modules/admin/forward-rules
+ */
+
+import { escapeHtml, escapeAttr } from '../app/ui-helpers.js';
+
+/**
+ * 匹配方式显示名称
+ */
+export const MATCH_TYPE_LABELS = {
+  prefix: '前缀',
+  exact: '完全匹配',
+  regex: '正则'
+};
+
+/**
+ * 渲染单条规则行
+ * @param {object} rule - 规则数据
+ * @param {boolean} readonly - 是否只读（环境变量规则）
+ * @returns {string}
+ */
+export function renderForwardRuleRow(rule, readonly = false) {
+  const id = Number(rule.id) || 0;
+  const pattern = rule.match_type === 'prefix' && rule.pattern === '*' ? '*（全部）' : rule.pattern;
+  const toggle = readonly
+    ? '<span class="muted">环境变量</span>'
+    : `<input type="checkbox" data-rule-toggle="${id}" ${rule.enabled ? 'checked' : ''} title="启用/停用">`;
+  const remove = readonly ? '' : `<button class="btn btn-ghost btn-sm" data-rule-delete="${id}" title="删除">✕</button>`;
+  return `
+    <tr>
+      <td>${Number(rule.priority) || 0}</td>
+      <td>${rule.domain ? escapeHtml(rule.domain) : '<span class="muted">全部</span>'}</td>
+      <td>${escapeHtml(MATCH_TYPE_LABELS[rule.match_type] || rule.match_type)}</td>
+      <td><code title="${escapeAttr(rule.pattern)}">${escapeHtml(pattern)}</code></td>
+      <td>${escapeHtml(rule.target)}</td>
+      <td>${toggle}</td>
+      <td>${remove}</td>
+    </tr>
+  `;
+}
+
+/**
+ * 渲染规则列表；数据库无规则时展示仍在生效的环境变量规则
+ * @param {object} data - 接口返回数据 { rules, env_rules, using_env }
+ * @param {HTMLElement} tbody - 表格 body 元素
+ * @param {HTMLElement} envNotice - 环境变量提示元素
+ */
+export function renderForwardRules(data, tbody, envNotice) {
+  if (!tbody) return;
+  const rules = Array.isArray(data?.rules) ? data.rules : [];
+  const envRules = Array.isArray(data?.env_rules) ? data.env_rules : [];
+  if (envNotice) envNotice.style.display = data?.using_env ? '' : 'none';
+  if (rules.length) {
+    tbody.innerHTML = rules.map(rule => renderForwardRuleRow(rule)).join('');
+  } else if (data?.using_env) {
+    tbody.innerHTML = envRules.map(rule => renderForwardRuleRow(rule, true)).join('');
+  } else {
+    tbody.innerHTML = '<tr><td colspan="7" class="empty-state">暂无全局转发规则</td></tr>';
+  }
+}
+
+/**
+ * 渲染地址测试结果
+ * @param {object} data - 接口返回数据 { address, rule, source, overridden, mailbox_forwards }
+ * @returns {string}
+ */
+export function renderForwardRuleTest(data) {
+  const address = escapeHtml(data?.address || '');
+  if (data?.overridden) {
+    return `${address} 已配置邮箱转发（${escapeHtml((data.mailbox_forwards || []).join('、'))}），全局规则不生效`;
+  }
+  if (!data?.rule) return `${address} 未命中任何全局规则`;
+  const rule = data.rule;
+  const from = data.source === 'env' ? 'FORWARD_RULES 环境变量' : `规则 #${Number(rule.id)}`;
+  return `${address} 命中${escapeHtml(from)}（${escapeHtml(MATCH_TYPE_LABELS[rule.match_type] || rule.match_type)} ${escapeHtml(rule.pattern)}），转发到 ${escapeHtml(rule.target)}`;
+}
+
+// 导出默认对象
+export default {
+  MATCH_TYPE_LABELS,
+  renderForwardRuleRow,
+  renderForwardRules,
+  renderForwardRuleTest
+};
@@ -6,14 +6,23 @@
 export * from './user-list.js';
 export * from './user-edit.js';
 export * from './api.js';
+export * from './domain-policies.js';
+export * from './forward-rules.js';
+export * from './code-templates.js';
 
 // 导入并重新导出默认对象
 import userList from './user-list.js';
 import userEdit from './user-edit.js';
 import apiModule from './api.js';
+import domainPolicies from './domain-policies.js';
+import forwardRules from './forward-rules.js';
+import codeTemplates from './code-templates.js';
 
 export {
   userList,
   userEdit,
-  apiModule
+  apiModule,
+  domainPolicies,
+  forwardRules,
+  codeTemplates
 };
@@ -127,6 +127,7 @@ export function showSentEmailDetail(email, elements) {
     'queued': { class: 'status-queued', text: '排队中' },
     'delivered': { class: 'status-delivered', text: '已送达' },
     'failed': { class: 'status-failed', text: '发送失败' },
+    'bounced': { class: 'status-failed', text: '已退信' },
     'processing': { class: 'status-processing', text: '处理中' }
   };
   const statusInfo = statusMap[status] || { class: '', text: status };
@@ -138,6 +139,9 @@ export function showSentEmailDetail(email, elements) {
         <div class="meta-row"><span class="meta-label">收件人：</span><span class="meta-value">${escapeHtml(recipients)}</span></div>
         <div class="meta-row"><span class="meta-label">状态：</span>${statusBadge}</div>
         <div class="meta-row"><span class="meta-label">发送时间：</span><span class="meta-value">${escapeHtml(e.created_at || '')}</span></div>
+        ${e.status === 'bounced' ? `
+        <div class="meta-row"><span class="meta-label">退信时间：</span><span class="meta-value">${escapeHtml(e.bounced_at || '')}</span></div>
+        <div class="meta-row"><span class="meta-label">退信原因：</span><span class="meta-value" style="white-space:pre-wrap;word-break:break-word">${escapeHtml(e.diagnostic_code || '未知')}</span></div>` : ''}
       </div>
       <div class="detail-content">
         ${e.html_content ? e.html_content : `<pre>${escapeHtml(e.text_content || '')}</pre>`}
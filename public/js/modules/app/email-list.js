@@ -3,7 +3,7 @@
  * @module modules/app/email-list
  */
 
-import { formatTs, formatTsMobile, extractCode, escapeHtml } from './ui-helpers.js';
+import { formatTs, formatTsMobile, extractCode, escapeHtml, escapeAttr } from './ui-helpers.js';
 import { getCurrentMailbox } from './mailbox-state.js';
 
 // 分页状态
@@ -12,6 +12,24 @@ let currentPage = 1;
 let lastLoadedEmails = [];
 let isSentView = false;
 
+// 会话视图状态
+let isThreadView = false;
+let openThreadId = null;
+
+// 垃圾邮件视图状态
+let isSpamView = false;
+
+// 全文搜索关键词（非空时列表显示搜索结果）
+let searchQuery = '';
+
+// 子地址标签筛选：null 为全部，TAG_GROUP 为按标签分组，其余为具体标签
+export const TAG_GROUP = '__group__';
+let tagFilter = null;
+
+// 邮件标签筛选（标签按邮箱划分，记录所属邮箱，切换邮箱后不再生效）
+let labelFilter = null;
+const DEFAULT_LABEL_COLOR = '#6366f1';
+
 // 邮件缓存
 const emailCache = new Map();
 
@@ -23,7 +41,8 @@ const viewLoaded = new Set();
  * @returns {string}
  */
 function getViewKey() {
-  return `${getCurrentMailbox()}:${isSentView ? 'sent' : 'inbox'}`;
+  if (searchQuery) return `search:${searchQuery}`;
+  return `${getCurrentMailbox()}:${isSentView ? 'sent' : (isThreadView ? 'threads' : (isSpamView ? 'spam' : `inbox:${tagFilter || ''}:${getLabelFilter() || ''}`))}`;
 }
 
 /**
@@ -109,6 +128,239 @@ export function isSentViewActive() {
   return isSentView;
 }
 
+/**
+ * 切换会话视图
+ * @param {boolean} enabled - 是否按会话分组显示
+ */
+export function setThreadView(enabled) {
+  isThreadView = enabled;
+  openThreadId = null;
+}
+
+/**
+ * 获取是否处于会话视图
+ * @returns {boolean}
+ */
+export function isThreadViewActive() {
+  return isThreadView;
+}
+
+/**
+ * 设置当前展开的会话
+ * @param {string|null} threadId - 会话ID，null 表示返回会话列表
+ */
+export function setOpenThread(threadId) {
+  openThreadId = threadId || null;
+}
+
+/**
+ * 获取当前展开的会话
+ * @returns {string|null}
+ */
+export function getOpenThread() {
+  return openThreadId;
+}
+
+/**
+ * 切换垃圾邮件视图
+ * @param {boolean} enabled - 是否仅显示垃圾邮件
+ */
+export function setSpamView(enabled) {
+  isSpamView = enabled;
+}
+
+/**
+ * 获取是否处于垃圾邮件视图
+ * @returns {boolean}
+ */
+export function isSpamViewActive() {
+  return isSpamView;
+}
+
+/**
+ * 设置全文搜索关键词
+ * @param {string} query - 搜索关键词，空字符串表示退出搜索
+ */
+export function setSearchQuery(query) {
+  searchQuery = String(query || '').trim();
+}
+
+/**
+ * 获取当前全文搜索关键词
+ * @returns {string}
+ */
+export function getSearchQuery() {
+  return searchQuery;
+}
+
+/**
+ * 渲染搜索结果标题栏（含清除按钮）
+ * @param {number} count - 结果数量
+ * @param {boolean} hasMore - 是否还有更多结果
+ * @returns {string}
+ */
+export function renderSearchHeader(count, hasMore = false) {
+  return `
+    <div class="search-header" style="display:flex;align-items:center;gap:8px;margin-bottom:8px">
+      <button class="btn btn-ghost btn-sm" onclick="clearEmailSearch()">← 退出搜索</button>
+      <span class="value-text subject" style="flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">“${escapeHtml(searchQuery)}”的搜索结果</span>
+      <span class="muted">${Number(count) || 0}${hasMore ? '+' : ''} 封</span>
+    </div>`;
+}
+
+/**
+ * 设置子地址标签筛选
+ * @param {string|null} tag - 标签，null 表示全部，TAG_GROUP 表示按标签分组
+ */
+export function setTagFilter(tag) {
+  tagFilter = tag || null;
+}
+
+/**
+ * 获取当前子地址标签筛选
+ * @returns {string|null}
+ */
+export function getTagFilter() {
+  return tagFilter;
+}
+
+/**
+ * 设置邮件标签筛选（作用于当前邮箱）
+ * @param {string|null} name - 标签名称，为空表示全部
+ */
+export function setLabelFilter(name) {
+  const value = String(name || '').trim();
+  labelFilter = value ? { mailbox: getCurrentMailbox(), name: value } : null;
+}
+
+/**
+ * 获取当前邮箱的邮件标签筛选
+ * @returns {string|null}
+ */
+export function getLabelFilter() {
+  return labelFilter && labelFilter.mailbox === getCurrentMailbox() ? labelFilter.name : null;
+}
+
+/**
+ * 渲染邮件标签筛选标题栏（含清除按钮）
+ * @param {number} count - 邮件数量
+ * @returns {string}
+ */
+export function renderLabelFilterHeader(count) {
+  return `
+    <div class="label-filter-header" style="display:flex;align-items:center;gap:8px;margin-bottom:8px">
+      <button class="btn btn-ghost btn-sm" onclick="filterByLabel('')">← 全部邮件</button>
+      <span class="value-text subject" style="flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">标签“${escapeHtml(getLabelFilter() || '')}”</span>
+      <span class="muted">${Number(count) || 0} 封</span>
+    </div>`;
+}
+
+/**
+ * 渲染邮件标签（彩色，点击按该标签筛选）
+ * @param {Array} labels - 标签列表 [{ id, name, color }]
+ * @param {string|null} exclude - 不显示的标签名称（当前筛选的标签）
+ * @returns {string}
+ */
+export function renderLabelChips(labels, exclude = null) {
+  const list = Array.isArray(labels) ? labels : [];
+  const skip = String(exclude || '').toLowerCase();
+  return list.filter(l => l && l.name && String(l.name).toLowerCase() !== skip).map(l => {
+    const color = /^#[0-9a-f]{6}$/i.test(l.color || '') ? l.color : DEFAULT_LABEL_COLOR;
+    return `<span class="label-chip" style="margin-left:6px;background:${color}1f;color:${color};border:1px solid ${color}66;cursor:pointer" title="按标签筛选" data-label="${escapeAttr(l.name)}" onclick="filterByLabel(this.dataset.label);event.stopPropagation()">${escapeHtml(l.name)}</span>`;
+  }).join('');
+}
+
+/**
+ * 渲染标签筛选下拉选项
+ * @param {Array} tags - 标签列表 [{ tag, count }]
+ * @returns {string}
+ */
+export function renderTagOptions(tags) {
+  const list = Array.isArray(tags) ? tags : [];
+  const options = [
+    `<option value="">全部标签</option>`,
+    `<option value="${TAG_GROUP}"${tagFilter === TAG_GROUP ? ' selected' : ''}>按标签分组</option>`,
+    ...list.map(t => `<option value="${escapeAttr(t.tag)}"${tagFilter === t.tag ? ' selected' : ''}>🏷️ ${escapeHtml(t.tag)} (${Number(t.count) || 0})</option>`)
+  ];
+  return options.join('');
+}
+
+/**
+ * 按子地址标签分组渲染邮件列表，无标签邮件排在最后
+ * @param {Array} emails - 邮件列表
+ * @param {boolean} isMobile - 是否移动端
+ * @returns {string}
+ */
+export function renderTagGroups(emails, isMobile = false) {
+  const groups = new Map();
+  for (const e of Array.isArray(emails) ? emails : []) {
+    const key = e.tag || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  }
+  const keys = [...groups.keys()].sort((a, b) => (a === '' ? 1 : b === '' ? -1 : 0));
+  return keys.map(key => `
+    <div class="tag-group-header" style="display:flex;align-items:center;gap:6px;margin:8px 0 4px;font-weight:600">
+      <span>${key ? `🏷️ ${escapeHtml(key)}` : '无标签'}</span>
+      <span class="muted" style="font-weight:400">${groups.get(key).length} 封</span>
+    </div>
+    ${groups.get(key).map(e => renderEmailItem(e, isMobile)).join('')}`).join('');
+}
+
+/**
+ * 渲染会话列表项
+ * @param {object} thread - 会话数据
+ * @param {boolean} isMobile - 是否移动端
+ * @returns {string}
+ */
+export function renderThreadItem(thread, isMobile = false) {
+  const t = thread || {};
+  const latest = t.latest || {};
+  const participants = Array.isArray(t.participants) ? t.participants : [];
+  let participantsText = participants.slice(0, 2).join(', ');
+  if (participants.length > 2) participantsText += ` 等${participants.length}人`;
+  const code = (latest.verification_code || '').toString().trim();
+  let preview = String(latest.preview || '').slice(0, 20);
+  if (code) preview = `验证码: ${code} | ${preview}`;
+  const count = Number(t.message_count) || 1;
+  const unread = Number(t.unread_count) || 0;
+  const timeDisplay = isMobile ? formatTsMobile(t.last_received_at) : formatTs(t.last_received_at);
+
+  return `
+    <div class="email-item clickable" data-thread-id="${escapeAttr(t.thread_id || '')}" onclick="openThread(this.dataset.threadId)">
+      <div class="email-meta">
+        <span class="meta-from"><span class="meta-label">参与者</span><span class="meta-from-text">${escapeHtml(participantsText)}</span></span>
+        <span class="email-time"><span class="time-icon">🕐</span>${timeDisplay}</span>
+      </div>
+      <div class="email-content">
+        <div class="email-main">
+          <div class="email-line">
+            <span class="label-chip">主题</span><span class="value-text subject">${escapeHtml(t.subject || '(无主题)')}</span>
+            <span class="label-chip" style="margin-left:6px" title="会话邮件数">💬 ${count}</span>
+            ${unread ? `<span class="label-chip" style="margin-left:4px;background:#fee2e2;color:#b91c1c" title="未读">${unread} 未读</span>` : ''}
+          </div>
+          <div class="email-line"><span class="label-chip">最新</span>${preview ? `<span class="email-preview value-text">${escapeHtml(preview)}</span>` : '<span class="email-preview value-text" style="color:#94a3b8">(暂无预览)</span>'}</div>
+        </div>
+      </div>
+    </div>`;
+}
+
+/**
+ * 渲染展开会话的标题栏（含返回按钮）
+ * @param {Array} messages - 会话内邮件列表
+ * @returns {string}
+ */
+export function renderThreadHeader(messages) {
+  const list = Array.isArray(messages) ? messages : [];
+  const subject = list.length ? list[0].subject : '';
+  return `
+    <div class="thread-header" style="display:flex;align-items:center;gap:8px;margin-bottom:8px">
+      <button class="btn btn-ghost btn-sm" onclick="closeThread()">← 返回会话列表</button>
+      <span class="value-text subject" style="flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">${escapeHtml(subject || '(无主题)')}</span>
+      <span class="muted">${list.length} 封</span>
+    </div>`;
+}
+
 /**
  * 渲染邮件状态 class
  * @param {string} status - 状态
@@ -119,6 +371,7 @@ export function statusClass(status) {
     'queued': 'status-queued',
     'delivered': 'status-delivered',
     'failed': 'status-failed',
+    'bounced': 'status-failed',
     'processing': 'status-processing'
   };
   return map[status] || '';
@@ -139,7 +392,7 @@ export function renderEmailItem(email, isMobile = false) {
   
   if (rawContent) {
     preview = rawContent.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-    const codeMatch = (e.verification_code || '').toString().trim() || extractCode(rawContent);
+    const codeMatch = (e.verification_code || '').toString().trim() || (e.verification_otp || '').toString().trim() || extractCode(rawContent);
     if (codeMatch) {
       preview = `验证码: ${codeMatch} | ${preview}`;
     }
@@ -147,8 +400,9 @@ export function renderEmailItem(email, isMobile = false) {
   }
   
   const hasContent = preview.length > 0;
-  const listCode = (e.verification_code || '').toString().trim() || extractCode(rawContent || '');
-  const senderText = escapeHtml(e.sender || '');
+  const listCode = (e.verification_code || '').toString().trim() || (e.verification_otp || '').toString().trim() || extractCode(rawContent || '');
+  const verifyLink = !isSentView && /^https?:\/\//i.test(e.verification_link || '') ? e.verification_link : '';
+  const senderText = e.sender_name ? `${escapeHtml(e.sender_name)} &lt;${escapeHtml(e.sender || '')}&gt;` : escapeHtml(e.sender || '');
   
   let recipientsDisplay = '';
   if (isSentView) {
@@ -163,6 +417,10 @@ export function renderEmailItem(email, isMobile = false) {
   }
   
   const subjectText = escapeHtml(e.subject || '(无主题)');
+  const tagChip = !isSentView && e.tag && tagFilter !== e.tag ? `<span class="label-chip" style="margin-left:6px" title="子地址标签">🏷️ ${escapeHtml(e.tag)}</span>` : '';
+  const labelChips = !isSentView ? renderLabelChips(e.labels, searchQuery ? null : getLabelFilter()) : '';
+  const mailboxChip = !isSentView && searchQuery && e.mailbox ? `<span class="label-chip" style="margin-left:6px" title="收件邮箱">📮 ${escapeHtml(e.mailbox)}</span>` : '';
+  const spamBadge = !isSentView && Number(e.is_spam) ? `<span class="status-badge status-failed" title="垃圾邮件评分 ${escapeAttr(String(e.spam_score ?? ''))}">垃圾</span>` : '';
   const previewText = escapeHtml(preview);
   const metaLabel = isSentView ? '收件人' : '发件人';
   const metaText = isSentView ? escapeHtml(recipientsDisplay) : senderText;
@@ -176,15 +434,16 @@ export function renderEmailItem(email, isMobile = false) {
       </div>
       <div class="email-content">
         <div class="email-main">
-          <div class="email-line"><span class="label-chip">主题</span><span class="value-text subject">${subjectText}</span></div>
+          <div class="email-line"><span class="label-chip">主题</span><span class="value-text subject">${subjectText}</span>${mailboxChip}${tagChip}${labelChips}${spamBadge}</div>
           <div class="email-line"><span class="label-chip">内容</span>${hasContent ? `<span class="email-preview value-text">${previewText}</span>` : '<span class="email-preview value-text" style="color:#94a3b8">(暂无预览)</span>'}</div>
         </div>
         <div class="email-actions">
           ${isSentView ? `
-            <span class="status-badge ${statusClass(e.status)}">${e.status || 'unknown'}</span>
+            <span class="status-badge ${statusClass(e.status)}"${e.diagnostic_code ? ` title="${escapeAttr(e.diagnostic_code)}"` : ''}>${escapeHtml(e.status || 'unknown')}</span>
             <button class="btn btn-danger btn-sm" onclick="deleteSent(${e.id});event.stopPropagation()" title="删除记录"><span class="btn-icon">🗑️</span></button>
           ` : `
-            <button class="btn btn-secondary btn-sm" data-code="${listCode || ''}" onclick="copyFromList(event, ${e.id});event.stopPropagation()" title="复制内容或验证码"><span class="btn-icon">📋</span></button>
+            <button class="btn btn-secondary btn-sm" data-code="${escapeAttr(listCode || '')}" onclick="copyFromList(event, ${e.id});event.stopPropagation()" title="复制内容或验证码"><span class="btn-icon">📋</span></button>
+            ${verifyLink ? `<a class="btn btn-secondary btn-sm" href="${escapeAttr(verifyLink)}" target="_blank" rel="noopener noreferrer" onclick="event.stopPropagation()" title="打开验证链接: ${escapeAttr(verifyLink)}"><span class="btn-icon">🔗</span></a>` : ''}
             <button class="btn btn-danger btn-sm" onclick="deleteEmail(${e.id});event.stopPropagation()" title="删除邮件"><span class="btn-icon">🗑️</span></button>
           `}
         </div>
@@ -247,8 +506,27 @@ export default {
   resetPager,
   setView,
   isSentViewActive,
+  setThreadView,
+  isThreadViewActive,
+  setOpenThread,
+  getOpenThread,
+  setSpamView,
+  isSpamViewActive,
+  setSearchQuery,
+  getSearchQuery,
+  renderSearchHeader,
+  setTagFilter,
+  getTagFilter,
+  setLabelFilter,
+  getLabelFilter,
+  renderLabelFilterHeader,
+  renderLabelChips,
+  renderTagOptions,
+  renderTagGroups,
   statusClass,
   renderEmailItem,
+  renderThreadItem,
+  renderThreadHeader,
   getEmailFromCache,
   setEmailCache,
   clearEmailCache,
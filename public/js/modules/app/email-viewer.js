@@ -3,8 +3,12 @@
  * @module modules/app/email-viewer
  */
 
-import { escapeHtml, escapeAttr, extractCode } from './ui-helpers.js';
+import { escapeHtml, escapeAttr, extractCode, formatBytes, formatTs } from './ui-helpers.js';
 import { getEmailFromCache, setEmailCache } from './email-list.js';
+import { prompt } from '../../components/modal.js';
+
+// 在查看页新建标签时依次使用的颜色
+const LABEL_PALETTE = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#0ea5e9', '#8b5cf6', '#ec4899', '#64748b'];
 
 /**
  * 显示邮件详情
@@ -26,8 +30,8 @@ export async function showEmailDetail(id, elements, api, showToast) {
     
     modalSubject.innerHTML = `<span class="modal-icon">📧</span><span>${escapeHtml(email.subject || '(无主题)')}</span>`;
     
-    let contentHtml = '';
-    const code = email.verification_code || extractCode(email.content || email.html_content || '');
+    let contentHtml = renderAuthSummary(email);
+    const code = email.verification_code || email.verification_otp || extractCode(email.content || email.html_content || '');
     
     if (code) {
       contentHtml += `
@@ -37,20 +41,282 @@ export async function showEmailDetail(id, elements, api, showToast) {
           <span style="font-size:12px;color:var(--text-muted)">点击复制</span>
         </div>`;
     }
+
+    if (/^https?:\/\//i.test(email.verification_link || '')) {
+      contentHtml += `
+        <div class="verification-link-box" style="margin-bottom:16px;padding:12px;background:var(--success-light);border-radius:8px;display:flex;align-items:center;gap:12px">
+          <span style="font-size:20px">🔗</span>
+          <a href="${escapeAttr(email.verification_link)}" target="_blank" rel="noopener noreferrer" style="flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap" title="${escapeAttr(email.verification_link)}">${escapeHtml(email.verification_link)}</a>
+          <button class="btn btn-secondary btn-sm" onclick="navigator.clipboard.writeText(this.previousElementSibling.href).then(()=>showToast('链接已复制','success'))">复制链接</button>
+        </div>`;
+    }
+
+    contentHtml += renderLabelsBar(email);
+    contentHtml += renderEventCard(email);
+    contentHtml += renderRemoteImagesBar(email);
     
     if (email.html_content) {
-      contentHtml += `<iframe class="email-frame" srcdoc="${escapeAttr(email.html_content)}" style="width:100%;min-height:400px;border:none"></iframe>`;
+      // 沙箱不含 allow-same-origin：正文中的请求不带本站会话，图片使用服务端签名的地址；链接可在新窗口中正常打开
+      contentHtml += `<iframe class="email-frame" sandbox="allow-popups allow-popups-to-escape-sandbox" srcdoc="${escapeAttr(email.html_content)}" style="width:100%;min-height:400px;border:none"></iframe>`;
     } else {
       contentHtml += `<pre style="white-space:pre-wrap;word-break:break-word">${escapeHtml(email.content || '')}</pre>`;
     }
     
+    contentHtml += renderAttachmentsPanel(email);
+    
     modalContent.innerHTML = contentHtml;
+    modalContent.querySelector('[data-remote-images-toggle]')?.addEventListener('click', () => {
+      toggleRemoteImages(email, elements, api, showToast);
+    });
+    bindLabelsBar(email, elements, api, showToast);
     modal.classList.add('show');
   } catch(e) {
     showToast(e.message || '加载失败', 'error');
   }
 }
 
+/**
+ * 渲染发件认证结论与垃圾邮件评分
+ * @param {object} email - 邮件详情
+ * @returns {string}
+ */
+export function renderAuthSummary(email) {
+  const checks = [['SPF', email?.spf_result], ['DKIM', email?.dkim_result], ['DMARC', email?.dmarc_result]].filter(([, v]) => v);
+  const isSpam = Number(email?.is_spam) === 1;
+  if (!checks.length && !isSpam) return '';
+  const color = (v) => v === 'pass' ? 'var(--success, #16a34a)' : (v === 'fail' || v === 'softfail' ? 'var(--danger, #dc2626)' : 'var(--text-muted)');
+  const items = checks.map(([name, v]) => `<span>${name}: <strong style="color:${color(v)}">${escapeHtml(v)}</strong></span>`).join('');
+  const spam = isSpam
+    ? `<span style="color:var(--danger, #dc2626)" title="${escapeAttr(email.spam_reasons || '')}">⚠️ 疑似垃圾邮件（评分 ${escapeHtml(String(email.spam_score ?? ''))}）</span>`
+    : '';
+  return `<div class="auth-summary" style="display:flex;flex-wrap:wrap;gap:12px;margin-bottom:12px;font-size:12px;color:var(--text-muted)">${items}${spam}</div>`;
+}
+
+const EVENT_METHOD_LABELS = {
+  REQUEST: '会议邀请',
+  CANCEL: '会议已取消',
+  REPLY: '会议回复',
+  PUBLISH: '日程'
+};
+
+/**
+ * 格式化事件时间：有 UTC 时间时按东八区显示，否则显示原始本地时间与时区
+ * @param {object} point - 事件时间 { value, tzid, utc, all_day }
+ * @returns {string}
+ */
+function formatEventTime(point) {
+  if (!point) return '';
+  if (point.all_day) return point.value;
+  if (point.utc) return formatTs(point.utc.replace(/(\.\d+)?Z$/, ''));
+  return `${String(point.value || '').replace('T', ' ')}${point.tzid ? `（${point.tzid}）` : ''}`;
+}
+
+/**
+ * 渲染日历邀请事件卡片
+ * @param {object} email - 邮件详情
+ * @returns {string}
+ */
+export function renderEventCard(email) {
+  const event = email?.event;
+  if (!event) return '';
+  const label = EVENT_METHOD_LABELS[event.method] || '日程';
+  const cancelled = event.method === 'CANCEL' || event.status === 'CANCELLED';
+  let time = formatEventTime(event.start);
+  const end = formatEventTime(event.end);
+  // 全天事件的 DTEND 为次日（不含），单日事件只显示开始日期
+  const singleDay = event.start?.all_day && end === new Date(Date.parse(`${event.start.value}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+  if (time && end && !singleDay) time += ` ~ ${end}`;
+  const organizer = event.organizer
+    ? (event.organizer.name ? `${event.organizer.name} <${event.organizer.email}>` : event.organizer.email)
+    : '';
+  const rows = [['时间', time], ['地点', event.location], ['组织者', organizer]]
+    .filter(([, v]) => v)
+    .map(([k, v]) => `<div><span style="color:var(--text-muted)">${k}：</span>${escapeHtml(v)}</div>`)
+    .join('');
+  const download = event.download
+    ? `<a class="btn btn-secondary btn-sm" href="${escapeAttr(event.download)}" download>下载 .ics</a>`
+    : '';
+  return `
+    <div class="event-card" style="margin-bottom:16px;padding:12px;border:1px solid var(--border-color,#e5e7eb);border-radius:8px;display:flex;gap:12px;align-items:flex-start">
+      <span style="font-size:20px">📅</span>
+      <div style="flex:1;min-width:0;display:flex;flex-direction:column;gap:4px;font-size:13px">
+        <div style="font-size:12px;color:${cancelled ? 'var(--danger, #dc2626)' : 'var(--text-muted)'}">${escapeHtml(label)}</div>
+        <div style="font-weight:600;font-size:15px;${cancelled ? 'text-decoration:line-through' : ''}">${escapeHtml(event.summary || '(无标题)')}</div>
+        ${rows}
+      </div>
+      ${download}
+    </div>`;
+}
+
+/**
+ * 渲染远程图片提示条：默认屏蔽远程图片，可按邮件切换为经由代理加载
+ * @param {object} email - 邮件详情
+ * @returns {string}
+ */
+export function renderRemoteImagesBar(email) {
+  const count = Number(email?.remote_images) || 0;
+  if (!count || !email.html_content) return '';
+  const text = email.images_loaded
+    ? `已通过代理加载 ${count} 处远程图片`
+    : `为保护隐私，已阻止 ${count} 处远程图片`;
+  return `
+    <div class="remote-images-bar" style="margin-bottom:12px;padding:8px 12px;background:var(--primary-glass);border-radius:8px;display:flex;align-items:center;gap:12px;font-size:13px">
+      <span style="font-size:16px">🖼️</span>
+      <span style="flex:1;color:var(--text-muted)">${escapeHtml(text)}</span>
+      <button class="btn btn-secondary btn-sm" data-remote-images-toggle>${email.images_loaded ? '阻止图片' : '加载图片'}</button>
+    </div>`;
+}
+
+/**
+ * 切换单封邮件的远程图片加载状态并重新渲染详情
+ * @param {object} email - 当前邮件详情
+ * @param {object} elements - DOM 元素
+ * @param {Function} api - API 函数
+ * @param {Function} showToast - 提示函数
+ */
+async function toggleRemoteImages(email, elements, api, showToast) {
+  try {
+    const r = await api(`/api/email/${email.id}${email.images_loaded ? '' : '?images=1'}`);
+    const detail = await r.json();
+    setEmailCache(email.id, detail);
+    await showEmailDetail(email.id, elements, api, showToast);
+  } catch(e) {
+    showToast(e.message || '加载失败', 'error');
+  }
+}
+
+/**
+ * 渲染邮件标签栏：已添加的标签（可移除）与添加标签下拉框（选项在显示后加载）
+ * @param {object} email - 邮件详情
+ * @returns {string}
+ */
+export function renderLabelsBar(email) {
+  if (!email?.mailbox_id || !Array.isArray(email.labels)) return '';
+  const chips = email.labels.map(l => {
+    const color = /^#[0-9a-f]{6}$/i.test(l.color || '') ? l.color : LABEL_PALETTE[0];
+    return `
+      <span class="label-chip" style="display:inline-flex;align-items:center;gap:4px;background:${color}1f;color:${color};border:1px solid ${color}66">
+        ${escapeHtml(l.name)}
+        <button type="button" data-label-remove="${Number(l.id)}" data-labels-edit title="移除标签" style="display:none;border:none;background:none;color:inherit;cursor:pointer;padding:0;font-size:12px">✕</button>
+      </span>`;
+  }).join('');
+  return `
+    <div class="labels-bar" style="margin-bottom:12px;display:flex;flex-wrap:wrap;align-items:center;gap:6px;font-size:13px">
+      <span style="color:var(--text-muted)">🏷️ 标签</span>
+      ${chips || '<span data-labels-empty style="color:var(--text-muted)">无</span>'}
+      <select data-label-add data-labels-edit style="display:none;height:28px;border-radius:6px;padding:0 6px;border:1px solid var(--border-color, #e5e7eb)"></select>
+    </div>`;
+}
+
+/**
+ * 加载邮箱的标签列表并绑定标签栏的添加、移除操作（无权管理该邮箱标签时保持只读）
+ * @param {object} email - 当前邮件详情
+ * @param {object} elements - DOM 元素
+ * @param {Function} api - API 函数
+ * @param {Function} showToast - 提示函数
+ */
+async function bindLabelsBar(email, elements, api, showToast) {
+  const bar = elements.modalContent.querySelector('.labels-bar');
+  if (!bar) return;
+  let labels = [];
+  try {
+    const r = await api(`/api/mailbox/labels?mailbox_id=${encodeURIComponent(email.mailbox_id)}`);
+    if (!r.ok) return;
+    labels = (await r.json()).labels || [];
+  } catch (_) { return; }
+  if (!bar.isConnected) return;
+
+  const applied = new Set(email.labels.map(l => Number(l.id)));
+  const select = bar.querySelector('[data-label-add]');
+  select.innerHTML = [
+    '<option value="">＋ 添加标签</option>',
+    ...labels.filter(l => !applied.has(Number(l.id))).map(l => `<option value="${Number(l.id)}">${escapeHtml(l.name)}</option>`),
+    '<option value="new">新建标签…</option>'
+  ].join('');
+  bar.querySelectorAll('[data-labels-edit]').forEach(el => { el.style.display = ''; });
+  bar.querySelector('[data-labels-empty]')?.remove();
+
+  bar.querySelectorAll('[data-label-remove]').forEach(btn => btn.addEventListener('click', () => {
+    updateEmailLabel(email, Number(btn.dataset.labelRemove), true, elements, api, showToast);
+  }));
+  select.addEventListener('change', async () => {
+    const value = select.value;
+    select.value = '';
+    if (!value) return;
+    if (value !== 'new') {
+      await updateEmailLabel(email, Number(value), false, elements, api, showToast);
+      return;
+    }
+    const name = String(await prompt('请输入标签名称（不超过 32 个字符）', { title: '新建标签' }) || '').trim();
+    if (!name) return;
+    try {
+      const r = await api('/api/mailbox/labels', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mailbox_id: email.mailbox_id, name, color: LABEL_PALETTE[labels.length % LABEL_PALETTE.length] })
+      });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(data.error || '新建标签失败');
+      await updateEmailLabel(email, Number(data.label.id), false, elements, api, showToast);
+    } catch (e) {
+      showToast(e.message || '新建标签失败', 'error');
+    }
+  });
+}
+
+/**
+ * 为当前邮件添加或移除标签，并刷新详情与邮件列表
+ * @param {object} email - 当前邮件详情
+ * @param {number} labelId - 标签ID
+ * @param {boolean} remove - 是否为移除
+ * @param {object} elements - DOM 元素
+ * @param {Function} api - API 函数
+ * @param {Function} showToast - 提示函数
+ */
+async function updateEmailLabel(email, labelId, remove, elements, api, showToast) {
+  try {
+    const r = await api(`/api/mailbox/labels/${remove ? 'remove' : 'apply'}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mailbox_id: email.mailbox_id, label_id: labelId, message_ids: [email.id] })
+    });
+    const data = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(data.error || '操作失败');
+    const labels = email.labels.filter(l => Number(l.id) !== labelId);
+    if (!remove) labels.push({ id: data.label.id, name: data.label.name, color: data.label.color });
+    setEmailCache(email.id, { ...email, labels });
+    await showEmailDetail(email.id, elements, api, showToast);
+    window.refreshEmails?.();
+  } catch (e) {
+    showToast(e.message || '操作失败', 'error');
+  }
+}
+
+/**
+ * 渲染附件面板
+ * @param {object} email - 邮件详情
+ * @returns {string}
+ */
+export function renderAttachmentsPanel(email) {
+  // 已在正文中通过 cid: 引用展示的内联图片不重复列出
+  const list = (Array.isArray(email?.attachments) ? email.attachments : []).filter(a => !(a.inline && a.content_id));
+  if (!list.length) return '';
+  const items = list.map(a => {
+    const href = a.url || `/api/email/${email.id}/attachments/${a.index}`;
+    return `
+      <a class="attachment-item" href="${escapeAttr(href)}" download="${escapeAttr(a.filename || '')}" style="display:flex;align-items:center;gap:8px;padding:8px 10px;border:1px solid var(--border-color,#e5e7eb);border-radius:8px;text-decoration:none;color:inherit">
+        <span style="font-size:18px">📎</span>
+        <span style="flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap" title="${escapeAttr(a.filename || '')}">${escapeHtml(a.filename || '未命名附件')}</span>
+        <span style="font-size:12px;color:var(--text-muted)">${escapeHtml(formatBytes(a.size))}</span>
+      </a>`;
+  }).join('');
+  return `
+    <div class="attachments-panel" style="margin-top:16px">
+      <div style="font-weight:600;margin-bottom:8px">附件（${list.length}）</div>
+      <div style="display:flex;flex-direction:column;gap:6px">${items}</div>
+    </div>`;
+}
+
 /**
  * 删除邮件
  * @param {number} id - 邮件ID
@@ -152,6 +418,10 @@ export async function prefetchEmails(emails, api) {
 
 export default {
   showEmailDetail,
+  renderAuthSummary,
+  renderRemoteImagesBar,
+  renderLabelsBar,
+  renderAttachmentsPanel,
   deleteEmailById,
   deleteSentById,
   copyFromEmailList,
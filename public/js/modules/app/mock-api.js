@@ -93,7 +93,9 @@ export function buildMockEmails(count = 6) {
     received_at: new Date(Date.now() - i * 3600000).toISOString().replace('T', ' ').slice(0, 19),
     is_read: i > 2 ? 1 : 0,
     preview: '这是一封演示邮件的预览内容...',
-    verification_code: i === 1 ? '123456' : null
+    verification_code: i === 1 ? '123456' : null,
+    verification_link: i % subjects.length === 4 ? 'https://example.com/reset-password?token=demo' : null,
+    verification_otp: null
   }));
 }
 
@@ -112,7 +114,10 @@ export function buildMockEmailDetail(id) {
     html_content: '<p>这是演示模式下的邮件内容。</p><p><strong>您的验证码是：123456</strong></p><p>请勿将此验证码告诉他人。</p>',
     received_at: new Date().toISOString().replace('T', ' ').slice(0, 19),
     is_read: 1,
-    verification_code: '123456'
+    verification_code: '123456',
+    verification_link: null,
+    verification_otp: null,
+    event: null
   };
 }
 
@@ -151,6 +156,28 @@ export async function mockApi(path, options = {}) {
     return new Response(JSON.stringify(MOCK_STATE.domains), { headers: jsonHeaders });
   }
 
+  // GET /api/domains/policies
+  if (url.pathname === '/api/domains/policies' && (!options.method || options.method === 'GET')) {
+    const list = MOCK_STATE.domains.map(domain => ({ domain, policy: 'accept-and-create', updated_at: null, rejected: {}, last_rejected_at: null }));
+    return new Response(JSON.stringify({ policies: ['accept-and-create', 'accept-only-existing', 'reject'], default: 'accept-and-create', list }), { headers: jsonHeaders });
+  }
+
+  // /api/forward-rules - 全局转发规则（演示模式只读）
+  if (url.pathname.startsWith('/api/forward-rules')) {
+    if (url.pathname === '/api/forward-rules' && (!options.method || options.method === 'GET')) {
+      return new Response(JSON.stringify({ success: true, rules: [], match_types: ['prefix', 'exact', 'regex'], default_priority: 100, env_rules: [], using_env: false }), { headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ error: '演示模式不可操作' }), { status: 403, headers: jsonHeaders });
+  }
+
+  // /api/code-templates - 验证码提取模板（演示模式只读）
+  if (url.pathname.startsWith('/api/code-templates')) {
+    if (url.pathname === '/api/code-templates' && (!options.method || options.method === 'GET')) {
+      return new Response(JSON.stringify({ success: true, templates: [], default_priority: 100 }), { headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ error: '演示模式不可操作' }), { status: 403, headers: jsonHeaders });
+  }
+
   // GET /api/generate
   if (url.pathname === '/api/generate') {
     const len = Number(url.searchParams.get('length') || '8');
@@ -174,6 +201,14 @@ export async function mockApi(path, options = {}) {
   // GET /api/emails
   if (url.pathname === '/api/emails' && (!options.method || options.method === 'GET')) {
     const mailbox = url.searchParams.get('mailbox') || '';
+    // 演示数据不含垃圾邮件
+    if (url.searchParams.get('spam') === 'only') {
+      return new Response(JSON.stringify([]), { headers: jsonHeaders });
+    }
+    // 演示数据不含邮件标签
+    if (url.searchParams.get('label')) {
+      return new Response(JSON.stringify([]), { headers: jsonHeaders });
+    }
     let list = MOCK_STATE.emailsByMailbox.get(mailbox);
     if (!list) {
       list = buildMockEmails(6);
@@ -182,6 +217,48 @@ export async function mockApi(path, options = {}) {
     return new Response(JSON.stringify(list), { headers: jsonHeaders });
   }
 
+  // GET /api/emails/tags（演示数据不含子地址标签）
+  if (url.pathname === '/api/emails/tags' && (!options.method || options.method === 'GET')) {
+    return new Response(JSON.stringify([]), { headers: jsonHeaders });
+  }
+
+  // GET /api/search（在已生成的演示邮件中按主题、发件人和预览匹配）
+  if (url.pathname === '/api/search' && (!options.method || options.method === 'GET')) {
+    const terms = String(url.searchParams.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const list = [];
+    for (const [mailbox, emails] of MOCK_STATE.emailsByMailbox) {
+      for (const e of emails) {
+        const text = `${e.subject || ''} ${e.sender || ''} ${e.preview || ''}`.toLowerCase();
+        if (terms.length && terms.every(t => text.includes(t))) list.push({ ...e, mailbox });
+      }
+    }
+    return new Response(JSON.stringify({ list, limit: list.length, offset: 0, has_more: false }), { headers: jsonHeaders });
+  }
+
+  // GET /api/threads（演示数据每封邮件为独立会话）
+  if (url.pathname.startsWith('/api/threads') && (!options.method || options.method === 'GET')) {
+    const mailbox = url.searchParams.get('mailbox') || '';
+    let list = MOCK_STATE.emailsByMailbox.get(mailbox);
+    if (!list) {
+      list = buildMockEmails(6);
+      MOCK_STATE.emailsByMailbox.set(mailbox, list);
+    }
+    if (url.pathname !== '/api/threads') {
+      const threadId = decodeURIComponent(url.pathname.slice('/api/threads/'.length));
+      return new Response(JSON.stringify(list.filter(e => `msg:${e.id}` === threadId)), { headers: jsonHeaders });
+    }
+    const threads = list.map(e => ({
+      thread_id: `msg:${e.id}`,
+      subject: e.subject,
+      message_count: 1,
+      unread_count: e.is_read ? 0 : 1,
+      last_received_at: e.received_at,
+      participants: [e.sender],
+      latest: { id: e.id, sender: e.sender, preview: e.preview, verification_code: e.verification_code }
+    }));
+    return new Response(JSON.stringify(threads), { headers: jsonHeaders });
+  }
+
   // GET /api/email/:id
   if (url.pathname.startsWith('/api/email/') && (!options.method || options.method === 'GET')) {
     const id = Number(url.pathname.split('/')[3]);
@@ -297,8 +374,9 @@ export async function mockApi(path, options = {}) {
     }
   }
 
-  // 演示模式禁止删除操作
-  if ((url.pathname === '/api/emails' && options.method === 'DELETE') ||
+  // 演示模式禁止删除及管理操作
+  if ((url.pathname === '/api/domains/policies' && options.method === 'PUT') ||
+      (url.pathname === '/api/emails' && options.method === 'DELETE') ||
       (url.pathname.startsWith('/api/email/') && options.method === 'DELETE') ||
       (url.pathname === '/api/mailboxes' && options.method === 'DELETE')) {
     return new Response('演示模式不可操作', { status: 403 });
@@ -326,7 +404,7 @@ export async function mockApi(path, options = {}) {
     try {
       const body = typeof options.body === 'string' ? JSON.parse(options.body || '{}') : (options.body || {});
       const mailboxId = body.mailbox_id;
-      const forwardTo = body.forward_to || null;
+      const forwardTo = (Array.isArray(body.forward_to) ? body.forward_to[0] : body.forward_to) || null;
       
       const mailbox = MOCK_STATE.mailboxes.find(m => m.id === mailboxId);
       if (mailbox) {
@@ -339,6 +417,87 @@ export async function mockApi(path, options = {}) {
     }
   }
 
+  // /api/mailbox/forwards - 转发目标列表（演示模式只读）
+  if (url.pathname === '/api/mailbox/forwards') {
+    if ((options.method || 'GET') === 'GET') {
+      const mailboxId = Number(url.searchParams.get('mailbox_id'));
+      const mailbox = MOCK_STATE.mailboxes.find(m => m.id === mailboxId);
+      const forwards = mailbox?.forward_to
+        ? [{ id: 1, mailbox_id: mailboxId, target: mailbox.forward_to, sender_domain: null, subject_contains: null, require_code: false }]
+        : [];
+      return new Response(JSON.stringify({ success: true, mailbox_id: mailboxId, forwards, max_forwards: 10 }), { headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ error: '演示模式不可操作' }), { status: 403, headers: jsonHeaders });
+  }
+
+  // /api/mailbox/forward/log - 转发记录（演示模式无记录）
+  if (url.pathname === '/api/mailbox/forward/log') {
+    const mailboxId = Number(url.searchParams.get('mailbox_id'));
+    return new Response(JSON.stringify({
+      success: true,
+      mailbox_id: mailboxId,
+      summary: { last_status: null, last_error: null, last_at: null, failed_24h: 0 },
+      entries: []
+    }), { headers: jsonHeaders });
+  }
+
+  // /api/mailbox/sender-filters - 发件人过滤（演示模式只读）
+  if (url.pathname === '/api/mailbox/sender-filters') {
+    if ((options.method || 'GET') === 'GET') {
+      return new Response(JSON.stringify({ success: true, mailbox_id: Number(url.searchParams.get('mailbox_id')), filters: [], rejections: [] }), { headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ error: '演示模式不可操作' }), { status: 403, headers: jsonHeaders });
+  }
+
+  // /api/mailbox/spam-threshold - 垃圾邮件阈值（演示模式只读）
+  if (url.pathname === '/api/mailbox/spam-threshold') {
+    if ((options.method || 'GET') === 'GET') {
+      return new Response(JSON.stringify({ success: true, mailbox_id: Number(url.searchParams.get('mailbox_id')), spam_threshold: null, default_threshold: 5 }), { headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ error: '演示模式不可操作' }), { status: 403, headers: jsonHeaders });
+  }
+
+  // /api/mailbox/aliases - 邮箱别名（演示模式只读）
+  if (url.pathname === '/api/mailbox/aliases') {
+    if ((options.method || 'GET') === 'GET') {
+      return new Response(JSON.stringify({ success: true, mailbox_id: Number(url.searchParams.get('mailbox_id')), aliases: [] }), { headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ error: '演示模式不可操作' }), { status: 403, headers: jsonHeaders });
+  }
+
+  // /api/mailbox/rules - 收件规则（演示模式只读）
+  if (url.pathname.startsWith('/api/mailbox/rules')) {
+    if (url.pathname === '/api/mailbox/rules' && (options.method || 'GET') === 'GET') {
+      return new Response(JSON.stringify({ success: true, mailbox_id: Number(url.searchParams.get('mailbox_id')), rules: [] }), { headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ error: '演示模式不可操作' }), { status: 403, headers: jsonHeaders });
+  }
+
+  // /api/mailbox/labels - 邮件标签（演示模式只读）
+  if (url.pathname.startsWith('/api/mailbox/labels')) {
+    if (url.pathname === '/api/mailbox/labels' && (options.method || 'GET') === 'GET') {
+      return new Response(JSON.stringify({ success: true, mailbox_id: Number(url.searchParams.get('mailbox_id')), labels: [], max_labels: 0 }), { headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ error: '演示模式不可操作' }), { status: 403, headers: jsonHeaders });
+  }
+
+  // /api/mailbox/auto-reply - 自动回复（演示模式只读）
+  if (url.pathname === '/api/mailbox/auto-reply') {
+    if ((options.method || 'GET') === 'GET') {
+      return new Response(JSON.stringify({ success: true, mailbox_id: Number(url.searchParams.get('mailbox_id')), auto_reply: null, default_throttle_days: 7, resend_configured: false }), { headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ error: '演示模式不可操作' }), { status: 403, headers: jsonHeaders });
+  }
+
+  // /api/webhooks - Webhook 订阅（演示模式只读）
+  if (url.pathname === '/api/webhooks' || url.pathname.startsWith('/api/webhooks/')) {
+    if ((options.method || 'GET') === 'GET') {
+      const body = url.pathname === '/api/webhooks' ? { success: true, webhooks: [] } : { success: true, deliveries: [] };
+      return new Response(JSON.stringify(body), { headers: jsonHeaders });
+    }
+    return new Response(JSON.stringify({ error: '演示模式不可操作' }), { status: 403, headers: jsonHeaders });
+  }
+
   // POST /api/mailbox/favorite - 切换收藏
   if (url.pathname === '/api/mailbox/favorite' && options.method === 'POST') {
     try {
@@ -403,7 +562,7 @@ export async function mockApi(path, options = {}) {
     try {
       const body = typeof options.body === 'string' ? JSON.parse(options.body || '{}') : (options.body || {});
       const addresses = body.addresses || [];
-      const forwardTo = body.forward_to || null;
+      const forwardTo = (Array.isArray(body.forward_to) ? body.forward_to[0] : body.forward_to) || null;
       
       let count = 0;
       for (const addr of addresses) {
@@ -78,6 +78,18 @@ export function escapeAttr(str) {
     .replace(/>/g, '&gt;');
 }
 
+/**
+ * 格式化文件大小
+ * @param {number} bytes - 字节数
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  const n = Number(bytes) || 0;
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
 /**
  * 设置按钮加载态
  * @param {HTMLElement} button - 按钮元素
@@ -238,6 +250,7 @@ export default {
   formatTsMobile,
   escapeHtml,
   escapeAttr,
+  formatBytes,
   setButtonLoading,
   restoreButton,
   extractCode,
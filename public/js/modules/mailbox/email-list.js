@@ -50,7 +50,7 @@ export function truncateText(text, maxLength = 100) {
  */
 export function renderEmailItem(email) {
   const id = email.id;
-  const sender = escapeHtml(email.sender || '未知发件人');
+  const sender = escapeHtml(email.sender_name || email.sender || '未知发件人');
   const subject = escapeHtml(email.subject || '(无主题)');
   const preview = escapeHtml(truncateText(email.preview || email.content || '', 80));
   const receivedAt = formatTime(email.received_at);
@@ -54,6 +54,17 @@ export function generateSkeleton(view = 'grid', count = 8) {
   return Array(count).fill(null).map(() => view === 'grid' ? createSkeletonCard() : createSkeletonListItem()).join('');
 }
 
+/**
+ * 最近一次转发结果的提示文本
+ * @param {object} m - 邮箱数据（forward_status / forward_error 来自转发记录）
+ * @returns {string}
+ */
+function forwardStatusTitle(m) {
+  if (m.forward_status === 'failed') return `最近一次转发失败: ${m.forward_error || '未知错误'}`;
+  if (m.forward_status === 'ok') return '最近一次转发成功';
+  return '暂无转发记录';
+}
+
 /**
  * 渲染网格卡片（使用原始 CSS 类名）
  * 操作按钮：复制、置顶、设置转发、收藏（2x2 布局）
@@ -70,7 +81,7 @@ export function renderCard(m) {
     <div class="mailbox-card" data-address="${addr}" data-id="${m.id}" data-action="jump">
       ${m.is_pinned ? '<div class="pin-badge" title="置顶">📌</div>' : ''}
       ${m.is_favorite ? '<div class="favorite-badge" title="收藏">⭐</div>' : ''}
-      ${forward ? `<div class="forward-badge" title="转发到: ${forward}">📤</div>` : ''}
+      ${forward ? `<div class="forward-badge ${m.forward_status === 'failed' ? 'failed' : ''}" title="转发到: ${forward}&#10;${escapeHtml(forwardStatusTitle(m))}">${m.forward_status === 'failed' ? '⚠️' : '📤'}</div>` : ''}
       <div class="line addr" title="${addr}">${addr}</div>
       <div class="line pwd">${m.password_is_default ? '🔓 默认密码' : '🔐 已设密码'}</div>
       <div class="line login">${m.can_login ? '✅ 可登录' : '🚫 禁止登录'}</div>
@@ -79,6 +90,11 @@ export function renderCard(m) {
         <button class="btn-icon" data-action="copy" title="复制">📋</button>
         <button class="btn-icon" data-action="password" title="${m.password_is_default ? '设置密码' : '重置密码'}">🔑</button>
         <button class="btn-icon" data-action="forward" title="设置转发">📤</button>
+        <button class="btn-icon" data-action="sender-filter" title="收件过滤">🛡️</button>
+        <button class="btn-icon" data-action="aliases" title="邮箱别名">🔗</button>
+        <button class="btn-icon" data-action="rules" title="收件规则">⚙️</button>
+        <button class="btn-icon" data-action="auto-reply" title="自动回复">🏖️</button>
+        <button class="btn-icon" data-action="webhooks" title="Webhook">🪝</button>
         <button class="btn-icon ${m.is_favorite ? 'active' : ''}" data-action="favorite" title="${m.is_favorite ? '取消收藏' : '收藏'}">${m.is_favorite ? '⭐' : '☆'}</button>
       </div>
     </div>`;
@@ -107,7 +123,8 @@ export function renderListItem(m) {
           <span class="meta-status meta-login ${m.can_login ? 'enabled' : 'disabled'}" title="${m.can_login ? '允许登录' : '禁止登录'}">${m.can_login ? '✅' : '🚫'}</span>
           <span class="meta-status meta-fav ${m.is_favorite ? 'active' : ''}" title="${m.is_favorite ? '已收藏' : '未收藏'}">${m.is_favorite ? '⭐' : '☆'}</span>
           ${forward 
-            ? `<span class="meta-forward" title="转发到: ${forward}">📤 ${forward.length > 20 ? forward.substring(0, 20) + '...' : forward}</span>` 
+            ? `<span class="meta-forward" title="转发到: ${forward}">📤 ${forward.length > 20 ? forward.substring(0, 20) + '...' : forward}</span>
+               ${m.forward_status ? `<span class="meta-status meta-forward-status ${m.forward_status}" title="${escapeHtml(forwardStatusTitle(m))}">${m.forward_status === 'failed' ? '⚠️' : '✅'}</span>` : ''}` 
             : '<span class="meta-status meta-forward-empty" title="未设置转发">—</span>'}
         </div>
       </div>
@@ -115,6 +132,11 @@ export function renderListItem(m) {
         <button class="btn" data-action="copy" title="复制">📋</button>
         <button class="btn" data-action="jump" title="查看邮件">📧</button>
         <button class="btn" data-action="forward" title="转发设置">📤</button>
+        <button class="btn" data-action="sender-filter" title="收件过滤">🛡️</button>
+        <button class="btn" data-action="aliases" title="邮箱别名">🔗</button>
+        <button class="btn" data-action="rules" title="收件规则">⚙️</button>
+        <button class="btn" data-action="auto-reply" title="自动回复">🏖️</button>
+        <button class="btn" data-action="webhooks" title="Webhook">🪝</button>
         <button class="btn ${m.is_favorite ? 'active' : ''}" data-action="favorite" title="${m.is_favorite ? '取消收藏' : '收藏'}">${m.is_favorite ? '⭐' : '☆'}</button>
         <button class="btn" data-action="login" title="${m.can_login ? '禁止登录' : '允许登录'}">${m.can_login ? '🔐' : '🔓'}</button>
         <button class="btn" data-action="password" title="${m.password_is_default ? '设置密码' : '重置密码'}">🔑</button>
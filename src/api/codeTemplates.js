@@ -0,0 +1,223 @@
+/**
+ * 验证码提取模板 API 模块（仅严格管理员）
+ * @module api/codeTemplates
+ */
+
+import { isStrictAdmin, errorResponse, readRawEmail } from './helpers.js';
+import {
+  listCodeTemplates,
+  getCodeTemplatesForMatching,
+  getCodeTemplateById,
+  addCodeTemplate,
+  updateCodeTemplate,
+  deleteCodeTemplate
+} from '../db/codeTemplates.js';
+import {
+  DEFAULT_CODE_TEMPLATE_PRIORITY,
+  normalizeCodeTemplate,
+  matchCodeTemplateSender,
+  applyCodeTemplate,
+  extractCodeWithTemplates
+} from '../email/codeTemplates.js';
+import { parseEmailBody, extractVerificationCode } from '../email/parser.js';
+
+const MAX_BACKFILL_BATCH = 200;
+
+/**
+ * 模板对外返回格式
+ * @param {object} template - 模板记录
+ * @returns {object} 对外返回的模板
+ */
+function formatTemplate(template) {
+  return template ? { ...template, enabled: !!template.enabled } : null;
+}
+
+/**
+ * 读取已存储邮件的内容；原始邮件不可用时只使用主题和预览（complete 为 false）
+ * @param {object} r2 - R2 存储桶绑定
+ * @param {object} row - 邮件记录 { subject, preview, r2_object_key }
+ * @returns {Promise<{subject: string, text: string, html: string, complete: boolean}>} 邮件内容
+ */
+async function loadMessageContent(r2, row) {
+  if (r2 && row.r2_object_key) {
+    try {
+      const raw = await readRawEmail(r2, row.r2_object_key);
+      if (raw !== null) {
+        const parsed = parseEmailBody(raw || '');
+        return { subject: row.subject || '', text: parsed.text || '', html: parsed.html || '', complete: true };
+      }
+    } catch (e) {
+      console.error('读取原始邮件失败:', e);
+    }
+  }
+  return { subject: row.subject || '', text: row.preview || '', html: '', complete: false };
+}
+
+/**
+ * 处理验证码提取模板相关 API
+ * @param {Request} request - HTTP 请求
+ * @param {object} db - 数据库连接
+ * @param {URL} url - 请求 URL
+ * @param {string} path - 请求路径
+ * @param {object} options - 选项，r2 为原始邮件存储桶
+ * @returns {Promise<Response|null>} 响应或 null（未匹配）
+ */
+export async function handleCodeTemplatesApi(request, db, url, path, options) {
+  if (path !== '/api/code-templates' && !path.startsWith('/api/code-templates/')) return null;
+  if (!isStrictAdmin(request, options)) return errorResponse('Forbidden', 403);
+  if (options.mockOnly) {
+    if (path === '/api/code-templates' && request.method === 'GET') {
+      return Response.json({ success: true, templates: [], default_priority: DEFAULT_CODE_TEMPLATE_PRIORITY });
+    }
+    return errorResponse('演示模式不可操作', 403);
+  }
+
+  // 模板列表
+  if (path === '/api/code-templates' && request.method === 'GET') {
+    try {
+      const templates = await listCodeTemplates(db);
+      return Response.json({ success: true, templates: templates.map(formatTemplate), default_priority: DEFAULT_CODE_TEMPLATE_PRIORITY });
+    } catch (e) {
+      console.error('获取验证码提取模板失败:', e);
+      return errorResponse('获取验证码提取模板失败', 500);
+    }
+  }
+
+  // 添加模板
+  if (path === '/api/code-templates' && request.method === 'POST') {
+    try {
+      const body = await request.json();
+      const { template, error } = normalizeCodeTemplate(body);
+      if (error) return errorResponse(error, 400);
+      const saved = await addCodeTemplate(db, template);
+      return Response.json({ success: true, template: formatTemplate(saved) });
+    } catch (e) {
+      console.error('添加验证码提取模板失败:', e);
+      return errorResponse('添加验证码提取模板失败', 500);
+    }
+  }
+
+  // 更新模板（未提供的字段保持不变）
+  if (path === '/api/code-templates' && request.method === 'PUT') {
+    try {
+      const body = await request.json();
+      const id = Number(body.id);
+      if (!id) return errorResponse('缺少有效的模板 ID', 400);
+      const existing = await getCodeTemplateById(db, id);
+      if (!existing) return errorResponse('模板不存在', 404);
+      const merged = { ...existing, enabled: !!existing.enabled };
+      for (const key of ['sender', 'pattern', 'min_length', 'max_length', 'priority', 'enabled']) {
+        if (body[key] !== undefined) merged[key] = body[key];
+      }
+      const { template, error } = normalizeCodeTemplate(merged);
+      if (error) return errorResponse(error, 400);
+      const saved = await updateCodeTemplate(db, id, template);
+      return Response.json({ success: true, template: formatTemplate(saved) });
+    } catch (e) {
+      console.error('更新验证码提取模板失败:', e);
+      return errorResponse('更新验证码提取模板失败', 500);
+    }
+  }
+
+  // 删除模板
+  if (path === '/api/code-templates' && request.method === 'DELETE') {
+    try {
+      const id = Number(url.searchParams.get('id'));
+      if (!id) return errorResponse('缺少有效的模板 ID', 400);
+      const deleted = await deleteCodeTemplate(db, id);
+      if (!deleted) return errorResponse('模板不存在', 404);
+      return Response.json({ success: true, id });
+    } catch (e) {
+      console.error('删除验证码提取模板失败:', e);
+      return errorResponse('删除验证码提取模板失败', 500);
+    }
+  }
+
+  // 对已存储的邮件运行模板：指定 template_id 或直接提交模板字段（未保存的模板），都未提供时按收件流程尝试全部已启用模板
+  if (path === '/api/code-templates/test' && request.method === 'POST') {
+    try {
+      const body = await request.json();
+      const messageId = Number(body.message_id);
+      if (!messageId) return errorResponse('缺少有效的邮件 ID', 400);
+      const row = await db.prepare(
+        'SELECT id, sender, subject, preview, verification_code, r2_object_key FROM messages WHERE id = ? LIMIT 1'
+      ).bind(messageId).first();
+      if (!row) return errorResponse('邮件不存在', 404);
+
+      let template = null;
+      if (body.template_id) {
+        template = await getCodeTemplateById(db, Number(body.template_id));
+        if (!template) return errorResponse('模板不存在', 404);
+      } else if (body.pattern !== undefined) {
+        const normalized = normalizeCodeTemplate({ ...body, sender: body.sender || row.sender });
+        if (normalized.error) return errorResponse(normalized.error, 400);
+        template = normalized.template;
+      }
+
+      const content = await loadMessageContent(options.r2, row);
+      const builtinCode = extractVerificationCode(content);
+      let code = '';
+      if (template) {
+        code = applyCodeTemplate(template, content);
+      } else {
+        const matched = extractCodeWithTemplates(await getCodeTemplatesForMatching(db), { sender: row.sender, ...content });
+        code = matched.code;
+        template = matched.template;
+      }
+      return Response.json({
+        success: true,
+        message_id: row.id,
+        sender: row.sender,
+        subject: row.subject,
+        template: formatTemplate(template),
+        sender_matched: template ? matchCodeTemplateSender(template, row.sender) : false,
+        code: code || null,
+        builtin_code: builtinCode || null,
+        current_code: row.verification_code || null
+      });
+    } catch (e) {
+      console.error('测试验证码提取模板失败:', e);
+      return errorResponse('测试失败', 500);
+    }
+  }
+
+  // 按当前模板与内置规则重新计算已存储邮件的验证码，按 ID 分批处理，返回下一批的起点
+  if (path === '/api/code-templates/backfill' && request.method === 'POST') {
+    try {
+      const body = await request.json().catch(() => ({}));
+      const afterId = Math.max(Number(body.after_id) || 0, 0);
+      const limit = Math.min(Math.max(Number(body.limit) || 50, 1), MAX_BACKFILL_BATCH);
+      const { results } = await db.prepare(`
+        SELECT id, sender, subject, preview, verification_code, r2_object_key FROM messages
+        WHERE id > ? ORDER BY id ASC LIMIT ?
+      `).bind(afterId, limit).all();
+      const rows = results || [];
+      const templates = await getCodeTemplatesForMatching(db);
+
+      let updated = 0;
+      for (const row of rows) {
+        const content = await loadMessageContent(options.r2, row);
+        const code = extractCodeWithTemplates(templates, { sender: row.sender, ...content }).code
+          || extractVerificationCode(content);
+        // 只有预览可用时不清除已有验证码
+        if (!code && !content.complete) continue;
+        if ((code || null) === (row.verification_code || null)) continue;
+        await db.prepare('UPDATE messages SET verification_code = ? WHERE id = ?').bind(code || null, row.id).run();
+        updated++;
+      }
+      const done = rows.length < limit;
+      return Response.json({
+        success: true,
+        processed: rows.length,
+        updated,
+        next_after_id: rows.length ? rows[rows.length - 1].id : afterId,
+        done
+      });
+    } catch (e) {
+      console.error('回填验证码失败:', e);
+      return errorResponse('回填失败', 500);
+    }
+  }
+
+  return null;
+}
@@ -3,11 +3,26 @@
  * @module api/emails
  */
 
-import { getJwtPayload, errorResponse } from './helpers.js';
+import { getJwtPayload, errorResponse, isStrictAdmin, readRawEmail } from './helpers.js';
 import { buildMockEmails, buildMockEmailDetail } from './mock.js';
 import { extractEmail } from '../utils/common.js';
-import { getMailboxIdByAddress } from '../db/index.js';
-import { parseEmailBody } from '../email/parser.js';
+import { getMailboxIdByAddress, parseAttachmentsField, parseCalendarEventField, listThreads, getThreadMessages, attachMessageLabels } from '../db/index.js';
+import { parseEmailBody, extractAttachment, extractInlinePart, rewriteCidReferences, decodeMimeWords, parseRawHeaders } from '../email/parser.js';
+import { parseCalendarEvent } from '../email/calendar.js';
+import { sanitizeHtml } from '../email/sanitizer.js';
+import { buildImageProxyUrl } from './imageProxy.js';
+import { createMediaSignature } from '../middleware/auth.js';
+
+/**
+ * 构造附件下载的 Content-Disposition 头（兼容非 ASCII 文件名）
+ * @param {string} filename - 文件名
+ * @returns {string} Content-Disposition 头值
+ */
+function buildAttachmentDisposition(filename) {
+  const name = String(filename || 'attachment');
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
 
 /**
  * 处理邮件相关 API
@@ -31,7 +46,7 @@ export async function handleEmailsApi(request, db, url, path, options) {
     }
     try {
       if (isMock) {
-        return Response.json(buildMockEmails(6));
+        return Response.json(url.searchParams.get('spam') === 'only' ? [] : buildMockEmails(6));
       }
       const normalized = extractEmail(mailbox).trim().toLowerCase();
       const mailboxId = await getMailboxIdByAddress(db, normalized);
@@ -46,17 +61,38 @@ export async function handleEmailsApi(request, db, url, path, options) {
       }
       
       const limit = Math.min(parseInt(url.searchParams.get('limit') || '20', 10), 50);
+
+      // 垃圾邮件默认隐藏：spam=only 仅返回垃圾邮件，spam=all 返回全部
+      const spamMode = String(url.searchParams.get('spam') || '').toLowerCase();
+      const spamFilter = spamMode === 'all' ? '' : (spamMode === 'only' ? ' AND is_spam = 1' : ' AND COALESCE(is_spam, 0) = 0');
+
+      // 子地址标签过滤：tag=github 仅返回 xxx+github@ 收到的邮件，tag= 为空字符串时返回无标签邮件
+      const tagParam = url.searchParams.get('tag');
+      const tagFilter = tagParam === null ? '' : (tagParam === '' ? ' AND tag IS NULL' : ' AND tag = ?');
+      const tagBind = tagParam ? [tagParam.trim().toLowerCase()] : [];
+
+      // 邮件标签过滤：label=名称（不区分大小写）仅返回带该标签的邮件
+      const labelParam = String(url.searchParams.get('label') || '').trim();
+      const labelFilter = labelParam
+        ? ' AND id IN (SELECT ml.message_id FROM message_labels ml JOIN labels l ON l.id = ml.label_id WHERE l.mailbox_id = ? AND l.name = ?)'
+        : '';
+      const labelBind = labelParam ? [mailboxId, labelParam] : [];
       
       try {
         const { results } = await db.prepare(`
-          SELECT id, sender, subject, received_at, is_read, preview, verification_code
+          SELECT id, sender, sender_name, subject, received_at, is_read, preview, verification_code, verification_link, verification_otp,
+                 spam_score, is_spam, tag
           FROM messages 
-          WHERE mailbox_id = ?${timeFilter}
+          WHERE mailbox_id = ?${spamFilter}${tagFilter}${labelFilter}${timeFilter}
           ORDER BY received_at DESC 
           LIMIT ?
-        `).bind(mailboxId, ...timeParam, limit).all();
-        return Response.json(results);
+        `).bind(mailboxId, ...tagBind, ...labelBind, ...timeParam, limit).all();
+        return Response.json(await attachMessageLabels(db, results));
       } catch (e) {
+        if (labelParam) {
+          console.error('按标签查询邮件失败:', e);
+          return errorResponse('按标签查询邮件失败', 500);
+        }
         const { results } = await db.prepare(`
           SELECT id, sender, subject, received_at, is_read,
                  CASE WHEN content IS NOT NULL AND content <> ''
@@ -76,6 +112,40 @@ export async function handleEmailsApi(request, db, url, path, options) {
     }
   }
 
+  // 获取邮箱内的子地址标签及邮件数量
+  if (path === '/api/emails/tags' && request.method === 'GET') {
+    const mailbox = url.searchParams.get('mailbox');
+    if (!mailbox) {
+      return errorResponse('缺少 mailbox 参数', 400);
+    }
+    try {
+      if (isMock) return Response.json([]);
+      const mailboxId = await getMailboxIdByAddress(db, extractEmail(mailbox).trim().toLowerCase());
+      if (!mailboxId) return Response.json([]);
+
+      let timeFilter = '';
+      let timeParam = [];
+      if (isMailboxOnly) {
+        const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+        timeFilter = ' AND received_at >= ?';
+        timeParam = [twentyFourHoursAgo];
+      }
+
+      const { results } = await db.prepare(`
+        SELECT tag, COUNT(*) AS count, MAX(received_at) AS last_received_at
+        FROM messages
+        WHERE mailbox_id = ? AND tag IS NOT NULL AND COALESCE(is_spam, 0) = 0${timeFilter}
+        GROUP BY tag
+        ORDER BY last_received_at DESC
+        LIMIT 100
+      `).bind(mailboxId, ...timeParam).all();
+      return Response.json(results || []);
+    } catch (e) {
+      console.error('查询标签失败:', e);
+      return errorResponse('查询标签失败', 500);
+    }
+  }
+
   // 批量查询邮件详情
   if (path === '/api/emails/batch' && request.method === 'GET') {
     try {
@@ -104,22 +174,108 @@ export async function handleEmailsApi(request, db, url, path, options) {
       const placeholders = ids.map(() => '?').join(',');
       try {
         const { results } = await db.prepare(`
-          SELECT id, sender, to_addrs, subject, verification_code, preview, r2_bucket, r2_object_key, received_at, is_read
+          SELECT id, sender, sender_name, to_addrs, subject, verification_code, verification_link, verification_otp, preview, r2_bucket, r2_object_key,
+                 received_at, is_read, spf_result, dkim_result, dmarc_result, spam_score, is_spam, tag
           FROM messages WHERE id IN (${placeholders})${timeFilter}
         `).bind(...ids, ...timeParam).all();
-        return Response.json(results || []);
+        return Response.json(await attachMessageLabels(db, results));
       } catch (e) {
         const { results } = await db.prepare(`
           SELECT id, sender, subject, content, html_content, received_at, is_read
           FROM messages WHERE id IN (${placeholders})${timeFilter}
         `).bind(...ids, ...timeParam).all();
-        return Response.json(results || []);
+        return Response.json((results || []).map(r => ({ ...r, html_content: sanitizeHtml(r.html_content, { origin: url.origin, remoteImage: () => '' }) })));
       }
     } catch (e) {
       return errorResponse('批量查询失败', 500);
     }
   }
 
+  // 获取会话列表 / 会话内邮件
+  if (path.startsWith('/api/threads') && request.method === 'GET') {
+    const mailbox = url.searchParams.get('mailbox');
+    if (!mailbox) {
+      return errorResponse('缺少 mailbox 参数', 400);
+    }
+    const threadId = path === '/api/threads' ? null : decodeURIComponent(path.slice('/api/threads/'.length));
+    try {
+      if (isMock) {
+        const mockEmails = buildMockEmails(6);
+        if (threadId) return Response.json(mockEmails.filter(e => `msg:${e.id}` === threadId));
+        return Response.json(mockEmails.map(e => ({
+          thread_id: `msg:${e.id}`,
+          subject: e.subject,
+          message_count: 1,
+          unread_count: e.is_read ? 0 : 1,
+          last_received_at: e.received_at,
+          participants: [e.sender],
+          latest: { id: e.id, sender: e.sender, sender_name: null, preview: e.preview, verification_code: e.verification_code }
+        })));
+      }
+      const normalized = extractEmail(mailbox).trim().toLowerCase();
+      const mailboxId = await getMailboxIdByAddress(db, normalized);
+      if (!mailboxId) return Response.json([]);
+      const since = isMailboxOnly ? new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() : null;
+
+      if (threadId) {
+        return Response.json(await attachMessageLabels(db, await getThreadMessages(db, mailboxId, threadId, { since })));
+      }
+      const limit = Math.min(parseInt(url.searchParams.get('limit') || '20', 10) || 20, 50);
+      return Response.json(await listThreads(db, mailboxId, { limit, since }));
+    } catch (e) {
+      console.error('查询会话失败:', e);
+      return errorResponse('查询会话失败', 500);
+    }
+  }
+
+  // 回填：重新解码历史邮件中的 RFC 2047 编码主题与收件人（仅严格管理员）
+  // 原始邮件仍在 R2 中时主题按字节从原始邮件头重新解码，否则解码数据库中保存的值
+  if (path === '/api/emails/redecode' && request.method === 'POST') {
+    if (isMock) return errorResponse('演示模式不可操作', 403);
+    if (!isStrictAdmin(request, options)) return errorResponse('Forbidden', 403);
+    try {
+      let body = {};
+      try { body = await request.json(); } catch (_) { }
+      const limit = Math.max(1, Math.min(parseInt(body.limit || '200', 10) || 200, 500));
+      const afterId = Math.max(0, parseInt(body.afterId || '0', 10) || 0);
+      const { results } = await db.prepare(`
+        SELECT id, subject, to_addrs, r2_object_key FROM messages
+        WHERE id > ? AND (subject LIKE '%=?%' OR to_addrs LIKE '%=?%')
+        ORDER BY id ASC
+        LIMIT ?
+      `).bind(afterId, limit).all();
+      const rows = results || [];
+      const updates = [];
+      for (const row of rows) {
+        let rawSubject = row.subject || '';
+        if (r2 && row.r2_object_key) {
+          try {
+            const raw = await readRawEmail(r2, row.r2_object_key);
+            const headers = raw ? parseRawHeaders(raw) : null;
+            if (headers && headers.has('subject')) rawSubject = headers.get('subject');
+          } catch (_) { }
+        }
+        const subject = decodeMimeWords(rawSubject) || '(无主题)';
+        const toAddrs = decodeMimeWords(row.to_addrs || '');
+        if (subject !== row.subject || toAddrs !== row.to_addrs) {
+          updates.push(db.prepare('UPDATE messages SET subject = ?, to_addrs = ? WHERE id = ?').bind(subject, toAddrs, row.id));
+        }
+      }
+      if (updates.length) await db.batch(updates);
+      const nextAfterId = rows.length ? rows[rows.length - 1].id : afterId;
+      return Response.json({
+        success: true,
+        scanned: rows.length,
+        updated: updates.length,
+        nextAfterId,
+        done: rows.length < limit
+      });
+    } catch (e) {
+      console.error('重新解码邮件头失败:', e);
+      return errorResponse('重新解码失败', 500);
+    }
+  }
+
   // 清空邮箱邮件
   if (request.method === 'DELETE' && path === '/api/emails') {
     if (isMock) return errorResponse('演示模式不可清空', 403);
@@ -166,12 +322,130 @@ export async function handleEmailsApi(request, db, url, path, options) {
     }
   }
 
-  // 获取单封邮件详情
+  // 附件列表与下载（从 R2 中的原始 EML 解码）- 必须在通用邮件详情处理器之前
+  const attachmentMatch = path.match(/^\/api\/email\/(\d+)\/attachments(?:\/(\d+))?$/);
+  if (request.method === 'GET' && attachmentMatch) {
+    const [, id, indexParam] = attachmentMatch;
+    if (isMock) {
+      return indexParam === undefined ? Response.json([]) : errorResponse('演示模式不可下载', 403);
+    }
+    try {
+      const { results } = await db.prepare('SELECT r2_object_key, attachments FROM messages WHERE id = ?').bind(id).all();
+      const row = (results || [])[0];
+      if (!row) return errorResponse('未找到邮件', 404);
+
+      if (indexParam === undefined) {
+        let list = parseAttachmentsField(row.attachments);
+        if (!list && row.r2_object_key && r2) {
+          const raw = await readRawEmail(r2, row.r2_object_key);
+          list = raw ? (parseEmailBody(raw).attachments || []) : [];
+        }
+        return Response.json((list || []).map(a => ({ ...a, url: `/api/email/${id}/attachments/${a.index}` })));
+      }
+
+      if (!row.r2_object_key) return errorResponse('未找到对象', 404);
+      if (!r2) return errorResponse('R2 未绑定', 500);
+      const raw = await readRawEmail(r2, row.r2_object_key);
+      if (!raw) return errorResponse('对象不存在', 404);
+      const attachment = extractAttachment(raw, Number(indexParam));
+      if (!attachment) return errorResponse('附件不存在', 404);
+      const headers = new Headers({ 'Content-Type': attachment.content_type || 'application/octet-stream' });
+      headers.set('Content-Disposition', buildAttachmentDisposition(attachment.filename));
+      headers.set('Content-Length', String(attachment.bytes.length));
+      headers.set('X-Content-Type-Options', 'nosniff');
+      return new Response(attachment.bytes, { headers });
+    } catch (e) {
+      console.error('读取附件失败:', e);
+      return errorResponse('读取附件失败', 500);
+    }
+  }
+
+  // 下载日历邀请（.ics，从 R2 中的原始 EML 提取）- 必须在通用邮件详情处理器之前
+  const calendarMatch = path.match(/^\/api\/email\/(\d+)\/calendar\.ics$/);
+  if (request.method === 'GET' && calendarMatch) {
+    if (isMock) return errorResponse('演示模式不可下载', 403);
+    const id = calendarMatch[1];
+    try {
+      const { results } = await db.prepare('SELECT r2_object_key, calendar_event FROM messages WHERE id = ?').bind(id).all();
+      const row = (results || [])[0];
+      if (!row || !row.r2_object_key) return errorResponse('未找到对象', 404);
+      if (!r2) return errorResponse('R2 未绑定', 500);
+      const raw = await readRawEmail(r2, row.r2_object_key);
+      if (!raw) return errorResponse('对象不存在', 404);
+      const calendar = parseEmailBody(raw).calendar;
+      if (!calendar) return errorResponse('邮件中没有日历邀请', 404);
+      const event = parseCalendarEventField(row.calendar_event) || parseCalendarEvent(calendar);
+      const name = String(event?.summary || 'invite').replace(/[\\/:*?"<>|\r\n]+/g, ' ').trim().slice(0, 80) || 'invite';
+      const headers = new Headers({ 'Content-Type': 'text/calendar; charset=utf-8' });
+      headers.set('Content-Disposition', buildAttachmentDisposition(`${name}.ics`));
+      headers.set('X-Content-Type-Options', 'nosniff');
+      return new Response(calendar, { headers });
+    } catch (e) {
+      console.error('读取日历邀请失败:', e);
+      return errorResponse('读取日历邀请失败', 500);
+    }
+  }
+
+  // 内联资源（HTML 中 cid: 引用的图片）- 必须在通用邮件详情处理器之前
+  const inlineMatch = path.match(/^\/api\/email\/(\d+)\/inline\/([^/]+)$/);
+  if (request.method === 'GET' && inlineMatch) {
+    if (isMock) return errorResponse('演示模式不可下载', 403);
+    const [, id, cidParam] = inlineMatch;
+    try {
+      const { results } = await db.prepare('SELECT r2_object_key FROM messages WHERE id = ?').bind(id).all();
+      const row = (results || [])[0];
+      if (!row || !row.r2_object_key) return errorResponse('未找到对象', 404);
+      if (!r2) return errorResponse('R2 未绑定', 500);
+      const raw = await readRawEmail(r2, row.r2_object_key);
+      if (!raw) return errorResponse('对象不存在', 404);
+      const part = extractInlinePart(raw, cidParam);
+      if (!part) return errorResponse('内联资源不存在', 404);
+      const contentType = part.content_type || 'application/octet-stream';
+      const headers = new Headers({ 'Content-Type': contentType });
+      // 仅图片允许内联展示，其余类型一律作为附件下载，避免在本站域名下渲染
+      if (!contentType.startsWith('image/') || contentType.includes('svg')) {
+        headers.set('Content-Disposition', buildAttachmentDisposition(part.filename));
+      }
+      headers.set('Content-Length', String(part.bytes.length));
+      headers.set('Cache-Control', 'private, max-age=86400');
+      headers.set('X-Content-Type-Options', 'nosniff');
+      return new Response(part.bytes, { headers });
+    } catch (e) {
+      console.error('读取内联资源失败:', e);
+      return errorResponse('读取内联资源失败', 500);
+    }
+  }
+
+  // 获取单封邮件详情；html_content 经过清理，严格管理员可通过 raw=1 获取原始 HTML
+  // 远程图片默认屏蔽，images=1 时改为经由图片代理加载
   if (request.method === 'GET' && path.startsWith('/api/email/')) {
     const emailId = path.split('/')[3];
+    const rawHtml = url.searchParams.get('raw') === '1' && isStrictAdmin(request, options);
+    const loadImages = url.searchParams.get('images') === '1';
+    let remoteImages = 0;
     if (isMock) {
       return Response.json(buildMockEmailDetail(emailId));
     }
+    // 正文在沙箱 iframe 中渲染，请求不带会话 Cookie，内联图片与代理图片地址逐个附带签名
+    const withMediaSignature = async (href) => {
+      const query = await createMediaSignature(options.mediaSecret, emailId, href);
+      return query ? `${href}${href.includes('?') ? '&' : '?'}${query}` : href;
+    };
+    // 清理回调为同步函数：先收集远程图片地址并签名代理地址，再清理正文
+    const sanitizeBody = async (html) => {
+      const proxied = new Map();
+      if (loadImages) {
+        sanitizeHtml(html, { origin: url.origin, remoteImage: (src) => { proxied.set(src, ''); return ''; } });
+        for (const src of proxied.keys()) proxied.set(src, await withMediaSignature(buildImageProxyUrl(src)));
+      }
+      return sanitizeHtml(html, {
+        origin: url.origin,
+        remoteImage: (src) => {
+          remoteImages++;
+          return proxied.get(src) || '';
+        }
+      });
+    };
     try {
       let timeFilter = '';
       let timeParam = [];
@@ -182,7 +456,8 @@ export async function handleEmailsApi(request, db, url, path, options) {
       }
       
       const { results } = await db.prepare(`
-        SELECT id, sender, to_addrs, subject, verification_code, preview, r2_bucket, r2_object_key, received_at, is_read
+        SELECT id, mailbox_id, sender, sender_name, to_addrs, cc_addrs, subject, verification_code, verification_link, verification_otp, preview, r2_bucket,
+               r2_object_key, received_at, is_read, message_id, in_reply_to, thread_id, spf_result, dkim_result, dmarc_result, spam_score, spam_reasons, is_spam, tag, calendar_event
         FROM messages WHERE id = ?${timeFilter}
       `).bind(emailId, ...timeParam).all();
       if (results.length === 0) {
@@ -192,21 +467,25 @@ export async function handleEmailsApi(request, db, url, path, options) {
         return errorResponse('未找到邮件', 404);
       }
       await db.prepare(`UPDATE messages SET is_read = 1 WHERE id = ?`).bind(emailId).run();
-      const row = results[0];
+      const { calendar_event: calendarEventField, ...row } = results[0];
       let content = '';
       let html_content = '';
+      let attachments = [];
+      let calendar = '';
       
       try {
         if (row.r2_object_key && r2) {
-          const obj = await r2.get(row.r2_object_key);
-          if (obj) {
-            let raw = '';
-            if (typeof obj.text === 'function') raw = await obj.text();
-            else if (typeof obj.arrayBuffer === 'function') raw = await new Response(await obj.arrayBuffer()).text();
-            else raw = await new Response(obj.body).text();
+          const raw = await readRawEmail(r2, row.r2_object_key);
+          if (raw !== null) {
             const parsed = parseEmailBody(raw || '');
             content = parsed.text || '';
-            html_content = parsed.html || '';
+            attachments = parsed.attachments || [];
+            calendar = parsed.calendar || '';
+            const inlineUrls = new Map();
+            for (const a of attachments) {
+              if (a.content_id) inlineUrls.set(a, await withMediaSignature(`/api/email/${emailId}/inline/${encodeURIComponent(a.content_id)}`));
+            }
+            html_content = rewriteCidReferences(parsed.html || '', attachments, (a) => inlineUrls.get(a));
           }
         }
       } catch (_) { }
@@ -220,15 +499,40 @@ export async function handleEmailsApi(request, db, url, path, options) {
         } catch (_) { }
       }
 
-      return Response.json({ ...row, content, html_content, download: row.r2_object_key ? `/api/email/${emailId}/download` : '' });
+      // 收件时未记录事件的旧邮件从原始 EML 解析
+      let event = parseCalendarEventField(calendarEventField);
+      if (!event && calendar) {
+        try { event = parseCalendarEvent(calendar); } catch (_) { }
+      }
+
+      const [{ labels }] = await attachMessageLabels(db, [row]);
+      const safeHtml = rawHtml ? html_content : await sanitizeBody(html_content);
+      return Response.json({
+        ...row,
+        labels,
+        content,
+        html_content: safeHtml,
+        remote_images: remoteImages,
+        images_loaded: loadImages || rawHtml,
+        attachments: attachments.map(a => ({ ...a, url: `/api/email/${emailId}/attachments/${a.index}` })),
+        download: row.r2_object_key ? `/api/email/${emailId}/download` : '',
+        event: event ? { ...event, download: row.r2_object_key ? `/api/email/${emailId}/calendar.ics` : '' } : null
+      });
     } catch (e) {
+      remoteImages = 0;
       const { results } = await db.prepare(`
         SELECT id, sender, subject, content, html_content, received_at, is_read
         FROM messages WHERE id = ?
       `).bind(emailId).all();
       if (!results || !results.length) return errorResponse('未找到邮件', 404);
       await db.prepare(`UPDATE messages SET is_read = 1 WHERE id = ?`).bind(emailId).run();
-      return Response.json(results[0]);
+      const safeHtml = rawHtml ? results[0].html_content : await sanitizeBody(results[0].html_content);
+      return Response.json({
+        ...results[0],
+        html_content: safeHtml,
+        remote_images: remoteImages,
+        images_loaded: loadImages || rawHtml
+      });
     }
   }
 
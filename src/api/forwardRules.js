@@ -0,0 +1,166 @@
+/**
+ * 全局转发规则 API 模块（仅严格管理员）
+ * @module api/forwardRules
+ */
+
+import { isStrictAdmin, errorResponse } from './helpers.js';
+import {
+  listForwardRules,
+  getForwardRuleById,
+  addForwardRule,
+  updateForwardRule,
+  deleteForwardRule,
+  importForwardRules
+} from '../db/forwardRules.js';
+import { listMailboxForwards } from '../db/mailboxForwards.js';
+import {
+  FORWARD_RULE_MATCH_TYPES,
+  DEFAULT_FORWARD_RULE_PRIORITY,
+  normalizeForwardRule,
+  matchForwardRule,
+  resolveForwardRule,
+  parseForwardRules
+} from '../email/forwarder.js';
+import { isValidEmail } from '../utils/common.js';
+
+/**
+ * 规则对外返回格式
+ * @param {object} rule - 规则记录
+ * @returns {object} 对外返回的规则
+ */
+function formatRule(rule) {
+  return rule ? { ...rule, enabled: !!rule.enabled } : null;
+}
+
+/**
+ * 处理全局转发规则相关 API
+ * @param {Request} request - HTTP 请求
+ * @param {object} db - 数据库连接
+ * @param {URL} url - 请求 URL
+ * @param {string} path - 请求路径
+ * @param {object} options - 选项，forwardRulesEnv 为 FORWARD_RULES 环境变量原值
+ * @returns {Promise<Response|null>} 响应或 null（未匹配）
+ */
+export async function handleForwardRulesApi(request, db, url, path, options) {
+  if (path !== '/api/forward-rules' && !path.startsWith('/api/forward-rules/')) return null;
+  if (!isStrictAdmin(request, options)) return errorResponse('Forbidden', 403);
+  const isMock = !!options.mockOnly;
+  if (isMock) {
+    if (path === '/api/forward-rules' && request.method === 'GET') {
+      return Response.json({ success: true, rules: [], match_types: FORWARD_RULE_MATCH_TYPES, default_priority: DEFAULT_FORWARD_RULE_PRIORITY, env_rules: [], using_env: false });
+    }
+    return errorResponse('演示模式不可操作', 403);
+  }
+
+  // 规则列表；数据库无规则时返回 FORWARD_RULES 环境变量中仍在生效的规则
+  if (path === '/api/forward-rules' && request.method === 'GET') {
+    try {
+      const rules = await listForwardRules(db);
+      const envRules = parseForwardRules(options.forwardRulesEnv);
+      return Response.json({
+        success: true,
+        rules: rules.map(formatRule),
+        match_types: FORWARD_RULE_MATCH_TYPES,
+        default_priority: DEFAULT_FORWARD_RULE_PRIORITY,
+        env_rules: envRules.map(formatRule),
+        using_env: rules.length === 0 && envRules.length > 0
+      });
+    } catch (e) {
+      console.error('获取全局转发规则失败:', e);
+      return errorResponse('获取全局转发规则失败', 500);
+    }
+  }
+
+  // 添加规则
+  if (path === '/api/forward-rules' && request.method === 'POST') {
+    try {
+      const body = await request.json();
+      const { rule, error } = normalizeForwardRule(body);
+      if (error) return errorResponse(error, 400);
+      const saved = await addForwardRule(db, rule);
+      return Response.json({ success: true, rule: formatRule(saved) });
+    } catch (e) {
+      console.error('添加全局转发规则失败:', e);
+      return errorResponse('添加全局转发规则失败', 500);
+    }
+  }
+
+  // 更新规则（未提供的字段保持不变）
+  if (path === '/api/forward-rules' && request.method === 'PUT') {
+    try {
+      const body = await request.json();
+      const id = Number(body.id);
+      if (!id) return errorResponse('缺少有效的规则 ID', 400);
+      const existing = await getForwardRuleById(db, id);
+      if (!existing) return errorResponse('规则不存在', 404);
+      const merged = { ...existing, enabled: !!existing.enabled };
+      for (const key of ['pattern', 'match_type', 'domain', 'target', 'priority', 'enabled']) {
+        if (body[key] !== undefined) merged[key] = body[key];
+      }
+      const { rule, error } = normalizeForwardRule(merged);
+      if (error) return errorResponse(error, 400);
+      const saved = await updateForwardRule(db, id, rule);
+      return Response.json({ success: true, rule: formatRule(saved) });
+    } catch (e) {
+      console.error('更新全局转发规则失败:', e);
+      return errorResponse('更新全局转发规则失败', 500);
+    }
+  }
+
+  // 删除规则
+  if (path === '/api/forward-rules' && request.method === 'DELETE') {
+    try {
+      const id = Number(url.searchParams.get('id'));
+      if (!id) return errorResponse('缺少有效的规则 ID', 400);
+      const deleted = await deleteForwardRule(db, id);
+      if (!deleted) return errorResponse('规则不存在', 404);
+      return Response.json({ success: true, id });
+    } catch (e) {
+      console.error('删除全局转发规则失败:', e);
+      return errorResponse('删除全局转发规则失败', 500);
+    }
+  }
+
+  // 测试地址会命中哪条规则；邮箱自身配置了转发目标时全局规则不生效
+  if (path === '/api/forward-rules/test' && request.method === 'GET') {
+    try {
+      const address = String(url.searchParams.get('address') || '').trim().toLowerCase();
+      if (!isValidEmail(address)) return errorResponse('邮箱地址格式无效', 400);
+      const { rule, source } = await resolveForwardRule(db, address, { FORWARD_RULES: options.forwardRulesEnv });
+      const candidates = source === 'db'
+        ? (await listForwardRules(db)).filter(r => matchForwardRule(r, address)).map(formatRule)
+        : [];
+      const mailbox = await db.prepare('SELECT id FROM mailboxes WHERE address = ? LIMIT 1').bind(address).first();
+      const mailboxForwards = mailbox ? await listMailboxForwards(db, mailbox.id) : [];
+      return Response.json({
+        success: true,
+        address,
+        source,
+        rule: formatRule(rule),
+        candidates,
+        mailbox_forwards: mailboxForwards.map(f => f.target),
+        overridden: mailboxForwards.length > 0
+      });
+    } catch (e) {
+      console.error('测试全局转发规则失败:', e);
+      return errorResponse('测试失败', 500);
+    }
+  }
+
+  // 从 FORWARD_RULES 环境变量导入规则（仅在数据库中没有规则时可用）
+  if (path === '/api/forward-rules/import' && request.method === 'POST') {
+    try {
+      const existing = await listForwardRules(db);
+      if (existing.length) return errorResponse('已存在全局转发规则，无法导入', 409);
+      const envRules = parseForwardRules(options.forwardRulesEnv);
+      if (!envRules.length) return errorResponse('FORWARD_RULES 环境变量中没有可导入的规则', 400);
+      const imported = await importForwardRules(db, envRules);
+      return Response.json({ success: true, imported, rules: (await listForwardRules(db)).map(formatRule) });
+    } catch (e) {
+      console.error('导入全局转发规则失败:', e);
+      return errorResponse('导入失败', 500);
+    }
+  }
+
+  return null;
+}
@@ -67,4 +67,17 @@ export function errorResponse(message, status = 400) {
   return new Response(message, { status });
 }
 
+/**
+ * 从 R2 读取原始邮件字节（不做字符集解码，由邮件解析模块按各部分声明的字符集解码）
+ * @param {object} r2 - R2 存储桶绑定
+ * @param {string} objectKey - 对象键
+ * @returns {Promise<Uint8Array|null>} 原始邮件内容，对象不存在返回 null
+ */
+export async function readRawEmail(r2, objectKey) {
+  const obj = await r2.get(objectKey);
+  if (!obj) return null;
+  if (typeof obj.arrayBuffer === 'function') return new Uint8Array(await obj.arrayBuffer());
+  return new Uint8Array(await new Response(obj.body).arrayBuffer());
+}
+
 export { sha256Hex };
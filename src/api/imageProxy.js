@@ -0,0 +1,190 @@
+/**
+ * 远程图片代理 API 模块
+ * 邮件正文中的远程图片改为经由本站获取，避免向发件方泄露查看者 IP 与阅读时间
+ * @module api/imageProxy
+ */
+
+import { errorResponse } from './helpers.js';
+import { parsePublicUrl } from '../utils/common.js';
+
+const IMAGE_PROXY_PATH = '/api/image-proxy';
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_URL_LENGTH = 2048;
+const FETCH_TIMEOUT_MS = 10000;
+const CACHE_MAX_AGE = 86400;
+const MAX_REDIRECTS = 3;
+
+/**
+ * 构造远程图片的代理地址
+ * @param {string} url - 远程图片地址
+ * @returns {string} 代理地址
+ */
+export function buildImageProxyUrl(url) {
+  return `${IMAGE_PROXY_PATH}?url=${encodeURIComponent(url)}`;
+}
+
+/**
+ * 校验代理目标：仅允许 http(s) 与默认端口，拒绝本机与内网地址
+ * @param {string} value - 目标地址
+ * @returns {URL|null} 解析后的地址，不允许时返回 null
+ */
+function parseProxyTarget(value) {
+  if (!value || value.length > MAX_URL_LENGTH) return null;
+  return parsePublicUrl(value);
+}
+
+/**
+ * 根据文件头识别图片类型（不信任上游的 Content-Type，SVG 可含脚本不予代理）
+ * @param {Uint8Array} bytes - 图片内容
+ * @returns {string} MIME 类型，无法识别返回空字符串
+ */
+function sniffImageType(bytes) {
+  const starts = (...sig) => sig.every((b, i) => bytes[i] === b);
+  const ascii = (offset, text) => [...text].every((c, i) => bytes[offset + i] === c.charCodeAt(0));
+  if (starts(0x89, 0x50, 0x4e, 0x47)) return 'image/png';
+  if (starts(0xff, 0xd8, 0xff)) return 'image/jpeg';
+  if (ascii(0, 'GIF8')) return 'image/gif';
+  if (ascii(0, 'RIFF') && ascii(8, 'WEBP')) return 'image/webp';
+  if (ascii(0, 'BM')) return 'image/bmp';
+  if (starts(0x00, 0x00, 0x01, 0x00)) return 'image/x-icon';
+  if (ascii(4, 'ftypavif')) return 'image/avif';
+  return '';
+}
+
+/**
+ * 读取响应体，超过大小上限时返回 null
+ * @param {Response} response - 上游响应
+ * @returns {Promise<Uint8Array|null>} 内容
+ */
+async function readLimitedBody(response) {
+  if (!response.body) return new Uint8Array(await response.arrayBuffer());
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > MAX_IMAGE_BYTES) {
+      try { await reader.cancel(); } catch (_) { }
+      return null;
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes;
+}
+
+/**
+ * 获取边缘缓存（非 Workers 运行环境时不可用）
+ */
+function getEdgeCache() {
+  try {
+    return typeof caches !== 'undefined' && caches.default ? caches.default : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 处理远程图片代理 API
+ * @param {Request} request - HTTP 请求
+ * @param {object} db - 数据库连接
+ * @param {URL} url - 请求 URL
+ * @param {string} path - 请求路径
+ * @param {object} options - 选项
+ * @returns {Promise<Response|null>} 响应或 null（未匹配）
+ */
+export async function handleImageProxyApi(request, db, url, path, options) {
+  if (path !== IMAGE_PROXY_PATH || request.method !== 'GET') return null;
+  if (options.mockOnly) return errorResponse('演示模式不可加载远程图片', 403);
+
+  const target = parseProxyTarget(url.searchParams.get('url') || '');
+  if (!target) return errorResponse('图片地址无效', 400);
+
+  // 缓存键只包含目标地址，各用户共享同一份缓存（请求已通过登录校验）
+  const cache = getEdgeCache();
+  const cacheKey = new Request(`${url.origin}${buildImageProxyUrl(target.href)}`);
+  if (cache) {
+    try {
+      const cached = await cache.match(cacheKey);
+      if (cached) {
+        const headers = new Headers(cached.headers);
+        headers.set('Cache-Control', `private, max-age=${CACHE_MAX_AGE}`);
+        return new Response(cached.body, { headers });
+      }
+    } catch (_) { }
+  }
+
+  // 手动跟随重定向，每一跳都重新校验目标地址
+  let upstream;
+  let current = target;
+  try {
+    for (let hop = 0; ; hop++) {
+      upstream = await fetch(current.href, {
+        headers: { 'Accept': 'image/avif,image/webp,image/png,image/jpeg,image/gif,image/*;q=0.8' },
+        redirect: 'manual',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        cf: { cacheTtl: CACHE_MAX_AGE, cacheEverything: true }
+      });
+      const location = upstream.status >= 300 && upstream.status < 400 ? upstream.headers.get('Location') : null;
+      if (!location) break;
+      try { await upstream.body?.cancel(); } catch (_) { }
+      let next = null;
+      try { next = parseProxyTarget(new URL(location, current).href); } catch (_) { }
+      if (!next || hop >= MAX_REDIRECTS) return errorResponse('远程图片重定向无效', 502);
+      current = next;
+    }
+  } catch (e) {
+    console.error('获取远程图片失败:', e?.message || e);
+    return errorResponse('获取远程图片失败', 502);
+  }
+  if (!upstream.ok) {
+    try { await upstream.body?.cancel(); } catch (_) { }
+    return errorResponse(`远程图片返回 ${upstream.status}`, 502);
+  }
+  const declared = String(upstream.headers.get('Content-Type') || '').toLowerCase();
+  if (declared && !declared.startsWith('image/') && !declared.startsWith('application/octet-stream')) {
+    try { await upstream.body?.cancel(); } catch (_) { }
+    return errorResponse('远程资源不是图片', 415);
+  }
+  if (Number(upstream.headers.get('Content-Length') || 0) > MAX_IMAGE_BYTES) {
+    try { await upstream.body?.cancel(); } catch (_) { }
+    return errorResponse('远程图片过大', 413);
+  }
+
+  let bytes;
+  try {
+    bytes = await readLimitedBody(upstream);
+  } catch (e) {
+    console.error('读取远程图片失败:', e?.message || e);
+    return errorResponse('获取远程图片失败', 502);
+  }
+  if (!bytes) return errorResponse('远程图片过大', 413);
+  const contentType = sniffImageType(bytes);
+  if (!contentType) return errorResponse('远程资源不是支持的图片格式', 415);
+
+  const response = new Response(bytes, {
+    headers: {
+      'Content-Type': contentType,
+      'Content-Length': String(bytes.length),
+      'Cache-Control': `private, max-age=${CACHE_MAX_AGE}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'",
+      'Referrer-Policy': 'no-referrer'
+    }
+  });
+  if (cache) {
+    try {
+      await cache.put(cacheKey, new Response(bytes, {
+        headers: { ...Object.fromEntries(response.headers), 'Cache-Control': `public, max-age=${CACHE_MAX_AGE}` }
+      }));
+    } catch (_) { }
+  }
+  return response;
+}
@@ -7,6 +7,11 @@ import { handleUsersApi } from './users.js';
 import { handleMailboxesApi } from './mailboxes.js';
 import { handleEmailsApi } from './emails.js';
 import { handleSendApi } from './send.js';
+import { handleWebhooksApi } from './webhooks.js';
+import { handleForwardRulesApi } from './forwardRules.js';
+import { handleCodeTemplatesApi } from './codeTemplates.js';
+import { handleImageProxyApi } from './imageProxy.js';
+import { handleSearchApi } from './search.js';
 import { getJwtPayload, errorResponse } from './helpers.js';
 
 /**
@@ -23,13 +28,24 @@ export async function handleApiRequest(request, db, mailDomains, options = {
   adminName: '',
   r2: null,
   authPayload: null,
-  mailboxOnly: false
+  mailboxOnly: false,
+  mediaOnly: false,
+  forwardRulesEnv: '',
+  mediaSecret: ''
 }) {
   const url = new URL(request.url);
   const path = url.pathname;
   const isMock = !!options.mockOnly;
   const isMailboxOnly = !!options.mailboxOnly;
 
+  // 签名的邮件资源地址只能访问所签名邮件的内联资源与图片代理
+  if (options.mediaOnly) {
+    const messageId = options.authPayload?.messageId;
+    const isMediaPath = request.method === 'GET'
+      && (path === '/api/image-proxy' || (!!messageId && path.startsWith(`/api/email/${messageId}/inline/`)));
+    if (!isMediaPath) return errorResponse('访问被拒绝', 403);
+  }
+
   // 邮箱用户只能访问特定的API端点和自己的数据
   if (isMailboxOnly) {
     const payload = getJwtPayload(request, options);
@@ -37,7 +53,7 @@ export async function handleApiRequest(request, db, mailDomains, options = {
     const mailboxId = payload?.mailboxId;
     
     // 允许的API端点
-    const allowedPaths = ['/api/emails', '/api/email/', '/api/auth', '/api/quota', '/api/mailbox/password'];
+    const allowedPaths = ['/api/emails', '/api/email/', '/api/threads', '/api/auth', '/api/quota', '/api/mailbox/password', '/api/image-proxy', '/api/search'];
     const isAllowedPath = allowedPaths.some(allowedPath => path.startsWith(allowedPath));
     
     if (!isAllowedPath) {
@@ -45,7 +61,7 @@ export async function handleApiRequest(request, db, mailDomains, options = {
     }
     
     // 对于邮件相关API，限制只能访问自己的邮箱
-    if (path === '/api/emails' && request.method === 'GET') {
+    if ((path === '/api/emails' || path === '/api/emails/tags' || path.startsWith('/api/threads')) && request.method === 'GET') {
       const requestedMailbox = url.searchParams.get('mailbox');
       if (requestedMailbox && requestedMailbox.toLowerCase() !== mailboxAddress?.toLowerCase()) {
         return errorResponse('只能访问自己的邮箱', 403);
@@ -90,10 +106,30 @@ export async function handleApiRequest(request, db, mailDomains, options = {
   response = await handleEmailsApi(request, db, url, path, options);
   if (response) return response;
 
+  // 邮件搜索 API
+  response = await handleSearchApi(request, db, url, path, options);
+  if (response) return response;
+
   // 发送 API
   response = await handleSendApi(request, db, url, path, options);
   if (response) return response;
 
+  // Webhook 订阅 API
+  response = await handleWebhooksApi(request, db, url, path, options);
+  if (response) return response;
+
+  // 全局转发规则 API
+  response = await handleForwardRulesApi(request, db, url, path, options);
+  if (response) return response;
+
+  // 验证码提取模板 API
+  response = await handleCodeTemplatesApi(request, db, url, path, options);
+  if (response) return response;
+
+  // 远程图片代理 API
+  response = await handleImageProxyApi(request, db, url, path, options);
+  if (response) return response;
+
   return errorResponse('未找到 API 路径', 404);
 }
 
@@ -101,3 +137,8 @@ export { handleUsersApi } from './users.js';
 export { handleMailboxesApi } from './mailboxes.js';
 export { handleEmailsApi } from './emails.js';
 export { handleSendApi } from './send.js';
+export { handleWebhooksApi } from './webhooks.js';
+export { handleForwardRulesApi } from './forwardRules.js';
+export { handleCodeTemplatesApi } from './codeTemplates.js';
+export { handleImageProxyApi } from './imageProxy.js';
+export { handleSearchApi } from './search.js';
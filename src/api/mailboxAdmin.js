@@ -6,25 +6,69 @@
 import { getJwtPayload, isStrictAdmin, sha256Hex, errorResponse } from './helpers.js';
 import { invalidateMailboxCache, invalidateSystemStatCache } from '../utils/cache.js';
 import { getMailboxIdByAddress } from '../db/index.js';
+import { DEFAULT_SPAM_THRESHOLD } from '../email/spamCheck.js';
+import { RULE_CONDITIONS, RULE_ACTIONS } from '../email/rules.js';
+import { DEFAULT_AUTO_REPLY_THROTTLE_DAYS } from '../email/autoReply.js';
 import {
   handleSetForward,
+  handleListForwards,
+  handleAddForward,
+  handleDeleteForward,
+  handleGetForwardLog,
   handleToggleFavorite,
   handleBatchFavorite,
   handleBatchForward,
   handleBatchFavoriteByAddress,
-  handleBatchForwardByAddress
+  handleBatchForwardByAddress,
+  handleListSenderFilters,
+  handleAddSenderFilter,
+  handleDeleteSenderFilter,
+  handleGetSpamThreshold,
+  handleSetSpamThreshold,
+  handleListAliases,
+  handleAddAlias,
+  handleDeleteAlias,
+  handleListRules,
+  handleAddRule,
+  handleUpdateRule,
+  handleDeleteRule,
+  handleReorderRules,
+  handleDryRunRules,
+  handleGetAutoReply,
+  handleSetAutoReply,
+  handleListLabels,
+  handleAddLabel,
+  handleDeleteLabel,
+  handleApplyLabel,
+  handleRemoveLabel
 } from './mailboxSettings.js';
 
+/**
+ * 将 JWT 载荷转换为邮箱设置处理函数使用的 request.user（严格管理员的角色记为 strictAdmin）
+ * @param {Request} request - HTTP 请求
+ * @param {object|null} payload - JWT 载荷
+ * @param {object} options - 选项
+ * @returns {void}
+ */
+function attachRequestUser(request, payload, options) {
+  request.user = payload ? {
+    id: payload.userId,
+    role: payload.role === 'admin' && isStrictAdmin(request, options) ? 'strictAdmin' : payload.role,
+    mailboxId: payload.mailboxId
+  } : null;
+}
+
 /**
  * 处理邮箱管理员相关 API
  * @param {Request} request - HTTP 请求
  * @param {object} db - 数据库连接
+ * @param {Array<string>} mailDomains - 邮件域名列表
  * @param {URL} url - 请求 URL
  * @param {string} path - 请求路径
  * @param {object} options - 选项
  * @returns {Promise<Response|null>} 响应或 null（未匹配）
  */
-export async function handleMailboxAdminApi(request, db, url, path, options) {
+export async function handleMailboxAdminApi(request, db, mailDomains, url, path, options) {
   const isMock = !!options.mockOnly;
 
   // 删除邮箱
@@ -244,23 +288,101 @@ export async function handleMailboxAdminApi(request, db, url, path, options) {
   // ====== 邮箱设置：转发和收藏 ======
   if (path === '/api/mailbox/forward' && request.method === 'POST') {
     if (isMock) return errorResponse('演示模式不可操作', 403);
-    const payload = getJwtPayload(request, options);
-    request.user = payload ? {
-      id: payload.userId,
-      role: payload.role === 'admin' && isStrictAdmin(request, options) ? 'strictAdmin' : payload.role,
-      mailboxId: payload.mailboxId
-    } : null;
+    attachRequestUser(request, getJwtPayload(request, options), options);
     return await handleSetForward(request, { TEMP_MAIL_DB: db });
   }
 
+  if (path === '/api/mailbox/forwards') {
+    if (isMock && request.method !== 'GET') return errorResponse('演示模式不可操作', 403);
+    if (isMock) return Response.json({ success: true, forwards: [], max_forwards: 10 });
+    attachRequestUser(request, getJwtPayload(request, options), options);
+    if (request.method === 'GET') return await handleListForwards(request, { TEMP_MAIL_DB: db });
+    if (request.method === 'POST') return await handleAddForward(request, { TEMP_MAIL_DB: db });
+    if (request.method === 'DELETE') return await handleDeleteForward(request, { TEMP_MAIL_DB: db });
+  }
+
+  if (path === '/api/mailbox/forward/log' && request.method === 'GET') {
+    if (isMock) return Response.json({ success: true, summary: { last_status: null, last_error: null, last_at: null, failed_24h: 0 }, entries: [] });
+    attachRequestUser(request, getJwtPayload(request, options), options);
+    return await handleGetForwardLog(request, { TEMP_MAIL_DB: db });
+  }
+
+  // ====== 邮箱设置：发件人允许/拒绝列表 ======
+  if (path === '/api/mailbox/sender-filters') {
+    if (isMock && request.method !== 'GET') return errorResponse('演示模式不可操作', 403);
+    if (isMock) return Response.json({ success: true, filters: [], rejections: [] });
+    attachRequestUser(request, getJwtPayload(request, options), options);
+    if (request.method === 'GET') return await handleListSenderFilters(request, { TEMP_MAIL_DB: db });
+    if (request.method === 'POST') return await handleAddSenderFilter(request, { TEMP_MAIL_DB: db });
+    if (request.method === 'DELETE') return await handleDeleteSenderFilter(request, { TEMP_MAIL_DB: db });
+  }
+
+  // ====== 邮箱设置：垃圾邮件阈值 ======
+  if (path === '/api/mailbox/spam-threshold') {
+    if (isMock && request.method !== 'GET') return errorResponse('演示模式不可操作', 403);
+    if (isMock) return Response.json({ success: true, spam_threshold: null, default_threshold: DEFAULT_SPAM_THRESHOLD });
+    attachRequestUser(request, getJwtPayload(request, options), options);
+    if (request.method === 'GET') return await handleGetSpamThreshold(request, { TEMP_MAIL_DB: db });
+    if (request.method === 'POST') return await handleSetSpamThreshold(request, { TEMP_MAIL_DB: db });
+  }
+
+  // ====== 邮箱设置：别名 ======
+  if (path === '/api/mailbox/aliases') {
+    if (isMock && request.method !== 'GET') return errorResponse('演示模式不可操作', 403);
+    if (isMock) return Response.json({ success: true, aliases: [] });
+    attachRequestUser(request, getJwtPayload(request, options), options);
+    const domains = Array.isArray(mailDomains) ? mailDomains : [(mailDomains || 'temp.example.com')];
+    if (request.method === 'GET') return await handleListAliases(request, { TEMP_MAIL_DB: db });
+    if (request.method === 'POST') return await handleAddAlias(request, { TEMP_MAIL_DB: db, MAIL_DOMAINS: domains });
+    if (request.method === 'DELETE') return await handleDeleteAlias(request, { TEMP_MAIL_DB: db });
+  }
+
+  // ====== 邮箱设置：收件规则 ======
+  if (path === '/api/mailbox/rules' || path === '/api/mailbox/rules/reorder' || path === '/api/mailbox/rules/dry-run') {
+    if (isMock && path === '/api/mailbox/rules' && request.method === 'GET') {
+      return Response.json({ success: true, rules: [], conditions: RULE_CONDITIONS, actions: RULE_ACTIONS });
+    }
+    if (isMock) return errorResponse('演示模式不可操作', 403);
+    attachRequestUser(request, getJwtPayload(request, options), options);
+    const env = { TEMP_MAIL_DB: db, MAIL_EML: options.r2 };
+    if (path === '/api/mailbox/rules/reorder' && request.method === 'POST') return await handleReorderRules(request, env);
+    if (path === '/api/mailbox/rules/dry-run' && request.method === 'POST') return await handleDryRunRules(request, env);
+    if (path === '/api/mailbox/rules') {
+      if (request.method === 'GET') return await handleListRules(request, env);
+      if (request.method === 'POST') return await handleAddRule(request, env);
+      if (request.method === 'PUT') return await handleUpdateRule(request, env);
+      if (request.method === 'DELETE') return await handleDeleteRule(request, env);
+    }
+  }
+
+  // ====== 邮箱设置：自动回复 ======
+  if (path === '/api/mailbox/auto-reply') {
+    if (isMock && request.method !== 'GET') return errorResponse('演示模式不可操作', 403);
+    if (isMock) return Response.json({ success: true, auto_reply: null, default_throttle_days: DEFAULT_AUTO_REPLY_THROTTLE_DAYS, resend_configured: false });
+    attachRequestUser(request, getJwtPayload(request, options), options);
+    const env = { TEMP_MAIL_DB: db, RESEND_CONFIGURED: !!options.resendApiKey };
+    if (request.method === 'GET') return await handleGetAutoReply(request, env);
+    if (request.method === 'POST') return await handleSetAutoReply(request, env);
+  }
+
+  // ====== 邮箱设置：邮件标签 ======
+  if (path === '/api/mailbox/labels' || path === '/api/mailbox/labels/apply' || path === '/api/mailbox/labels/remove') {
+    if (isMock && path === '/api/mailbox/labels' && request.method === 'GET') return Response.json({ success: true, labels: [], max_labels: 0 });
+    if (isMock) return errorResponse('演示模式不可操作', 403);
+    attachRequestUser(request, getJwtPayload(request, options), options);
+    const env = { TEMP_MAIL_DB: db };
+    if (path === '/api/mailbox/labels/apply' && request.method === 'POST') return await handleApplyLabel(request, env);
+    if (path === '/api/mailbox/labels/remove' && request.method === 'POST') return await handleRemoveLabel(request, env);
+    if (path === '/api/mailbox/labels') {
+      if (request.method === 'GET') return await handleListLabels(request, env);
+      if (request.method === 'POST') return await handleAddLabel(request, env);
+      if (request.method === 'DELETE') return await handleDeleteLabel(request, env);
+    }
+  }
+
   if (path === '/api/mailbox/favorite' && request.method === 'POST') {
     if (isMock) return errorResponse('演示模式不可操作', 403);
-    const payload = getJwtPayload(request, options);
-    request.user = payload ? {
-      id: payload.userId,
-      role: payload.role === 'admin' && isStrictAdmin(request, options) ? 'strictAdmin' : payload.role,
-      mailboxId: payload.mailboxId
-    } : null;
+    attachRequestUser(request, getJwtPayload(request, options), options);
     return await handleToggleFavorite(request, { TEMP_MAIL_DB: db });
   }
 
@@ -1,9 +1,57 @@
 /**
- * 邮箱设置 API 模块 - 处理转发和收藏相关的 API 逻辑
+ * 邮箱设置 API 模块 - 处理转发、收藏、发件人过滤、垃圾邮件阈值、别名、收件规则、自动回复和邮件标签相关的 API 逻辑
  * @module api/mailboxSettings
  */
 
 import { isValidEmail } from '../utils/common.js';
+import { normalizeSenderPattern } from '../email/senderFilter.js';
+import { DEFAULT_SPAM_THRESHOLD } from '../email/spamCheck.js';
+import { RULE_CONDITIONS, RULE_ACTIONS, normalizeRule, compileRules, evaluateRules } from '../email/rules.js';
+import { parseRawHeaders } from '../email/parser.js';
+import { readRawEmail } from './helpers.js';
+import { DEFAULT_AUTO_REPLY_THROTTLE_DAYS } from '../email/autoReply.js';
+import { normalizeForwardTarget } from '../email/forwarder.js';
+import {
+  SENDER_FILTER_TYPES,
+  listSenderFilters,
+  addSenderFilter,
+  deleteSenderFilter,
+  listSenderRejections
+} from '../db/senderFilters.js';
+import {
+  listMailboxAliases,
+  addMailboxAlias,
+  deleteMailboxAlias,
+  countUserAliases
+} from '../db/mailboxAliases.js';
+import {
+  listMailboxRules,
+  addMailboxRule,
+  updateMailboxRule,
+  deleteMailboxRule,
+  reorderMailboxRules
+} from '../db/mailboxRules.js';
+import { getAutoReplyConfig, saveAutoReplyConfig } from '../db/autoReplies.js';
+import {
+  MAX_FORWARDS_PER_MAILBOX,
+  listMailboxForwards,
+  upsertMailboxForward,
+  deleteMailboxForward,
+  replaceMailboxForwards
+} from '../db/mailboxForwards.js';
+import { listForwardLog, getForwardLogSummary } from '../db/forwardLog.js';
+import {
+  DEFAULT_LABEL_COLOR,
+  MAX_LABELS_PER_MAILBOX,
+  MAX_LABEL_NAME_LENGTH,
+  listLabels,
+  getLabel,
+  addLabel,
+  deleteLabel,
+  applyLabel,
+  removeLabel
+} from '../db/labels.js';
+import { getCachedUserQuota } from '../utils/cache.js';
 
 /**
  * 检查用户是否有权限操作指定邮箱
@@ -35,9 +83,37 @@ async function canUserAccessMailbox(db, user, mailboxId) {
 }
 
 /**
- * 设置邮箱转发目标
+ * 从请求体解析转发目标列表
+ * 支持 targets（地址或带条件的对象数组），或 forward_to（单个地址、地址数组，为空表示取消转发）
+ * @param {object} body - 请求体
+ * @returns {{forwards: Array<object>, error: string|null}} 规范化后的转发目标列表或错误信息
+ */
+function parseForwardTargets(body) {
+  let items = [];
+  if (Array.isArray(body.targets)) {
+    items = body.targets;
+  } else if (Array.isArray(body.forward_to)) {
+    items = body.forward_to;
+  } else if (body.forward_to) {
+    items = String(body.forward_to).split(/[,;\s]+/);
+  }
+  items = items.filter(item => item && (typeof item !== 'string' || item.trim()));
+  if (items.length > MAX_FORWARDS_PER_MAILBOX) {
+    return { forwards: [], error: `每个邮箱最多 ${MAX_FORWARDS_PER_MAILBOX} 个转发目标` };
+  }
+  const forwards = [];
+  for (const item of items) {
+    const { forward, error } = normalizeForwardTarget(item);
+    if (error) return { forwards: [], error };
+    if (!forwards.some(f => f.target === forward.target)) forwards.push(forward);
+  }
+  return { forwards, error: null };
+}
+
+/**
+ * 设置邮箱转发目标（替换该邮箱的全部转发目标）
  * POST /api/mailbox/forward
- * Body: { mailbox_id: number, forward_to: string | null | "" }
+ * Body: { mailbox_id: number, forward_to: string | string[] | null | "", targets?: Array<string|object> }
  * @param {Request} req - 请求对象
  * @param {object} env - 环境变量
  * @returns {Promise<Response>} 响应对象
@@ -51,16 +127,15 @@ export async function handleSetForward(req, env) {
     
     const body = await req.json();
     const mailbox_id = Number(body.mailbox_id);
-    const { forward_to } = body;
     
     if (!mailbox_id || isNaN(mailbox_id)) {
       return new Response(JSON.stringify({ error: '缺少有效的邮箱 ID' }), { status: 400 });
     }
     
     // 验证转发目标格式（如果提供了的话）
-    const forwardTarget = forward_to ? String(forward_to).trim() : null;
-    if (forwardTarget && !isValidEmail(forwardTarget)) {
-      return new Response(JSON.stringify({ error: '转发目标邮箱格式无效' }), { status: 400 });
+    const { forwards, error } = parseForwardTargets(body);
+    if (error) {
+      return new Response(JSON.stringify({ error }), { status: 400 });
     }
     
     const db = env.TEMP_MAIL_DB;
@@ -79,13 +154,13 @@ export async function handleSetForward(req, env) {
     }
     
     // 更新转发设置
-    await db.prepare('UPDATE mailboxes SET forward_to = ? WHERE id = ?')
-      .bind(forwardTarget, mailbox_id).run();
+    await replaceMailboxForwards(db, [mailbox_id], forwards);
     
     return new Response(JSON.stringify({
       success: true,
       mailbox_id,
-      forward_to: forwardTarget
+      forward_to: forwards[0]?.target || null,
+      targets: forwards
     }), { status: 200 });
     
   } catch (error) {
@@ -94,6 +169,129 @@ export async function handleSetForward(req, env) {
   }
 }
 
+/**
+ * 获取邮箱的转发目标列表
+ * GET /api/mailbox/forwards?mailbox_id=1
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleListForwards(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const mailbox_id = Number(new URL(req.url).searchParams.get('mailbox_id'));
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const forwards = await listMailboxForwards(db, mailbox_id);
+    return new Response(JSON.stringify({
+      success: true,
+      mailbox_id,
+      forwards: forwards.map(f => ({ ...f, require_code: !!f.require_code })),
+      max_forwards: MAX_FORWARDS_PER_MAILBOX
+    }), { status: 200 });
+  } catch (error) {
+    console.error('获取转发目标失败:', error);
+    return new Response(JSON.stringify({ error: '获取转发目标失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 添加转发目标（同一目标已存在时更新其条件）
+ * POST /api/mailbox/forwards
+ * Body: { mailbox_id: number, target: string, sender_domain?: string, subject_contains?: string, require_code?: boolean }
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleAddForward(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const body = await req.json();
+    const mailbox_id = Number(body.mailbox_id);
+
+    const { forward, error } = normalizeForwardTarget(body);
+    if (error) {
+      return new Response(JSON.stringify({ error }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const existing = await listMailboxForwards(db, mailbox_id);
+    if (existing.length >= MAX_FORWARDS_PER_MAILBOX && !existing.some(f => f.target === forward.target)) {
+      return new Response(JSON.stringify({ error: `每个邮箱最多 ${MAX_FORWARDS_PER_MAILBOX} 个转发目标` }), { status: 400 });
+    }
+
+    const saved = await upsertMailboxForward(db, mailbox_id, forward);
+    return new Response(JSON.stringify({ success: true, forward: { ...saved, require_code: !!saved?.require_code } }), { status: 200 });
+  } catch (error) {
+    console.error('添加转发目标失败:', error);
+    return new Response(JSON.stringify({ error: '添加转发目标失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 删除转发目标
+ * DELETE /api/mailbox/forwards?mailbox_id=1&id=2
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleDeleteForward(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const params = new URL(req.url).searchParams;
+    const mailbox_id = Number(params.get('mailbox_id'));
+    const id = Number(params.get('id'));
+    if (!id || isNaN(id)) {
+      return new Response(JSON.stringify({ error: '缺少有效的转发目标 ID' }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const deleted = await deleteMailboxForward(db, mailbox_id, id);
+    if (!deleted) {
+      return new Response(JSON.stringify({ error: '转发目标不存在' }), { status: 404 });
+    }
+    return new Response(JSON.stringify({ success: true, id }), { status: 200 });
+  } catch (error) {
+    console.error('删除转发目标失败:', error);
+    return new Response(JSON.stringify({ error: '删除转发目标失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 获取邮箱的转发记录
+ * GET /api/mailbox/forward/log?mailbox_id=1&limit=20
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleGetForwardLog(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const params = new URL(req.url).searchParams;
+    const mailbox_id = Number(params.get('mailbox_id'));
+    const limit = Math.min(Math.max(parseInt(params.get('limit') || '20', 10) || 20, 1), 100);
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const entries = await listForwardLog(db, mailbox_id, limit);
+    const summary = await getForwardLogSummary(db, mailbox_id);
+    return new Response(JSON.stringify({
+      success: true,
+      mailbox_id,
+      summary,
+      entries: entries.map(e => ({ ...e, success: !!e.success }))
+    }), { status: 200 });
+  } catch (error) {
+    console.error('获取转发记录失败:', error);
+    return new Response(JSON.stringify({ error: '获取转发记录失败' }), { status: 500 });
+  }
+}
+
 /**
  * 切换邮箱收藏状态
  * POST /api/mailbox/favorite
@@ -195,9 +393,9 @@ export async function handleBatchFavorite(req, env) {
 }
 
 /**
- * 批量设置转发目标
+ * 批量设置转发目标（替换所选邮箱的全部转发目标）
  * POST /api/mailboxes/batch-forward
- * Body: { mailbox_ids: number[], forward_to: string | null | "" }
+ * Body: { mailbox_ids: number[], forward_to: string | string[] | null | "", targets?: Array<string|object> }
  * @param {Request} req - 请求对象
  * @param {object} env - 环境变量
  * @returns {Promise<Response>} 响应对象
@@ -210,7 +408,7 @@ export async function handleBatchForward(req, env) {
     }
     
     const body = await req.json();
-    const { mailbox_ids, forward_to } = body;
+    const { mailbox_ids } = body;
     
     if (!Array.isArray(mailbox_ids) || mailbox_ids.length === 0) {
       return new Response(JSON.stringify({ error: '缺少邮箱 ID 列表' }), { status: 400 });
@@ -221,22 +419,25 @@ export async function handleBatchForward(req, env) {
     }
     
     // 验证转发目标格式（如果提供了的话）
-    const forwardTarget = forward_to ? String(forward_to).trim() : null;
-    if (forwardTarget && !isValidEmail(forwardTarget)) {
-      return new Response(JSON.stringify({ error: '转发目标邮箱格式无效' }), { status: 400 });
+    const { forwards, error } = parseForwardTargets(body);
+    if (error) {
+      return new Response(JSON.stringify({ error }), { status: 400 });
     }
     
     const db = env.TEMP_MAIL_DB;
     
-    // 批量更新
+    // 批量更新（只处理存在的邮箱）
     const placeholders = mailbox_ids.map(() => '?').join(',');
-    await db.prepare(`UPDATE mailboxes SET forward_to = ? WHERE id IN (${placeholders})`)
-      .bind(forwardTarget, ...mailbox_ids).run();
+    const { results } = await db.prepare(`SELECT id FROM mailboxes WHERE id IN (${placeholders})`)
+      .bind(...mailbox_ids.map(Number)).all();
+    const ids = (results || []).map(r => r.id);
+    await replaceMailboxForwards(db, ids, forwards);
     
     return new Response(JSON.stringify({
       success: true,
-      updated_count: mailbox_ids.length,
-      forward_to: forwardTarget
+      updated_count: ids.length,
+      forward_to: forwards[0]?.target || null,
+      targets: forwards
     }), { status: 200 });
     
   } catch (error) {
@@ -299,9 +500,9 @@ export async function handleBatchFavoriteByAddress(req, env) {
 }
 
 /**
- * 批量设置转发（通过邮箱地址）
+ * 批量设置转发（通过邮箱地址，替换所选邮箱的全部转发目标）
  * POST /api/mailboxes/batch-forward-by-address
- * Body: { addresses: string[], forward_to: string | null }
+ * Body: { addresses: string[], forward_to: string | string[] | null, targets?: Array<string|object> }
  * @param {Request} req - 请求对象
  * @param {object} env - 环境变量
  * @returns {Promise<Response>} 响应对象
@@ -314,7 +515,7 @@ export async function handleBatchForwardByAddress(req, env) {
     }
     
     const body = await req.json();
-    const { addresses, forward_to } = body;
+    const { addresses } = body;
     
     if (!Array.isArray(addresses) || addresses.length === 0) {
       return new Response(JSON.stringify({ error: '缺少邮箱地址列表' }), { status: 400 });
@@ -325,9 +526,9 @@ export async function handleBatchForwardByAddress(req, env) {
     }
     
     // 验证转发目标格式（如果提供了的话）
-    const forwardTarget = forward_to ? String(forward_to).trim() : null;
-    if (forwardTarget && !isValidEmail(forwardTarget)) {
-      return new Response(JSON.stringify({ error: '转发目标邮箱格式无效' }), { status: 400 });
+    const { forwards, error } = parseForwardTargets(body);
+    if (error) {
+      return new Response(JSON.stringify({ error }), { status: 400 });
     }
     
     const db = env.TEMP_MAIL_DB;
@@ -339,15 +540,18 @@ export async function handleBatchForwardByAddress(req, env) {
       return new Response(JSON.stringify({ error: '没有有效的邮箱地址' }), { status: 400 });
     }
     
-    // 批量更新
+    // 批量更新（只处理存在的邮箱）
     const placeholders = normalizedAddresses.map(() => '?').join(',');
-    const result = await db.prepare(`UPDATE mailboxes SET forward_to = ? WHERE address IN (${placeholders})`)
-      .bind(forwardTarget, ...normalizedAddresses).run();
+    const { results } = await db.prepare(`SELECT id FROM mailboxes WHERE address IN (${placeholders})`)
+      .bind(...normalizedAddresses).all();
+    const ids = (results || []).map(r => r.id);
+    await replaceMailboxForwards(db, ids, forwards);
     
     return new Response(JSON.stringify({
       success: true,
-      updated_count: result.meta?.changes || normalizedAddresses.length,
-      forward_to: forwardTarget
+      updated_count: ids.length,
+      forward_to: forwards[0]?.target || null,
+      targets: forwards
     }), { status: 200 });
     
   } catch (error) {
@@ -355,3 +559,820 @@ export async function handleBatchForwardByAddress(req, env) {
     return new Response(JSON.stringify({ error: '批量设置转发失败' }), { status: 500 });
   }
 }
+
+/**
+ * 校验邮箱存在且当前用户有权操作
+ * @param {object} db - 数据库连接
+ * @param {object} user - 用户对象
+ * @param {number} mailboxId - 邮箱 ID
+ * @returns {Promise<Response|null>} 校验失败时返回错误响应，通过返回 null
+ */
+async function checkMailboxAccess(db, user, mailboxId) {
+  if (!user || user.role === 'guest') {
+    return new Response(JSON.stringify({ error: '无权限' }), { status: 403 });
+  }
+  if (!mailboxId || isNaN(mailboxId)) {
+    return new Response(JSON.stringify({ error: '缺少有效的邮箱 ID' }), { status: 400 });
+  }
+  const mailbox = await db.prepare('SELECT id FROM mailboxes WHERE id = ? LIMIT 1').bind(mailboxId).first();
+  if (!mailbox) {
+    return new Response(JSON.stringify({ error: '邮箱不存在' }), { status: 404 });
+  }
+  const hasAccess = await canUserAccessMailbox(db, user, mailboxId);
+  if (!hasAccess) {
+    return new Response(JSON.stringify({ error: '无权限操作此邮箱' }), { status: 403 });
+  }
+  return null;
+}
+
+// ========== 发件人允许/拒绝列表 ==========
+
+/**
+ * 获取邮箱的发件人过滤规则及最近拒收记录
+ * GET /api/mailbox/sender-filters?mailbox_id=1
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleListSenderFilters(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const mailbox_id = Number(new URL(req.url).searchParams.get('mailbox_id'));
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const filters = await listSenderFilters(db, mailbox_id);
+    const rejections = await listSenderRejections(db, mailbox_id, 20);
+    return new Response(JSON.stringify({ success: true, mailbox_id, filters, rejections }), { status: 200 });
+  } catch (error) {
+    console.error('获取发件人过滤规则失败:', error);
+    return new Response(JSON.stringify({ error: '获取发件人过滤规则失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 添加发件人过滤规则
+ * POST /api/mailbox/sender-filters
+ * Body: { mailbox_id: number, type: 'allow' | 'block', pattern: string }
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleAddSenderFilter(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const body = await req.json();
+    const mailbox_id = Number(body.mailbox_id);
+    const type = String(body.type || '').trim();
+    const pattern = normalizeSenderPattern(body.pattern);
+
+    if (!SENDER_FILTER_TYPES.includes(type)) {
+      return new Response(JSON.stringify({ error: '规则类型必须为 allow 或 block' }), { status: 400 });
+    }
+    if (!pattern) {
+      return new Response(JSON.stringify({ error: '发件人模式格式无效' }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const filter = await addSenderFilter(db, mailbox_id, type, pattern);
+    return new Response(JSON.stringify({ success: true, filter }), { status: 200 });
+  } catch (error) {
+    console.error('添加发件人过滤规则失败:', error);
+    return new Response(JSON.stringify({ error: '添加发件人过滤规则失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 删除发件人过滤规则
+ * DELETE /api/mailbox/sender-filters?mailbox_id=1&id=2
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleDeleteSenderFilter(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const params = new URL(req.url).searchParams;
+    const mailbox_id = Number(params.get('mailbox_id'));
+    const id = Number(params.get('id'));
+    if (!id || isNaN(id)) {
+      return new Response(JSON.stringify({ error: '缺少有效的规则 ID' }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const deleted = await deleteSenderFilter(db, mailbox_id, id);
+    if (!deleted) {
+      return new Response(JSON.stringify({ error: '规则不存在' }), { status: 404 });
+    }
+    return new Response(JSON.stringify({ success: true, id }), { status: 200 });
+  } catch (error) {
+    console.error('删除发件人过滤规则失败:', error);
+    return new Response(JSON.stringify({ error: '删除发件人过滤规则失败' }), { status: 500 });
+  }
+}
+
+// ========== 垃圾邮件阈值 ==========
+
+/**
+ * 获取邮箱的垃圾邮件阈值
+ * GET /api/mailbox/spam-threshold?mailbox_id=1
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleGetSpamThreshold(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const mailbox_id = Number(new URL(req.url).searchParams.get('mailbox_id'));
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const row = await db.prepare('SELECT spam_threshold FROM mailboxes WHERE id = ? LIMIT 1').bind(mailbox_id).first();
+    const spam_threshold = row?.spam_threshold ?? null;
+    return new Response(JSON.stringify({
+      success: true,
+      mailbox_id,
+      spam_threshold,
+      default_threshold: DEFAULT_SPAM_THRESHOLD
+    }), { status: 200 });
+  } catch (error) {
+    console.error('获取垃圾邮件阈值失败:', error);
+    return new Response(JSON.stringify({ error: '获取垃圾邮件阈值失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 设置邮箱的垃圾邮件阈值
+ * POST /api/mailbox/spam-threshold
+ * Body: { mailbox_id: number, spam_threshold: number | null }，为 null 时恢复默认值
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleSetSpamThreshold(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const body = await req.json();
+    const mailbox_id = Number(body.mailbox_id);
+    const raw = body.spam_threshold;
+    const threshold = raw === null || raw === undefined || raw === '' ? null : Number(raw);
+
+    if (threshold !== null && (!Number.isFinite(threshold) || threshold <= 0 || threshold > 100)) {
+      return new Response(JSON.stringify({ error: '阈值必须为 0 到 100 之间的数字' }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    await db.prepare('UPDATE mailboxes SET spam_threshold = ? WHERE id = ?').bind(threshold, mailbox_id).run();
+    return new Response(JSON.stringify({ success: true, spam_threshold: threshold }), { status: 200 });
+  } catch (error) {
+    console.error('设置垃圾邮件阈值失败:', error);
+    return new Response(JSON.stringify({ error: '设置垃圾邮件阈值失败' }), { status: 500 });
+  }
+}
+
+// ========== 邮箱别名 ==========
+
+/**
+ * 获取邮箱的别名列表
+ * GET /api/mailbox/aliases?mailbox_id=1
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleListAliases(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const mailbox_id = Number(new URL(req.url).searchParams.get('mailbox_id'));
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const aliases = await listMailboxAliases(db, mailbox_id);
+    return new Response(JSON.stringify({ success: true, mailbox_id, aliases }), { status: 200 });
+  } catch (error) {
+    console.error('获取邮箱别名失败:', error);
+    return new Response(JSON.stringify({ error: '获取邮箱别名失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 添加邮箱别名（普通用户的别名计入邮箱配额）
+ * POST /api/mailbox/aliases
+ * Body: { mailbox_id: number, address: string }
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量，MAIL_DOMAINS 为允许的域名列表
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleAddAlias(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const body = await req.json();
+    const mailbox_id = Number(body.mailbox_id);
+    const address = String(body.address || '').trim().toLowerCase();
+
+    if (!isValidEmail(address)) {
+      return new Response(JSON.stringify({ error: '别名地址格式无效' }), { status: 400 });
+    }
+    const domains = (env.MAIL_DOMAINS || []).map(d => String(d).toLowerCase());
+    if (!domains.includes(address.split('@')[1])) {
+      return new Response(JSON.stringify({ error: '别名域名不在可用域名列表中' }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    if (req.user.role === 'user') {
+      const quota = await getCachedUserQuota(db, req.user.id);
+      const aliasCount = await countUserAliases(db, req.user.id);
+      if (quota.used + aliasCount >= quota.limit) {
+        return new Response(JSON.stringify({ error: '已达到邮箱上限（别名计入邮箱配额）' }), { status: 403 });
+      }
+    }
+
+    let alias;
+    try {
+      alias = await addMailboxAlias(db, mailbox_id, address);
+    } catch (e) {
+      return new Response(JSON.stringify({ error: e.message }), { status: 409 });
+    }
+    return new Response(JSON.stringify({ success: true, alias }), { status: 200 });
+  } catch (error) {
+    console.error('添加邮箱别名失败:', error);
+    return new Response(JSON.stringify({ error: '添加邮箱别名失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 删除邮箱别名
+ * DELETE /api/mailbox/aliases?mailbox_id=1&id=2
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleDeleteAlias(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const params = new URL(req.url).searchParams;
+    const mailbox_id = Number(params.get('mailbox_id'));
+    const id = Number(params.get('id'));
+    if (!id || isNaN(id)) {
+      return new Response(JSON.stringify({ error: '缺少有效的别名 ID' }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const deleted = await deleteMailboxAlias(db, mailbox_id, id);
+    if (!deleted) {
+      return new Response(JSON.stringify({ error: '别名不存在' }), { status: 404 });
+    }
+    return new Response(JSON.stringify({ success: true, id }), { status: 200 });
+  } catch (error) {
+    console.error('删除邮箱别名失败:', error);
+    return new Response(JSON.stringify({ error: '删除邮箱别名失败' }), { status: 500 });
+  }
+}
+
+// ========== 收件规则 ==========
+
+/**
+ * 获取邮箱的收件规则（按执行顺序）
+ * GET /api/mailbox/rules?mailbox_id=1
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleListRules(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const mailbox_id = Number(new URL(req.url).searchParams.get('mailbox_id'));
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const rules = await listMailboxRules(db, mailbox_id);
+    return new Response(JSON.stringify({
+      success: true,
+      mailbox_id,
+      rules,
+      conditions: RULE_CONDITIONS,
+      actions: RULE_ACTIONS
+    }), { status: 200 });
+  } catch (error) {
+    console.error('获取收件规则失败:', error);
+    return new Response(JSON.stringify({ error: '获取收件规则失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 添加收件规则（追加到末尾）
+ * POST /api/mailbox/rules
+ * Body: { mailbox_id, name?, condition_type, condition_value, header_name?, action, action_value?, enabled? }
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleAddRule(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const body = await req.json();
+    const mailbox_id = Number(body.mailbox_id);
+    const { rule, error } = normalizeRule(body);
+    if (error) {
+      return new Response(JSON.stringify({ error }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const created = await addMailboxRule(db, mailbox_id, rule);
+    return new Response(JSON.stringify({ success: true, rule: created }), { status: 200 });
+  } catch (error) {
+    console.error('添加收件规则失败:', error);
+    return new Response(JSON.stringify({ error: '添加收件规则失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 更新收件规则
+ * PUT /api/mailbox/rules
+ * Body: { mailbox_id, id, ...同添加规则 }
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleUpdateRule(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const body = await req.json();
+    const mailbox_id = Number(body.mailbox_id);
+    const id = Number(body.id);
+    if (!id || isNaN(id)) {
+      return new Response(JSON.stringify({ error: '缺少有效的规则 ID' }), { status: 400 });
+    }
+    const { rule, error } = normalizeRule(body);
+    if (error) {
+      return new Response(JSON.stringify({ error }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const updated = await updateMailboxRule(db, mailbox_id, id, rule);
+    if (!updated) {
+      return new Response(JSON.stringify({ error: '规则不存在' }), { status: 404 });
+    }
+    return new Response(JSON.stringify({ success: true, rule: updated }), { status: 200 });
+  } catch (error) {
+    console.error('更新收件规则失败:', error);
+    return new Response(JSON.stringify({ error: '更新收件规则失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 删除收件规则
+ * DELETE /api/mailbox/rules?mailbox_id=1&id=2
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleDeleteRule(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const params = new URL(req.url).searchParams;
+    const mailbox_id = Number(params.get('mailbox_id'));
+    const id = Number(params.get('id'));
+    if (!id || isNaN(id)) {
+      return new Response(JSON.stringify({ error: '缺少有效的规则 ID' }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const deleted = await deleteMailboxRule(db, mailbox_id, id);
+    if (!deleted) {
+      return new Response(JSON.stringify({ error: '规则不存在' }), { status: 404 });
+    }
+    return new Response(JSON.stringify({ success: true, id }), { status: 200 });
+  } catch (error) {
+    console.error('删除收件规则失败:', error);
+    return new Response(JSON.stringify({ error: '删除收件规则失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 调整收件规则执行顺序
+ * POST /api/mailbox/rules/reorder
+ * Body: { mailbox_id: number, ids: number[] }
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleReorderRules(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const body = await req.json();
+    const mailbox_id = Number(body.mailbox_id);
+    if (!Array.isArray(body.ids)) {
+      return new Response(JSON.stringify({ error: 'ids 必须为数组' }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const rules = await reorderMailboxRules(db, mailbox_id, body.ids);
+    return new Response(JSON.stringify({ success: true, rules }), { status: 200 });
+  } catch (error) {
+    console.error('调整规则顺序失败:', error);
+    return new Response(JSON.stringify({ error: '调整规则顺序失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 试运行收件规则：对邮箱最近 N 封已存储邮件执行规则，只返回结果不做修改
+ * POST /api/mailbox/rules/dry-run
+ * Body: { mailbox_id: number, limit?: number (默认 20，最大 50), rules?: Array }，未提供 rules 时使用已保存的规则
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量，MAIL_EML 用于读取邮件头（邮件头条件）
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleDryRunRules(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const body = await req.json();
+    const mailbox_id = Number(body.mailbox_id);
+    const limit = Math.min(Math.max(Number(body.limit) || 20, 1), 50);
+
+    let rules = null;
+    if (Array.isArray(body.rules)) {
+      rules = [];
+      for (let i = 0; i < body.rules.length; i++) {
+        const { rule, error } = normalizeRule(body.rules[i]);
+        if (error) {
+          return new Response(JSON.stringify({ error: `第 ${i + 1} 条规则: ${error}` }), { status: 400 });
+        }
+        rules.push({ ...rule, id: Number(body.rules[i].id) || i + 1 });
+      }
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    // 规则正则只编译一次，供本批邮件共用
+    rules = compileRules(rules || await listMailboxRules(db, mailbox_id));
+    const needsHeaders = rules.some(r => r.enabled && r.condition_type === 'header');
+
+    const { results } = await db.prepare(`
+      SELECT id, sender, subject, verification_code, received_at, r2_object_key
+      FROM messages WHERE mailbox_id = ?
+      ORDER BY received_at DESC, id DESC LIMIT ?
+    `).bind(mailbox_id, limit).all();
+
+    const items = [];
+    for (const msg of results || []) {
+      let headers = null;
+      if (needsHeaders && env.MAIL_EML && msg.r2_object_key) {
+        try {
+          const raw = await readRawEmail(env.MAIL_EML, msg.r2_object_key);
+          if (raw) headers = parseRawHeaders(raw);
+        } catch (_) { }
+      }
+      const outcome = evaluateRules(rules, {
+        sender: msg.sender,
+        subject: msg.subject,
+        verificationCode: msg.verification_code,
+        headers
+      });
+      items.push({
+        id: msg.id,
+        sender: msg.sender,
+        subject: msg.subject,
+        received_at: msg.received_at,
+        matched_rules: outcome.matched,
+        actions: {
+          labels: outcome.labels,
+          mark_read: outcome.markRead,
+          delete: outcome.drop,
+          skip_storage: outcome.skipStorage,
+          forwards: outcome.forwards
+        }
+      });
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      mailbox_id,
+      evaluated: items.length,
+      matched: items.filter(i => i.matched_rules.length).length,
+      results: items
+    }), { status: 200 });
+  } catch (error) {
+    console.error('试运行收件规则失败:', error);
+    return new Response(JSON.stringify({ error: '试运行收件规则失败' }), { status: 500 });
+  }
+}
+
+// ========== 自动回复 ==========
+
+const MAX_AUTO_REPLY_SUBJECT_LENGTH = 200;
+const MAX_AUTO_REPLY_BODY_LENGTH = 5000;
+
+function parseOptionalTime(value) {
+  if (value === null || value === undefined || value === '') return { value: null, ok: true };
+  const t = Date.parse(String(value));
+  if (Number.isNaN(t)) return { value: null, ok: false };
+  return { value: new Date(t).toISOString(), ok: true };
+}
+
+/**
+ * 获取邮箱的自动回复配置
+ * GET /api/mailbox/auto-reply?mailbox_id=1
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量，RESEND_CONFIGURED 表示是否已配置发件服务
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleGetAutoReply(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const mailbox_id = Number(new URL(req.url).searchParams.get('mailbox_id'));
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const config = await getAutoReplyConfig(db, mailbox_id);
+    return new Response(JSON.stringify({
+      success: true,
+      mailbox_id,
+      auto_reply: config ? {
+        enabled: !!config.enabled,
+        subject: config.subject || '',
+        body: config.body || '',
+        start_at: config.start_at || null,
+        end_at: config.end_at || null,
+        throttle_days: config.throttle_days,
+        updated_at: config.updated_at
+      } : null,
+      default_throttle_days: DEFAULT_AUTO_REPLY_THROTTLE_DAYS,
+      resend_configured: !!env.RESEND_CONFIGURED
+    }), { status: 200 });
+  } catch (error) {
+    console.error('获取自动回复配置失败:', error);
+    return new Response(JSON.stringify({ error: '获取自动回复配置失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 保存邮箱的自动回复配置（启用时要求具有发件权限）
+ * POST /api/mailbox/auto-reply
+ * Body: { mailbox_id, enabled, subject?, body, start_at?, end_at?, throttle_days? }
+ * 主题与正文支持 {{sender}}、{{subject}} 占位符，主题为空时使用 "Re: 原主题"
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量，RESEND_CONFIGURED 表示是否已配置发件服务
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleSetAutoReply(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const body = await req.json();
+    const mailbox_id = Number(body.mailbox_id);
+    const enabled = !!body.enabled;
+    const subject = String(body.subject || '').trim();
+    const text = String(body.body || '');
+    const start = parseOptionalTime(body.start_at);
+    const end = parseOptionalTime(body.end_at);
+    const throttleDays = body.throttle_days === undefined || body.throttle_days === null || body.throttle_days === ''
+      ? DEFAULT_AUTO_REPLY_THROTTLE_DAYS
+      : Number(body.throttle_days);
+
+    if (subject.length > MAX_AUTO_REPLY_SUBJECT_LENGTH) {
+      return new Response(JSON.stringify({ error: '回复主题不能超过 200 个字符' }), { status: 400 });
+    }
+    if (text.length > MAX_AUTO_REPLY_BODY_LENGTH) {
+      return new Response(JSON.stringify({ error: '回复内容不能超过 5000 个字符' }), { status: 400 });
+    }
+    if (enabled && !text.trim()) {
+      return new Response(JSON.stringify({ error: '启用自动回复时回复内容不能为空' }), { status: 400 });
+    }
+    if (!start.ok || !end.ok) {
+      return new Response(JSON.stringify({ error: '生效时间格式无效' }), { status: 400 });
+    }
+    if (start.value && end.value && Date.parse(end.value) <= Date.parse(start.value)) {
+      return new Response(JSON.stringify({ error: '结束时间必须晚于开始时间' }), { status: 400 });
+    }
+    if (!Number.isInteger(throttleDays) || throttleDays < 1 || throttleDays > 365) {
+      return new Response(JSON.stringify({ error: '回复间隔必须为 1 到 365 之间的整数天数' }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    if (enabled) {
+      if (!env.RESEND_CONFIGURED) {
+        return new Response(JSON.stringify({ error: '未配置发件服务，无法启用自动回复' }), { status: 400 });
+      }
+      // 自动回复以邮箱地址对外发信，普通用户需具有发件权限
+      if (req.user.role === 'user') {
+        const row = await db.prepare('SELECT can_send FROM users WHERE id = ? LIMIT 1').bind(req.user.id).first();
+        if (!row?.can_send) {
+          return new Response(JSON.stringify({ error: '该用户未被授予发件权限，无法启用自动回复' }), { status: 403 });
+        }
+      }
+    }
+
+    const config = await saveAutoReplyConfig(db, mailbox_id, {
+      enabled,
+      subject,
+      body: text,
+      startAt: start.value,
+      endAt: end.value,
+      throttleDays
+    });
+    return new Response(JSON.stringify({ success: true, mailbox_id, auto_reply: { ...config, enabled: !!config.enabled } }), { status: 200 });
+  } catch (error) {
+    console.error('保存自动回复配置失败:', error);
+    return new Response(JSON.stringify({ error: '保存自动回复配置失败' }), { status: 500 });
+  }
+}
+
+// ========== 邮件标签 ==========
+
+const MAX_LABEL_BATCH_SIZE = 200;
+
+/**
+ * 规范化标签颜色
+ * @param {string} value - 颜色值，为空时使用默认颜色
+ * @returns {string|null} #rrggbb 格式的小写颜色，格式无效时返回 null
+ */
+function normalizeLabelColor(value) {
+  const color = String(value || '').trim().toLowerCase();
+  if (!color) return DEFAULT_LABEL_COLOR;
+  return /^#[0-9a-f]{6}$/.test(color) ? color : null;
+}
+
+/**
+ * 获取邮箱的标签列表（含各标签的邮件数量）
+ * GET /api/mailbox/labels?mailbox_id=1
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleListLabels(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const mailbox_id = Number(new URL(req.url).searchParams.get('mailbox_id'));
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const labels = await listLabels(db, mailbox_id);
+    return new Response(JSON.stringify({ success: true, mailbox_id, labels, max_labels: MAX_LABELS_PER_MAILBOX }), { status: 200 });
+  } catch (error) {
+    console.error('获取邮件标签失败:', error);
+    return new Response(JSON.stringify({ error: '获取邮件标签失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 创建邮件标签
+ * POST /api/mailbox/labels
+ * Body: { mailbox_id: number, name: string, color?: '#rrggbb' }
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleAddLabel(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const body = await req.json();
+    const mailbox_id = Number(body.mailbox_id);
+    const name = String(body.name || '').trim().replace(/\s+/g, ' ');
+    const color = normalizeLabelColor(body.color);
+
+    if (!name || name.length > MAX_LABEL_NAME_LENGTH) {
+      return new Response(JSON.stringify({ error: `标签名称不能为空且不超过 ${MAX_LABEL_NAME_LENGTH} 个字符` }), { status: 400 });
+    }
+    if (!color) {
+      return new Response(JSON.stringify({ error: '标签颜色必须为 #rrggbb 格式' }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    let label;
+    try {
+      label = await addLabel(db, mailbox_id, name, color);
+    } catch (e) {
+      return new Response(JSON.stringify({ error: e.message }), { status: 409 });
+    }
+    return new Response(JSON.stringify({ success: true, label }), { status: 200 });
+  } catch (error) {
+    console.error('创建邮件标签失败:', error);
+    return new Response(JSON.stringify({ error: '创建邮件标签失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 删除邮件标签（同时从所有邮件上移除）
+ * DELETE /api/mailbox/labels?mailbox_id=1&id=2
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleDeleteLabel(req, env) {
+  try {
+    const db = env.TEMP_MAIL_DB;
+    const params = new URL(req.url).searchParams;
+    const mailbox_id = Number(params.get('mailbox_id'));
+    const id = Number(params.get('id'));
+    if (!id || isNaN(id)) {
+      return new Response(JSON.stringify({ error: '缺少有效的标签 ID' }), { status: 400 });
+    }
+
+    const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+    if (denied) return denied;
+
+    const deleted = await deleteLabel(db, mailbox_id, id);
+    if (!deleted) {
+      return new Response(JSON.stringify({ error: '标签不存在' }), { status: 404 });
+    }
+    return new Response(JSON.stringify({ success: true, id }), { status: 200 });
+  } catch (error) {
+    console.error('删除邮件标签失败:', error);
+    return new Response(JSON.stringify({ error: '删除邮件标签失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 批量为邮件添加或移除标签（不属于该邮箱的邮件会被忽略）
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @param {boolean} remove - 是否为移除
+ * @returns {Promise<Response>} 响应对象
+ */
+async function handleBatchLabel(req, env, remove) {
+  const db = env.TEMP_MAIL_DB;
+  const body = await req.json();
+  const mailbox_id = Number(body.mailbox_id);
+  const label_id = Number(body.label_id);
+  if (!label_id || isNaN(label_id)) {
+    return new Response(JSON.stringify({ error: '缺少有效的标签 ID' }), { status: 400 });
+  }
+  if (!Array.isArray(body.message_ids) || body.message_ids.length === 0) {
+    return new Response(JSON.stringify({ error: '缺少邮件 ID 列表' }), { status: 400 });
+  }
+  if (body.message_ids.length > MAX_LABEL_BATCH_SIZE) {
+    return new Response(JSON.stringify({ error: `单次最多操作 ${MAX_LABEL_BATCH_SIZE} 封邮件` }), { status: 400 });
+  }
+  const messageIds = [...new Set(body.message_ids.map(Number).filter(id => Number.isInteger(id) && id > 0))];
+  if (!messageIds.length) {
+    return new Response(JSON.stringify({ error: '邮件 ID 无效' }), { status: 400 });
+  }
+
+  const denied = await checkMailboxAccess(db, req.user, mailbox_id);
+  if (denied) return denied;
+
+  const label = await getLabel(db, mailbox_id, label_id);
+  if (!label) {
+    return new Response(JSON.stringify({ error: '标签不存在' }), { status: 404 });
+  }
+  const updated_count = remove
+    ? await removeLabel(db, mailbox_id, label_id, messageIds)
+    : await applyLabel(db, mailbox_id, label_id, messageIds);
+  return new Response(JSON.stringify({ success: true, label, updated_count }), { status: 200 });
+}
+
+/**
+ * 批量为邮件添加标签
+ * POST /api/mailbox/labels/apply
+ * Body: { mailbox_id: number, label_id: number, message_ids: number[] }
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleApplyLabel(req, env) {
+  try {
+    return await handleBatchLabel(req, env, false);
+  } catch (error) {
+    console.error('添加邮件标签失败:', error);
+    return new Response(JSON.stringify({ error: '添加邮件标签失败' }), { status: 500 });
+  }
+}
+
+/**
+ * 批量移除邮件上的标签
+ * POST /api/mailbox/labels/remove
+ * Body: { mailbox_id: number, label_id: number, message_ids: number[] }
+ * @param {Request} req - 请求对象
+ * @param {object} env - 环境变量
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function handleRemoveLabel(req, env) {
+  try {
+    return await handleBatchLabel(req, env, true);
+  } catch (error) {
+    console.error('移除邮件标签失败:', error);
+    return new Response(JSON.stringify({ error: '移除邮件标签失败' }), { status: 500 });
+  }
+}
@@ -11,10 +11,21 @@ import {
   getOrCreateMailboxId,
   toggleMailboxPin,
   getTotalMailboxCount,
-  assignMailboxToUser
+  assignMailboxToUser,
+  CATCH_ALL_POLICIES,
+  DEFAULT_CATCH_ALL_POLICY,
+  listDomainPolicies,
+  setDomainPolicy
 } from '../db/index.js';
 import { handleMailboxAdminApi } from './mailboxAdmin.js';
 
+/** 邮箱列表附带的最近一次转发结果列（来自 forward_log） */
+const FORWARD_STATUS_COLUMNS = `
+                 (SELECT CASE WHEN fl.success = 1 THEN 'ok' ELSE 'failed' END FROM forward_log fl
+                   WHERE fl.mailbox_id = m.id ORDER BY fl.id DESC LIMIT 1) AS forward_status,
+                 (SELECT fl.error FROM forward_log fl
+                   WHERE fl.mailbox_id = m.id ORDER BY fl.id DESC LIMIT 1) AS forward_error`;
+
 /**
  * 处理邮箱管理相关 API
  * @param {Request} request - HTTP 请求
@@ -35,6 +46,43 @@ export async function handleMailboxesApi(request, db, mailDomains, url, path, op
     return Response.json(domains);
   }
 
+  // 域名 catch-all 收件策略（仅严格管理员）
+  if (path === '/api/domains/policies' && request.method === 'GET') {
+    if (!isStrictAdmin(request, options)) return errorResponse('Forbidden', 403);
+    if (isMock) {
+      return Response.json({
+        policies: CATCH_ALL_POLICIES,
+        default: DEFAULT_CATCH_ALL_POLICY,
+        list: MOCK_DOMAINS.map(domain => ({ domain, policy: DEFAULT_CATCH_ALL_POLICY, updated_at: null, rejected: {}, last_rejected_at: null }))
+      });
+    }
+    try {
+      const domains = Array.isArray(mailDomains) ? mailDomains : [(mailDomains || 'temp.example.com')];
+      const list = await listDomainPolicies(db, domains);
+      return Response.json({ policies: CATCH_ALL_POLICIES, default: DEFAULT_CATCH_ALL_POLICY, list });
+    } catch (e) {
+      console.error('查询域名策略失败:', e);
+      return errorResponse('查询失败', 500);
+    }
+  }
+
+  if (path === '/api/domains/policies' && request.method === 'PUT') {
+    if (isMock) return errorResponse('演示模式不可操作', 403);
+    if (!isStrictAdmin(request, options)) return errorResponse('Forbidden', 403);
+    try {
+      const body = await request.json();
+      const domain = String(body.domain || '').trim().toLowerCase();
+      const policy = String(body.policy || '').trim();
+      const domains = (Array.isArray(mailDomains) ? mailDomains : [mailDomains]).map(d => String(d || '').toLowerCase());
+      if (!domain || !domains.includes(domain)) return errorResponse('域名未配置', 400);
+      if (!CATCH_ALL_POLICIES.includes(policy)) return errorResponse('无效的策略', 400);
+      await setDomainPolicy(db, domain, policy);
+      return Response.json({ success: true, domain, policy });
+    } catch (e) {
+      return errorResponse('更新失败: ' + (e?.message || e), 500);
+    }
+  }
+
   // 随机生成邮箱
   if (path === '/api/generate') {
     const lengthParam = Number(url.searchParams.get('length') || 0);
@@ -339,7 +387,8 @@ export async function handleMailboxesApi(request, db, mailDomains, url, path, op
           SELECT m.id, m.address, m.created_at, COALESCE(um.is_pinned, 0) AS is_pinned,
                  CASE WHEN (m.password_hash IS NULL OR m.password_hash = '') THEN 1 ELSE 0 END AS password_is_default,
                  COALESCE(m.can_login, 0) AS can_login,
-                 m.forward_to, COALESCE(m.is_favorite, 0) AS is_favorite
+                 m.forward_to, COALESCE(m.is_favorite, 0) AS is_favorite,
+                 ${FORWARD_STATUS_COLUMNS}
           FROM mailboxes m
           LEFT JOIN user_mailboxes um ON m.id = um.mailbox_id AND um.user_id = ?
           ${whereClause}
@@ -361,7 +410,8 @@ export async function handleMailboxesApi(request, db, mailDomains, url, path, op
           SELECT m.id, m.address, m.created_at, 0 AS is_pinned,
                  CASE WHEN (m.password_hash IS NULL OR m.password_hash = '') THEN 1 ELSE 0 END AS password_is_default,
                  COALESCE(m.can_login, 0) AS can_login,
-                 m.forward_to, COALESCE(m.is_favorite, 0) AS is_favorite
+                 m.forward_to, COALESCE(m.is_favorite, 0) AS is_favorite,
+                 ${FORWARD_STATUS_COLUMNS}
           FROM mailboxes m
           ${whereClause}
           ORDER BY m.created_at DESC
@@ -383,7 +433,8 @@ export async function handleMailboxesApi(request, db, mailDomains, url, path, op
           SELECT m.id, m.address, m.created_at, um.is_pinned,
                  CASE WHEN (m.password_hash IS NULL OR m.password_hash = '') THEN 1 ELSE 0 END AS password_is_default,
                  COALESCE(m.can_login, 0) AS can_login,
-                 m.forward_to, COALESCE(m.is_favorite, 0) AS is_favorite
+                 m.forward_to, COALESCE(m.is_favorite, 0) AS is_favorite,
+                 ${FORWARD_STATUS_COLUMNS}
           FROM user_mailboxes um
           JOIN mailboxes m ON m.id = um.mailbox_id
           ${whereClause}
@@ -429,7 +480,7 @@ export async function handleMailboxesApi(request, db, mailDomains, url, path, op
   }
 
   // 委托给管理员 API 处理剩余操作
-  const adminResult = await handleMailboxAdminApi(request, db, url, path, options);
+  const adminResult = await handleMailboxAdminApi(request, db, mailDomains, url, path, options);
   if (adminResult) return adminResult;
 
   return null;
@@ -68,7 +68,9 @@ export function buildMockEmails(count = 5) {
       received_at: new Date(now - i * 3600000).toISOString(),
       is_read: i > 2 ? 1 : 0,
       preview: previews[i % previews.length],
-      verification_code: i === 1 ? '123456' : null
+      verification_code: i === 1 ? '123456' : null,
+      verification_link: i % subjects.length === 3 ? 'https://example.com/reset-password?token=demo' : null,
+      verification_otp: null
     });
   }
   
@@ -118,12 +120,17 @@ export function buildMockEmailDetail(emailId) {
     to_addrs: 'demo@exa.cc',
     subject: '[演示数据] 这是一封演示邮件',
     verification_code: '123456',
+    verification_link: null,
+    verification_otp: null,
     preview: '这是演示邮件的内容预览...',
     content: '这是演示邮件的纯文本内容。\n\n您的验证码是：123456\n\n请在5分钟内使用。',
     html_content: '<div style="padding:20px;"><h2>演示邮件</h2><p>您的验证码是：<strong>123456</strong></p><p>请在5分钟内使用。</p></div>',
     received_at: new Date().toISOString(),
     is_read: 1,
     r2_bucket: null,
-    r2_object_key: null
+    r2_object_key: null,
+    remote_images: 0,
+    images_loaded: false,
+    event: null
   };
 }
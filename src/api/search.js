@@ -0,0 +1,160 @@
+/**
+ * 邮件全文搜索 API 模块
+ * @module api/search
+ */
+
+import { getJwtPayload, errorResponse, isStrictAdmin, readRawEmail } from './helpers.js';
+import { extractEmail } from '../utils/common.js';
+import { searchMessages, indexMessageText, attachMessageLabels } from '../db/index.js';
+import { parseEmailBody, stripHtml } from '../email/parser.js';
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * 将日期或时间参数转换为 received_at 的存储格式（UTC，YYYY-MM-DD HH:MM:SS）
+ * @param {string|null} value - 参数值，如 2024-01-01 或 2024-01-01T08:00:00Z
+ * @returns {string|null|undefined} 转换结果；未提供时返回 null，无法解析时返回 undefined
+ */
+function normalizeTimeParam(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) return undefined;
+  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * 读取历史邮件的正文纯文本：优先从 R2 原始邮件解析，其次使用旧版数据库 messages 表中的 content/html_content 列
+ * @param {object} db - 数据库连接
+ * @param {object|null} r2 - R2 存储桶
+ * @param {object} row - 邮件记录（含 id、r2_object_key）
+ * @returns {Promise<string|null>} 正文纯文本，无法获取时返回 null
+ */
+async function loadMessageBodyText(db, r2, row) {
+  if (r2 && row.r2_object_key) {
+    try {
+      const raw = await readRawEmail(r2, row.r2_object_key);
+      if (raw) {
+        const { text, html } = parseEmailBody(raw);
+        return text && text.trim() ? text : stripHtml(html);
+      }
+    } catch (_) { }
+  }
+  try {
+    // 旧版列不一定同时存在，按整行读取
+    const legacy = await db.prepare('SELECT * FROM messages WHERE id = ?').bind(row.id).first();
+    if (legacy && (legacy.content || legacy.html_content)) {
+      return legacy.content && String(legacy.content).trim() ? legacy.content : stripHtml(legacy.html_content || '');
+    }
+  } catch (_) { }
+  return null;
+}
+
+/**
+ * 处理邮件搜索 API
+ * @param {Request} request - HTTP 请求
+ * @param {object} db - 数据库连接
+ * @param {URL} url - 请求 URL
+ * @param {string} path - 请求路径
+ * @param {object} options - 选项
+ * @returns {Promise<Response|null>} 响应或 null（未匹配）
+ */
+export async function handleSearchApi(request, db, url, path, options) {
+  // 回填：为历史邮件补建正文索引（仅严格管理员），按 ID 分批处理，无法获取正文的邮件保留原索引
+  if (path === '/api/search/reindex' && request.method === 'POST') {
+    if (options.mockOnly) return errorResponse('演示模式不可操作', 403);
+    if (!isStrictAdmin(request, options)) return errorResponse('Forbidden', 403);
+    try {
+      let body = {};
+      try { body = await request.json(); } catch (_) { }
+      const limit = Math.max(1, Math.min(parseInt(body.limit || '50', 10) || 50, 200));
+      const afterId = Math.max(0, parseInt(body.afterId || '0', 10) || 0);
+      const { results } = await db.prepare(`
+        SELECT id, subject, sender, sender_name, preview, r2_object_key FROM messages
+        WHERE id > ?
+        ORDER BY id ASC
+        LIMIT ?
+      `).bind(afterId, limit).all();
+      const rows = results || [];
+      let indexed = 0;
+      for (const row of rows) {
+        const bodyText = await loadMessageBodyText(db, options.r2, row);
+        if (bodyText === null) continue;
+        await indexMessageText(db, row.id, {
+          subject: row.subject,
+          sender: row.sender,
+          senderName: row.sender_name,
+          preview: row.preview,
+          body: bodyText
+        });
+        indexed++;
+      }
+      const nextAfterId = rows.length ? rows[rows.length - 1].id : afterId;
+      return Response.json({
+        success: true,
+        scanned: rows.length,
+        indexed,
+        nextAfterId,
+        done: rows.length < limit
+      });
+    } catch (e) {
+      console.error('重建全文索引失败:', e);
+      return errorResponse('重建索引失败', 500);
+    }
+  }
+
+  if (path !== '/api/search' || request.method !== 'GET') return null;
+
+  const query = String(url.searchParams.get('q') || '').trim();
+  if (!query) return errorResponse('缺少搜索关键词', 400);
+  if (query.length > MAX_QUERY_LENGTH) return errorResponse('搜索关键词不能超过 200 个字符', 400);
+  let after = normalizeTimeParam(url.searchParams.get('after'));
+  const before = normalizeTimeParam(url.searchParams.get('before'));
+  if (after === undefined || before === undefined) return errorResponse('时间参数格式无效', 400);
+
+  const limit = Math.max(1, Math.min(MAX_PAGE_SIZE, parseInt(url.searchParams.get('limit') || '20', 10) || 20));
+  const offset = Math.max(0, parseInt(url.searchParams.get('offset') || '0', 10) || 0);
+  if (options.mockOnly) return Response.json({ list: [], limit, offset, has_more: false });
+
+  const mailboxParam = url.searchParams.get('mailbox');
+  const mailbox = mailboxParam ? extractEmail(mailboxParam).trim().toLowerCase() : '';
+  const from = String(url.searchParams.get('from') || '').trim();
+
+  // 搜索范围：严格管理员为全部邮箱，邮箱用户仅为自己的邮箱（最近 24 小时），其他用户为 user_mailboxes 中关联的邮箱
+  const payload = getJwtPayload(request, options);
+  let mailboxIds = null;
+  let userId = null;
+  if (options.mailboxOnly) {
+    if (!payload?.mailboxId) return errorResponse('访问被拒绝', 403);
+    if (mailbox && mailbox !== String(payload.mailboxAddress || '').toLowerCase()) {
+      return errorResponse('只能访问自己的邮箱', 403);
+    }
+    mailboxIds = [payload.mailboxId];
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 19).replace('T', ' ');
+    if (!after || after < since) after = since;
+  } else if (!isStrictAdmin(request, options)) {
+    userId = Number(payload?.userId || 0);
+    if (!userId) return Response.json({ list: [], limit, offset, has_more: false });
+  }
+
+  try {
+    const rows = await searchMessages(db, {
+      query,
+      mailboxIds,
+      userId,
+      mailbox,
+      from,
+      after,
+      before,
+      includeSpam: String(url.searchParams.get('spam') || '').toLowerCase() === 'all',
+      limit: limit + 1,
+      offset
+    });
+    const list = await attachMessageLabels(db, rows.slice(0, limit));
+    return Response.json({ list, limit, offset, has_more: rows.length > limit });
+  } catch (e) {
+    console.error('搜索邮件失败:', e);
+    return errorResponse('搜索邮件失败', 500);
+  }
+}
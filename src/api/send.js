@@ -6,9 +6,11 @@
 import { getJwtPayload, errorResponse } from './helpers.js';
 import { getCachedSystemStat } from '../utils/cache.js';
 import { recordSentEmail, updateSentEmail } from '../db/index.js';
+import { sanitizeHtml } from '../email/sanitizer.js';
 import {
   sendEmailWithAutoResend,
   sendBatchWithAutoResend,
+  withMessageId,
   getEmailFromResend,
   updateEmailInResend,
   cancelEmailInResend
@@ -66,7 +68,7 @@ export async function handleSendApi(request, db, url, path, options) {
     try {
       const limit = Math.min(parseInt(url.searchParams.get('limit') || '20', 10), 50);
       const { results } = await db.prepare(`
-        SELECT id, resend_id, to_addrs as recipients, subject, created_at, status
+        SELECT id, resend_id, to_addrs as recipients, subject, created_at, status, diagnostic_code, bounced_at
         FROM sent_emails
         WHERE from_addr = ?
         ORDER BY datetime(created_at) DESC
@@ -86,11 +88,11 @@ export async function handleSendApi(request, db, url, path, options) {
     try {
       const { results } = await db.prepare(`
         SELECT id, resend_id, from_addr, to_addrs as recipients, subject,
-               html_content, text_content, status, scheduled_at, created_at
+               html_content, text_content, status, scheduled_at, created_at, message_id, diagnostic_code, bounced_at
         FROM sent_emails WHERE id = ?
       `).bind(id).all();
       if (!results || !results.length) return errorResponse('未找到发件', 404);
-      return Response.json(results[0]);
+      return Response.json({ ...results[0], html_content: sanitizeHtml(results[0].html_content, { origin: url.origin }) });
     } catch (e) {
       return errorResponse('查询失败', 500);
     }
@@ -116,7 +118,7 @@ export async function handleSendApi(request, db, url, path, options) {
       
       const allowed = await checkSendPermission(request, db, options);
       if (!allowed) return errorResponse('未授权发件或该用户未被授予发件权限', 403);
-      const sendPayload = await request.json();
+      const { payload: sendPayload, messageId } = withMessageId(await request.json());
       const result = await sendEmailWithAutoResend(RESEND_API_KEY, sendPayload);
       await recordSentEmail(db, {
         resendId: result.id || null,
@@ -127,7 +129,8 @@ export async function handleSendApi(request, db, url, path, options) {
         html: sendPayload.html,
         text: sendPayload.text,
         status: 'delivered',
-        scheduledAt: sendPayload.scheduledAt || null
+        scheduledAt: sendPayload.scheduledAt || null,
+        messageId
       });
       return Response.json({ success: true, id: result.id });
     } catch (e) {
@@ -143,7 +146,9 @@ export async function handleSendApi(request, db, url, path, options) {
       
       const allowed = await checkSendPermission(request, db, options);
       if (!allowed) return errorResponse('未授权发件或该用户未被授予发件权限', 403);
-      const items = await request.json();
+      const body = await request.json();
+      const prepared = (Array.isArray(body) ? body : []).map(item => withMessageId(item));
+      const items = prepared.map(p => p.payload);
       const result = await sendBatchWithAutoResend(RESEND_API_KEY, items);
       try {
         const arr = Array.isArray(result) ? result : [];
@@ -159,7 +164,8 @@ export async function handleSendApi(request, db, url, path, options) {
             html: payload.html,
             text: payload.text,
             status: 'delivered',
-            scheduledAt: payload.scheduledAt || null
+            scheduledAt: payload.scheduledAt || null,
+            messageId: prepared[i]?.messageId || null
           });
         }
       } catch (_) { /* ignore */ }
@@ -0,0 +1,243 @@
+/**
+ * Webhook 订阅 API 模块
+ * @module api/webhooks
+ */
+
+import { getJwtPayload, errorResponse } from './helpers.js';
+import {
+  listWebhooks,
+  getWebhookById,
+  addWebhook,
+  updateWebhook,
+  deleteWebhook,
+  countWebhooks,
+  listWebhookDeliveries
+} from '../db/webhooks.js';
+import { parsePublicUrl } from '../utils/common.js';
+import { generateWebhookSecret, deliverWebhook, WEBHOOK_EVENT_TEST } from '../email/webhooks.js';
+
+const MAX_WEBHOOKS_PER_SCOPE = 5;
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * 校验 Webhook 地址（仅允许 https 与默认端口，拒绝本机与内网地址）
+ * @param {string} value - 地址
+ * @returns {string|null} 规范化后的地址，无效时返回 null
+ */
+function normalizeWebhookUrl(value) {
+  const url = parsePublicUrl(value);
+  return url && url.protocol === 'https:' ? url.toString() : null;
+}
+
+/**
+ * 隐藏签名密钥，只返回末 4 位
+ * @param {object} webhook - Webhook 记录
+ * @returns {object} 对外返回的 Webhook
+ */
+function maskWebhook(webhook) {
+  if (!webhook) return null;
+  const { secret, ...rest } = webhook;
+  return { ...rest, enabled: !!rest.enabled, secret_hint: `…${String(secret || '').slice(-4)}` };
+}
+
+/**
+ * 判断当前用户能否管理指定范围的 Webhook
+ * 管理员可管理全部；普通用户可管理自己的用户级订阅及已分配邮箱的邮箱级订阅
+ * @param {object} db - 数据库连接
+ * @param {object} payload - JWT 载荷
+ * @param {object} scope - 订阅范围 { mailbox_id, user_id }
+ * @returns {Promise<boolean>} 是否有权限
+ */
+async function canManageScope(db, payload, { mailbox_id = null, user_id = null }) {
+  if (!payload) return false;
+  if (payload.role === 'admin') return true;
+  if (payload.role !== 'user' || !payload.userId) return false;
+  if (user_id) return Number(user_id) === Number(payload.userId);
+  if (mailbox_id) {
+    const row = await db.prepare('SELECT 1 AS ok FROM user_mailboxes WHERE user_id = ? AND mailbox_id = ? LIMIT 1')
+      .bind(payload.userId, mailbox_id).first();
+    return !!row;
+  }
+  return false;
+}
+
+/**
+ * 从请求中解析订阅范围（mailbox_id 或 user_id，普通用户缺省为自己）
+ * @param {object} source - 查询参数或请求体
+ * @param {object} payload - JWT 载荷
+ * @returns {{mailbox_id: number|null, user_id: number|null}} 订阅范围
+ */
+function readScope(source, payload) {
+  const mailboxId = Number(source.mailbox_id) || null;
+  const userId = Number(source.user_id) || null;
+  if (mailboxId) return { mailbox_id: mailboxId, user_id: null };
+  if (userId) return { mailbox_id: null, user_id: userId };
+  if (payload?.role === 'user' && payload.userId) return { mailbox_id: null, user_id: Number(payload.userId) };
+  return { mailbox_id: null, user_id: null };
+}
+
+/**
+ * 查询 Webhook 并校验当前用户的管理权限
+ * @param {object} db - 数据库连接
+ * @param {object} payload - JWT 载荷
+ * @param {number} id - Webhook ID
+ * @returns {Promise<{webhook: object|null, error: Response|null}>} Webhook 或错误响应
+ */
+async function loadManagedWebhook(db, payload, id) {
+  if (!id) return { webhook: null, error: errorResponse('缺少有效的 Webhook ID', 400) };
+  const webhook = await getWebhookById(db, id);
+  if (!webhook) return { webhook: null, error: errorResponse('Webhook 不存在', 404) };
+  if (!(await canManageScope(db, payload, webhook))) return { webhook: null, error: errorResponse('无权限操作此 Webhook', 403) };
+  return { webhook, error: null };
+}
+
+/**
+ * 处理 Webhook 订阅相关 API
+ * @param {Request} request - HTTP 请求
+ * @param {object} db - 数据库连接
+ * @param {URL} url - 请求 URL
+ * @param {string} path - 请求路径
+ * @param {object} options - 选项
+ * @returns {Promise<Response|null>} 响应或 null（未匹配）
+ */
+export async function handleWebhooksApi(request, db, url, path, options) {
+  if (path !== '/api/webhooks' && !path.startsWith('/api/webhooks/')) return null;
+  const isMock = !!options.mockOnly;
+  if (isMock) {
+    if (request.method === 'GET') return Response.json(path === '/api/webhooks' ? { success: true, webhooks: [] } : { success: true, deliveries: [] });
+    return errorResponse('演示模式不可操作', 403);
+  }
+
+  const payload = getJwtPayload(request, options);
+  if (!payload || (payload.role !== 'admin' && payload.role !== 'user')) return errorResponse('无权限', 403);
+
+  // 订阅列表
+  if (path === '/api/webhooks' && request.method === 'GET') {
+    const scope = readScope(Object.fromEntries(url.searchParams), payload);
+    if (!scope.mailbox_id && !scope.user_id) return errorResponse('缺少 mailbox_id 或 user_id', 400);
+    if (!(await canManageScope(db, payload, scope))) return errorResponse('无权限', 403);
+    try {
+      const webhooks = await listWebhooks(db, { mailboxId: scope.mailbox_id, userId: scope.user_id });
+      return Response.json({ success: true, ...scope, webhooks: webhooks.map(maskWebhook) });
+    } catch (e) {
+      console.error('获取 Webhook 列表失败:', e);
+      return errorResponse('获取 Webhook 列表失败', 500);
+    }
+  }
+
+  // 添加订阅（密钥只在创建与重置时返回）
+  if (path === '/api/webhooks' && request.method === 'POST') {
+    try {
+      const body = await request.json();
+      const scope = readScope(body, payload);
+      if (!scope.mailbox_id && !scope.user_id) return errorResponse('缺少 mailbox_id 或 user_id', 400);
+      const target = normalizeWebhookUrl(body.url);
+      if (!target) return errorResponse('Webhook 地址必须为公网 https URL', 400);
+      const secret = body.secret ? String(body.secret) : generateWebhookSecret();
+      if (secret.length < MIN_SECRET_LENGTH) return errorResponse('签名密钥至少 16 个字符', 400);
+      if (!(await canManageScope(db, payload, scope))) return errorResponse('无权限', 403);
+
+      if (scope.mailbox_id) {
+        const mailbox = await db.prepare('SELECT id FROM mailboxes WHERE id = ? LIMIT 1').bind(scope.mailbox_id).first();
+        if (!mailbox) return errorResponse('邮箱不存在', 404);
+      } else {
+        const user = await db.prepare('SELECT id FROM users WHERE id = ? LIMIT 1').bind(scope.user_id).first();
+        if (!user) return errorResponse('用户不存在', 404);
+      }
+      const count = await countWebhooks(db, { mailboxId: scope.mailbox_id, userId: scope.user_id });
+      if (count >= MAX_WEBHOOKS_PER_SCOPE) return errorResponse(`最多只能添加 ${MAX_WEBHOOKS_PER_SCOPE} 个 Webhook`, 400);
+
+      const webhook = await addWebhook(db, {
+        mailboxId: scope.mailbox_id,
+        userId: scope.user_id,
+        url: target,
+        secret,
+        enabled: body.enabled === undefined ? true : !!body.enabled
+      });
+      return Response.json({ success: true, webhook: { ...maskWebhook(webhook), secret } });
+    } catch (e) {
+      console.error('添加 Webhook 失败:', e);
+      return errorResponse('添加 Webhook 失败', 500);
+    }
+  }
+
+  // 更新订阅：地址、启用状态、重置密钥
+  if (path === '/api/webhooks' && request.method === 'PUT') {
+    try {
+      const body = await request.json();
+      const { error } = await loadManagedWebhook(db, payload, Number(body.id));
+      if (error) return error;
+      let target;
+      if (body.url !== undefined) {
+        target = normalizeWebhookUrl(body.url);
+        if (!target) return errorResponse('Webhook 地址必须为公网 https URL', 400);
+      }
+      const secret = body.rotate_secret ? generateWebhookSecret() : undefined;
+      const webhook = await updateWebhook(db, Number(body.id), {
+        url: target,
+        secret,
+        enabled: body.enabled === undefined ? undefined : !!body.enabled
+      });
+      return Response.json({ success: true, webhook: secret ? { ...maskWebhook(webhook), secret } : maskWebhook(webhook) });
+    } catch (e) {
+      console.error('更新 Webhook 失败:', e);
+      return errorResponse('更新 Webhook 失败', 500);
+    }
+  }
+
+  // 删除订阅
+  if (path === '/api/webhooks' && request.method === 'DELETE') {
+    try {
+      const id = Number(url.searchParams.get('id'));
+      const { error } = await loadManagedWebhook(db, payload, id);
+      if (error) return error;
+      await deleteWebhook(db, id);
+      return Response.json({ success: true });
+    } catch (e) {
+      console.error('删除 Webhook 失败:', e);
+      return errorResponse('删除 Webhook 失败', 500);
+    }
+  }
+
+  // 发送测试事件（只尝试一次，直接返回投递结果）
+  if (path === '/api/webhooks/test' && request.method === 'POST') {
+    try {
+      const body = await request.json();
+      const { webhook, error } = await loadManagedWebhook(db, payload, Number(body.id));
+      if (error) return error;
+      const mailbox = webhook.mailbox_id
+        ? (await db.prepare('SELECT address FROM mailboxes WHERE id = ? LIMIT 1').bind(webhook.mailbox_id).first())?.address
+        : null;
+      const delivery = await deliverWebhook(db, webhook, {
+        event: WEBHOOK_EVENT_TEST,
+        id: 0,
+        mailbox: mailbox || 'test@example.com',
+        sender: 'sender@example.com',
+        subject: 'Webhook 测试事件',
+        verification_code: '123456',
+        preview: '这是一条测试推送'
+      }, { maxAttempts: 1 });
+      return Response.json({ success: !!delivery?.success, delivery: { ...delivery, success: !!delivery?.success } });
+    } catch (e) {
+      console.error('发送 Webhook 测试事件失败:', e);
+      return errorResponse('发送测试事件失败', 500);
+    }
+  }
+
+  // 投递记录
+  if (path === '/api/webhooks/deliveries' && request.method === 'GET') {
+    try {
+      const id = Number(url.searchParams.get('id'));
+      const { error } = await loadManagedWebhook(db, payload, id);
+      if (error) return error;
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '20', 10) || 20, 1), 100);
+      const deliveries = await listWebhookDeliveries(db, id, limit);
+      return Response.json({ success: true, webhook_id: id, deliveries: deliveries.map(d => ({ ...d, success: !!d.success })) });
+    } catch (e) {
+      console.error('获取 Webhook 投递记录失败:', e);
+      return errorResponse('获取投递记录失败', 500);
+    }
+  }
+
+  return null;
+}
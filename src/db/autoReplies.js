@@ -0,0 +1,71 @@
+/**
+ * 邮箱自动回复数据库操作模块
+ * @module db/autoReplies
+ */
+
+const AUTO_REPLY_COLUMNS = 'mailbox_id, enabled, subject, body, start_at, end_at, throttle_days, updated_at';
+
+/**
+ * 查询邮箱的自动回复配置
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @returns {Promise<object|null>} 自动回复配置，未配置时返回 null
+ */
+export async function getAutoReplyConfig(db, mailboxId) {
+  return await db.prepare(`SELECT ${AUTO_REPLY_COLUMNS} FROM mailbox_auto_replies WHERE mailbox_id = ? LIMIT 1`)
+    .bind(mailboxId).first() || null;
+}
+
+/**
+ * 保存邮箱的自动回复配置（不存在时创建）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {object} config - 已校验的配置
+ * @param {boolean} config.enabled - 是否启用
+ * @param {string} config.subject - 回复主题模板，可为空
+ * @param {string} config.body - 回复正文模板
+ * @param {string|null} config.startAt - 生效开始时间（ISO），可选
+ * @param {string|null} config.endAt - 生效结束时间（ISO），可选
+ * @param {number} config.throttleDays - 同一发件人回复间隔（天）
+ * @returns {Promise<object>} 保存后的配置
+ */
+export async function saveAutoReplyConfig(db, mailboxId, { enabled, subject, body, startAt, endAt, throttleDays }) {
+  await db.prepare(`
+    INSERT INTO mailbox_auto_replies (mailbox_id, enabled, subject, body, start_at, end_at, throttle_days)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(mailbox_id) DO UPDATE SET
+      enabled = excluded.enabled, subject = excluded.subject, body = excluded.body,
+      start_at = excluded.start_at, end_at = excluded.end_at, throttle_days = excluded.throttle_days,
+      updated_at = CURRENT_TIMESTAMP
+  `).bind(mailboxId, enabled ? 1 : 0, subject || null, body || '', startAt || null, endAt || null, throttleDays).run();
+  return await getAutoReplyConfig(db, mailboxId);
+}
+
+/**
+ * 占用对某发件人的自动回复名额
+ * 上次回复距今不足间隔天数时不占用，以单条语句完成判断与写入，避免并发收件时重复回复
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {string} sender - 发件人地址（小写）
+ * @param {number} throttleDays - 回复间隔（天）
+ * @returns {Promise<boolean>} 是否可以回复
+ */
+export async function claimAutoReplySlot(db, mailboxId, sender, throttleDays) {
+  const result = await db.prepare(`
+    INSERT INTO auto_reply_log (mailbox_id, sender, last_replied_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(mailbox_id, sender) DO UPDATE SET last_replied_at = CURRENT_TIMESTAMP
+    WHERE auto_reply_log.last_replied_at <= datetime('now', ?)
+  `).bind(mailboxId, sender, `-${Math.max(1, Number(throttleDays) || 1)} days`).run();
+  return (result?.meta?.changes || 0) > 0;
+}
+
+/**
+ * 释放对某发件人的自动回复名额（用于发送失败后允许重试）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {string} sender - 发件人地址（小写）
+ * @returns {Promise<void>} 无返回值
+ */
+export async function releaseAutoReplySlot(db, mailboxId, sender) {
+  await db.prepare('DELETE FROM auto_reply_log WHERE mailbox_id = ? AND sender = ?').bind(mailboxId, sender).run();
+}
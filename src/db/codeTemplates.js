@@ -0,0 +1,87 @@
+/**
+ * 验证码提取模板数据库操作模块
+ * @module db/codeTemplates
+ */
+
+import { getCachedCodeTemplates, invalidateCodeTemplatesCache } from '../utils/cache.js';
+
+const CODE_TEMPLATE_COLUMNS = 'id, sender, pattern, min_length, max_length, priority, enabled, created_at, updated_at';
+
+/**
+ * 查询全部验证码提取模板（按优先级排序，数字越小越先匹配）
+ * @param {object} db - 数据库连接对象
+ * @returns {Promise<Array<object>>} 模板列表
+ */
+export async function listCodeTemplates(db) {
+  const { results } = await db.prepare(`
+    SELECT ${CODE_TEMPLATE_COLUMNS} FROM code_templates ORDER BY priority ASC, id ASC
+  `).all();
+  return results || [];
+}
+
+/**
+ * 查询收件时使用的验证码提取模板（带缓存，仅已启用的模板，表不可用时返回空列表）
+ * @param {object} db - 数据库连接对象
+ * @returns {Promise<Array<object>>} 模板列表
+ */
+export async function getCodeTemplatesForMatching(db) {
+  try {
+    return await getCachedCodeTemplates(db);
+  } catch (e) {
+    console.error('读取验证码提取模板失败:', e);
+    return [];
+  }
+}
+
+/**
+ * 按ID查询验证码提取模板
+ * @param {object} db - 数据库连接对象
+ * @param {number} id - 模板ID
+ * @returns {Promise<object|null>} 模板记录
+ */
+export async function getCodeTemplateById(db, id) {
+  return await db.prepare(`SELECT ${CODE_TEMPLATE_COLUMNS} FROM code_templates WHERE id = ? LIMIT 1`).bind(id).first() || null;
+}
+
+/**
+ * 添加验证码提取模板
+ * @param {object} db - 数据库连接对象
+ * @param {object} template - 规范化后的模板（见 email/codeTemplates.normalizeCodeTemplate）
+ * @returns {Promise<object>} 模板记录
+ */
+export async function addCodeTemplate(db, template) {
+  const result = await db.prepare(`
+    INSERT INTO code_templates (sender, pattern, min_length, max_length, priority, enabled) VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(template.sender, template.pattern, template.min_length, template.max_length, template.priority, template.enabled).run();
+  invalidateCodeTemplatesCache();
+  return await getCodeTemplateById(db, result?.meta?.last_row_id);
+}
+
+/**
+ * 更新验证码提取模板
+ * @param {object} db - 数据库连接对象
+ * @param {number} id - 模板ID
+ * @param {object} template - 规范化后的模板
+ * @returns {Promise<object|null>} 更新后的模板记录
+ */
+export async function updateCodeTemplate(db, id, template) {
+  await db.prepare(`
+    UPDATE code_templates SET sender = ?, pattern = ?, min_length = ?, max_length = ?, priority = ?, enabled = ?,
+           updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(template.sender, template.pattern, template.min_length, template.max_length, template.priority, template.enabled, id).run();
+  invalidateCodeTemplatesCache();
+  return await getCodeTemplateById(db, id);
+}
+
+/**
+ * 删除验证码提取模板
+ * @param {object} db - 数据库连接对象
+ * @param {number} id - 模板ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteCodeTemplate(db, id) {
+  const result = await db.prepare('DELETE FROM code_templates WHERE id = ?').bind(id).run();
+  invalidateCodeTemplatesCache();
+  return (result?.meta?.changes || 0) > 0;
+}
@@ -0,0 +1,143 @@
+/**
+ * 域名 catch-all 收件策略数据库操作模块
+ * @module db/domainPolicies
+ */
+
+import { getCachedDomainPolicy, getCachedMailboxId, invalidateDomainPolicyCache } from '../utils/cache.js';
+import { getOrCreateMailboxId } from './mailboxes.js';
+
+/**
+ * 支持的收件策略
+ * - accept-and-create：未知收件人自动创建邮箱（默认，兼容旧行为）
+ * - accept-only-existing：仅接收已存在邮箱的邮件，未知收件人拒收
+ * - reject：拒收该域名的全部邮件
+ */
+export const CATCH_ALL_POLICIES = ['accept-and-create', 'accept-only-existing', 'reject'];
+
+/**
+ * 未配置策略时使用的默认策略
+ */
+export const DEFAULT_CATCH_ALL_POLICY = 'accept-and-create';
+
+/**
+ * 获取域名当前生效的收件策略
+ * @param {object} db - 数据库连接对象
+ * @param {string} domain - 域名
+ * @returns {Promise<string>} 策略名称
+ */
+export async function getDomainPolicy(db, domain) {
+  try {
+    const policy = await getCachedDomainPolicy(db, domain);
+    return CATCH_ALL_POLICIES.includes(policy) ? policy : DEFAULT_CATCH_ALL_POLICY;
+  } catch (_) {
+    // 策略表不可用时保持默认行为，避免影响收件
+    return DEFAULT_CATCH_ALL_POLICY;
+  }
+}
+
+/**
+ * 设置域名收件策略
+ * @param {object} db - 数据库连接对象
+ * @param {string} domain - 域名
+ * @param {string} policy - 策略名称
+ * @returns {Promise<void>}
+ */
+export async function setDomainPolicy(db, domain, policy) {
+  const normalized = String(domain || '').trim().toLowerCase();
+  if (!normalized) throw new Error('无效的域名');
+  if (!CATCH_ALL_POLICIES.includes(policy)) throw new Error('无效的策略');
+  await db.prepare(`
+    INSERT INTO domain_policies (domain, policy, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(domain) DO UPDATE SET policy = excluded.policy, updated_at = CURRENT_TIMESTAMP
+  `).bind(normalized, policy).run();
+  invalidateDomainPolicyCache(normalized);
+}
+
+/**
+ * 列出域名收件策略及各策略的拒收计数
+ * @param {object} db - 数据库连接对象
+ * @param {Array<string>} domains - 已配置的域名列表（未写入策略表的域名使用默认策略）
+ * @returns {Promise<Array<object>>} 策略列表
+ */
+export async function listDomainPolicies(db, domains = []) {
+  const policyRows = await db.prepare('SELECT domain, policy, updated_at FROM domain_policies').all();
+  const counterRows = await db.prepare('SELECT domain, policy, count, last_rejected_at FROM catchall_rejections').all();
+
+  const byDomain = new Map();
+  const ensure = (domain) => {
+    const key = String(domain || '').trim().toLowerCase();
+    if (!key) return null;
+    if (!byDomain.has(key)) {
+      byDomain.set(key, { domain: key, policy: DEFAULT_CATCH_ALL_POLICY, updated_at: null, rejected: {}, last_rejected_at: null });
+    }
+    return byDomain.get(key);
+  };
+
+  for (const domain of domains) ensure(domain);
+  for (const row of policyRows?.results || []) {
+    const item = ensure(row.domain);
+    if (!item) continue;
+    item.policy = row.policy;
+    item.updated_at = row.updated_at;
+  }
+  for (const row of counterRows?.results || []) {
+    const item = ensure(row.domain);
+    if (!item) continue;
+    item.rejected[row.policy] = Number(row.count) || 0;
+    if (!item.last_rejected_at || String(row.last_rejected_at) > String(item.last_rejected_at)) {
+      item.last_rejected_at = row.last_rejected_at;
+    }
+  }
+  return Array.from(byDomain.values());
+}
+
+/**
+ * 记录一次被收件策略拒收的邮件
+ * @param {object} db - 数据库连接对象
+ * @param {string} domain - 域名
+ * @param {string} policy - 触发拒收的策略
+ * @returns {Promise<void>}
+ */
+export async function recordCatchAllRejection(db, domain, policy) {
+  await db.prepare(`
+    INSERT INTO catchall_rejections (domain, policy, count, last_rejected_at) VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT(domain, policy) DO UPDATE SET count = count + 1, last_rejected_at = CURRENT_TIMESTAMP
+  `).bind(String(domain || '').toLowerCase(), policy).run();
+}
+
+/**
+ * 按域名收件策略解析收件邮箱
+ * 策略允许时返回邮箱ID（必要时自动创建），拒收时记录计数并返回拒收原因
+ * @param {object} db - 数据库连接对象
+ * @param {string} address - 收件地址
+ * @returns {Promise<{mailboxId: number|null, policy: string, rejectReason: string|null}>} 解析结果
+ */
+export async function resolveInboundMailbox(db, address) {
+  const normalized = String(address || '').trim().toLowerCase();
+  const domain = normalized.split('@')[1] || '';
+  const policy = await getDomainPolicy(db, domain);
+
+  let rejectReason = null;
+  let mailboxId = null;
+  if (policy === 'reject') {
+    rejectReason = '550 5.7.1 Mail for this domain is not accepted';
+  } else {
+    mailboxId = await getCachedMailboxId(db, normalized);
+    if (!mailboxId) {
+      if (policy === 'accept-and-create') {
+        mailboxId = await getOrCreateMailboxId(db, normalized);
+      } else {
+        rejectReason = '550 5.1.1 Recipient address rejected: unknown mailbox';
+      }
+    }
+  }
+
+  if (rejectReason) {
+    try {
+      await recordCatchAllRejection(db, domain, policy);
+    } catch (e) {
+      console.error('记录拒收计数失败:', e);
+    }
+  }
+  return { mailboxId, policy, rejectReason };
+}
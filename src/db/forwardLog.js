@@ -0,0 +1,72 @@
+/**
+ * 邮件转发记录数据库操作模块
+ * @module db/forwardLog
+ */
+
+/**
+ * 每个邮箱保留的转发记录条数
+ */
+export const FORWARD_LOG_LIMIT = 200;
+
+/**
+ * 记录一次转发尝试，并只保留邮箱最近的记录
+ * @param {object} db - 数据库连接对象
+ * @param {object} params - 转发结果
+ * @param {number} params.mailboxId - 邮箱ID
+ * @param {number|null} params.messageId - 邮件记录ID，未保存邮件时为 null
+ * @param {string|null} params.emailMessageId - 邮件的 Message-ID
+ * @param {string} params.target - 转发目标
+ * @param {string} params.source - 转发来源：mailbox（邮箱转发）、rule（收件规则）、global（全局规则）、env（FORWARD_RULES 环境变量）
+ * @param {number|null} params.ruleId - 来源配置的ID（邮箱转发目标、收件规则或全局规则）
+ * @param {boolean} params.success - 是否成功
+ * @param {string|null} params.error - 错误信息
+ * @returns {Promise<void>} 无返回值
+ */
+export async function recordForwardAttempt(db, { mailboxId, messageId = null, emailMessageId = null, target, source, ruleId = null, success, error = null }) {
+  await db.prepare(`
+    INSERT INTO forward_log (mailbox_id, message_id, email_message_id, target, source, rule_id, success, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(mailboxId, messageId, emailMessageId, target, source, ruleId, success ? 1 : 0, error ? String(error).slice(0, 500) : null).run();
+  await db.prepare(`
+    DELETE FROM forward_log WHERE mailbox_id = ? AND id <= (
+      SELECT id FROM forward_log WHERE mailbox_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?
+    )
+  `).bind(mailboxId, mailboxId, FORWARD_LOG_LIMIT).run();
+}
+
+/**
+ * 查询邮箱的转发记录（按时间倒序）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} limit - 返回条数
+ * @returns {Promise<Array<object>>} 转发记录列表
+ */
+export async function listForwardLog(db, mailboxId, limit = 20) {
+  const { results } = await db.prepare(`
+    SELECT id, mailbox_id, message_id, email_message_id, target, source, rule_id, success, error, created_at
+    FROM forward_log WHERE mailbox_id = ?
+    ORDER BY id DESC LIMIT ?
+  `).bind(mailboxId, limit).all();
+  return results || [];
+}
+
+/**
+ * 统计邮箱的转发结果（最近一次状态及最近 24 小时失败次数）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @returns {Promise<object>} 统计结果 { last_status, last_error, last_at, failed_24h }
+ */
+export async function getForwardLogSummary(db, mailboxId) {
+  const last = await db.prepare(`
+    SELECT success, error, created_at FROM forward_log WHERE mailbox_id = ? ORDER BY id DESC LIMIT 1
+  `).bind(mailboxId).first();
+  const failed = await db.prepare(`
+    SELECT COUNT(1) AS c FROM forward_log WHERE mailbox_id = ? AND success = 0 AND created_at >= datetime('now', '-1 day')
+  `).bind(mailboxId).first();
+  return {
+    last_status: last ? (last.success ? 'ok' : 'failed') : null,
+    last_error: last?.error || null,
+    last_at: last?.created_at || null,
+    failed_24h: Number(failed?.c) || 0
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * 全局转发规则数据库操作模块
+ * @module db/forwardRules
+ */
+
+import { getCachedForwardRules, invalidateForwardRulesCache } from '../utils/cache.js';
+
+const FORWARD_RULE_COLUMNS = 'id, pattern, match_type, domain, target, priority, enabled, created_at, updated_at';
+
+/**
+ * 查询全部全局转发规则（按优先级排序，数字越小越先匹配）
+ * @param {object} db - 数据库连接对象
+ * @returns {Promise<Array<object>>} 规则列表
+ */
+export async function listForwardRules(db) {
+  const { results } = await db.prepare(`
+    SELECT ${FORWARD_RULE_COLUMNS} FROM forward_rules ORDER BY priority ASC, id ASC
+  `).all();
+  return results || [];
+}
+
+/**
+ * 查询收件时使用的全局转发规则（带缓存，表不可用时返回空列表）
+ * @param {object} db - 数据库连接对象
+ * @returns {Promise<Array<object>>} 规则列表，包含已停用的规则
+ */
+export async function getForwardRulesForMatching(db) {
+  try {
+    return await getCachedForwardRules(db);
+  } catch (e) {
+    console.error('读取全局转发规则失败:', e);
+    return [];
+  }
+}
+
+/**
+ * 按ID查询全局转发规则
+ * @param {object} db - 数据库连接对象
+ * @param {number} id - 规则ID
+ * @returns {Promise<object|null>} 规则记录
+ */
+export async function getForwardRuleById(db, id) {
+  return await db.prepare(`SELECT ${FORWARD_RULE_COLUMNS} FROM forward_rules WHERE id = ? LIMIT 1`).bind(id).first() || null;
+}
+
+/**
+ * 添加全局转发规则
+ * @param {object} db - 数据库连接对象
+ * @param {object} rule - 规范化后的规则（见 email/forwarder.normalizeForwardRule）
+ * @returns {Promise<object>} 规则记录
+ */
+export async function addForwardRule(db, rule) {
+  const result = await db.prepare(`
+    INSERT INTO forward_rules (pattern, match_type, domain, target, priority, enabled) VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(rule.pattern, rule.match_type, rule.domain, rule.target, rule.priority, rule.enabled).run();
+  invalidateForwardRulesCache();
+  return await getForwardRuleById(db, result?.meta?.last_row_id);
+}
+
+/**
+ * 更新全局转发规则
+ * @param {object} db - 数据库连接对象
+ * @param {number} id - 规则ID
+ * @param {object} rule - 规范化后的规则
+ * @returns {Promise<object|null>} 更新后的规则记录
+ */
+export async function updateForwardRule(db, id, rule) {
+  await db.prepare(`
+    UPDATE forward_rules SET pattern = ?, match_type = ?, domain = ?, target = ?, priority = ?, enabled = ?,
+           updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(rule.pattern, rule.match_type, rule.domain, rule.target, rule.priority, rule.enabled, id).run();
+  invalidateForwardRulesCache();
+  return await getForwardRuleById(db, id);
+}
+
+/**
+ * 删除全局转发规则
+ * @param {object} db - 数据库连接对象
+ * @param {number} id - 规则ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteForwardRule(db, id) {
+  const result = await db.prepare('DELETE FROM forward_rules WHERE id = ?').bind(id).run();
+  invalidateForwardRulesCache();
+  return (result?.meta?.changes || 0) > 0;
+}
+
+/**
+ * 批量导入全局转发规则（用于从 FORWARD_RULES 环境变量迁移）
+ * @param {object} db - 数据库连接对象
+ * @param {Array<object>} rules - 规范化后的规则列表
+ * @returns {Promise<number>} 导入的条数
+ */
+export async function importForwardRules(db, rules) {
+  if (!rules.length) return 0;
+  await db.batch(rules.map(rule => db.prepare(`
+    INSERT INTO forward_rules (pattern, match_type, domain, target, priority, enabled) VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(rule.pattern, rule.match_type, rule.domain, rule.target, rule.priority, rule.enabled)));
+  invalidateForwardRulesCache();
+  return rules.length;
+}
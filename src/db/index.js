@@ -11,7 +11,8 @@ export {
   checkMailboxOwnership,
   toggleMailboxPin,
   getTotalMailboxCount,
-  getForwardTarget
+  getForwardTarget,
+  getSpamThreshold
 } from './mailboxes.js';
 export {
   createUser,
@@ -22,7 +23,112 @@ export {
   getUserMailboxes,
   unassignMailboxFromUser
 } from './users.js';
+export {
+  insertMessage,
+  hasMessageWithId,
+  parseAttachmentsField,
+  parseCalendarEventField,
+  resolveThreadId,
+  listThreads,
+  getThreadMessages
+} from './messages.js';
+export { indexMessageText, searchMessages } from './search.js';
+export {
+  DEFAULT_LABEL_COLOR,
+  MAX_LABELS_PER_MAILBOX,
+  MAX_LABEL_NAME_LENGTH,
+  listLabels,
+  getLabel,
+  addLabel,
+  deleteLabel,
+  applyLabel,
+  removeLabel,
+  addMessageLabelsByName,
+  attachMessageLabels
+} from './labels.js';
+export {
+  CATCH_ALL_POLICIES,
+  DEFAULT_CATCH_ALL_POLICY,
+  getDomainPolicy,
+  setDomainPolicy,
+  listDomainPolicies,
+  recordCatchAllRejection,
+  resolveInboundMailbox
+} from './domainPolicies.js';
+export {
+  SENDER_FILTER_TYPES,
+  listSenderFilters,
+  addSenderFilter,
+  deleteSenderFilter,
+  checkSenderFilters,
+  recordSenderRejection,
+  listSenderRejections
+} from './senderFilters.js';
+export {
+  listMailboxAliases,
+  getAliasTargetAddress,
+  addMailboxAlias,
+  deleteMailboxAlias,
+  countUserAliases
+} from './mailboxAliases.js';
+export {
+  listMailboxRules,
+  addMailboxRule,
+  updateMailboxRule,
+  deleteMailboxRule,
+  reorderMailboxRules,
+  applyMailboxRules
+} from './mailboxRules.js';
+export {
+  getAutoReplyConfig,
+  saveAutoReplyConfig,
+  claimAutoReplySlot,
+  releaseAutoReplySlot
+} from './autoReplies.js';
+export {
+  listWebhooks,
+  getWebhookById,
+  addWebhook,
+  updateWebhook,
+  deleteWebhook,
+  countWebhooks,
+  getActiveWebhooksForMailbox,
+  recordWebhookDelivery,
+  listWebhookDeliveries
+} from './webhooks.js';
+export {
+  MAX_FORWARDS_PER_MAILBOX,
+  listMailboxForwards,
+  upsertMailboxForward,
+  deleteMailboxForward,
+  replaceMailboxForwards
+} from './mailboxForwards.js';
+export {
+  listForwardRules,
+  getForwardRulesForMatching,
+  getForwardRuleById,
+  addForwardRule,
+  updateForwardRule,
+  deleteForwardRule,
+  importForwardRules
+} from './forwardRules.js';
+export {
+  FORWARD_LOG_LIMIT,
+  recordForwardAttempt,
+  listForwardLog,
+  getForwardLogSummary
+} from './forwardLog.js';
+export {
+  listCodeTemplates,
+  getCodeTemplatesForMatching,
+  getCodeTemplateById,
+  addCodeTemplate,
+  updateCodeTemplate,
+  deleteCodeTemplate
+} from './codeTemplates.js';
 export {
   recordSentEmail,
-  updateSentEmail
+  updateSentEmail,
+  findSentEmailForBounce,
+  markSentEmailBounced
 } from './sentEmails.js';
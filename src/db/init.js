@@ -47,6 +47,9 @@ async function performFirstTimeSetup(db) {
     await db.prepare('SELECT 1 FROM sent_emails LIMIT 1').all();
     // 所有5个必要表都存在，执行字段迁移
     await migrateMailboxesFields(db);
+    await migrateMessagesFields(db);
+    await migrateSentEmailsFields(db);
+    await createExtensionTables(db);
     return;
   } catch (e) {
     // 有表不存在，继续初始化
@@ -54,14 +57,109 @@ async function performFirstTimeSetup(db) {
   }
   
   // 创建表结构（仅在表不存在时）- 包含新字段 forward_to 和 is_favorite
-  await db.exec("CREATE TABLE IF NOT EXISTS mailboxes (id INTEGER PRIMARY KEY AUTOINCREMENT, address TEXT NOT NULL UNIQUE, local_part TEXT NOT NULL, domain TEXT NOT NULL, password_hash TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP, last_accessed_at TEXT, expires_at TEXT, is_pinned INTEGER DEFAULT 0, can_login INTEGER DEFAULT 0, forward_to TEXT DEFAULT NULL, is_favorite INTEGER DEFAULT 0);");
-  await db.exec("CREATE TABLE IF NOT EXISTS messages (id INTEGER PRIMARY KEY AUTOINCREMENT, mailbox_id INTEGER NOT NULL, sender TEXT NOT NULL, to_addrs TEXT NOT NULL DEFAULT '', subject TEXT NOT NULL, verification_code TEXT, preview TEXT, r2_bucket TEXT NOT NULL DEFAULT 'mail-eml', r2_object_key TEXT NOT NULL DEFAULT '', received_at TEXT DEFAULT CURRENT_TIMESTAMP, is_read INTEGER DEFAULT 0, FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id));");
+  await db.exec("CREATE TABLE IF NOT EXISTS mailboxes (id INTEGER PRIMARY KEY AUTOINCREMENT, address TEXT NOT NULL UNIQUE, local_part TEXT NOT NULL, domain TEXT NOT NULL, password_hash TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP, last_accessed_at TEXT, expires_at TEXT, is_pinned INTEGER DEFAULT 0, can_login INTEGER DEFAULT 0, forward_to TEXT DEFAULT NULL, is_favorite INTEGER DEFAULT 0, spam_threshold REAL DEFAULT NULL);");
+  await db.exec("CREATE TABLE IF NOT EXISTS messages (id INTEGER PRIMARY KEY AUTOINCREMENT, mailbox_id INTEGER NOT NULL, sender TEXT NOT NULL, sender_name TEXT DEFAULT NULL, to_addrs TEXT NOT NULL DEFAULT '', subject TEXT NOT NULL, verification_code TEXT, preview TEXT, r2_bucket TEXT NOT NULL DEFAULT 'mail-eml', r2_object_key TEXT NOT NULL DEFAULT '', received_at TEXT DEFAULT CURRENT_TIMESTAMP, is_read INTEGER DEFAULT 0, attachments TEXT DEFAULT NULL, cc_addrs TEXT DEFAULT NULL, message_id TEXT DEFAULT NULL, in_reply_to TEXT DEFAULT NULL, references_ids TEXT DEFAULT NULL, thread_id TEXT DEFAULT NULL, spf_result TEXT DEFAULT NULL, dkim_result TEXT DEFAULT NULL, dmarc_result TEXT DEFAULT NULL, spam_score REAL DEFAULT 0, spam_reasons TEXT DEFAULT NULL, is_spam INTEGER DEFAULT 0, tag TEXT DEFAULT NULL, rule_labels TEXT DEFAULT NULL, verification_link TEXT DEFAULT NULL, verification_otp TEXT DEFAULT NULL, calendar_event TEXT DEFAULT NULL, FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id));");
   await db.exec("CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT NOT NULL UNIQUE, password_hash TEXT, role TEXT NOT NULL DEFAULT 'user', can_send INTEGER NOT NULL DEFAULT 0, mailbox_limit INTEGER NOT NULL DEFAULT 10, created_at TEXT DEFAULT CURRENT_TIMESTAMP);");
   await db.exec("CREATE TABLE IF NOT EXISTS user_mailboxes (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL, mailbox_id INTEGER NOT NULL, created_at TEXT DEFAULT CURRENT_TIMESTAMP, is_pinned INTEGER NOT NULL DEFAULT 0, UNIQUE(user_id, mailbox_id), FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE, FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE);");
-  await db.exec("CREATE TABLE IF NOT EXISTS sent_emails (id INTEGER PRIMARY KEY AUTOINCREMENT, resend_id TEXT, from_name TEXT, from_addr TEXT NOT NULL, to_addrs TEXT NOT NULL, subject TEXT NOT NULL, html_content TEXT, text_content TEXT, status TEXT DEFAULT 'queued', scheduled_at TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP);");
+  await db.exec("CREATE TABLE IF NOT EXISTS sent_emails (id INTEGER PRIMARY KEY AUTOINCREMENT, resend_id TEXT, from_name TEXT, from_addr TEXT NOT NULL, to_addrs TEXT NOT NULL, subject TEXT NOT NULL, html_content TEXT, text_content TEXT, status TEXT DEFAULT 'queued', scheduled_at TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP, message_id TEXT DEFAULT NULL, diagnostic_code TEXT DEFAULT NULL, bounced_at TEXT DEFAULT NULL);");
   
   // 创建索引
   await createIndexes(db);
+  await createExtensionTables(db);
+}
+
+/**
+ * 创建扩展功能表（后续版本新增的表，已有数据库在启动时补建）
+ * @param {object} db - 数据库连接对象
+ * @returns {Promise<void>}
+ */
+async function createExtensionTables(db) {
+  try {
+    // 域名 catch-all 收件策略与拒收计数
+    await db.exec("CREATE TABLE IF NOT EXISTS domain_policies (domain TEXT PRIMARY KEY, policy TEXT NOT NULL DEFAULT 'accept-and-create', updated_at TEXT DEFAULT CURRENT_TIMESTAMP);");
+    await db.exec("CREATE TABLE IF NOT EXISTS catchall_rejections (domain TEXT NOT NULL, policy TEXT NOT NULL, count INTEGER NOT NULL DEFAULT 0, last_rejected_at TEXT, PRIMARY KEY(domain, policy));");
+    
+    // 邮箱发件人允许/拒绝列表与拒收日志
+    await db.exec("CREATE TABLE IF NOT EXISTS mailbox_sender_filters (id INTEGER PRIMARY KEY AUTOINCREMENT, mailbox_id INTEGER NOT NULL, type TEXT NOT NULL, pattern TEXT NOT NULL, created_at TEXT DEFAULT CURRENT_TIMESTAMP, UNIQUE(mailbox_id, type, pattern), FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE);");
+    await db.exec("CREATE TABLE IF NOT EXISTS sender_rejections (id INTEGER PRIMARY KEY AUTOINCREMENT, mailbox_id INTEGER NOT NULL, sender TEXT NOT NULL DEFAULT '', recipient TEXT NOT NULL DEFAULT '', subject TEXT, reason TEXT NOT NULL, pattern TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP, FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE);");
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_sender_rejections_mailbox ON sender_rejections(mailbox_id, id DESC);");
+    
+    // 邮箱别名
+    await db.exec("CREATE TABLE IF NOT EXISTS mailbox_aliases (id INTEGER PRIMARY KEY AUTOINCREMENT, mailbox_id INTEGER NOT NULL, address TEXT NOT NULL UNIQUE, created_at TEXT DEFAULT CURRENT_TIMESTAMP, FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE);");
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_mailbox_aliases_mailbox ON mailbox_aliases(mailbox_id);");
+    
+    // 邮箱收件规则
+    await db.exec("CREATE TABLE IF NOT EXISTS mailbox_rules (id INTEGER PRIMARY KEY AUTOINCREMENT, mailbox_id INTEGER NOT NULL, position INTEGER NOT NULL DEFAULT 0, name TEXT, enabled INTEGER NOT NULL DEFAULT 1, condition_type TEXT NOT NULL, condition_value TEXT NOT NULL DEFAULT '', header_name TEXT, action TEXT NOT NULL, action_value TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP, FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE);");
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_mailbox_rules_mailbox ON mailbox_rules(mailbox_id, position);");
+    
+    // 邮箱自动回复配置与回复记录
+    await db.exec("CREATE TABLE IF NOT EXISTS mailbox_auto_replies (mailbox_id INTEGER PRIMARY KEY, enabled INTEGER NOT NULL DEFAULT 0, subject TEXT, body TEXT NOT NULL DEFAULT '', start_at TEXT, end_at TEXT, throttle_days INTEGER NOT NULL DEFAULT 7, updated_at TEXT DEFAULT CURRENT_TIMESTAMP, FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE);");
+    await db.exec("CREATE TABLE IF NOT EXISTS auto_reply_log (mailbox_id INTEGER NOT NULL, sender TEXT NOT NULL, last_replied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP, PRIMARY KEY(mailbox_id, sender), FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE);");
+    
+    // 新邮件 Webhook 订阅与投递记录
+    await db.exec("CREATE TABLE IF NOT EXISTS webhooks (id INTEGER PRIMARY KEY AUTOINCREMENT, mailbox_id INTEGER, user_id INTEGER, url TEXT NOT NULL, secret TEXT NOT NULL, enabled INTEGER NOT NULL DEFAULT 1, created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP, FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE, FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE);");
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_webhooks_mailbox ON webhooks(mailbox_id);");
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);");
+    await db.exec("CREATE TABLE IF NOT EXISTS webhook_deliveries (id INTEGER PRIMARY KEY AUTOINCREMENT, webhook_id INTEGER NOT NULL, event TEXT NOT NULL, message_id INTEGER, success INTEGER NOT NULL DEFAULT 0, status_code INTEGER, attempts INTEGER NOT NULL DEFAULT 1, error TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP, FOREIGN KEY(webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE);");
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id DESC);");
+    
+    // 邮箱转发目标（多目标与条件转发）；首次创建时从 mailboxes.forward_to 迁移已有配置
+    const forwardsTable = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'mailbox_forwards'").first();
+    await db.exec("CREATE TABLE IF NOT EXISTS mailbox_forwards (id INTEGER PRIMARY KEY AUTOINCREMENT, mailbox_id INTEGER NOT NULL, target TEXT NOT NULL, sender_domain TEXT, subject_contains TEXT, require_code INTEGER NOT NULL DEFAULT 0, created_at TEXT DEFAULT CURRENT_TIMESTAMP, UNIQUE(mailbox_id, target), FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE);");
+    if (!forwardsTable) {
+      await db.exec("INSERT OR IGNORE INTO mailbox_forwards (mailbox_id, target) SELECT id, LOWER(TRIM(forward_to)) FROM mailboxes WHERE forward_to IS NOT NULL AND TRIM(forward_to) != '';");
+    }
+    
+    // 全局转发规则（取代 FORWARD_RULES 环境变量，表为空时仍使用环境变量）
+    await db.exec("CREATE TABLE IF NOT EXISTS forward_rules (id INTEGER PRIMARY KEY AUTOINCREMENT, pattern TEXT NOT NULL, match_type TEXT NOT NULL DEFAULT 'prefix', domain TEXT, target TEXT NOT NULL, priority INTEGER NOT NULL DEFAULT 100, enabled INTEGER NOT NULL DEFAULT 1, created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP);");
+    
+    // 转发记录
+    await db.exec("CREATE TABLE IF NOT EXISTS forward_log (id INTEGER PRIMARY KEY AUTOINCREMENT, mailbox_id INTEGER NOT NULL, message_id INTEGER, email_message_id TEXT, target TEXT NOT NULL, source TEXT NOT NULL, rule_id INTEGER, success INTEGER NOT NULL DEFAULT 0, error TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP, FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE);");
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_forward_log_mailbox ON forward_log(mailbox_id, id DESC);");
+
+    // 验证码提取模板（按发件人地址或域名匹配，优先于内置规则）
+    await db.exec("CREATE TABLE IF NOT EXISTS code_templates (id INTEGER PRIMARY KEY AUTOINCREMENT, sender TEXT NOT NULL, pattern TEXT NOT NULL, min_length INTEGER NOT NULL DEFAULT 4, max_length INTEGER NOT NULL DEFAULT 8, priority INTEGER NOT NULL DEFAULT 100, enabled INTEGER NOT NULL DEFAULT 1, created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP);");
+
+    // 邮件全文索引（FTS5，trigram 分词支持中文子串匹配），rowid 与 messages.id 一致，邮件删除时由触发器同步删除
+    // 首次创建时以主题、发件人和预览为已有邮件建立索引；旧版数据库的 messages.content 列存有纯文本正文时一并写入，
+    // 其余历史邮件的正文通过 POST /api/search/reindex 从 R2 原始邮件分批补建
+    // 运行环境不支持 FTS5 trigram 时只影响搜索，不影响其后的扩展表
+    try {
+      const ftsTable = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'").first();
+      await db.exec("CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(subject, sender, preview, body, tokenize = 'trigram');");
+      await db.exec("CREATE TRIGGER IF NOT EXISTS trg_messages_fts_delete AFTER DELETE ON messages BEGIN DELETE FROM messages_fts WHERE rowid = old.id; END;");
+      if (!ftsTable) {
+        const messageColumns = await db.prepare("PRAGMA table_info(messages)").all();
+        const bodyColumn = (messageColumns.results || []).some(c => c.name === 'content') ? "SUBSTR(COALESCE(content, ''), 1, 20000)" : "''";
+        await db.exec(`INSERT INTO messages_fts (rowid, subject, sender, preview, body) SELECT id, COALESCE(subject, ''), TRIM(COALESCE(sender_name, '') || ' ' || sender), COALESCE(preview, ''), ${bodyColumn} FROM messages;`);
+      }
+    } catch (error) {
+      console.error('全文索引创建失败:', error);
+    }
+
+    // 邮件引用的消息 ID（In-Reply-To 与 References 逐条一行），用于按索引查找先于原邮件到达的回复；首次创建时从 messages 回填
+    const referencesTable = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'message_references'").first();
+    await db.exec("CREATE TABLE IF NOT EXISTS message_references (message_id INTEGER NOT NULL, mailbox_id INTEGER NOT NULL, ref_id TEXT NOT NULL, PRIMARY KEY(message_id, ref_id), FOREIGN KEY(message_id) REFERENCES messages(id) ON DELETE CASCADE);");
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_message_references_ref ON message_references(mailbox_id, ref_id);");
+    if (!referencesTable) {
+      await db.exec("WITH RECURSIVE split(message_id, mailbox_id, ref_id, rest) AS (SELECT id, mailbox_id, '', references_ids || ' ' FROM messages WHERE references_ids IS NOT NULL AND references_ids != '' UNION ALL SELECT message_id, mailbox_id, TRIM(SUBSTR(rest, 1, INSTR(rest, ' ') - 1), '<>'), SUBSTR(rest, INSTR(rest, ' ') + 1) FROM split WHERE rest != '') INSERT OR IGNORE INTO message_references (message_id, mailbox_id, ref_id) SELECT message_id, mailbox_id, ref_id FROM split WHERE ref_id != '';");
+      await db.exec("INSERT OR IGNORE INTO message_references (message_id, mailbox_id, ref_id) SELECT id, mailbox_id, in_reply_to FROM messages WHERE in_reply_to IS NOT NULL AND in_reply_to != '';");
+    }
+
+    // 邮件标签（按邮箱划分，名称不区分大小写）；首次创建时将 messages.rule_labels 中逗号分隔的规则标签迁移为标签
+    const labelsTable = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'labels'").first();
+    await db.exec("CREATE TABLE IF NOT EXISTS labels (id INTEGER PRIMARY KEY AUTOINCREMENT, mailbox_id INTEGER NOT NULL, name TEXT NOT NULL COLLATE NOCASE, color TEXT NOT NULL DEFAULT '#6366f1', created_at TEXT DEFAULT CURRENT_TIMESTAMP, UNIQUE(mailbox_id, name), FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id) ON DELETE CASCADE);");
+    await db.exec("CREATE TABLE IF NOT EXISTS message_labels (message_id INTEGER NOT NULL, label_id INTEGER NOT NULL, created_at TEXT DEFAULT CURRENT_TIMESTAMP, PRIMARY KEY(message_id, label_id), FOREIGN KEY(message_id) REFERENCES messages(id) ON DELETE CASCADE, FOREIGN KEY(label_id) REFERENCES labels(id) ON DELETE CASCADE);");
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_message_labels_label ON message_labels(label_id, message_id);");
+    if (!labelsTable) {
+      const splitRuleLabels = "WITH RECURSIVE split(message_id, mailbox_id, name, rest) AS (SELECT id, mailbox_id, '', rule_labels || ',' FROM messages WHERE rule_labels IS NOT NULL AND rule_labels != '' UNION ALL SELECT message_id, mailbox_id, TRIM(SUBSTR(rest, 1, INSTR(rest, ',') - 1)), SUBSTR(rest, INSTR(rest, ',') + 1) FROM split WHERE rest != '')";
+      await db.exec(`${splitRuleLabels} INSERT OR IGNORE INTO labels (mailbox_id, name) SELECT DISTINCT mailbox_id, name FROM split WHERE name != '';`);
+      await db.exec(`${splitRuleLabels} INSERT OR IGNORE INTO message_labels (message_id, label_id) SELECT s.message_id, l.id FROM split s JOIN labels l ON l.mailbox_id = s.mailbox_id AND l.name = s.name WHERE s.name != '';`);
+    }
+  } catch (error) {
+    console.error('扩展表创建失败:', error);
+    // 不抛出异常，允许继续运行
+  }
 }
 
 /**
@@ -78,6 +176,9 @@ async function createIndexes(db) {
   await db.exec(`CREATE INDEX IF NOT EXISTS idx_messages_r2_object_key ON messages(r2_object_key);`);
   await db.exec(`CREATE INDEX IF NOT EXISTS idx_messages_mailbox_received ON messages(mailbox_id, received_at DESC);`);
   await db.exec(`CREATE INDEX IF NOT EXISTS idx_messages_mailbox_received_read ON messages(mailbox_id, received_at DESC, is_read);`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_messages_mailbox_thread ON messages(mailbox_id, thread_id);`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_messages_mailbox_message_id ON messages(mailbox_id, message_id);`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_messages_mailbox_tag ON messages(mailbox_id, tag);`);
   await db.exec(`CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);`);
   await db.exec(`CREATE INDEX IF NOT EXISTS idx_user_mailboxes_user ON user_mailboxes(user_id);`);
   await db.exec(`CREATE INDEX IF NOT EXISTS idx_user_mailboxes_mailbox ON user_mailboxes(mailbox_id);`);
@@ -86,11 +187,12 @@ async function createIndexes(db) {
   await db.exec(`CREATE INDEX IF NOT EXISTS idx_sent_emails_resend_id ON sent_emails(resend_id);`);
   await db.exec(`CREATE INDEX IF NOT EXISTS idx_sent_emails_status_created ON sent_emails(status, created_at DESC);`);
   await db.exec(`CREATE INDEX IF NOT EXISTS idx_sent_emails_from_addr ON sent_emails(from_addr);`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_sent_emails_message_id ON sent_emails(message_id);`);
 }
 
 /**
  * 迁移 mailboxes 表字段（向后兼容）
- * 检查并添加缺失的字段：forward_to, is_favorite
+ * 检查并添加缺失的字段：forward_to, is_favorite, spam_threshold
  * @param {object} db - 数据库连接对象
  * @returns {Promise<void>}
  */
@@ -111,12 +213,127 @@ async function migrateMailboxesFields(db) {
       await db.exec("CREATE INDEX IF NOT EXISTS idx_mailboxes_is_favorite ON mailboxes(is_favorite DESC);");
       console.log('已添加 mailboxes.is_favorite 字段');
     }
+
+    // 添加 spam_threshold 字段（垃圾邮件阈值，为空使用默认值）
+    if (!columnNames.includes('spam_threshold')) {
+      await db.exec("ALTER TABLE mailboxes ADD COLUMN spam_threshold REAL DEFAULT NULL;");
+      console.log('已添加 mailboxes.spam_threshold 字段');
+    }
   } catch (error) {
     console.error('mailboxes 字段迁移失败:', error);
     // 不抛出异常，允许继续运行
   }
 }
 
+/**
+ * 迁移 sent_emails 表字段（向后兼容）
+ * 检查并添加缺失的字段：message_id, diagnostic_code, bounced_at
+ * @param {object} db - 数据库连接对象
+ * @returns {Promise<void>}
+ */
+async function migrateSentEmailsFields(db) {
+  try {
+    const columns = await db.prepare("PRAGMA table_info(sent_emails)").all();
+    const columnNames = (columns.results || []).map(c => c.name);
+
+    // 添加发出邮件的 Message-ID 与退信诊断信息字段
+    for (const column of ['message_id', 'diagnostic_code', 'bounced_at']) {
+      if (!columnNames.includes(column)) {
+        await db.exec(`ALTER TABLE sent_emails ADD COLUMN ${column} TEXT DEFAULT NULL;`);
+        console.log(`已添加 sent_emails.${column} 字段`);
+      }
+    }
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_sent_emails_message_id ON sent_emails(message_id);");
+  } catch (error) {
+    console.error('sent_emails 字段迁移失败:', error);
+    // 不抛出异常，允许继续运行
+  }
+}
+
+/**
+ * 迁移 messages 表字段（向后兼容）
+ * 检查并添加缺失的字段：attachments, sender_name, cc_addrs, message_id, in_reply_to, references_ids, thread_id,
+ * spf_result, dkim_result, dmarc_result, spam_score, spam_reasons, is_spam, tag, rule_labels, verification_link, verification_otp, calendar_event
+ * @param {object} db - 数据库连接对象
+ * @returns {Promise<void>}
+ */
+async function migrateMessagesFields(db) {
+  try {
+    const columns = await db.prepare("PRAGMA table_info(messages)").all();
+    const columnNames = (columns.results || []).map(c => c.name);
+    
+    // 添加 attachments 字段（附件元数据 JSON）
+    if (!columnNames.includes('attachments')) {
+      await db.exec("ALTER TABLE messages ADD COLUMN attachments TEXT DEFAULT NULL;");
+      console.log('已添加 messages.attachments 字段');
+    }
+
+    // 添加 sender_name 字段（发件人显示名称）
+    if (!columnNames.includes('sender_name')) {
+      await db.exec("ALTER TABLE messages ADD COLUMN sender_name TEXT DEFAULT NULL;");
+      console.log('已添加 messages.sender_name 字段');
+    }
+    
+    // 添加邮件头字段（抄送、Message-ID、引用链）与会话 ID
+    const headerColumns = ['cc_addrs', 'message_id', 'in_reply_to', 'references_ids', 'thread_id'];
+    for (const column of headerColumns) {
+      if (!columnNames.includes(column)) {
+        await db.exec(`ALTER TABLE messages ADD COLUMN ${column} TEXT DEFAULT NULL;`);
+        console.log(`已添加 messages.${column} 字段`);
+      }
+    }
+
+    // 添加发件认证结论与垃圾邮件评分字段
+    const authColumns = ['spf_result', 'dkim_result', 'dmarc_result', 'spam_reasons'];
+    for (const column of authColumns) {
+      if (!columnNames.includes(column)) {
+        await db.exec(`ALTER TABLE messages ADD COLUMN ${column} TEXT DEFAULT NULL;`);
+        console.log(`已添加 messages.${column} 字段`);
+      }
+    }
+    if (!columnNames.includes('spam_score')) {
+      await db.exec("ALTER TABLE messages ADD COLUMN spam_score REAL DEFAULT 0;");
+      console.log('已添加 messages.spam_score 字段');
+    }
+    if (!columnNames.includes('is_spam')) {
+      await db.exec("ALTER TABLE messages ADD COLUMN is_spam INTEGER DEFAULT 0;");
+      console.log('已添加 messages.is_spam 字段');
+    }
+
+    // 添加 tag 字段（子地址标签）
+    if (!columnNames.includes('tag')) {
+      await db.exec("ALTER TABLE messages ADD COLUMN tag TEXT DEFAULT NULL;");
+      console.log('已添加 messages.tag 字段');
+    }
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_messages_mailbox_tag ON messages(mailbox_id, tag);");
+
+    // 添加 rule_labels 字段（旧版收件规则标签，逗号分隔；已迁移至 labels 表，不再写入）
+    if (!columnNames.includes('rule_labels')) {
+      await db.exec("ALTER TABLE messages ADD COLUMN rule_labels TEXT DEFAULT NULL;");
+      console.log('已添加 messages.rule_labels 字段');
+    }
+
+    // 添加验证链接与字母数字验证码字段
+    for (const column of ['verification_link', 'verification_otp']) {
+      if (!columnNames.includes(column)) {
+        await db.exec(`ALTER TABLE messages ADD COLUMN ${column} TEXT DEFAULT NULL;`);
+        console.log(`已添加 messages.${column} 字段`);
+      }
+    }
+
+    // 添加 calendar_event 字段（日历邀请事件 JSON）
+    if (!columnNames.includes('calendar_event')) {
+      await db.exec("ALTER TABLE messages ADD COLUMN calendar_event TEXT DEFAULT NULL;");
+      console.log('已添加 messages.calendar_event 字段');
+    }
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_messages_mailbox_thread ON messages(mailbox_id, thread_id);");
+    await db.exec("CREATE INDEX IF NOT EXISTS idx_messages_mailbox_message_id ON messages(mailbox_id, message_id);");
+  } catch (error) {
+    console.error('messages 字段迁移失败:', error);
+    // 不抛出异常，允许继续运行
+  }
+}
+
 /**
  * 完整的数据库设置脚本（用于首次部署）
  * 可通过 wrangler d1 execute 或管理面板执行
@@ -140,7 +357,8 @@ export async function setupDatabase(db) {
       is_pinned INTEGER DEFAULT 0,
       can_login INTEGER DEFAULT 0,
       forward_to TEXT DEFAULT NULL,
-      is_favorite INTEGER DEFAULT 0
+      is_favorite INTEGER DEFAULT 0,
+      spam_threshold REAL DEFAULT NULL
     );
   `);
   
@@ -149,6 +367,7 @@ export async function setupDatabase(db) {
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       mailbox_id INTEGER NOT NULL,
       sender TEXT NOT NULL,
+      sender_name TEXT DEFAULT NULL,
       to_addrs TEXT NOT NULL DEFAULT '',
       subject TEXT NOT NULL,
       verification_code TEXT,
@@ -157,6 +376,23 @@ export async function setupDatabase(db) {
       r2_object_key TEXT NOT NULL DEFAULT '',
       received_at TEXT DEFAULT CURRENT_TIMESTAMP,
       is_read INTEGER DEFAULT 0,
+      attachments TEXT DEFAULT NULL,
+      cc_addrs TEXT DEFAULT NULL,
+      message_id TEXT DEFAULT NULL,
+      in_reply_to TEXT DEFAULT NULL,
+      references_ids TEXT DEFAULT NULL,
+      thread_id TEXT DEFAULT NULL,
+      spf_result TEXT DEFAULT NULL,
+      dkim_result TEXT DEFAULT NULL,
+      dmarc_result TEXT DEFAULT NULL,
+      spam_score REAL DEFAULT 0,
+      spam_reasons TEXT DEFAULT NULL,
+      is_spam INTEGER DEFAULT 0,
+      tag TEXT DEFAULT NULL,
+      rule_labels TEXT DEFAULT NULL,
+      verification_link TEXT DEFAULT NULL,
+      verification_otp TEXT DEFAULT NULL,
+      calendar_event TEXT DEFAULT NULL,
       FOREIGN KEY(mailbox_id) REFERENCES mailboxes(id)
     );
   `);
@@ -199,10 +435,14 @@ export async function setupDatabase(db) {
       status TEXT DEFAULT 'queued',
       scheduled_at TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      message_id TEXT DEFAULT NULL,
+      diagnostic_code TEXT DEFAULT NULL,
+      bounced_at TEXT DEFAULT NULL
     );
   `);
   
   // 创建所有索引
   await createIndexes(db);
+  await createExtensionTables(db);
 }
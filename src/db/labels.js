@@ -0,0 +1,176 @@
+/**
+ * 邮件标签数据库操作模块
+ * 标签按邮箱划分（labels），邮件与标签为多对多关系（message_labels），手动添加与收件规则添加的标签共用同一套数据
+ * @module db/labels
+ */
+
+export const DEFAULT_LABEL_COLOR = '#6366f1';
+export const MAX_LABELS_PER_MAILBOX = 50;
+export const MAX_LABEL_NAME_LENGTH = 32;
+
+// D1 单条语句的绑定参数上限为 100，批量操作按此分批
+const ID_CHUNK_SIZE = 50;
+
+/**
+ * 将 ID 列表按批次切分
+ * @param {Array<number>} ids - ID 列表
+ * @returns {Array<Array<number>>} 分批后的列表
+ */
+function chunkIds(ids) {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) chunks.push(ids.slice(i, i + ID_CHUNK_SIZE));
+  return chunks;
+}
+
+/**
+ * 查询邮箱的标签列表（含已添加该标签的邮件数量）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @returns {Promise<Array<object>>} 标签列表
+ */
+export async function listLabels(db, mailboxId) {
+  const { results } = await db.prepare(`
+    SELECT l.id, l.mailbox_id, l.name, l.color, l.created_at, COUNT(ml.message_id) AS message_count
+    FROM labels l LEFT JOIN message_labels ml ON ml.label_id = l.id
+    WHERE l.mailbox_id = ?
+    GROUP BY l.id
+    ORDER BY l.name COLLATE NOCASE ASC
+  `).bind(mailboxId).all();
+  return results || [];
+}
+
+/**
+ * 查询邮箱内的单个标签
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} labelId - 标签ID
+ * @returns {Promise<object|null>} 标签记录
+ */
+export async function getLabel(db, mailboxId, labelId) {
+  return await db.prepare('SELECT id, mailbox_id, name, color, created_at FROM labels WHERE id = ? AND mailbox_id = ? LIMIT 1')
+    .bind(labelId, mailboxId).first();
+}
+
+/**
+ * 创建标签
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {string} name - 标签名称
+ * @param {string} color - 标签颜色（#rrggbb）
+ * @returns {Promise<object>} 标签记录
+ * @throws {Error} 当同名标签已存在或超过数量上限时抛出异常
+ */
+export async function addLabel(db, mailboxId, name, color = DEFAULT_LABEL_COLOR) {
+  const existing = await db.prepare('SELECT id FROM labels WHERE mailbox_id = ? AND name = ? LIMIT 1').bind(mailboxId, name).first();
+  if (existing) throw new Error('同名标签已存在');
+  const count = await db.prepare('SELECT COUNT(*) AS count FROM labels WHERE mailbox_id = ?').bind(mailboxId).first();
+  if ((count?.count || 0) >= MAX_LABELS_PER_MAILBOX) throw new Error(`每个邮箱最多 ${MAX_LABELS_PER_MAILBOX} 个标签`);
+  await db.prepare('INSERT INTO labels (mailbox_id, name, color) VALUES (?, ?, ?)').bind(mailboxId, name, color).run();
+  return await db.prepare('SELECT id, mailbox_id, name, color, created_at FROM labels WHERE mailbox_id = ? AND name = ? LIMIT 1')
+    .bind(mailboxId, name).first();
+}
+
+/**
+ * 删除标签（同时移除所有邮件上的该标签）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} labelId - 标签ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteLabel(db, mailboxId, labelId) {
+  const label = await getLabel(db, mailboxId, labelId);
+  if (!label) return false;
+  await db.prepare('DELETE FROM message_labels WHERE label_id = ?').bind(labelId).run();
+  const result = await db.prepare('DELETE FROM labels WHERE id = ? AND mailbox_id = ?').bind(labelId, mailboxId).run();
+  return (result?.meta?.changes || 0) > 0;
+}
+
+/**
+ * 为邮件批量添加标签（忽略不属于该邮箱的邮件与已有该标签的邮件）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} labelId - 标签ID
+ * @param {Array<number>} messageIds - 邮件ID列表
+ * @returns {Promise<number>} 新添加标签的邮件数量
+ */
+export async function applyLabel(db, mailboxId, labelId, messageIds) {
+  let changed = 0;
+  for (const ids of chunkIds(messageIds)) {
+    const result = await db.prepare(`
+      INSERT OR IGNORE INTO message_labels (message_id, label_id)
+      SELECT id, ? FROM messages WHERE mailbox_id = ? AND id IN (${ids.map(() => '?').join(',')})
+    `).bind(labelId, mailboxId, ...ids).run();
+    changed += result?.meta?.changes || 0;
+  }
+  return changed;
+}
+
+/**
+ * 批量移除邮件上的标签
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} labelId - 标签ID
+ * @param {Array<number>} messageIds - 邮件ID列表
+ * @returns {Promise<number>} 移除标签的邮件数量
+ */
+export async function removeLabel(db, mailboxId, labelId, messageIds) {
+  let changed = 0;
+  for (const ids of chunkIds(messageIds)) {
+    const result = await db.prepare(`
+      DELETE FROM message_labels WHERE label_id = ?
+        AND message_id IN (SELECT id FROM messages WHERE mailbox_id = ? AND id IN (${ids.map(() => '?').join(',')}))
+    `).bind(labelId, mailboxId, ...ids).run();
+    changed += result?.meta?.changes || 0;
+  }
+  return changed;
+}
+
+/**
+ * 按名称为新收到的邮件添加标签（收件规则的 label 动作），标签不存在时以默认颜色创建
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} messageId - 邮件ID
+ * @param {Array<string>} names - 标签名称列表
+ * @returns {Promise<void>}
+ */
+export async function addMessageLabelsByName(db, mailboxId, messageId, names) {
+  const list = [...new Set((names || []).map(n => String(n || '').trim()).filter(Boolean))].slice(0, ID_CHUNK_SIZE);
+  if (!mailboxId || !messageId || !list.length) return;
+  for (const name of list) {
+    await db.prepare('INSERT OR IGNORE INTO labels (mailbox_id, name, color) VALUES (?, ?, ?)').bind(mailboxId, name, DEFAULT_LABEL_COLOR).run();
+  }
+  await db.prepare(`
+    INSERT OR IGNORE INTO message_labels (message_id, label_id)
+    SELECT ?, id FROM labels WHERE mailbox_id = ? AND name IN (${list.map(() => '?').join(',')})
+  `).bind(messageId, mailboxId, ...list).run();
+}
+
+/**
+ * 为邮件列表附加标签信息（每行增加 labels: [{ id, name, color }]）
+ * 标签查询失败时（如旧数据库尚未建表）各行返回空标签列表
+ * @param {object} db - 数据库连接对象
+ * @param {Array<object>} rows - 含 id 字段的邮件列表
+ * @returns {Promise<Array<object>>} 附加标签后的邮件列表
+ */
+export async function attachMessageLabels(db, rows) {
+  const list = Array.isArray(rows) ? rows : [];
+  const byMessage = new Map();
+  try {
+    const ids = [...new Set(list.map(r => Number(r.id)).filter(Boolean))];
+    for (const chunk of chunkIds(ids)) {
+      const { results } = await db.prepare(`
+        SELECT ml.message_id, l.id, l.name, l.color
+        FROM message_labels ml JOIN labels l ON l.id = ml.label_id
+        WHERE ml.message_id IN (${chunk.map(() => '?').join(',')})
+        ORDER BY l.name COLLATE NOCASE ASC
+      `).bind(...chunk).all();
+      for (const { message_id, ...label } of results || []) {
+        if (!byMessage.has(message_id)) byMessage.set(message_id, []);
+        byMessage.get(message_id).push(label);
+      }
+    }
+  } catch (e) {
+    console.error('查询邮件标签失败:', e?.message || e);
+  }
+  return list.map(r => ({ ...r, labels: byMessage.get(Number(r.id)) || [] }));
+}
@@ -0,0 +1,87 @@
+/**
+ * 邮箱别名数据库操作模块
+ * @module db/mailboxAliases
+ */
+
+/**
+ * 查询邮箱的别名列表
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @returns {Promise<Array<object>>} 别名列表
+ */
+export async function listMailboxAliases(db, mailboxId) {
+  const { results } = await db.prepare(`
+    SELECT id, mailbox_id, address, created_at
+    FROM mailbox_aliases WHERE mailbox_id = ?
+    ORDER BY id ASC
+  `).bind(mailboxId).all();
+  return results || [];
+}
+
+/**
+ * 查询别名地址对应的邮箱地址
+ * @param {object} db - 数据库连接对象
+ * @param {string} address - 收件地址
+ * @returns {Promise<string|null>} 目标邮箱地址，不是别名时返回 null
+ */
+export async function getAliasTargetAddress(db, address) {
+  const normalized = String(address || '').trim().toLowerCase();
+  if (!normalized) return null;
+  const row = await db.prepare(`
+    SELECT m.address FROM mailbox_aliases a
+    JOIN mailboxes m ON m.id = a.mailbox_id
+    WHERE a.address = ? LIMIT 1
+  `).bind(normalized).first();
+  return row?.address || null;
+}
+
+/**
+ * 添加邮箱别名
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {string} address - 别名地址（小写）
+ * @returns {Promise<object>} 别名记录
+ * @throws {Error} 当地址已被邮箱或其他别名占用时抛出异常
+ */
+export async function addMailboxAlias(db, mailboxId, address) {
+  const normalized = String(address || '').trim().toLowerCase();
+  const mailbox = await db.prepare('SELECT id FROM mailboxes WHERE address = ? LIMIT 1').bind(normalized).first();
+  if (mailbox) throw new Error('该地址已是独立邮箱');
+  const existing = await db.prepare('SELECT id, mailbox_id FROM mailbox_aliases WHERE address = ? LIMIT 1').bind(normalized).first();
+  if (existing) {
+    if (existing.mailbox_id !== mailboxId) throw new Error('该地址已是其他邮箱的别名');
+  } else {
+    await db.prepare('INSERT INTO mailbox_aliases (mailbox_id, address) VALUES (?, ?)').bind(mailboxId, normalized).run();
+  }
+  return await db.prepare(`
+    SELECT id, mailbox_id, address, created_at FROM mailbox_aliases WHERE address = ? LIMIT 1
+  `).bind(normalized).first();
+}
+
+/**
+ * 删除邮箱别名
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} aliasId - 别名ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteMailboxAlias(db, mailboxId, aliasId) {
+  const result = await db.prepare('DELETE FROM mailbox_aliases WHERE id = ? AND mailbox_id = ?')
+    .bind(aliasId, mailboxId).run();
+  return (result?.meta?.changes || 0) > 0;
+}
+
+/**
+ * 统计用户名下邮箱的别名总数
+ * @param {object} db - 数据库连接对象
+ * @param {number} userId - 用户ID
+ * @returns {Promise<number>} 别名数量
+ */
+export async function countUserAliases(db, userId) {
+  const row = await db.prepare(`
+    SELECT COUNT(1) AS c FROM mailbox_aliases a
+    JOIN user_mailboxes um ON um.mailbox_id = a.mailbox_id
+    WHERE um.user_id = ?
+  `).bind(userId).first();
+  return Number(row?.c) || 0;
+}
@@ -0,0 +1,102 @@
+/**
+ * 邮箱转发目标数据库操作模块
+ * mailbox_forwards 为转发配置的来源；mailboxes.forward_to 同步为第一个目标，供邮箱列表展示与筛选
+ * @module db/mailboxForwards
+ */
+
+const FORWARD_COLUMNS = 'id, mailbox_id, target, sender_domain, subject_contains, require_code, created_at';
+
+/**
+ * 单个邮箱最多可配置的转发目标数量
+ */
+export const MAX_FORWARDS_PER_MAILBOX = 10;
+
+/**
+ * 查询邮箱的转发目标列表
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @returns {Promise<Array<object>>} 转发目标列表
+ */
+export async function listMailboxForwards(db, mailboxId) {
+  const { results } = await db.prepare(`
+    SELECT ${FORWARD_COLUMNS} FROM mailbox_forwards WHERE mailbox_id = ? ORDER BY id ASC
+  `).bind(mailboxId).all();
+  return results || [];
+}
+
+/**
+ * 构造同步 mailboxes.forward_to 的语句
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @returns {object} 预编译语句
+ */
+function syncForwardColumnStatement(db, mailboxId) {
+  return db.prepare(`
+    UPDATE mailboxes SET forward_to = (
+      SELECT target FROM mailbox_forwards WHERE mailbox_id = ? ORDER BY id ASC LIMIT 1
+    ) WHERE id = ?
+  `).bind(mailboxId, mailboxId);
+}
+
+/**
+ * 构造插入转发目标的语句（同一目标已存在时更新条件）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {object} forward - 规范化后的转发目标（见 email/forwarder.normalizeForwardTarget）
+ * @returns {object} 预编译语句
+ */
+function upsertForwardStatement(db, mailboxId, forward) {
+  return db.prepare(`
+    INSERT INTO mailbox_forwards (mailbox_id, target, sender_domain, subject_contains, require_code)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(mailbox_id, target) DO UPDATE SET
+      sender_domain = excluded.sender_domain,
+      subject_contains = excluded.subject_contains,
+      require_code = excluded.require_code
+  `).bind(mailboxId, forward.target, forward.sender_domain, forward.subject_contains, forward.require_code);
+}
+
+/**
+ * 添加或更新邮箱的一个转发目标
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {object} forward - 规范化后的转发目标
+ * @returns {Promise<object>} 转发目标记录
+ */
+export async function upsertMailboxForward(db, mailboxId, forward) {
+  await db.batch([upsertForwardStatement(db, mailboxId, forward), syncForwardColumnStatement(db, mailboxId)]);
+  return await db.prepare(`SELECT ${FORWARD_COLUMNS} FROM mailbox_forwards WHERE mailbox_id = ? AND target = ? LIMIT 1`)
+    .bind(mailboxId, forward.target).first();
+}
+
+/**
+ * 删除邮箱的一个转发目标
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} forwardId - 转发目标ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteMailboxForward(db, mailboxId, forwardId) {
+  const [result] = await db.batch([
+    db.prepare('DELETE FROM mailbox_forwards WHERE id = ? AND mailbox_id = ?').bind(forwardId, mailboxId),
+    syncForwardColumnStatement(db, mailboxId)
+  ]);
+  return (result?.meta?.changes || 0) > 0;
+}
+
+/**
+ * 用给定的转发目标列表替换邮箱的全部转发配置（列表为空时清除转发）
+ * @param {object} db - 数据库连接对象
+ * @param {Array<number>} mailboxIds - 邮箱ID列表
+ * @param {Array<object>} forwards - 规范化后的转发目标列表
+ * @returns {Promise<void>} 无返回值
+ */
+export async function replaceMailboxForwards(db, mailboxIds, forwards) {
+  const statements = [];
+  for (const mailboxId of mailboxIds) {
+    statements.push(db.prepare('DELETE FROM mailbox_forwards WHERE mailbox_id = ?').bind(mailboxId));
+    for (const forward of forwards) statements.push(upsertForwardStatement(db, mailboxId, forward));
+    statements.push(syncForwardColumnStatement(db, mailboxId));
+  }
+  if (statements.length) await db.batch(statements);
+}
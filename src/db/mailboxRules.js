@@ -0,0 +1,115 @@
+/**
+ * 邮箱收件规则数据库操作模块
+ * @module db/mailboxRules
+ */
+
+import { evaluateRules } from '../email/rules.js';
+
+const RULE_COLUMNS = 'id, mailbox_id, position, name, enabled, condition_type, condition_value, header_name, action, action_value, created_at, updated_at';
+
+/**
+ * 查询邮箱的收件规则（按执行顺序）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @returns {Promise<Array<object>>} 规则列表
+ */
+export async function listMailboxRules(db, mailboxId) {
+  const { results } = await db.prepare(`
+    SELECT ${RULE_COLUMNS} FROM mailbox_rules
+    WHERE mailbox_id = ? ORDER BY position ASC, id ASC
+  `).bind(mailboxId).all();
+  return results || [];
+}
+
+/**
+ * 添加收件规则（追加到末尾）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {object} rule - 规范化后的规则（见 email/rules.normalizeRule）
+ * @returns {Promise<object>} 规则记录
+ */
+export async function addMailboxRule(db, mailboxId, rule) {
+  const row = await db.prepare('SELECT COALESCE(MAX(position), 0) AS max_pos FROM mailbox_rules WHERE mailbox_id = ?')
+    .bind(mailboxId).first();
+  const position = (Number(row?.max_pos) || 0) + 1;
+  const result = await db.prepare(`
+    INSERT INTO mailbox_rules (mailbox_id, position, name, enabled, condition_type, condition_value, header_name, action, action_value)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    mailboxId, position, rule.name, rule.enabled, rule.condition_type, rule.condition_value,
+    rule.header_name, rule.action, rule.action_value
+  ).run();
+  const id = result?.meta?.last_row_id;
+  return await db.prepare(`SELECT ${RULE_COLUMNS} FROM mailbox_rules WHERE id = ? LIMIT 1`).bind(id).first();
+}
+
+/**
+ * 更新收件规则
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} ruleId - 规则ID
+ * @param {object} rule - 规范化后的规则
+ * @returns {Promise<object|null>} 更新后的规则记录，不存在返回 null
+ */
+export async function updateMailboxRule(db, mailboxId, ruleId, rule) {
+  const result = await db.prepare(`
+    UPDATE mailbox_rules SET name = ?, enabled = ?, condition_type = ?, condition_value = ?, header_name = ?,
+           action = ?, action_value = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND mailbox_id = ?
+  `).bind(
+    rule.name, rule.enabled, rule.condition_type, rule.condition_value, rule.header_name,
+    rule.action, rule.action_value, ruleId, mailboxId
+  ).run();
+  if (!(result?.meta?.changes > 0)) return null;
+  return await db.prepare(`SELECT ${RULE_COLUMNS} FROM mailbox_rules WHERE id = ? LIMIT 1`).bind(ruleId).first();
+}
+
+/**
+ * 删除收件规则
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} ruleId - 规则ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteMailboxRule(db, mailboxId, ruleId) {
+  const result = await db.prepare('DELETE FROM mailbox_rules WHERE id = ? AND mailbox_id = ?')
+    .bind(ruleId, mailboxId).run();
+  return (result?.meta?.changes || 0) > 0;
+}
+
+/**
+ * 按给定顺序重排规则，未列出的规则保持相对顺序排在末尾
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {Array<number>} orderedIds - 规则ID顺序
+ * @returns {Promise<Array<object>>} 重排后的规则列表
+ */
+export async function reorderMailboxRules(db, mailboxId, orderedIds) {
+  const current = await listMailboxRules(db, mailboxId);
+  const known = new Set(current.map(r => r.id));
+  const ids = [...new Set((orderedIds || []).map(Number).filter(id => known.has(id)))];
+  for (const r of current) {
+    if (!ids.includes(r.id)) ids.push(r.id);
+  }
+  const statements = ids.map((id, i) => db.prepare('UPDATE mailbox_rules SET position = ? WHERE id = ? AND mailbox_id = ?').bind(i + 1, id, mailboxId));
+  if (statements.length) await db.batch(statements);
+  return await listMailboxRules(db, mailboxId);
+}
+
+/**
+ * 对一封邮件执行邮箱的收件规则（读取规则失败时视为未命中任何规则）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {object} context - 邮件信息（sender、subject、verificationCode、headers）
+ * @returns {Promise<object>} 执行结果，见 email/rules.evaluateRules
+ */
+export async function applyMailboxRules(db, mailboxId, context) {
+  try {
+    const rules = await listMailboxRules(db, mailboxId);
+    return evaluateRules(rules, context);
+  } catch (e) {
+    // 规则读取失败时按无规则处理，避免影响收件
+    console.error('读取收件规则失败:', e);
+    return evaluateRules([], context);
+  }
+}
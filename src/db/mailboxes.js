@@ -188,3 +188,18 @@ export async function getForwardTarget(db, address) {
   
   return result?.forward_to || null;
 }
+
+/**
+ * 获取邮箱的垃圾邮件阈值
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @returns {Promise<number|null>} 阈值，未配置返回 null（使用默认值）
+ */
+export async function getSpamThreshold(db, mailboxId) {
+  if (!mailboxId) return null;
+  const result = await db.prepare(
+    'SELECT spam_threshold FROM mailboxes WHERE id = ? LIMIT 1'
+  ).bind(mailboxId).first();
+  const value = result?.spam_threshold;
+  return value === null || value === undefined ? null : Number(value);
+}
@@ -0,0 +1,321 @@
+/**
+ * 收件消息数据库操作模块
+ * @module db/messages
+ */
+
+import { indexMessageText } from './search.js';
+import { addMessageLabelsByName } from './labels.js';
+
+/**
+ * 插入一条收件消息记录
+ * @param {object} db - 数据库连接对象
+ * @param {object} params - 消息参数对象
+ * @param {number} params.mailboxId - 邮箱ID
+ * @param {string} params.sender - 发件人地址
+ * @param {string} params.senderName - 发件人显示名称，可选
+ * @param {string} params.toAddrs - 收件人列表（逗号分隔）
+ * @param {string} params.subject - 邮件主题
+ * @param {string} params.verificationCode - 验证码，可选
+ * @param {string} params.preview - 内容预览，可选
+ * @param {string} params.r2Bucket - R2 存储桶名称，默认为'mail-eml'
+ * @param {string} params.r2ObjectKey - R2 对象键
+ * @param {Array<object>} params.attachments - 附件元数据列表，可选
+ * @param {string} params.ccAddrs - 抄送地址列表（逗号分隔），可选
+ * @param {string} params.messageId - Message-ID（不含尖括号），可选
+ * @param {string} params.inReplyTo - In-Reply-To 消息 ID，可选
+ * @param {Array<string>} params.references - References 消息 ID 列表，可选
+ * @param {object} params.auth - 发件认证结论 { spf, dkim, dmarc }，可选
+ * @param {number} params.spamScore - 垃圾邮件评分，可选
+ * @param {Array<string>} params.spamReasons - 命中的评分规则，可选
+ * @param {boolean} params.isSpam - 是否归入垃圾邮件，可选
+ * @param {string} params.tag - 子地址标签，可选
+ * @param {Array<string>} params.labels - 收件规则添加的标签名称（不存在的标签自动创建），可选
+ * @param {boolean} params.isRead - 是否标记为已读，可选
+ * @param {string} params.verificationLink - 验证、登录链接，可选
+ * @param {string} params.verificationOtp - 字母数字验证码，可选
+ * @param {object} params.calendarEvent - 日历邀请事件（见 email/calendar.parseCalendarEvent），可选
+ * @param {string} params.bodyText - 正文纯文本（写入全文索引），可选
+ * @returns {Promise<number|null>} 新消息ID
+ */
+export async function insertMessage(db, {
+  mailboxId,
+  sender,
+  senderName = null,
+  toAddrs,
+  subject,
+  verificationCode = null,
+  preview = null,
+  r2Bucket = 'mail-eml',
+  r2ObjectKey = '',
+  attachments = [],
+  ccAddrs = '',
+  messageId = null,
+  inReplyTo = null,
+  references = [],
+  auth = {},
+  spamScore = 0,
+  spamReasons = [],
+  isSpam = false,
+  tag = null,
+  labels = [],
+  isRead = false,
+  verificationLink = null,
+  verificationOtp = null,
+  calendarEvent = null,
+  bodyText = ''
+}) {
+  const attachmentsJson = Array.isArray(attachments) && attachments.length ? JSON.stringify(attachments) : null;
+  const refs = Array.isArray(references) ? references : [];
+  let threadId = null;
+  try {
+    threadId = await resolveThreadId(db, mailboxId, { messageId, inReplyTo, references: refs });
+  } catch (e) {
+    console.error('计算会话 ID 失败:', e);
+  }
+  const result = await db.prepare(`
+    INSERT INTO messages (mailbox_id, sender, sender_name, to_addrs, cc_addrs, subject, verification_code, preview, r2_bucket, r2_object_key, attachments,
+                          message_id, in_reply_to, references_ids, thread_id, spf_result, dkim_result, dmarc_result, spam_score, spam_reasons, is_spam, tag,
+                          is_read, verification_link, verification_otp, calendar_event)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    mailboxId,
+    sender,
+    senderName || null,
+    String(toAddrs || ''),
+    ccAddrs || null,
+    subject || '(无主题)',
+    verificationCode || null,
+    preview || null,
+    r2Bucket || 'mail-eml',
+    r2ObjectKey || '',
+    attachmentsJson,
+    messageId || null,
+    inReplyTo || null,
+    refs.length ? refs.map(id => `<${id}>`).join(' ') : null,
+    threadId,
+    auth?.spf || null,
+    auth?.dkim || null,
+    auth?.dmarc || null,
+    Number(spamScore) || 0,
+    Array.isArray(spamReasons) && spamReasons.length ? spamReasons.join(',') : null,
+    isSpam ? 1 : 0,
+    tag || null,
+    isRead ? 1 : 0,
+    verificationLink || null,
+    verificationOtp || null,
+    calendarEvent ? JSON.stringify(calendarEvent) : null
+  ).run();
+  const storedId = result?.meta?.last_row_id ?? null;
+  if (storedId) {
+    try {
+      await insertMessageReferences(db, storedId, mailboxId, [...refs, inReplyTo].filter(id => id !== messageId));
+    } catch (e) {
+      console.error('记录邮件引用失败:', e);
+    }
+  }
+  // 全文索引失败不影响收件
+  try {
+    await indexMessageText(db, storedId, { subject, sender, senderName, preview, body: bodyText });
+  } catch (e) {
+    console.error('写入全文索引失败:', e);
+  }
+  if (Array.isArray(labels) && labels.length) {
+    try {
+      await addMessageLabelsByName(db, mailboxId, storedId, labels);
+    } catch (e) {
+      console.error('添加规则标签失败:', e);
+    }
+  }
+  return storedId;
+}
+
+/**
+ * 判断邮箱中是否已存在指定 Message-ID 的邮件
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {string} messageId - Message-ID（不含尖括号）
+ * @returns {Promise<boolean>} 是否已存在
+ */
+export async function hasMessageWithId(db, mailboxId, messageId) {
+  if (!mailboxId || !messageId) return false;
+  const row = await db.prepare(
+    'SELECT 1 AS found FROM messages WHERE mailbox_id = ? AND message_id = ? LIMIT 1'
+  ).bind(mailboxId, messageId).first();
+  return !!row;
+}
+
+/**
+ * 按 JWZ 引用匹配思路计算会话 ID
+ * 优先沿用最近的已存储祖先邮件的会话；其次查找先于本邮件到达的回复；
+ * 均未命中时以引用链的根消息 ID（或自身 Message-ID）作为会话 ID，保证后续邮件可归入同一会话
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {object} ids - 消息 ID 信息
+ * @param {string} ids.messageId - 本邮件 Message-ID
+ * @param {string} ids.inReplyTo - In-Reply-To 消息 ID
+ * @param {Array<string>} ids.references - References 消息 ID 列表（由根到近）
+ * @returns {Promise<string|null>} 会话 ID，缺少全部消息 ID 时返回 null
+ */
+export async function resolveThreadId(db, mailboxId, { messageId = null, inReplyTo = null, references = [] } = {}) {
+  // D1 单条语句绑定参数有限，只保留最近的 50 个引用
+  const parents = (Array.isArray(references) ? references : []).filter(id => id && id !== messageId).slice(-50);
+  if (inReplyTo && inReplyTo !== messageId && !parents.includes(inReplyTo)) parents.push(inReplyTo);
+
+  if (parents.length) {
+    const placeholders = parents.map(() => '?').join(',');
+    const { results } = await db.prepare(`
+      SELECT message_id, thread_id FROM messages
+      WHERE mailbox_id = ? AND thread_id IS NOT NULL AND message_id IN (${placeholders})
+    `).bind(mailboxId, ...parents).all();
+    const threadByMessageId = new Map((results || []).map(r => [r.message_id, r.thread_id]));
+    for (let i = parents.length - 1; i >= 0; i--) {
+      if (threadByMessageId.has(parents[i])) return threadByMessageId.get(parents[i]);
+    }
+  }
+
+  if (messageId) {
+    // 回复先于原邮件到达时，归入回复所在的会话（按 message_references 索引查找）
+    try {
+      const child = await db.prepare(`
+        SELECT m.thread_id FROM message_references r
+        JOIN messages m ON m.id = r.message_id
+        WHERE r.mailbox_id = ? AND r.ref_id = ? AND m.thread_id IS NOT NULL
+        LIMIT 1
+      `).bind(mailboxId, messageId).first();
+      if (child?.thread_id) return child.thread_id;
+    } catch (e) {
+      console.error('查询引用本邮件的回复失败:', e);
+    }
+  }
+
+  return parents[0] || messageId || null;
+}
+
+/**
+ * 记录邮件引用的消息 ID（In-Reply-To 与最近的 50 个 References）
+ * @param {object} db - 数据库连接对象
+ * @param {number} storedId - 邮件记录ID
+ * @param {number} mailboxId - 邮箱ID
+ * @param {Array<string>} refIds - 引用的消息 ID 列表
+ * @returns {Promise<void>}
+ */
+async function insertMessageReferences(db, storedId, mailboxId, refIds) {
+  const ids = [...new Set(refIds.filter(Boolean))].slice(-50);
+  // D1 单条语句的绑定参数上限为 100，每行 3 个参数
+  for (let i = 0; i < ids.length; i += 30) {
+    const chunk = ids.slice(i, i + 30);
+    await db.prepare(`INSERT OR IGNORE INTO message_references (message_id, mailbox_id, ref_id) VALUES ${chunk.map(() => '(?, ?, ?)').join(', ')}`)
+      .bind(...chunk.flatMap(id => [storedId, mailboxId, id])).run();
+  }
+}
+
+/**
+ * 查询邮箱的会话列表（按最近一封邮件时间倒序）
+ * 未计算会话 ID 的邮件各自视为独立会话，垃圾邮件不计入会话
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {object} options - 查询选项
+ * @param {number} options.limit - 返回会话数量
+ * @param {string} options.since - 仅统计该时间之后的邮件，可选
+ * @returns {Promise<Array<object>>} 会话列表
+ */
+export async function listThreads(db, mailboxId, { limit = 20, since = null } = {}) {
+  const timeFilter = since ? ' AND received_at >= ?' : '';
+  const timeParam = since ? [since] : [];
+  const { results } = await db.prepare(`
+    SELECT COALESCE(thread_id, 'msg:' || id) AS thread_id,
+           COUNT(*) AS message_count,
+           SUM(CASE WHEN is_read = 0 THEN 1 ELSE 0 END) AS unread_count,
+           MAX(received_at) AS last_received_at,
+           MAX(id) AS latest_id,
+           GROUP_CONCAT(DISTINCT sender) AS participants
+    FROM messages
+    WHERE mailbox_id = ? AND COALESCE(is_spam, 0) = 0${timeFilter}
+    GROUP BY COALESCE(thread_id, 'msg:' || id)
+    ORDER BY last_received_at DESC, latest_id DESC
+    LIMIT ?
+  `).bind(mailboxId, ...timeParam, limit).all();
+  const threads = results || [];
+  if (!threads.length) return [];
+
+  const latestIds = threads.map(t => t.latest_id);
+  const placeholders = latestIds.map(() => '?').join(',');
+  const latest = await db.prepare(`
+    SELECT id, sender, sender_name, subject, preview, verification_code
+    FROM messages WHERE id IN (${placeholders})
+  `).bind(...latestIds).all();
+  const latestById = new Map((latest.results || []).map(r => [r.id, r]));
+
+  return threads.map(t => {
+    const row = latestById.get(t.latest_id) || {};
+    return {
+      thread_id: t.thread_id,
+      subject: row.subject || '(无主题)',
+      message_count: t.message_count,
+      unread_count: t.unread_count || 0,
+      last_received_at: t.last_received_at,
+      participants: String(t.participants || '').split(',').filter(Boolean),
+      latest: {
+        id: t.latest_id,
+        sender: row.sender || '',
+        sender_name: row.sender_name || null,
+        preview: row.preview || '',
+        verification_code: row.verification_code || null
+      }
+    };
+  });
+}
+
+/**
+ * 查询会话中的全部邮件（按接收时间正序）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {string} threadId - 会话 ID（独立邮件为 msg:<id>）
+ * @param {object} options - 查询选项
+ * @param {string} options.since - 仅返回该时间之后的邮件，可选
+ * @returns {Promise<Array<object>>} 邮件列表
+ */
+export async function getThreadMessages(db, mailboxId, threadId, { since = null } = {}) {
+  const timeFilter = since ? ' AND received_at >= ?' : '';
+  const timeParam = since ? [since] : [];
+  const standalone = /^msg:(\d+)$/.exec(String(threadId || ''));
+  const condition = standalone ? 'id = ? AND thread_id IS NULL' : 'thread_id = ?';
+  const { results } = await db.prepare(`
+    SELECT id, sender, sender_name, to_addrs, cc_addrs, subject, received_at, is_read, preview, verification_code,
+           verification_link, verification_otp, message_id, in_reply_to
+    FROM messages
+    WHERE mailbox_id = ? AND ${condition}${timeFilter}
+    ORDER BY received_at ASC, id ASC
+  `).bind(mailboxId, standalone ? Number(standalone[1]) : String(threadId), ...timeParam).all();
+  return results || [];
+}
+
+/**
+ * 解析消息记录中的附件元数据字段
+ * @param {string|null} value - attachments 字段原始值
+ * @returns {Array<object>|null} 附件元数据列表，字段为空时返回 null
+ */
+export function parseAttachmentsField(value) {
+  if (!value) return null;
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 解析消息记录中的日历邀请事件字段
+ * @param {string|null} value - calendar_event 字段原始值
+ * @returns {object|null} 事件对象，字段为空或无效时返回 null
+ */
+export function parseCalendarEventField(value) {
+  if (!value) return null;
+  try {
+    const event = JSON.parse(value);
+    return event && typeof event === 'object' && !Array.isArray(event) ? event : null;
+  } catch (_) {
+    return null;
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * 邮件全文检索数据库操作模块
+ * messages_fts 为 FTS5 虚拟表（trigram 分词，支持中文子串匹配），rowid 与 messages.id 一致
+ * @module db/search
+ */
+
+const MAX_INDEXED_BODY_LENGTH = 20000;
+const MAX_SEARCH_TERMS = 8;
+
+/**
+ * 为新邮件建立全文索引
+ * @param {object} db - 数据库连接对象
+ * @param {number} messageId - 邮件ID
+ * @param {object} fields - 索引内容
+ * @param {string} fields.subject - 主题
+ * @param {string} fields.sender - 发件人地址
+ * @param {string} fields.senderName - 发件人名称
+ * @param {string} fields.preview - 预览
+ * @param {string} fields.body - 正文纯文本
+ * @returns {Promise<void>}
+ */
+export async function indexMessageText(db, messageId, { subject = '', sender = '', senderName = '', preview = '', body = '' } = {}) {
+  if (!messageId) return;
+  await db.prepare('INSERT OR REPLACE INTO messages_fts (rowid, subject, sender, preview, body) VALUES (?, ?, ?, ?, ?)').bind(
+    messageId,
+    String(subject || ''),
+    [senderName, sender].filter(Boolean).join(' '),
+    String(preview || ''),
+    String(body || '').replace(/\s+/g, ' ').trim().slice(0, MAX_INDEXED_BODY_LENGTH)
+  ).run();
+}
+
+/**
+ * 将搜索词转换为查询条件：不少于 3 个字符的词使用 FTS5 MATCH（按短语匹配），
+ * 更短的词（trigram 无法索引）回退为对索引表各列的 LIKE 匹配，各词之间为“且”关系
+ * @param {string} query - 用户输入的搜索词
+ * @returns {{match: string, likes: Array<string>}|null} 查询条件，没有有效搜索词时返回 null
+ */
+function buildSearchQuery(query) {
+  const terms = String(query || '').trim().split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS);
+  if (!terms.length) return null;
+  const phrases = [];
+  const likes = [];
+  for (const term of terms) {
+    if ([...term].length >= 3) phrases.push(`"${term.replace(/"/g, '""')}"`);
+    else likes.push(`%${term.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  return { match: phrases.join(' '), likes };
+}
+
+/**
+ * 全文搜索邮件（按接收时间倒序）
+ * @param {object} db - 数据库连接对象
+ * @param {object} params - 查询参数
+ * @param {string} params.query - 搜索词
+ * @param {Array<number>|null} params.mailboxIds - 可搜索的邮箱ID，null 表示不限
+ * @param {number|null} params.userId - 按 user_mailboxes 限定为该用户关联的邮箱
+ * @param {string} params.mailbox - 限定收件邮箱地址
+ * @param {string} params.from - 发件人地址或名称包含的内容
+ * @param {string} params.after - 仅返回此时间之后收到的邮件
+ * @param {string} params.before - 仅返回此时间之前收到的邮件
+ * @param {boolean} params.includeSpam - 是否包含垃圾邮件
+ * @param {number} params.limit - 每页数量
+ * @param {number} params.offset - 偏移量
+ * @returns {Promise<Array<object>>} 邮件列表（含收件邮箱地址，不含标签）
+ */
+export async function searchMessages(db, {
+  query,
+  mailboxIds = null,
+  userId = null,
+  mailbox = '',
+  from = '',
+  after = '',
+  before = '',
+  includeSpam = false,
+  limit = 20,
+  offset = 0
+} = {}) {
+  const parsed = buildSearchQuery(query);
+  if (!parsed) return [];
+  const conditions = [];
+  const params = [];
+  if (parsed.match) {
+    conditions.push('messages_fts MATCH ?');
+    params.push(parsed.match);
+  }
+  for (const like of parsed.likes) {
+    conditions.push("(messages_fts.subject LIKE ? ESCAPE '\\' OR messages_fts.sender LIKE ? ESCAPE '\\' OR messages_fts.preview LIKE ? ESCAPE '\\' OR messages_fts.body LIKE ? ESCAPE '\\')");
+    params.push(like, like, like, like);
+  }
+  if (Array.isArray(mailboxIds)) {
+    if (!mailboxIds.length) return [];
+    conditions.push(`m.mailbox_id IN (${mailboxIds.map(() => '?').join(',')})`);
+    params.push(...mailboxIds);
+  }
+  if (userId) {
+    conditions.push('m.mailbox_id IN (SELECT mailbox_id FROM user_mailboxes WHERE user_id = ?)');
+    params.push(userId);
+  }
+  if (mailbox) {
+    conditions.push('mb.address = ?');
+    params.push(mailbox);
+  }
+  if (from) {
+    conditions.push("(LOWER(m.sender) LIKE ? ESCAPE '\\' OR LOWER(COALESCE(m.sender_name, '')) LIKE ? ESCAPE '\\')");
+    const pattern = `%${from.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`;
+    params.push(pattern, pattern);
+  }
+  if (after) {
+    conditions.push('m.received_at >= ?');
+    params.push(after);
+  }
+  if (before) {
+    conditions.push('m.received_at < ?');
+    params.push(before);
+  }
+  if (!includeSpam) conditions.push('COALESCE(m.is_spam, 0) = 0');
+
+  const { results } = await db.prepare(`
+    SELECT m.id, m.mailbox_id, mb.address AS mailbox, m.sender, m.sender_name, m.subject, m.received_at, m.is_read, m.preview,
+           m.verification_code, m.verification_link, m.verification_otp, m.spam_score, m.is_spam, m.tag
+    FROM messages_fts
+    JOIN messages m ON m.id = messages_fts.rowid
+    JOIN mailboxes mb ON mb.id = m.mailbox_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY m.received_at DESC, m.id DESC
+    LIMIT ? OFFSET ?
+  `).bind(...params, limit, offset).all();
+  return results || [];
+}
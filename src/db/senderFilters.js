@@ -0,0 +1,110 @@
+/**
+ * 邮箱发件人过滤（允许/拒绝列表）数据库操作模块
+ * @module db/senderFilters
+ */
+
+import { evaluateSenderFilters } from '../email/senderFilter.js';
+
+/**
+ * 过滤规则类型
+ */
+export const SENDER_FILTER_TYPES = ['allow', 'block'];
+
+/**
+ * 查询邮箱的发件人过滤规则
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @returns {Promise<Array<object>>} 规则列表
+ */
+export async function listSenderFilters(db, mailboxId) {
+  const { results } = await db.prepare(`
+    SELECT id, mailbox_id, type, pattern, created_at
+    FROM mailbox_sender_filters WHERE mailbox_id = ?
+    ORDER BY type ASC, id ASC
+  `).bind(mailboxId).all();
+  return results || [];
+}
+
+/**
+ * 添加发件人过滤规则（重复规则直接返回已有记录）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {string} type - 规则类型 allow | block
+ * @param {string} pattern - 匹配模式
+ * @returns {Promise<object>} 规则记录
+ */
+export async function addSenderFilter(db, mailboxId, type, pattern) {
+  await db.prepare(`
+    INSERT OR IGNORE INTO mailbox_sender_filters (mailbox_id, type, pattern) VALUES (?, ?, ?)
+  `).bind(mailboxId, type, pattern).run();
+  return await db.prepare(`
+    SELECT id, mailbox_id, type, pattern, created_at FROM mailbox_sender_filters
+    WHERE mailbox_id = ? AND type = ? AND pattern = ? LIMIT 1
+  `).bind(mailboxId, type, pattern).first();
+}
+
+/**
+ * 删除发件人过滤规则
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} filterId - 规则ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteSenderFilter(db, mailboxId, filterId) {
+  const result = await db.prepare('DELETE FROM mailbox_sender_filters WHERE id = ? AND mailbox_id = ?')
+    .bind(filterId, mailboxId).run();
+  return (result?.meta?.changes || 0) > 0;
+}
+
+/**
+ * 检查发件人是否被邮箱的过滤规则允许（读取规则失败时放行）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {string} sender - 发件人地址
+ * @returns {Promise<{allowed: boolean, type: string|null, pattern: string|null}>} 检查结果
+ */
+export async function checkSenderFilters(db, mailboxId, sender) {
+  try {
+    const filters = await listSenderFilters(db, mailboxId);
+    return evaluateSenderFilters(filters, sender);
+  } catch (e) {
+    // 规则读取失败时放行，避免误拒正常邮件
+    console.error('读取发件人过滤规则失败:', e);
+    return { allowed: true, type: null, pattern: null };
+  }
+}
+
+/**
+ * 记录一次发件人拒收
+ * @param {object} db - 数据库连接对象
+ * @param {object} params - 拒收信息
+ * @param {number} params.mailboxId - 邮箱ID
+ * @param {string} params.sender - 发件人地址
+ * @param {string} params.recipient - 收件地址
+ * @param {string} params.subject - 邮件主题
+ * @param {string} params.reason - 拒收原因 not-allowed | blocked
+ * @param {string} params.pattern - 命中的规则模式，可选
+ * @returns {Promise<void>}
+ */
+export async function recordSenderRejection(db, { mailboxId, sender, recipient, subject, reason, pattern = null }) {
+  await db.prepare(`
+    INSERT INTO sender_rejections (mailbox_id, sender, recipient, subject, reason, pattern)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(mailboxId, sender || '', recipient || '', subject || '', reason, pattern).run();
+}
+
+/**
+ * 查询邮箱最近的发件人拒收记录
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @param {number} limit - 返回数量
+ * @returns {Promise<Array<object>>} 拒收记录列表
+ */
+export async function listSenderRejections(db, mailboxId, limit = 20) {
+  const { results } = await db.prepare(`
+    SELECT id, sender, recipient, subject, reason, pattern, created_at
+    FROM sender_rejections WHERE mailbox_id = ?
+    ORDER BY id DESC LIMIT ?
+  `).bind(mailboxId, limit).all();
+  return results || [];
+}
@@ -16,14 +16,15 @@
  * @param {string} params.text - 纯文本内容
  * @param {string} params.status - 邮件状态，默认为'queued'
  * @param {string} params.scheduledAt - 计划发送时间，默认为null
+ * @param {string} params.messageId - 发出邮件的 Message-ID（不含尖括号），用于匹配退信，默认为null
  * @returns {Promise<void>} 记录完成后无返回值
  */
-export async function recordSentEmail(db, { resendId, fromName, from, to, subject, html, text, status = 'queued', scheduledAt = null }) {
+export async function recordSentEmail(db, { resendId, fromName, from, to, subject, html, text, status = 'queued', scheduledAt = null, messageId = null }) {
   const toAddrs = Array.isArray(to) ? to.join(',') : String(to || '');
   await db.prepare(`
-    INSERT INTO sent_emails (resend_id, from_name, from_addr, to_addrs, subject, html_content, text_content, status, scheduled_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).bind(resendId || null, fromName || null, from, toAddrs, subject, html || null, text || null, status, scheduledAt || null).run();
+    INSERT INTO sent_emails (resend_id, from_name, from_addr, to_addrs, subject, html_content, text_content, status, scheduled_at, message_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(resendId || null, fromName || null, from, toAddrs, subject, html || null, text || null, status, scheduledAt || null, messageId || null).run();
 }
 
 /**
@@ -50,3 +51,44 @@ export async function updateSentEmail(db, resendId, fields) {
   values.push(resendId);
   await db.prepare(sql).bind(...values).run();
 }
+
+/**
+ * 查找退信对应的发件记录：优先按原邮件 Message-ID 匹配，否则按收件人匹配指定发件地址最近的一条记录
+ * @param {object} db - 数据库连接对象
+ * @param {object} params - 匹配条件
+ * @param {string} params.messageId - 原邮件 Message-ID（不含尖括号），可选
+ * @param {string} params.recipient - 退信的收件人地址，可选
+ * @param {Array<string>} params.fromAddrs - 收到退信的本地地址（即原邮件发件地址），按收件人匹配时必填
+ * @returns {Promise<object|null>} 发件记录 { id, status, to_addrs }
+ */
+export async function findSentEmailForBounce(db, { messageId = null, recipient = '', fromAddrs = [] }) {
+  if (messageId) {
+    const row = await db.prepare('SELECT id, status, to_addrs FROM sent_emails WHERE message_id = ? ORDER BY id DESC LIMIT 1')
+      .bind(messageId).first();
+    if (row) return row;
+  }
+  const addr = String(recipient || '').trim().toLowerCase();
+  const senders = (fromAddrs || []).map(a => String(a || '').trim().toLowerCase()).filter(Boolean);
+  if (!addr || !senders.length) return null;
+  const row = await db.prepare(`
+    SELECT id, status, to_addrs FROM sent_emails
+    WHERE LOWER(from_addr) IN (${senders.map(() => '?').join(', ')})
+      AND (',' || REPLACE(LOWER(to_addrs), ' ', '') || ',') LIKE ?
+    ORDER BY id DESC LIMIT 1
+  `).bind(...senders, `%,${addr},%`).first();
+  return row || null;
+}
+
+/**
+ * 将发件记录标记为退信并记录诊断信息
+ * @param {object} db - 数据库连接对象
+ * @param {number} id - 发件记录ID
+ * @param {string} diagnosticCode - 诊断信息（多个收件人时逐行记录）
+ * @returns {Promise<void>} 更新完成后无返回值
+ */
+export async function markSentEmailBounced(db, id, diagnosticCode) {
+  await db.prepare(`
+    UPDATE sent_emails SET status = 'bounced', diagnostic_code = ?, bounced_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(diagnosticCode || null, id).run();
+}
@@ -0,0 +1,158 @@
+/**
+ * Webhook 订阅与投递记录数据库操作模块
+ * @module db/webhooks
+ */
+
+const WEBHOOK_COLUMNS = 'id, mailbox_id, user_id, url, secret, enabled, created_at, updated_at';
+
+/**
+ * 每个 Webhook 保留的投递记录条数
+ */
+export const WEBHOOK_DELIVERY_LOG_LIMIT = 100;
+
+/**
+ * 查询邮箱或用户的 Webhook 列表
+ * @param {object} db - 数据库连接对象
+ * @param {object} scope - 订阅范围
+ * @param {number} scope.mailboxId - 邮箱ID（与 userId 二选一）
+ * @param {number} scope.userId - 用户ID（与 mailboxId 二选一）
+ * @returns {Promise<Array<object>>} Webhook 列表
+ */
+export async function listWebhooks(db, { mailboxId = null, userId = null } = {}) {
+  const column = mailboxId ? 'mailbox_id' : 'user_id';
+  const { results } = await db.prepare(`
+    SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE ${column} = ? ORDER BY id ASC
+  `).bind(mailboxId || userId).all();
+  return results || [];
+}
+
+/**
+ * 按ID查询 Webhook
+ * @param {object} db - 数据库连接对象
+ * @param {number} id - Webhook ID
+ * @returns {Promise<object|null>} Webhook 记录
+ */
+export async function getWebhookById(db, id) {
+  return await db.prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ? LIMIT 1`).bind(id).first() || null;
+}
+
+/**
+ * 添加 Webhook
+ * @param {object} db - 数据库连接对象
+ * @param {object} params - Webhook 参数
+ * @param {number|null} params.mailboxId - 邮箱ID（邮箱级订阅）
+ * @param {number|null} params.userId - 用户ID（用户级订阅，覆盖该用户的全部邮箱）
+ * @param {string} params.url - 接收地址
+ * @param {string} params.secret - 签名密钥
+ * @param {boolean} params.enabled - 是否启用
+ * @returns {Promise<object>} Webhook 记录
+ */
+export async function addWebhook(db, { mailboxId = null, userId = null, url, secret, enabled = true }) {
+  const result = await db.prepare(`
+    INSERT INTO webhooks (mailbox_id, user_id, url, secret, enabled) VALUES (?, ?, ?, ?, ?)
+  `).bind(mailboxId, userId, url, secret, enabled ? 1 : 0).run();
+  return await getWebhookById(db, result?.meta?.last_row_id);
+}
+
+/**
+ * 更新 Webhook（未提供的字段保持不变）
+ * @param {object} db - 数据库连接对象
+ * @param {number} id - Webhook ID
+ * @param {object} fields - 更新字段
+ * @param {string} fields.url - 接收地址，可选
+ * @param {string} fields.secret - 签名密钥，可选
+ * @param {boolean} fields.enabled - 是否启用，可选
+ * @returns {Promise<object|null>} 更新后的 Webhook 记录
+ */
+export async function updateWebhook(db, id, { url, secret, enabled } = {}) {
+  await db.prepare(`
+    UPDATE webhooks SET url = COALESCE(?, url), secret = COALESCE(?, secret), enabled = COALESCE(?, enabled),
+           updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(url ?? null, secret ?? null, enabled === undefined ? null : (enabled ? 1 : 0), id).run();
+  return await getWebhookById(db, id);
+}
+
+/**
+ * 删除 Webhook（投递记录一并删除）
+ * @param {object} db - 数据库连接对象
+ * @param {number} id - Webhook ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteWebhook(db, id) {
+  const result = await db.prepare('DELETE FROM webhooks WHERE id = ?').bind(id).run();
+  return (result?.meta?.changes || 0) > 0;
+}
+
+/**
+ * 统计邮箱或用户的 Webhook 数量
+ * @param {object} db - 数据库连接对象
+ * @param {object} scope - 订阅范围，见 listWebhooks
+ * @returns {Promise<number>} 数量
+ */
+export async function countWebhooks(db, { mailboxId = null, userId = null } = {}) {
+  const column = mailboxId ? 'mailbox_id' : 'user_id';
+  const row = await db.prepare(`SELECT COUNT(1) AS c FROM webhooks WHERE ${column} = ?`).bind(mailboxId || userId).first();
+  return Number(row?.c) || 0;
+}
+
+/**
+ * 查询邮箱收件时需要通知的 Webhook（邮箱级订阅与所属用户的用户级订阅，仅启用的）
+ * @param {object} db - 数据库连接对象
+ * @param {number} mailboxId - 邮箱ID
+ * @returns {Promise<Array<object>>} Webhook 列表
+ */
+export async function getActiveWebhooksForMailbox(db, mailboxId) {
+  const { results } = await db.prepare(`
+    SELECT ${WEBHOOK_COLUMNS} FROM webhooks
+    WHERE enabled = 1 AND (
+      mailbox_id = ?
+      OR user_id IN (SELECT user_id FROM user_mailboxes WHERE mailbox_id = ?)
+    )
+    ORDER BY id ASC
+  `).bind(mailboxId, mailboxId).all();
+  return results || [];
+}
+
+/**
+ * 记录一次 Webhook 投递结果，并只保留最近的记录
+ * @param {object} db - 数据库连接对象
+ * @param {object} params - 投递结果
+ * @param {number} params.webhookId - Webhook ID
+ * @param {string} params.event - 事件类型
+ * @param {number|null} params.messageId - 邮件ID，测试事件为 null
+ * @param {boolean} params.success - 是否投递成功
+ * @param {number|null} params.statusCode - 最后一次响应状态码
+ * @param {number} params.attempts - 尝试次数
+ * @param {string|null} params.error - 错误信息
+ * @returns {Promise<object>} 投递记录
+ */
+export async function recordWebhookDelivery(db, { webhookId, event, messageId = null, success, statusCode = null, attempts, error = null }) {
+  const result = await db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, event, message_id, success, status_code, attempts, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(webhookId, event, messageId, success ? 1 : 0, statusCode, attempts, error ? String(error).slice(0, 500) : null).run();
+  const id = result?.meta?.last_row_id;
+  await db.prepare(`
+    DELETE FROM webhook_deliveries WHERE webhook_id = ? AND id <= (
+      SELECT id FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?
+    )
+  `).bind(webhookId, webhookId, WEBHOOK_DELIVERY_LOG_LIMIT).run();
+  return await db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? LIMIT 1').bind(id).first();
+}
+
+/**
+ * 查询 Webhook 的投递记录（按时间倒序）
+ * @param {object} db - 数据库连接对象
+ * @param {number} webhookId - Webhook ID
+ * @param {number} limit - 返回条数
+ * @returns {Promise<Array<object>>} 投递记录列表
+ */
+export async function listWebhookDeliveries(db, webhookId, limit = 50) {
+  const { results } = await db.prepare(`
+    SELECT id, webhook_id, event, message_id, success, status_code, attempts, error, created_at
+    FROM webhook_deliveries WHERE webhook_id = ?
+    ORDER BY id DESC LIMIT ?
+  `).bind(webhookId, limit).all();
+  return results || [];
+}
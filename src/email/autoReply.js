@@ -0,0 +1,127 @@
+/**
+ * 自动回复（假期回复）模块
+ * @module email/autoReply
+ */
+
+import { sendEmailWithAutoResend } from './sender.js';
+import { getAutoReplyConfig, claimAutoReplySlot, releaseAutoReplySlot } from '../db/autoReplies.js';
+import { recordSentEmail } from '../db/sentEmails.js';
+
+/**
+ * 默认的同一发件人回复间隔（天）
+ */
+export const DEFAULT_AUTO_REPLY_THROTTLE_DAYS = 7;
+
+// 系统退信与无人值守地址的本地部分
+const NO_REPLY_LOCAL_PARTS = /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply|bounces?|listserv|majordomo|owner-.+|.+-(request|owner|bounces?))$/i;
+
+/**
+ * 判断一封邮件是否不应自动回复
+ * 跳过邮件列表、退信、其他自动回复（Auto-Submitted / Precedence / X-Auto-Response-Suppress）及无人值守地址
+ * @param {{get: Function}} headers - 邮件头（支持 get 方法）
+ * @param {string} sender - 发件人地址
+ * @returns {string|null} 跳过原因，可回复时返回 null
+ */
+export function getAutoReplySkipReason(headers, sender) {
+  const get = (name) => {
+    try { return String(headers?.get?.(name) || '').trim(); } catch (_) { return ''; }
+  };
+  const addr = String(sender || '').trim().toLowerCase();
+  if (!addr || !addr.includes('@')) return 'missing-sender';
+  if (NO_REPLY_LOCAL_PARTS.test(addr.split('@')[0])) return 'no-reply-sender';
+
+  const autoSubmitted = get('auto-submitted').toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') return 'auto-submitted';
+  if (/^(bulk|list|junk|auto_reply)$/i.test(get('precedence'))) return 'precedence';
+  if (get('list-id') || get('list-unsubscribe') || get('list-post')) return 'mailing-list';
+  if (/\b(all|oof|autoreply)\b/i.test(get('x-auto-response-suppress'))) return 'auto-response-suppressed';
+  if (get('x-autoreply') || get('x-autorespond')) return 'auto-submitted';
+  if (get('return-path') === '<>') return 'bounce';
+  if (/multipart\/report/i.test(get('content-type'))) return 'bounce';
+  return null;
+}
+
+/**
+ * 渲染自动回复模板，支持 {{sender}}、{{subject}} 占位符
+ * @param {string} template - 模板文本
+ * @param {object} values - 占位符取值
+ * @param {string} values.sender - 原邮件发件人
+ * @param {string} values.subject - 原邮件主题
+ * @returns {string} 渲染结果
+ */
+export function renderAutoReplyTemplate(template, { sender = '', subject = '' } = {}) {
+  const values = { sender, subject };
+  return String(template || '').replace(/\{\{\s*(sender|subject)\s*\}\}/gi, (_, key) => values[key.toLowerCase()]);
+}
+
+/**
+ * 判断当前时间是否在自动回复生效时间段内（未设置的边界视为不限）
+ * @param {object} config - 自动回复配置
+ * @param {Date} now - 当前时间
+ * @returns {boolean} 是否生效
+ */
+export function isAutoReplyActive(config, now = new Date()) {
+  if (!config || !config.enabled) return false;
+  const t = now.getTime();
+  const start = config.start_at ? Date.parse(config.start_at) : NaN;
+  const end = config.end_at ? Date.parse(config.end_at) : NaN;
+  if (!Number.isNaN(start) && t < start) return false;
+  if (!Number.isNaN(end) && t > end) return false;
+  return true;
+}
+
+/**
+ * 按邮箱配置对收到的邮件发送自动回复，并记录到 sent_emails
+ * 未配置 Resend、不在生效时间段、应跳过的邮件或同一发件人仍在回复间隔内时不发送
+ * @param {object} db - 数据库连接对象
+ * @param {string|object} resendConfig - Resend 配置（同 RESEND_API_KEY）
+ * @param {object} params - 邮件信息
+ * @param {number} params.mailboxId - 邮箱ID
+ * @param {string} params.mailboxAddress - 邮箱地址（作为回复发件人）
+ * @param {string} params.sender - 原邮件发件人
+ * @param {string} params.subject - 原邮件主题
+ * @param {string|null} params.messageId - 原邮件 Message-ID（不含尖括号）
+ * @param {{get: Function}} params.headers - 原邮件头
+ * @returns {Promise<{sent: boolean, reason: string|null}>} 发送结果与未发送原因
+ */
+export async function sendAutoReply(db, resendConfig, { mailboxId, mailboxAddress, sender, subject, messageId = null, headers = null }) {
+  if (!resendConfig) return { sent: false, reason: 'resend-not-configured' };
+  const config = await getAutoReplyConfig(db, mailboxId);
+  if (!isAutoReplyActive(config)) return { sent: false, reason: 'inactive' };
+
+  const from = String(mailboxAddress || '').toLowerCase();
+  const to = String(sender || '').trim().toLowerCase();
+  if (to === from) return { sent: false, reason: 'self' };
+  const skipReason = getAutoReplySkipReason(headers, to);
+  if (skipReason) return { sent: false, reason: skipReason };
+
+  const throttleDays = Number(config.throttle_days) || DEFAULT_AUTO_REPLY_THROTTLE_DAYS;
+  if (!(await claimAutoReplySlot(db, mailboxId, to, throttleDays))) return { sent: false, reason: 'throttled' };
+
+  const values = { sender: to, subject: subject || '' };
+  const replySubject = renderAutoReplyTemplate(config.subject, values).trim() || `Re: ${subject || ''}`.trim();
+  const text = renderAutoReplyTemplate(config.body, values);
+  const replyHeaders = { 'Auto-Submitted': 'auto-replied', 'X-Auto-Response-Suppress': 'All' };
+  if (messageId) {
+    replyHeaders['In-Reply-To'] = `<${messageId}>`;
+    replyHeaders['References'] = `<${messageId}>`;
+  }
+
+  try {
+    const result = await sendEmailWithAutoResend(resendConfig, { from, to, subject: replySubject, text, headers: replyHeaders });
+    await recordSentEmail(db, {
+      resendId: result?.id || null,
+      from,
+      to,
+      subject: replySubject,
+      text,
+      status: 'delivered'
+    });
+    return { sent: true, reason: null };
+  } catch (e) {
+    // 发送失败时释放回复间隔，便于该发件人下一封邮件重试
+    console.error('自动回复发送失败:', e);
+    try { await releaseAutoReplySlot(db, mailboxId, to); } catch (_) { }
+    return { sent: false, reason: 'send-failed' };
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * 退信处理模块
+ * 收到的退信报告（DSN）按原邮件 Message-ID 或收件人匹配发件记录，并将其状态更新为 bounced
+ * @module email/bounces
+ */
+
+import { findSentEmailForBounce, markSentEmailBounced } from '../db/sentEmails.js';
+
+/**
+ * 判断退信报告中的收件人是否为永久投递失败
+ * @param {object} entry - 收件人条目 { action, status }
+ * @returns {boolean} 是否投递失败
+ */
+export function isFailedRecipient(entry) {
+  if (entry?.action) return entry.action === 'failed';
+  return /^5\./.test(String(entry?.status || ''));
+}
+
+/**
+ * 根据退信报告更新发件记录
+ * @param {object} db - 数据库连接对象
+ * @param {object} report - parseDeliveryReport 返回的退信报告
+ * @param {Array<string>} localAddrs - 收到退信的本地地址（即原邮件发件地址）
+ * @returns {Promise<Array<number>>} 被标记为退信的发件记录ID
+ */
+export async function applyDeliveryReport(db, report, localAddrs = []) {
+  const failed = (report?.recipients || []).filter(isFailedRecipient);
+  if (!failed.length) return [];
+
+  // 同一封发件的多个失败收件人合并为一条诊断信息
+  const bounced = new Map();
+  for (const entry of failed) {
+    const row = await findSentEmailForBounce(db, {
+      messageId: report.original_message_id,
+      recipient: entry.recipient,
+      fromAddrs: localAddrs
+    });
+    if (!row) continue;
+    const line = `${entry.recipient}: ${entry.diagnostic_code || entry.status || 'failed'}`;
+    bounced.set(row.id, [...(bounced.get(row.id) || []), line]);
+  }
+  for (const [id, lines] of bounced) {
+    await markSentEmailBounced(db, id, lines.join('\n'));
+  }
+  return [...bounced.keys()];
+}
@@ -0,0 +1,197 @@
+/**
+ * 日历邀请解析模块
+ * 从 text/calendar（iCalendar）内容中提取第一个 VEVENT 的主要字段
+ * @module email/calendar
+ */
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+/**
+ * 解析 iCalendar 内容中的会议事件
+ * @param {string} ics - iCalendar 文本
+ * @returns {object|null} 事件 { method, uid, summary, description, location, organizer, start, end, status, sequence }，没有 VEVENT 时返回 null
+ */
+export function parseCalendarEvent(ics) {
+  const lines = unfoldLines(ics);
+  if (!lines.length) return null;
+
+  let method = '';
+  let event = null;
+  let eventDone = false;
+  const timezones = new Map();
+  let timezone = null;
+  let tzSection = null;
+  const stack = [];
+  for (const line of lines) {
+    const prop = parsePropertyLine(line);
+    if (!prop) continue;
+    if (prop.name === 'BEGIN') {
+      const component = prop.value.toUpperCase();
+      stack.push(component);
+      if (component === 'VEVENT' && !event && stack.length === 2) event = {};
+      if (component === 'VTIMEZONE') timezone = { tzid: '', standard: null, daylight: null };
+      if (timezone && (component === 'STANDARD' || component === 'DAYLIGHT')) tzSection = component.toLowerCase();
+      continue;
+    }
+    if (prop.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VTIMEZONE' && timezone) {
+        if (timezone.tzid) timezones.set(timezone.tzid, timezone);
+        timezone = null;
+      }
+      if (component === 'STANDARD' || component === 'DAYLIGHT') tzSection = null;
+      if (component === 'VEVENT' && event) eventDone = true;
+      continue;
+    }
+    const current = stack[stack.length - 1];
+    if (current === 'VCALENDAR' && prop.name === 'METHOD') method = prop.value.trim().toUpperCase();
+    if (current === 'VTIMEZONE' && timezone && prop.name === 'TZID') timezone.tzid = prop.value.trim();
+    if (timezone && tzSection && prop.name === 'TZOFFSETTO') timezone[tzSection] = parseUtcOffset(prop.value);
+    // 仅读取第一个 VEVENT 的直接属性（忽略 VALARM 等子组件）
+    if (current === 'VEVENT' && event && !eventDone && !(prop.name in event)) event[prop.name] = prop;
+  }
+  if (!event) return null;
+
+  const text = (name) => (event[name] ? unescapeText(event[name].value).trim() : '');
+  const start = parseDateProperty(event.DTSTART, timezones);
+  let end = parseDateProperty(event.DTEND, timezones);
+  if (!end && start && event.DURATION) end = addDuration(start, event.DURATION.value);
+
+  return {
+    method: method || null,
+    uid: text('UID') || null,
+    summary: text('SUMMARY'),
+    description: text('DESCRIPTION').slice(0, MAX_DESCRIPTION_LENGTH),
+    location: text('LOCATION'),
+    organizer: parseOrganizer(event.ORGANIZER),
+    start,
+    end,
+    status: text('STATUS').toUpperCase() || null,
+    sequence: event.SEQUENCE ? Number(event.SEQUENCE.value) || 0 : 0
+  };
+}
+
+/**
+ * 展开折行（以空格或制表符开头的行接续上一行）并拆分为行
+ */
+function unfoldLines(ics) {
+  return String(ics || '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .map(l => l.trimEnd())
+    .filter(Boolean);
+}
+
+/**
+ * 解析属性行 NAME;PARAM=VALUE:VALUE（参数值可带引号）
+ */
+function parsePropertyLine(line) {
+  let inQuote = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuote = !inQuote;
+    else if (line[i] === ':' && !inQuote) { colon = i; break; }
+  }
+  if (colon <= 0) return null;
+  const head = line.slice(0, colon);
+  const value = line.slice(colon + 1);
+  const segments = head.match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const name = (segments.shift() || '').trim().toUpperCase();
+  if (!name) return null;
+  const params = {};
+  for (const seg of segments) {
+    const eq = seg.indexOf('=');
+    if (eq === -1) continue;
+    params[seg.slice(0, eq).trim().toUpperCase()] = seg.slice(eq + 1).trim().replace(/^"|"$/g, '');
+  }
+  return { name, params, value };
+}
+
+function unescapeText(value) {
+  return String(value || '').replace(/\\([nN,;\\])/g, (m, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+function parseOrganizer(prop) {
+  if (!prop) return null;
+  const email = prop.value.replace(/^mailto:/i, '').trim().toLowerCase();
+  const name = String(prop.params.CN || '').trim();
+  if (!email && !name) return null;
+  return { email, name };
+}
+
+/**
+ * 解析 DTSTART/DTEND：全天事件返回日期；带 TZID 的本地时间换算为 UTC（时区未知时 utc 为 null）
+ * @returns {object|null} { value, tzid, utc, all_day }
+ */
+function parseDateProperty(prop, timezones) {
+  if (!prop) return null;
+  const raw = prop.value.trim();
+  const date = /^(\d{4})(\d{2})(\d{2})$/.exec(raw);
+  if (date || String(prop.params.VALUE || '').toUpperCase() === 'DATE') {
+    if (!date) return null;
+    return { value: `${date[1]}-${date[2]}-${date[3]}`, tzid: null, utc: null, all_day: true };
+  }
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/i.exec(raw);
+  if (!m) return null;
+  const fields = m.slice(1, 7).map(Number);
+  const value = `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}`;
+  if (m[7]) {
+    return { value, tzid: 'UTC', utc: new Date(Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5])).toISOString(), all_day: false };
+  }
+  const tzid = prop.params.TZID || null;
+  return { value, tzid, utc: tzid ? zonedTimeToUtc(fields, tzid, timezones) : null, all_day: false };
+}
+
+/**
+ * 将时区本地时间换算为 UTC ISO 字符串
+ * 优先使用 IANA 时区名；无法识别时（如 Outlook 的 Windows 时区名）回退到邮件内 VTIMEZONE 的标准时偏移
+ */
+function zonedTimeToUtc(fields, tzid, timezones) {
+  const [y, mo, d, h, mi, s] = fields;
+  const local = Date.UTC(y, mo - 1, d, h, mi, s);
+  let formatter = null;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: tzid, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+  } catch (_) { }
+  if (formatter) {
+    const offsetAt = (time) => {
+      const p = Object.fromEntries(formatter.formatToParts(new Date(time)).map(x => [x.type, x.value]));
+      return Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second)) - time;
+    };
+    let utc = local - offsetAt(local);
+    utc = local - offsetAt(utc);
+    return new Date(utc).toISOString();
+  }
+  const tz = timezones.get(tzid);
+  const offset = tz ? (tz.standard ?? tz.daylight) : null;
+  return offset === null || offset === undefined ? null : new Date(local - offset).toISOString();
+}
+
+/**
+ * 解析 UTC 偏移（+0800、-0530）为毫秒
+ */
+function parseUtcOffset(value) {
+  const m = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec(String(value || '').trim());
+  if (!m) return null;
+  const ms = ((Number(m[2]) * 60 + Number(m[3])) * 60 + Number(m[4] || 0)) * 1000;
+  return m[1] === '-' ? -ms : ms;
+}
+
+/**
+ * 按 DURATION（如 PT1H30M、P1D）由开始时间推算结束时间
+ */
+function addDuration(start, duration) {
+  const m = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(String(duration || '').trim());
+  if (!m) return null;
+  const [weeks, days, hours, minutes, seconds] = m.slice(1).map(v => Number(v) || 0);
+  const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  const shift = (iso) => new Date(Date.parse(iso) + ms).toISOString();
+  if (start.all_day) {
+    return { ...start, value: shift(`${start.value}T00:00:00Z`).slice(0, 10) };
+  }
+  const value = shift(`${start.value}Z`).slice(0, 19);
+  return { ...start, value, utc: start.utc ? shift(start.utc) : null };
+}
@@ -0,0 +1,144 @@
+/**
+ * 验证码提取模板模块
+ * 管理员按发件人地址或域名配置带捕获组的正则，收件时优先于内置规则提取验证码
+ * @module email/codeTemplates
+ */
+
+import { isValidEmail } from '../utils/common.js';
+import { getCodeTemplatesForMatching } from '../db/codeTemplates.js';
+import { extractVerificationCode, stripHtml } from './parser.js';
+import { checkRegexSafety } from './rules.js';
+
+/**
+ * 未指定优先级时使用的默认值（数字越小越先匹配）
+ */
+export const DEFAULT_CODE_TEMPLATE_PRIORITY = 100;
+
+const MAX_TEMPLATE_PATTERN_LENGTH = 300;
+const MAX_TEMPLATE_PRIORITY = 10000;
+const MAX_CODE_LENGTH = 32;
+// 主题、纯文本与 HTML 文本各自只取前 5000 个字符参与匹配
+const MAX_TEMPLATE_INPUT_LENGTH = 5000;
+
+/**
+ * 校验并规范化验证码提取模板
+ * @param {object} input - 模板输入 { sender, pattern, min_length, max_length, priority, enabled }
+ * @returns {{template: object|null, error: string|null}} 规范化后的模板或错误信息
+ */
+export function normalizeCodeTemplate(input) {
+  const item = input || {};
+  const sender = String(item.sender || '').trim().toLowerCase().replace(/^@/, '');
+  if (!sender) return { template: null, error: '发件人地址或域名不能为空' };
+  if (sender.includes('@') ? !isValidEmail(sender) : !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(sender)) {
+    return { template: null, error: '发件人地址或域名格式无效' };
+  }
+
+  const pattern = String(item.pattern ?? '').trim();
+  if (!pattern) return { template: null, error: '正则表达式不能为空' };
+  if (pattern.length > MAX_TEMPLATE_PATTERN_LENGTH) return { template: null, error: '正则表达式不能超过 300 个字符' };
+  let groups = 0;
+  try {
+    new RegExp(pattern);
+    groups = new RegExp(`${pattern}|`).exec('').length - 1;
+  } catch (_) {
+    return { template: null, error: '正则表达式无效' };
+  }
+  const unsafe = checkRegexSafety(pattern, MAX_TEMPLATE_INPUT_LENGTH);
+  if (unsafe) return { template: null, error: `正则表达式无效：${unsafe}` };
+  if (groups < 1) return { template: null, error: '正则表达式需要包含一个捕获组' };
+
+  const toInt = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : Number(value));
+  const minLength = toInt(item.min_length, 4);
+  const maxLength = toInt(item.max_length, 8);
+  if (!Number.isInteger(minLength) || !Number.isInteger(maxLength) || minLength < 1 || maxLength > MAX_CODE_LENGTH || minLength > maxLength) {
+    return { template: null, error: '验证码长度范围无效（1-32，最小值不能大于最大值）' };
+  }
+
+  const priority = toInt(item.priority, DEFAULT_CODE_TEMPLATE_PRIORITY);
+  if (!Number.isInteger(priority) || priority < 0 || priority > MAX_TEMPLATE_PRIORITY) {
+    return { template: null, error: '优先级必须是 0-10000 之间的整数' };
+  }
+
+  return {
+    template: {
+      sender,
+      pattern,
+      min_length: minLength,
+      max_length: maxLength,
+      priority,
+      enabled: item.enabled === undefined ? 1 : (item.enabled ? 1 : 0)
+    },
+    error: null
+  };
+}
+
+/**
+ * 判断发件人是否适用模板：模板为地址时完全匹配，为域名时匹配该域名及其子域名
+ * @param {object} template - 模板
+ * @param {string} sender - 发件人地址
+ * @returns {boolean} 是否适用
+ */
+export function matchCodeTemplateSender(template, sender) {
+  const address = String(sender || '').trim().toLowerCase();
+  const key = String(template?.sender || '').toLowerCase();
+  if (!address || !key) return false;
+  if (key.includes('@')) return address === key;
+  const domain = address.slice(address.lastIndexOf('@') + 1);
+  return domain === key || domain.endsWith(`.${key}`);
+}
+
+/**
+ * 使用单个模板提取验证码（不检查发件人与启用状态）
+ * 依次在主题、纯文本和去除标签后的 HTML 中查找（各取前 5000 个字符），取第一个长度在范围内的捕获结果（去除空白）
+ * 正则未通过回溯检查时（如升级前保存的模板）不匹配
+ * @param {object} template - 模板
+ * @param {object} content - 邮件内容 { subject, text, html }
+ * @returns {string} 验证码，未命中返回空字符串
+ */
+export function applyCodeTemplate(template, { subject = '', text = '', html = '' } = {}) {
+  let regex;
+  try {
+    if (checkRegexSafety(String(template.pattern || ''), MAX_TEMPLATE_INPUT_LENGTH)) return '';
+    regex = new RegExp(template.pattern, 'gi');
+  } catch (_) {
+    return '';
+  }
+  const min = Number(template.min_length) || 1;
+  const max = Number(template.max_length) || MAX_CODE_LENGTH;
+  for (const source of [String(subject || ''), String(text || ''), stripHtml(html)].map(s => s.slice(0, MAX_TEMPLATE_INPUT_LENGTH))) {
+    if (!source) continue;
+    for (const m of source.matchAll(regex)) {
+      const captured = m.slice(1).find(g => g !== undefined);
+      const code = String(captured || '').replace(/\s+/g, '');
+      if (code.length >= min && code.length <= max) return code;
+    }
+  }
+  return '';
+}
+
+/**
+ * 按优先级依次尝试适用于发件人的模板
+ * @param {Array<object>} templates - 按优先级排序的已启用模板
+ * @param {object} content - 邮件内容 { sender, subject, text, html }
+ * @returns {{code: string, template: object|null}} 验证码及命中的模板
+ */
+export function extractCodeWithTemplates(templates, { sender = '', subject = '', text = '', html = '' } = {}) {
+  for (const template of templates || []) {
+    if (!template.enabled || !matchCodeTemplateSender(template, sender)) continue;
+    const code = applyCodeTemplate(template, { subject, text, html });
+    if (code) return { code, template };
+  }
+  return { code: '', template: null };
+}
+
+/**
+ * 提取验证码：先使用管理员配置的模板，未命中时回退到内置规则
+ * @param {object} db - 数据库连接对象
+ * @param {object} content - 邮件内容 { sender, subject, text, html }
+ * @returns {Promise<string>} 验证码，未找到返回空字符串
+ */
+export async function resolveVerificationCode(db, { sender = '', subject = '', text = '', html = '' } = {}) {
+  const templates = await getCodeTemplatesForMatching(db);
+  const { code } = extractCodeWithTemplates(templates, { sender, subject, text, html });
+  return code || extractVerificationCode({ subject, text, html });
+}
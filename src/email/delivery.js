@@ -0,0 +1,162 @@
+/**
+ * 多收件人投递目标解析模块（含别名与子地址路由）
+ * @module email/delivery
+ */
+
+import { parseAddressList } from '../utils/common.js';
+import { getCachedMailboxId } from '../utils/cache.js';
+import { resolveInboundMailbox, getDomainPolicy } from '../db/domainPolicies.js';
+import { checkSenderFilters, recordSenderRejection } from '../db/senderFilters.js';
+import { hasMessageWithId } from '../db/messages.js';
+import { getAliasTargetAddress } from '../db/mailboxAliases.js';
+
+/**
+ * 默认子地址分隔符
+ */
+export const DEFAULT_SUBADDRESS_SEPARATORS = ['+'];
+
+/**
+ * 解析子地址分隔符配置（SUBADDRESS_SEPARATOR 环境变量）
+ * 可配置多个字符，如 "+-" 或 "+,-"；空字符串、none、disabled 表示关闭子地址路由
+ * @param {string|undefined} value - 配置值
+ * @returns {Array<string>} 分隔符列表
+ */
+export function parseSubaddressSeparators(value) {
+  if (value === undefined || value === null) return DEFAULT_SUBADDRESS_SEPARATORS;
+  const s = String(value).trim();
+  if (!s || ['none', 'disabled'].includes(s.toLowerCase())) return [];
+  return [...new Set(s.replace(/[,\s]/g, '').split(''))].filter(ch => /^[+\-=_~]$/.test(ch));
+}
+
+/**
+ * 拆分子地址，如 alice+github@example.com → { base: alice@example.com, tag: github }
+ * @param {string} address - 收件地址
+ * @param {Array<string>} separators - 分隔符列表
+ * @returns {{base: string, tag: string|null}} 基础地址与标签，不含分隔符时 tag 为 null
+ */
+export function splitSubaddress(address, separators) {
+  const normalized = String(address || '').trim().toLowerCase();
+  const at = normalized.lastIndexOf('@');
+  if (at <= 0 || !separators?.length) return { base: normalized, tag: null };
+  const local = normalized.slice(0, at);
+  const domain = normalized.slice(at + 1);
+  const positions = separators.map(sep => local.indexOf(sep)).filter(i => i > 0 && i < local.length - 1);
+  if (!positions.length) return { base: normalized, tag: null };
+  const idx = Math.min(...positions);
+  return { base: `${local.slice(0, idx)}@${domain}`, tag: local.slice(idx + 1).slice(0, 64) };
+}
+
+/**
+ * 将收件地址解析为实际投递的邮箱地址
+ * 顺序：已存在的邮箱 → 别名 → 子地址的基础地址（基础地址同样可以是别名）
+ * @param {object} db - 数据库连接对象
+ * @param {string} address - 收件地址
+ * @param {Array<string>} separators - 子地址分隔符
+ * @returns {Promise<{address: string, tag: string|null, alias: string|null}>} 投递地址、子地址标签与命中的别名
+ */
+export async function resolveRecipientAddress(db, address, separators) {
+  const normalized = String(address || '').trim().toLowerCase();
+  if (await getCachedMailboxId(db, normalized)) return { address: normalized, tag: null, alias: null };
+
+  const lookupAlias = async (addr) => {
+    try {
+      return await getAliasTargetAddress(db, addr);
+    } catch (_) {
+      // 别名表不可用时按普通地址处理
+      return null;
+    }
+  };
+
+  const aliasTarget = await lookupAlias(normalized);
+  if (aliasTarget) return { address: aliasTarget, tag: null, alias: normalized };
+
+  const sub = splitSubaddress(normalized, separators);
+  if (!sub.tag) return { address: normalized, tag: null, alias: null };
+  if (await getCachedMailboxId(db, sub.base)) return { address: sub.base, tag: sub.tag, alias: null };
+  const baseAliasTarget = await lookupAlias(sub.base);
+  if (baseAliasTarget) return { address: baseAliasTarget, tag: sub.tag, alias: sub.base };
+  return { address: sub.base, tag: sub.tag, alias: null };
+}
+
+/**
+ * 汇总一封邮件的本域收件人
+ * 信封收件人始终排在首位；To/Cc 头中的地址仅保留属于已配置域名的部分
+ * @param {string} envelopeTo - 信封收件人地址
+ * @param {Array<string>} headerValues - To、Cc 等地址头的值
+ * @param {Array<string>} mailDomains - 已配置的邮件域名
+ * @returns {Array<string>} 去重后的小写地址列表
+ */
+export function collectLocalRecipients(envelopeTo, headerValues, mailDomains) {
+  const domains = (mailDomains || []).map(d => String(d).toLowerCase());
+  const headerAddrs = (headerValues || []).flatMap(v => parseAddressList(v));
+  const primary = String(envelopeTo || '').trim().toLowerCase() || headerAddrs[0] || '';
+  const result = primary ? [primary] : [];
+  for (const addr of headerAddrs) {
+    const domain = addr.split('@')[1] || '';
+    if (domains.includes(domain) && !result.includes(addr)) result.push(addr);
+  }
+  return result;
+}
+
+/**
+ * 逐个收件人应用域名收件策略与发件人过滤，得到实际投递的邮箱
+ * 首个收件人（信封收件人）按域名收件策略解析（可自动创建邮箱，被拒收时整封邮件拒收并计入拒收统计）；
+ * 信头中的其他本域收件人由发件方填写，只投递到已存在的邮箱（含别名与子地址解析结果），不自动创建邮箱、不计入拒收统计，不满足时仅跳过。
+ * 同一邮箱只投递一次；带 Message-ID 且邮箱中已存在同 ID 邮件时视为已投递（例如已由另一个信封收件人的处理流程写入）。
+ * 别名地址投递到其所属邮箱；带子地址的收件人（如 alice+github@）在完整地址没有对应邮箱时投递到基础邮箱，并记录标签
+ * @param {object} db - 数据库连接对象
+ * @param {object} params - 参数
+ * @param {Array<string>} params.recipients - 收件人列表，首个为信封收件人
+ * @param {string} params.sender - 发件人地址
+ * @param {string} params.subject - 邮件主题
+ * @param {string|null} params.messageId - Message-ID
+ * @param {Array<string>} params.separators - 子地址分隔符，可选
+ * @returns {Promise<{deliveries: Array<{address: string, mailboxId: number, tag: string|null}>, rejectReason: string|null, rejectType: string|null}>}
+ *   投递列表；信封收件人被拒收时返回拒收原因与类型（policy | sender）
+ */
+export async function resolveDeliveries(db, { recipients, sender, subject, messageId = null, separators = DEFAULT_SUBADDRESS_SEPARATORS }) {
+  const deliveries = [];
+  for (let i = 0; i < recipients.length; i++) {
+    const isEnvelope = i === 0;
+    const { address, tag } = await resolveRecipientAddress(db, recipients[i], separators);
+
+    let mailboxId = null;
+    if (isEnvelope) {
+      const inbound = await resolveInboundMailbox(db, address);
+      if (inbound.rejectReason) return { deliveries: [], rejectReason: inbound.rejectReason, rejectType: 'policy' };
+      mailboxId = inbound.mailboxId;
+      if (!mailboxId) throw new Error('无法解析或创建 mailbox 记录');
+    } else {
+      if (await getDomainPolicy(db, address.split('@')[1] || '') === 'reject') continue;
+      mailboxId = await getCachedMailboxId(db, address);
+      if (!mailboxId) continue;
+    }
+    if (deliveries.some(d => d.mailboxId === mailboxId)) continue;
+
+    const senderCheck = await checkSenderFilters(db, mailboxId, sender);
+    if (!senderCheck.allowed) {
+      try {
+        await recordSenderRejection(db, {
+          mailboxId,
+          sender,
+          recipient: recipients[i],
+          subject,
+          reason: senderCheck.type === 'block' ? 'blocked' : 'not-allowed',
+          pattern: senderCheck.pattern
+        });
+      } catch (e) {
+        console.error('记录发件人拒收失败:', e);
+      }
+      if (isEnvelope) return { deliveries: [], rejectReason: '550 5.7.1 Sender not allowed for this mailbox', rejectType: 'sender' };
+      continue;
+    }
+
+    if (messageId) {
+      try {
+        if (await hasMessageWithId(db, mailboxId, messageId)) continue;
+      } catch (_) { }
+    }
+    deliveries.push({ address, mailboxId, tag });
+  }
+  return { deliveries, rejectReason: null, rejectType: null };
+}
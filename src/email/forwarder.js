@@ -3,30 +3,170 @@
  * @module email/forwarder
  */
 
+import { isValidEmail } from '../utils/common.js';
+import { getForwardRulesForMatching } from '../db/forwardRules.js';
+import { recordForwardAttempt } from '../db/forwardLog.js';
+
+const MAX_SUBJECT_CONTAINS_LENGTH = 100;
+
+/**
+ * 全局转发规则支持的匹配方式（均匹配收件地址的本地部分，不区分大小写）
+ * - prefix：前缀匹配，模式为 * 时匹配全部地址
+ * - exact：完全匹配
+ * - regex：正则匹配
+ */
+export const FORWARD_RULE_MATCH_TYPES = ['prefix', 'exact', 'regex'];
+
+/**
+ * 未指定优先级时使用的默认值（数字越小越先匹配）
+ */
+export const DEFAULT_FORWARD_RULE_PRIORITY = 100;
+
+const MAX_RULE_PATTERN_LENGTH = 200;
+const MAX_RULE_PRIORITY = 10000;
+const LEGACY_WILDCARD_PRIORITY = 1000;
+
 /**
- * 根据收件人本地部分前缀转发邮件
+ * 发起转发并返回转发结果（转发在 waitUntil 中完成，失败不会抛出）
  * @param {object} message - 邮件消息对象
- * @param {string} localPart - 收件人的本地部分
+ * @param {string} target - 转发目标
  * @param {object} ctx - 上下文对象
- * @param {object} env - 环境变量对象
+ * @param {string} label - 日志中的来源说明
+ * @returns {Promise<{success: boolean, error: string|null}>} 转发结果
  */
-export function forwardByLocalPart(message, localPart, ctx, env) {
-  const rules = parseForwardRules(env?.FORWARD_RULES);
-  const target = resolveTargetEmail(localPart, rules);
-  if (!target) return;
-  try {
-    ctx.waitUntil(message.forward(target));
-  } catch (e) {
-    console.error('Forward error:', e);
+function startForward(message, target, ctx, label) {
+  const attempt = Promise.resolve()
+    .then(() => message.forward(target))
+    .then(() => {
+      console.log(`邮件已转发至: ${target} (${label})`);
+      return { success: true, error: null };
+    }, (e) => {
+      console.error(`转发至 ${target} 失败 (${label}):`, e);
+      return { success: false, error: e?.message || String(e) };
+    });
+  ctx.waitUntil(attempt);
+  return attempt;
+}
+
+/**
+ * 按全局转发规则转发邮件
+ * @param {object} message - 邮件消息对象
+ * @param {object} rule - 命中的规则（见 resolveForwardRule）
+ * @param {object} ctx - 上下文对象
+ * @returns {Promise<{success: boolean, error: string|null}>|null} 转发结果，规则无效时返回 null
+ */
+export function forwardByGlobalRule(message, rule, ctx) {
+  if (!rule?.target) return null;
+  return startForward(message, rule.target, ctx, `全局规则${rule.id ? ` #${rule.id}` : ' FORWARD_RULES'}`);
+}
+
+/**
+ * 校验并规范化全局转发规则
+ * @param {object} input - 规则输入 { pattern, match_type, domain, target, priority, enabled }
+ * @returns {{rule: object|null, error: string|null}} 规范化后的规则或错误信息
+ */
+export function normalizeForwardRule(input) {
+  const item = input || {};
+  const matchType = String(item.match_type || 'prefix').trim().toLowerCase();
+  if (!FORWARD_RULE_MATCH_TYPES.includes(matchType)) return { rule: null, error: '无效的匹配方式' };
+
+  let pattern = String(item.pattern ?? '').trim();
+  if (!pattern) return { rule: null, error: '匹配模式不能为空' };
+  if (pattern.length > MAX_RULE_PATTERN_LENGTH) return { rule: null, error: '匹配模式不能超过 200 个字符' };
+  if (matchType === 'regex') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (_) {
+      return { rule: null, error: '正则表达式无效' };
+    }
+  } else {
+    pattern = pattern.toLowerCase();
+  }
+
+  const domain = String(item.domain || '').trim().toLowerCase().replace(/^@/, '');
+  if (domain && !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) return { rule: null, error: '域名格式无效' };
+
+  const target = String(item.target || '').trim().toLowerCase();
+  if (!isValidEmail(target)) return { rule: null, error: '转发目标邮箱格式无效' };
+
+  const priority = item.priority === undefined || item.priority === null || item.priority === ''
+    ? DEFAULT_FORWARD_RULE_PRIORITY
+    : Number(item.priority);
+  if (!Number.isInteger(priority) || priority < 0 || priority > MAX_RULE_PRIORITY) {
+    return { rule: null, error: '优先级必须是 0-10000 之间的整数' };
   }
+
+  return {
+    rule: {
+      pattern,
+      match_type: matchType,
+      domain: domain || null,
+      target,
+      priority,
+      enabled: item.enabled === undefined ? 1 : (item.enabled ? 1 : 0)
+    },
+    error: null
+  };
 }
 
 /**
- * 解析转发规则字符串
+ * 判断收件地址是否命中全局转发规则（不检查启用状态）
+ * @param {object} rule - 规则
+ * @param {string} address - 收件地址
+ * @returns {boolean} 是否命中
+ */
+export function matchForwardRule(rule, address) {
+  const normalized = String(address || '').trim().toLowerCase();
+  const at = normalized.lastIndexOf('@');
+  const localPart = at >= 0 ? normalized.slice(0, at) : normalized;
+  const domain = at >= 0 ? normalized.slice(at + 1) : '';
+  if (rule.domain && rule.domain !== domain) return false;
+
+  const pattern = String(rule.pattern || '');
+  switch (rule.match_type) {
+    case 'exact':
+      return localPart === pattern.toLowerCase();
+    case 'regex':
+      try {
+        return new RegExp(pattern, 'i').test(localPart);
+      } catch (_) {
+        return false;
+      }
+    default:
+      return pattern === '*' || localPart.startsWith(pattern.toLowerCase());
+  }
+}
+
+/**
+ * 在规则列表中查找第一个命中收件地址的已启用规则
+ * @param {Array<object>} rules - 按优先级排序的规则列表
+ * @param {string} address - 收件地址
+ * @returns {object|null} 命中的规则
+ */
+export function findForwardRule(rules, address) {
+  return rules.find(rule => rule.enabled && matchForwardRule(rule, address)) || null;
+}
+
+/**
+ * 解析收件地址对应的全局转发规则
+ * 数据库中有规则时只使用数据库规则；规则表为空时兼容旧的 FORWARD_RULES 环境变量
+ * @param {object} db - 数据库连接对象
+ * @param {string} address - 收件地址
+ * @param {object} env - 环境变量对象
+ * @returns {Promise<{rule: object|null, source: string}>} 命中的规则及规则来源（db 或 env）
+ */
+export async function resolveForwardRule(db, address, env) {
+  const rules = await getForwardRulesForMatching(db);
+  if (rules.length) return { rule: findForwardRule(rules, address), source: 'db' };
+  return { rule: findForwardRule(parseForwardRules(env?.FORWARD_RULES), address), source: 'env' };
+}
+
+/**
+ * 解析 FORWARD_RULES 环境变量为前缀规则（* 兜底规则排在最后）
  * @param {string} rulesRaw - 原始规则字符串
- * @returns {Array<object>} 标准化的规则数组
+ * @returns {Array<object>} 规范化后的规则数组
  */
-function parseForwardRules(rulesRaw) {
+export function parseForwardRules(rulesRaw) {
   if (rulesRaw === undefined || rulesRaw === null) {
     return [];
   }
@@ -39,73 +179,128 @@ function parseForwardRules(rulesRaw) {
   ) {
     return [];
   }
+  let items = null;
   try {
     const parsed = JSON.parse(trimmed);
-    if (Array.isArray(parsed)) {
-      return normalizeRules(parsed);
-    }
+    if (Array.isArray(parsed)) items = parsed;
   } catch (_) {
     // 非 JSON → 按 kv 语法解析
   }
-  const rules = [];
-  for (const pair of trimmed.split(',')) {
-    const [prefix, email] = pair.split('=').map(s => (s || '').trim());
-    if (!prefix || !email) continue;
-    rules.push({ prefix, email });
+  if (!items) {
+    items = [];
+    for (const pair of trimmed.split(',')) {
+      const [prefix, email] = pair.split('=').map(s => (s || '').trim());
+      if (!prefix || !email) continue;
+      items.push({ prefix, email });
+    }
   }
-  return normalizeRules(rules);
+
+  const rules = [];
+  items.forEach((it, index) => {
+    const prefix = String(it?.prefix || '').toLowerCase();
+    const { rule } = normalizeForwardRule({
+      pattern: prefix,
+      match_type: 'prefix',
+      target: it?.email,
+      priority: prefix === '*' ? LEGACY_WILDCARD_PRIORITY : index + 1
+    });
+    if (rule) rules.push(rule);
+  });
+  return rules.sort((a, b) => a.priority - b.priority);
 }
 
 /**
- * 标准化规则数组
- * @param {Array<object>} items - 原始规则项数组
- * @returns {Array<object>} 标准化后的规则数组
+ * 根据邮箱数据库配置转发邮件
+ * @param {object} message - 邮件消息对象
+ * @param {string} forwardTo - 数据库中配置的转发目标地址
+ * @param {object} ctx - 上下文对象
+ * @returns {Promise<{success: boolean, error: string|null}>|null} 转发结果，目标无效时返回 null
  */
-function normalizeRules(items) {
-  const result = [];
-  for (const it of items) {
-    const prefix = String(it.prefix || '').toLowerCase();
-    const email = String(it.email || '').trim();
-    if (!prefix || !email) continue;
-    result.push({ prefix, email });
-  }
-  return result;
+export function forwardByMailboxConfig(message, forwardTo, ctx) {
+  if (!forwardTo || typeof forwardTo !== 'string') return null;
+  const target = forwardTo.trim();
+  if (!target) return null;
+  return startForward(message, target, ctx, '邮箱配置');
 }
 
 /**
- * 根据本地部分和规则解析目标邮箱地址
- * @param {string} localPart - 收件人的本地部分
- * @param {Array<object>} rules - 转发规则数组
- * @returns {string|null} 目标邮箱地址
+ * 等待转发完成并写入转发记录
+ * @param {object} db - 数据库连接对象
+ * @param {Array<object>} attempts - 转发尝试 { mailboxId, target, source, ruleId, result }，result 为转发结果 Promise
+ * @param {object} context - 邮件信息
+ * @param {Map<number, number>} context.messageIds - 邮箱ID → 邮件记录ID
+ * @param {string|null} context.emailMessageId - 邮件的 Message-ID
+ * @returns {Promise<void>} 无返回值
  */
-function resolveTargetEmail(localPart, rules) {
-  const lp = String(localPart || '').toLowerCase();
-  for (const r of rules) {
-    if (r.prefix === '*') continue;
-    if (lp.startsWith(r.prefix)) return r.email;
+export async function recordForwardAttempts(db, attempts, { messageIds = new Map(), emailMessageId = null } = {}) {
+  for (const attempt of attempts) {
+    const { success, error } = await attempt.result;
+    try {
+      await recordForwardAttempt(db, {
+        mailboxId: attempt.mailboxId,
+        messageId: messageIds.get(attempt.mailboxId) ?? null,
+        emailMessageId,
+        target: attempt.target,
+        source: attempt.source,
+        ruleId: attempt.ruleId ?? null,
+        success,
+        error
+      });
+    } catch (e) {
+      console.error('记录转发结果失败:', e);
+    }
   }
-  const wildcard = rules.find(r => r.prefix === '*');
-  return wildcard ? wildcard.email : null;
 }
 
 /**
- * 根据邮箱数据库配置转发邮件
- * @param {object} message - 邮件消息对象
- * @param {string} forwardTo - 数据库中配置的转发目标地址
- * @param {object} ctx - 上下文对象
- * @returns {boolean} 是否成功触发转发
+ * 校验并规范化邮箱转发目标
+ * 支持直接传入地址字符串，或带条件的对象 { target, sender_domain, subject_contains, require_code }
+ * @param {string|object} input - 转发目标输入
+ * @returns {{forward: object|null, error: string|null}} 规范化后的转发目标或错误信息
  */
-export function forwardByMailboxConfig(message, forwardTo, ctx) {
-  if (!forwardTo || typeof forwardTo !== 'string') return false;
-  const target = forwardTo.trim();
-  if (!target) return false;
+export function normalizeForwardTarget(input) {
+  const item = typeof input === 'string' ? { target: input } : (input || {});
+  const target = String(item.target ?? item.forward_to ?? '').trim().toLowerCase();
+  if (!isValidEmail(target)) return { forward: null, error: '转发目标邮箱格式无效' };
 
-  try {
-    ctx.waitUntil(message.forward(target));
-    console.log(`邮件已转发至: ${target} (邮箱配置)`);
-    return true;
-  } catch (e) {
-    console.error('邮箱配置转发失败:', e);
+  const senderDomain = String(item.sender_domain || '').trim().toLowerCase().replace(/^@/, '').replace(/^\*\./, '');
+  if (senderDomain && !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(senderDomain)) {
+    return { forward: null, error: '发件人域名格式无效' };
+  }
+  const subjectContains = String(item.subject_contains || '').trim();
+  if (subjectContains.length > MAX_SUBJECT_CONTAINS_LENGTH) {
+    return { forward: null, error: '主题关键字不能超过 100 个字符' };
+  }
+
+  return {
+    forward: {
+      target,
+      sender_domain: senderDomain || null,
+      subject_contains: subjectContains || null,
+      require_code: item.require_code ? 1 : 0
+    },
+    error: null
+  };
+}
+
+/**
+ * 判断邮件是否满足转发目标的条件（未设置的条件视为满足）
+ * 发件人域名同时匹配其子域名，主题关键字不区分大小写
+ * @param {object} forward - 转发目标记录
+ * @param {object} context - 邮件信息
+ * @param {string} context.sender - 发件人地址
+ * @param {string} context.subject - 邮件主题
+ * @param {string} context.verificationCode - 提取到的验证码
+ * @returns {boolean} 是否满足条件
+ */
+export function matchForwardConditions(forward, { sender = '', subject = '', verificationCode = '' } = {}) {
+  if (forward.sender_domain) {
+    const domain = String(sender || '').toLowerCase().split('@')[1] || '';
+    if (domain !== forward.sender_domain && !domain.endsWith(`.${forward.sender_domain}`)) return false;
+  }
+  if (forward.subject_contains && !String(subject || '').toLowerCase().includes(String(forward.subject_contains).toLowerCase())) {
     return false;
   }
+  if (forward.require_code && !verificationCode) return false;
+  return true;
 }
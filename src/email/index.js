@@ -3,17 +3,90 @@
  * @module email
  */
 
-export { parseEmailBody, extractVerificationCode } from './parser.js';
+export {
+  parseEmailBody,
+  parseDeliveryReport,
+  extractVerificationCode,
+  extractVerificationLink,
+  extractAlphanumericCode,
+  stripHtml,
+  extractAttachment,
+  extractInlinePart,
+  rewriteCidReferences,
+  decodeMimeWords,
+  parseMessageIdList,
+  parseRawHeaders
+} from './parser.js';
 export {
   sendEmailWithResend,
   sendEmailWithAutoResend,
   sendBatchWithResend,
   sendBatchWithAutoResend,
+  withMessageId,
   getEmailFromResend,
   updateEmailInResend,
   cancelEmailInResend,
   selectApiKeyForDomain,
   getConfiguredDomains
 } from './sender.js';
-export { forwardByLocalPart, forwardByMailboxConfig } from './forwarder.js';
+export {
+  FORWARD_RULE_MATCH_TYPES,
+  DEFAULT_FORWARD_RULE_PRIORITY,
+  forwardByMailboxConfig,
+  forwardByGlobalRule,
+  recordForwardAttempts,
+  normalizeForwardTarget,
+  matchForwardConditions,
+  normalizeForwardRule,
+  matchForwardRule,
+  findForwardRule,
+  resolveForwardRule,
+  parseForwardRules
+} from './forwarder.js';
+export {
+  DEFAULT_SUBADDRESS_SEPARATORS,
+  parseSubaddressSeparators,
+  splitSubaddress,
+  resolveRecipientAddress,
+  collectLocalRecipients,
+  resolveDeliveries
+} from './delivery.js';
+export { normalizeSenderPattern, matchSenderPattern, evaluateSenderFilters } from './senderFilter.js';
+export { RULE_CONDITIONS, RULE_ACTIONS, normalizeRule, compileRules, matchRule, evaluateRules, checkRegexSafety } from './rules.js';
+export {
+  DEFAULT_CODE_TEMPLATE_PRIORITY,
+  normalizeCodeTemplate,
+  matchCodeTemplateSender,
+  applyCodeTemplate,
+  extractCodeWithTemplates,
+  resolveVerificationCode
+} from './codeTemplates.js';
+export {
+  DEFAULT_AUTO_REPLY_THROTTLE_DAYS,
+  getAutoReplySkipReason,
+  renderAutoReplyTemplate,
+  isAutoReplyActive,
+  sendAutoReply
+} from './autoReply.js';
+export {
+  WEBHOOK_EVENT_MESSAGE,
+  WEBHOOK_EVENT_TEST,
+  generateWebhookSecret,
+  signWebhookPayload,
+  buildMessagePayload,
+  deliverWebhook,
+  dispatchMessageWebhooks
+} from './webhooks.js';
+export {
+  DEFAULT_SPAM_THRESHOLD,
+  CLOUDFLARE_AUTHSERV_ID,
+  parseAuthenticationResults,
+  parseReceivedSpf,
+  readAuthVerdicts,
+  computeSpamScore,
+  isSpamScore
+} from './spamCheck.js';
+export { parseCalendarEvent } from './calendar.js';
+export { sanitizeHtml } from './sanitizer.js';
+export { isFailedRecipient, applyDeliveryReport } from './bounces.js';
 export { handleEmailReceive } from './receiver.js';
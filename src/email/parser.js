@@ -4,14 +4,304 @@
  */
 
 /**
- * 解析邮件正文，提取文本和HTML内容
- * @param {string} raw - 原始邮件内容
- * @returns {object} 包含text和html属性的对象
+ * 解析邮件正文，提取文本、HTML内容、附件元数据和日历邀请
+ * @param {ArrayBuffer|Uint8Array|string} raw - 原始邮件内容（字节；字符串按 UTF-8 编码处理）
+ * @returns {object} 包含text、html、attachments和calendar（第一个 text/calendar 部分的文本，没有时为空字符串）属性的对象
  */
 export function parseEmailBody(raw) {
-  if (!raw) return { text: '', html: '' };
+  return parseBinaryEmail(toBinaryString(raw));
+}
+
+/**
+ * 解析二进制字符串形式的邮件（message/rfc822 部分递归调用）
+ */
+function parseBinaryEmail(raw) {
+  if (!raw) return { text: '', html: '', attachments: [], calendar: '' };
   const { headers: topHeaders, body: topBody } = splitHeadersAndBody(raw);
-  return parseEntity(topHeaders, topBody);
+  const { text, html } = parseEntity(topHeaders, topBody);
+  const attachments = collectAttachmentParts(topHeaders, topBody).map((part, index) => toAttachmentMeta(part, index));
+  const calendar = findCalendarPart(topHeaders, topBody);
+  return { text, html, attachments, calendar };
+}
+
+/**
+ * 按序号提取邮件中的附件内容（序号与 parseEmailBody 返回的 attachments 一致）
+ * @param {ArrayBuffer|Uint8Array|string} raw - 原始邮件内容（字节；字符串按 UTF-8 编码处理）
+ * @param {number} index - 附件序号
+ * @returns {object|null} 包含filename、content_type、content_id、size和bytes的对象，不存在返回null
+ */
+export function extractAttachment(raw, index) {
+  const idx = Number(index);
+  if (!Number.isInteger(idx) || idx < 0) return null;
+  const input = toBinaryString(raw);
+  if (!input) return null;
+  const { headers, body } = splitHeadersAndBody(input);
+  return partToAttachment(collectAttachmentParts(headers, body), idx);
+}
+
+function partToAttachment(parts, idx) {
+  const part = parts[idx];
+  if (!part) return null;
+  const meta = toAttachmentMeta(part, idx);
+  const bytes = decodeTransferToBytes(part.body, (part.headers['content-transfer-encoding'] || '').toLowerCase());
+  return { ...meta, size: bytes.length, bytes };
+}
+
+/**
+ * 解码 RFC 2047 编码字（=?charset?B|Q?...?=），用于 Subject、From、To 等头部
+ * 相邻编码字之间的空白会被忽略，同字符集的相邻编码字先合并字节再解码，避免多字节字符被拆分
+ * @param {string} value - 原始头部值
+ * @returns {string} 解码后的文本
+ */
+export function decodeMimeWords(value) {
+  const input = String(value ?? '');
+  if (!input.includes('=?')) return input;
+  const re = /=\?([^?\s]+)\?([bBqQ])\?([^?\s]*)\?=/g;
+  let out = '';
+  let lastIndex = 0;
+  let pending = null; // { charset, bytes: [] }
+  const flush = () => {
+    if (!pending) return;
+    out += decodeBytes(new Uint8Array(pending.bytes), pending.charset);
+    pending = null;
+  };
+  let m;
+  while ((m = re.exec(input)) !== null) {
+    const between = input.slice(lastIndex, m.index);
+    // 相邻编码字之间仅有空白时丢弃空白
+    if (!(pending && /^\s*$/.test(between))) {
+      flush();
+      out += between;
+    }
+    const charset = m[1].split('*')[0].toLowerCase();
+    const bytes = m[2].toLowerCase() === 'b' ? base64ToBytes(m[3]) : qEncodedToBytes(m[3]);
+    if (pending && pending.charset !== charset) flush();
+    if (!pending) pending = { charset, bytes: [] };
+    for (const b of bytes) pending.bytes.push(b);
+    lastIndex = re.lastIndex;
+  }
+  flush();
+  out += input.slice(lastIndex);
+  return out;
+}
+
+/**
+ * 解析 Message-ID、In-Reply-To、References 等头部中的消息 ID 列表
+ * @param {string} value - 头部值
+ * @returns {Array<string>} 去除尖括号后的消息 ID 列表（保持原有顺序并去重）
+ */
+export function parseMessageIdList(value) {
+  const s = String(value || '').trim();
+  if (!s) return [];
+  const matches = s.match(/<[^<>\s]+>/g);
+  const ids = matches ? matches.map(m => m.slice(1, -1)) : s.split(/[\s,]+/);
+  const result = [];
+  for (const raw of ids) {
+    const id = raw.trim();
+    if (id && !result.includes(id)) result.push(id);
+  }
+  return result;
+}
+
+function base64ToBytes(data) {
+  try {
+    const bin = atob(String(data || '').replace(/[^A-Za-z0-9+/=]/g, ''));
+    const bytes = new Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  } catch (_) {
+    return [];
+  }
+}
+
+function qEncodedToBytes(data) {
+  const s = String(data || '').replace(/_/g, ' ');
+  const bytes = [];
+  for (let i = 0; i < s.length; i++) {
+    const hex = s.substring(i + 1, i + 3);
+    if (s[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(s.charCodeAt(i) & 0xff);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * 将原始邮件转换为二进制字符串（每个字符对应一个字节，码位 0-255），MIME 结构按字节解析，各部分正文按声明的字符集只解码一次
+ * 字节输入原样转换；字符串视为已解码的文本，先按 UTF-8 编码为字节
+ * @param {ArrayBuffer|Uint8Array|string} raw - 原始邮件内容
+ * @returns {string} 二进制字符串
+ */
+function toBinaryString(raw) {
+  if (!raw) return '';
+  if (typeof raw === 'string') return bytesToBinary(new TextEncoder().encode(raw));
+  if (raw instanceof ArrayBuffer) return bytesToBinary(new Uint8Array(raw));
+  if (ArrayBuffer.isView(raw)) return bytesToBinary(new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength));
+  return bytesToBinary(new TextEncoder().encode(String(raw)));
+}
+
+function bytesToBinary(bytes) {
+  let out = '';
+  // 分段转换，避免超大邮件超出 apply 的参数数量上限
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+function binaryToBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+/**
+ * 常见的非标准字符集名称到 TextDecoder 标签的映射（标准别名如 gb2312、sjis 由 TextDecoder 自行识别）
+ */
+const CHARSET_ALIASES = {
+  gb2312: 'gbk',
+  cp936: 'gbk',
+  'windows-936': 'gbk',
+  'x-gb2312': 'gbk',
+  'gb_2312': 'gbk',
+  cp950: 'big5',
+  'windows-950': 'big5',
+  big5hkscs: 'big5',
+  'x-big5': 'big5',
+  cp932: 'shift_jis',
+  'x-ms-cp932': 'shift_jis',
+  'shift-jis-2004': 'shift_jis',
+  'x-shift_jis': 'shift_jis',
+  iso2022jp: 'iso-2022-jp',
+  'iso-2022-jp-1': 'iso-2022-jp',
+  'iso-2022-jp-2': 'iso-2022-jp',
+  cp949: 'euc-kr',
+  'windows-949': 'euc-kr',
+  'ks_c_5601': 'euc-kr',
+  'x-euc-jp': 'euc-jp',
+  'us-ascii': 'utf-8',
+  ascii: 'utf-8',
+  utf8: 'utf-8'
+};
+
+/**
+ * 规范化字符集名称（去除引号与空白、转小写并映射常见别名），未指定时为 utf-8
+ * @param {string} charset - 字符集名称
+ * @returns {string} 规范化后的字符集名称
+ */
+function normalizeCharset(charset) {
+  const name = String(charset || '').trim().replace(/^["']|["']$/g, '').trim().toLowerCase();
+  if (!name) return 'utf-8';
+  return CHARSET_ALIASES[name] || name;
+}
+
+/**
+ * WHATWG 编码标准中指向 windows-1252 的常见标签（latin1、us-ascii 等同样按 windows-1252 解码）
+ */
+const WINDOWS_1252_LABELS = new Set([
+  'windows-1252', 'cp1252', 'x-cp1252', 'iso-8859-1', 'iso8859-1', 'iso_8859-1', 'latin1', 'l1',
+  'us-ascii', 'ascii', 'ansi_x3.4-1968', 'cp819', 'ibm819', 'iso-ir-100', 'csisolatin1'
+]);
+
+// windows-1252 中 0x80-0x9F 对应的码位（未定义的字节保持原值）
+const WINDOWS_1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x0192, 0x201e, 0x2026, 0x2020, 0x2021, 0x02c6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8d, 0x017d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x02dc, 0x2122, 0x0161, 0x203a, 0x0153, 0x9d, 0x017e, 0x0178
+];
+
+/**
+ * 按 windows-1252 解码（部分运行时的 TextDecoder 会把 windows-1252 当作 ISO-8859-1，导致 €、“” 等字符丢失）
+ */
+function decodeWindows1252(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    const chunk = Array.from(bytes.subarray(i, i + 0x8000), b => (b >= 0x80 && b <= 0x9f ? WINDOWS_1252_HIGH[b - 0x80] : b));
+    out += String.fromCharCode.apply(null, chunk);
+  }
+  return out;
+}
+
+function decodeBytes(bytes, charset) {
+  const name = normalizeCharset(charset);
+  if (WINDOWS_1252_LABELS.has(name)) return decodeWindows1252(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+  try {
+    return new TextDecoder(name, { fatal: false }).decode(bytes);
+  } catch (_) {
+    // TextDecoder 不支持的字符集，按 UTF-8 兜底
+    return new TextDecoder('utf-8', { fatal: false }).decode(bytes);
+  }
+}
+
+/**
+ * 解析退信报告（multipart/report; report-type=delivery-status，RFC 3464）
+ * @param {ArrayBuffer|Uint8Array|string} raw - 原始邮件内容（字节；字符串按 UTF-8 编码处理）
+ * @returns {object|null} { reporting_mta, original_message_id, original_recipients, recipients: [{ recipient, action, status, diagnostic_code }] }，不是退信报告时返回 null
+ */
+export function parseDeliveryReport(raw) {
+  const input = toBinaryString(raw);
+  if (!input) return null;
+  const { headers, body } = splitHeadersAndBody(input);
+  const report = findReportEntity(headers, body);
+  if (!report) return null;
+
+  let statusText = '';
+  let originalHeaders = null;
+  for (const part of splitMultipart(report.body, report.boundary)) {
+    const { headers: ph, body: pb } = splitHeadersAndBody(part);
+    const pct = (ph['content-type'] || '').toLowerCase();
+    const transferEnc = (ph['content-transfer-encoding'] || '').toLowerCase();
+    if (!statusText && /^message\/(global-)?delivery-status/.test(pct)) {
+      statusText = decodeBodyWithCharset(pb, transferEnc, pct);
+    } else if (!originalHeaders && (/^message\/(rfc822|global)\b/.test(pct) || /^(text\/rfc822|message\/global)-headers/.test(pct))) {
+      originalHeaders = splitHeadersAndBody(bytesToBinary(decodeTransferToBytes(pb, transferEnc))).headers;
+    }
+  }
+  if (!statusText) return null;
+
+  // 状态正文由空行分隔为若干字段组：第一组为报文级字段，其余每组对应一个收件人
+  const stripType = (value) => String(value || '').replace(/^[^;]*;\s*/, '').trim();
+  const groups = statusText.split(/\r?\n\s*\r?\n/).map(g => parseHeaders(g.trim())).filter(g => Object.keys(g).length);
+  const perMessage = groups.length && !groups[0]['final-recipient'] && !groups[0]['original-recipient'] ? groups.shift() : {};
+  const recipients = groups
+    .map(g => ({
+      recipient: stripType(g['final-recipient'] || g['original-recipient']).replace(/^<|>$/g, '').toLowerCase(),
+      action: String(g['action'] || '').trim().toLowerCase(),
+      status: String(g['status'] || '').trim().split(/\s/)[0],
+      diagnostic_code: stripType(g['diagnostic-code'])
+    }))
+    .filter(r => r.recipient);
+
+  return {
+    reporting_mta: stripType(perMessage['reporting-mta']) || null,
+    original_message_id: originalHeaders ? (parseMessageIdList(originalHeaders['message-id'])[0] || null) : null,
+    original_recipients: originalHeaders
+      ? String(originalHeaders['to'] || '').match(/[^\s<>,;"]+@[^\s<>,;"]+/g)?.map(a => a.toLowerCase()) || []
+      : [],
+    recipients
+  };
+}
+
+/**
+ * 深度优先查找 report-type 为 delivery-status 的 multipart/report 实体
+ */
+function findReportEntity(headers, body) {
+  const ctRaw = headers['content-type'] || '';
+  const ct = ctRaw.toLowerCase();
+  if (!ct.startsWith('multipart/')) return null;
+  const boundary = getBoundary(ctRaw);
+  if (!boundary) return null;
+  if (ct.startsWith('multipart/report') && /(global-)?delivery-status/.test(getHeaderParam(ctRaw, 'report-type').toLowerCase())) {
+    return { boundary, body };
+  }
+  for (const part of splitMultipart(body, boundary)) {
+    const { headers: ph, body: pb } = splitHeadersAndBody(part);
+    const found = findReportEntity(ph, pb);
+    if (found) return found;
+  }
+  return null;
 }
 
 /**
@@ -28,7 +318,7 @@ function parseEntity(headers, body) {
     const isHtml = ct.includes('text/html');
     const isText = ct.includes('text/plain') || !isHtml;
     if (!ct || ct === '') {
-      const guessHtml = guessHtmlFromRaw(decoded || body || '');
+      const guessHtml = guessHtmlFromRaw(decoded);
       if (guessHtml) return { text: '', html: guessHtml };
     }
     return { text: isText ? decoded : '', html: isHtml ? decoded : '' };
@@ -46,11 +336,13 @@ function parseEntity(headers, body) {
         if (!html && nested.html) html = nested.html;
         if (!text && nested.text) text = nested.text;
       } else if (pct.startsWith('message/rfc822')) {
-        const nested = parseEmailBody(pb);
+        const nested = parseBinaryEmail(pb);
         if (!html && nested.html) html = nested.html;
         if (!text && nested.text) text = nested.text;
       } else if (pct.includes('rfc822-headers')) {
         continue;
+      } else if (isAttachmentPart(ph)) {
+        continue;
       } else {
         const res = parseEntity(ph, pb);
         if (!html && res.html) html = res.html;
@@ -61,9 +353,11 @@ function parseEntity(headers, body) {
   }
 
   if (!html) {
-    html = guessHtmlFromRaw(body);
-    if (!html && /<\w+[\s\S]*?>[\s\S]*<\/\w+>/.test(body || '')) {
-      html = body;
+    // 无法识别结构时按 UTF-8 解码整个实体后兜底查找 HTML
+    const fallback = decodeBytes(binaryToBytes(body || ''), 'utf-8');
+    html = guessHtmlFromRaw(fallback);
+    if (!html && /<\w+[\s\S]*?>[\s\S]*<\/\w+>/.test(fallback)) {
+      html = fallback;
     }
   }
   if (!html && text) {
@@ -72,6 +366,244 @@ function parseEntity(headers, body) {
   return { text, html };
 }
 
+/**
+ * 按 Content-ID 提取内联部分（用于 HTML 中 cid: 引用的图片）
+ * @param {ArrayBuffer|Uint8Array|string} raw - 原始邮件内容（字节；字符串按 UTF-8 编码处理）
+ * @param {string} contentId - Content-ID（不含尖括号，大小写不敏感）
+ * @returns {object|null} 与 extractAttachment 返回格式一致，不存在返回null
+ */
+export function extractInlinePart(raw, contentId) {
+  const target = normalizeContentId(contentId);
+  if (!target) return null;
+  const input = toBinaryString(raw);
+  if (!input) return null;
+  const { headers, body } = splitHeadersAndBody(input);
+  const parts = collectAttachmentParts(headers, body);
+  const index = parts.findIndex(p => normalizeContentId(p.headers['content-id']) === target);
+  if (index === -1) return null;
+  return partToAttachment(parts, index);
+}
+
+/**
+ * 将 HTML 中的 cid: 引用（src/background 属性及 CSS url()）替换为可访问的地址
+ * @param {string} html - HTML 内容
+ * @param {Array<object>} attachments - parseEmailBody 返回的附件元数据
+ * @param {Function} buildUrl - 根据附件元数据生成地址的函数
+ * @returns {string} 替换后的 HTML
+ */
+export function rewriteCidReferences(html, attachments, buildUrl) {
+  if (!html || !Array.isArray(attachments) || !attachments.length) return html || '';
+  const byCid = new Map();
+  for (const a of attachments) {
+    const cid = normalizeContentId(a.content_id);
+    if (cid) byCid.set(cid, a);
+  }
+  if (!byCid.size) return html;
+  const resolve = (ref) => {
+    const meta = byCid.get(normalizeContentId(ref));
+    return meta ? buildUrl(meta) : null;
+  };
+  return html
+    .replace(/(\s(?:src|background)\s*=\s*)(["']?)cid:([^"'\s>]+)\2/gi, (m, prefix, quote, ref) => {
+      const url = resolve(ref);
+      return url ? `${prefix}"${url}"` : m;
+    })
+    .replace(/url\(\s*(["']?)cid:([^"')\s]+)\1\s*\)/gi, (m, quote, ref) => {
+      const url = resolve(ref);
+      // 不加引号，避免破坏外层 style="..." 属性
+      return url ? `url(${url.replace(/[()'"\s]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase())})` : m;
+    });
+}
+
+function normalizeContentId(value) {
+  let v = String(value || '').trim().replace(/^<|>$/g, '');
+  try { v = decodeURIComponent(v); } catch (_) { }
+  return v.toLowerCase();
+}
+
+/**
+ * 深度优先收集所有附件部分（含内联图片），保持 MIME 树中的出现顺序
+ */
+function collectAttachmentParts(headers, body, out = []) {
+  const ctRaw = headers['content-type'] || '';
+  const ct = ctRaw.toLowerCase();
+  if (ct.startsWith('multipart/')) {
+    const boundary = getBoundary(ctRaw);
+    if (!boundary) return out;
+    for (const part of splitMultipart(body, boundary)) {
+      const { headers: ph, body: pb } = splitHeadersAndBody(part);
+      collectAttachmentParts(ph, pb, out);
+    }
+    return out;
+  }
+  if (isAttachmentPart(headers)) out.push({ headers, body });
+  return out;
+}
+
+/**
+ * 深度优先查找第一个日历部分（text/calendar 或 application/ics，不进入转发的 message/rfc822）并解码为文本
+ */
+function findCalendarPart(headers, body) {
+  const ctRaw = headers['content-type'] || '';
+  const ct = ctRaw.toLowerCase();
+  if (ct.startsWith('multipart/')) {
+    const boundary = getBoundary(ctRaw);
+    if (!boundary) return '';
+    for (const part of splitMultipart(body, boundary)) {
+      const { headers: ph, body: pb } = splitHeadersAndBody(part);
+      const found = findCalendarPart(ph, pb);
+      if (found) return found;
+    }
+    return '';
+  }
+  if (!ct.startsWith('text/calendar') && !ct.startsWith('application/ics')) return '';
+  return decodeBodyWithCharset(body, (headers['content-transfer-encoding'] || '').toLowerCase(), ct);
+}
+
+function isAttachmentPart(headers) {
+  const ct = (headers['content-type'] || '').toLowerCase();
+  const disposition = (headers['content-disposition'] || '').toLowerCase();
+  if (disposition.startsWith('attachment')) return true;
+  if (getPartFilename(headers)) return true;
+  if (!ct || ct.startsWith('text/plain') || ct.startsWith('text/html')) return false;
+  if (ct.includes('rfc822-headers')) return false;
+  return true;
+}
+
+function getPartFilename(headers) {
+  // 部分客户端在参数中使用 RFC 2047 编码字（不规范但常见）
+  return decodeMimeWords(getHeaderParam(headers['content-disposition'] || '', 'filename')
+    || getHeaderParam(headers['content-type'] || '', 'name'));
+}
+
+function toAttachmentMeta(part, index) {
+  const h = part.headers;
+  const contentType = ((h['content-type'] || 'application/octet-stream').split(';')[0] || '').trim().toLowerCase();
+  const contentId = String(h['content-id'] || '').trim().replace(/^<|>$/g, '');
+  const disposition = (h['content-disposition'] || '').toLowerCase();
+  let filename = getPartFilename(h);
+  if (!filename) filename = contentType === 'message/rfc822' ? `message-${index + 1}.eml` : `attachment-${index + 1}`;
+  return {
+    index,
+    filename,
+    content_type: contentType || 'application/octet-stream',
+    size: estimateDecodedSize(part.body, (h['content-transfer-encoding'] || '').toLowerCase()),
+    content_id: contentId || null,
+    inline: disposition.startsWith('inline') || (!disposition && !!contentId)
+  };
+}
+
+/**
+ * 读取头部参数值，支持引号、RFC 2231 编码（name*=charset''value）与分段续行（name*0=）
+ */
+function getHeaderParam(headerValue, name) {
+  if (!headerValue) return '';
+  const params = {};
+  const re = /;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  let m;
+  while ((m = re.exec(headerValue)) !== null) {
+    let value = m[2].trim();
+    if (value.startsWith('"')) value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+    params[m[1].toLowerCase()] = value;
+  }
+  const key = name.toLowerCase();
+  if (params[key + '*'] !== undefined) return decodeRfc2231(params[key + '*'], true);
+  if (params[key + '*0'] !== undefined || params[key + '*0*'] !== undefined) {
+    let joined = '';
+    let encoded = false;
+    for (let i = 0; ; i++) {
+      if (params[`${key}*${i}*`] !== undefined) {
+        joined += params[`${key}*${i}*`];
+        if (i === 0) encoded = true;
+      } else if (params[`${key}*${i}`] !== undefined) {
+        joined += params[`${key}*${i}`];
+      } else {
+        break;
+      }
+    }
+    return encoded ? decodeRfc2231(joined, true) : joined;
+  }
+  return params[key] || '';
+}
+
+function decodeRfc2231(value, withCharset) {
+  let charset = 'utf-8';
+  let data = value;
+  if (withCharset) {
+    const m = /^([^']*)'[^']*'(.*)$/.exec(value);
+    if (m) {
+      charset = m[1] || 'utf-8';
+      data = m[2];
+    }
+  }
+  const bytes = [];
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] === '%' && /^[0-9A-Fa-f]{2}$/.test(data.substring(i + 1, i + 3))) {
+      bytes.push(parseInt(data.substring(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(data.charCodeAt(i) & 0xff);
+    }
+  }
+  return decodeBytes(new Uint8Array(bytes), charset);
+}
+
+function estimateDecodedSize(body, transferEncoding) {
+  if (!body) return 0;
+  if (transferEncoding.trim() === 'base64') {
+    const cleaned = body.replace(/[^A-Za-z0-9+/=]/g, '');
+    const padding = cleaned.endsWith('==') ? 2 : (cleaned.endsWith('=') ? 1 : 0);
+    return Math.max(0, Math.floor(cleaned.length * 3 / 4) - padding);
+  }
+  return decodeTransferToBytes(body, transferEncoding).length;
+}
+
+/**
+ * 按传输编码将正文解码为原始字节
+ */
+function decodeTransferToBytes(body, transferEncoding) {
+  if (!body) return new Uint8Array(0);
+  const enc = transferEncoding.trim();
+  if (enc === 'base64') {
+    try {
+      const bin = atob(body.replace(/[^A-Za-z0-9+/=]/g, ''));
+      const bytes = new Uint8Array(bin.length);
+      for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+      return bytes;
+    } catch (_) {
+      return binaryToBytes(body);
+    }
+  }
+  if (enc === 'quoted-printable') {
+    const s = body.replace(/=\r?\n/g, '');
+    const bytes = [];
+    for (let i = 0; i < s.length; i++) {
+      const hex = s.substring(i + 1, i + 3);
+      if (s[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+        bytes.push(parseInt(hex, 16));
+        i += 2;
+        continue;
+      }
+      bytes.push(s.charCodeAt(i) & 0xff);
+    }
+    return new Uint8Array(bytes);
+  }
+  return binaryToBytes(body);
+}
+
+/**
+ * 解析原始邮件的顶层邮件头
+ * @param {ArrayBuffer|Uint8Array|string} raw - 原始邮件内容（字节；字符串按 UTF-8 编码处理）
+ * @returns {Map<string, string>} 邮件头（键为小写头名称，同名头保留最后一个）
+ */
+export function parseRawHeaders(raw) {
+  const { headers } = splitHeadersAndBody(toBinaryString(raw));
+  return new Map(Object.entries(headers));
+}
+
+/**
+ * 拆分二进制字符串形式的实体为头部与正文；头部值中的 8bit 字节按 UTF-8 解码（RFC 6532），正文保持二进制
+ */
 function splitHeadersAndBody(input) {
   const idx = input.indexOf('\r\n\r\n');
   const idx2 = idx === -1 ? input.indexOf('\n\n') : idx;
@@ -79,7 +611,11 @@ function splitHeadersAndBody(input) {
   if (sep === -1) return { headers: {}, body: input };
   const rawHeaders = input.slice(0, (idx !== -1 ? idx : idx2));
   const body = input.slice((idx !== -1 ? idx : idx2) + sep);
-  return { headers: parseHeaders(rawHeaders), body };
+  const headers = parseHeaders(rawHeaders);
+  for (const key of Object.keys(headers)) {
+    if (/[\x80-\xff]/.test(headers[key])) headers[key] = decodeBytes(binaryToBytes(headers[key]), 'utf-8');
+  }
+  return { headers, body };
 }
 
 function parseHeaders(rawHeaders) {
@@ -130,64 +666,18 @@ function splitMultipart(body, boundary) {
   return parts;
 }
 
-function decodeBody(body, transferEncoding) {
-  if (!body) return '';
-  const enc = transferEncoding.trim();
-  if (enc === 'base64') {
-    const cleaned = body.replace(/\s+/g, '');
-    try {
-      const bin = atob(cleaned);
-      const bytes = new Uint8Array(bin.length);
-      for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
-      try {
-        return new TextDecoder('utf-8', { fatal: false }).decode(bytes);
-      } catch (_) {
-        return bin;
-      }
-    } catch (_) {
-      return body;
-    }
-  }
-  if (enc === 'quoted-printable') {
-    return decodeQuotedPrintable(body);
-  }
-  return body;
-}
-
+/**
+ * 按传输编码与 Content-Type 中的字符集解码单体正文
+ * 先按传输编码还原出原始字节再按字符集解码一次，7bit/8bit 正文同样按字节处理，避免非 UTF-8 内容（GBK、Big5 等）被当作 UTF-8 解码而损坏
+ * @param {string} body - 二进制字符串形式的原始正文
+ * @param {string} transferEncoding - 传输编码（小写）
+ * @param {string} contentType - Content-Type 头部值
+ * @returns {string} 解码后的文本
+ */
 function decodeBodyWithCharset(body, transferEncoding, contentType) {
-  const decodedRaw = decodeBody(body, transferEncoding);
+  if (!body) return '';
   const m = /charset\s*=\s*"?([^";]+)/i.exec(contentType || '');
-  const charset = (m && m[1] ? m[1].trim().toLowerCase() : '') || 'utf-8';
-  if (!decodedRaw) return '';
-  if (charset === 'utf-8' || charset === 'utf8' || charset === 'us-ascii') return decodedRaw;
-  try {
-    const bytes = new Uint8Array(decodedRaw.split('').map(c => c.charCodeAt(0)));
-    return new TextDecoder(charset, { fatal: false }).decode(bytes);
-  } catch (_) {
-    return decodedRaw;
-  }
-}
-
-function decodeQuotedPrintable(input) {
-  let s = input.replace(/=\r?\n/g, '');
-  const bytes = [];
-  for (let i = 0; i < s.length; i++) {
-    const ch = s[i];
-    if (ch === '=' && i + 2 < s.length) {
-      const hex = s.substring(i + 1, i + 3);
-      if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
-        bytes.push(parseInt(hex, 16));
-        i += 2;
-        continue;
-      }
-    }
-    bytes.push(ch.charCodeAt(0));
-  }
-  try {
-    return new TextDecoder('utf-8', { fatal: false }).decode(new Uint8Array(bytes));
-  } catch (_) {
-    return s;
-  }
+  return decodeBytes(decodeTransferToBytes(body, transferEncoding), m && m[1]);
 }
 
 function guessHtmlFromRaw(raw) {
@@ -210,7 +700,12 @@ function textToHtml(text) {
   return `<div style="white-space:pre-wrap">${escapeHtml(text)}</div>`;
 }
 
-function stripHtml(html) {
+/**
+ * 去除 HTML 标签，返回压缩空白后的纯文本
+ * @param {string} html - HTML内容
+ * @returns {string} 纯文本
+ */
+export function stripHtml(html) {
   const s = String(html || '');
   return s
     .replace(/<script[\s\S]*?<\/script>/gi, ' ')
@@ -225,6 +720,9 @@ function stripHtml(html) {
     .trim();
 }
 
+/** 验证码附近常见的关键字（正则片段） */
+const CODE_KEYWORDS = '(?:verification|one[-\\s]?time|two[-\\s]?factor|2fa|security|auth|login|confirm|code|otp|验证码|校验码|驗證碼|確認碼|認證碼|認証コード|인증코드|코드)';
+
 /**
  * 从邮件主题、文本和HTML中智能提取验证码（4-8位数字）
  * @param {object} params - 提取参数对象
@@ -252,7 +750,7 @@ export function extractVerificationCode({ subject = '', text = '', html = '' } =
     return '';
   }
 
-  const kw = '(?:verification|one[-\\s]?time|two[-\\s]?factor|2fa|security|auth|login|confirm|code|otp|验证码|校验码|驗證碼|確認碼|認證碼|認証コード|인증코드|코드)';
+  const kw = CODE_KEYWORDS;
   const sepClass = "[\\u00A0\\s\\-–—_.·•∙‧'']";
   const codeChunk = `([0-9](?:${sepClass}?[0-9]){3,7})`;
 
@@ -323,3 +821,103 @@ function isLikelyNonVerificationCode(digits, context = '') {
 
   return false;
 }
+
+/**
+ * 从邮件主题、文本和HTML中提取字母数字混合验证码（如 A7K-92Q、X9F2KD）
+ * 纯数字验证码由 extractVerificationCode 处理；只识别紧邻验证码关键字的大写字母与数字组合
+ * @param {object} params - 提取参数对象
+ * @param {string} params.subject - 邮件主题
+ * @param {string} params.text - 纯文本内容
+ * @param {string} params.html - HTML内容
+ * @returns {string} 提取的验证码（保留连字符），如果未找到返回空字符串
+ */
+export function extractAlphanumericCode({ subject = '', text = '', html = '' } = {}) {
+  const kwRe = new RegExp(CODE_KEYWORDS, 'gi');
+  const tokenRe = /(?<![A-Za-z0-9#-])([A-Z0-9]{2,}(?:-[A-Z0-9]{2,}){0,3})(?![A-Za-z0-9-])/g;
+
+  function pickToken(segment, fromEnd) {
+    const tokens = [...segment.matchAll(tokenRe)].map(m => m[1]).filter(t => {
+      const plain = t.replace(/-/g, '');
+      return plain.length >= 5 && plain.length <= 12 && /[A-Z]/.test(plain) && /\d/.test(plain);
+    });
+    return (fromEnd ? tokens[tokens.length - 1] : tokens[0]) || '';
+  }
+
+  // 优先取关键字之后的验证码，其次取紧挨在关键字之前的（如 "A7K-92Q is your code"）
+  function search(source, afterWindow, beforeWindow) {
+    for (const m of source.matchAll(kwRe)) {
+      const end = m.index + m[0].length;
+      const after = pickToken(source.slice(end, end + afterWindow), false);
+      if (after) return after;
+    }
+    for (const m of source.matchAll(kwRe)) {
+      const before = pickToken(source.slice(Math.max(0, m.index - beforeWindow), m.index), true);
+      if (before) return before;
+    }
+    return '';
+  }
+
+  return search(String(subject || ''), 30, 30)
+    || search(`${String(text || '')} ${stripHtml(html)}`.trim(), 25, 20);
+}
+
+/** 验证、登录类链接的路径关键字 */
+const LINK_URL_KEYWORDS = /verif|confirm|activat|magic|log-?in|sign-?in|auth|token|otp|passwordless|reset|validat|invite/i;
+/** 验证、登录类链接的文字关键字 */
+const LINK_TEXT_KEYWORDS = /verify|verification|confirm|activate|sign\s?in|log\s?in|magic|reset|validate|get started|验证|驗證|确认|確認|激活|登录|登入|登錄|重置|認証|인증/i;
+/** 明显不是验证链接的地址或文字 */
+const LINK_NEGATIVE = /unsubscribe|opt-?out|privacy|terms|preferences|help|support|faq|facebook|twitter|linkedin|instagram|youtube|退订|取消订阅|隐私/i;
+
+/**
+ * 从邮件中提取最可能的验证、登录链接（magic link、确认邮箱、重置密码等）
+ * 按链接地址与链接文字中的关键字打分，排除退订、隐私条款、社交媒体和图片链接
+ * @param {object} params - 提取参数对象
+ * @param {string} params.subject - 邮件主题
+ * @param {string} params.text - 纯文本内容
+ * @param {string} params.html - HTML内容
+ * @returns {string} 链接地址，如果未找到返回空字符串
+ */
+export function extractVerificationLink({ subject = '', text = '', html = '' } = {}) {
+  const candidates = [];
+  const htmlBody = String(html || '');
+  for (const m of htmlBody.matchAll(/<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi)) {
+    candidates.push({ url: decodeHtmlEntities(m[2]), label: stripHtml(m[3]) });
+  }
+  const textBody = String(text || '');
+  for (const m of textBody.matchAll(/https?:\/\/[^\s<>"'()\[\]]+/gi)) {
+    candidates.push({ url: m[0].replace(/[.,;:!?]+$/, ''), label: textBody.slice(Math.max(0, m.index - 80), m.index) });
+  }
+
+  const subjectBonus = LINK_TEXT_KEYWORDS.test(String(subject || '')) ? 1 : 0;
+  let best = null;
+  for (const { url, label } of candidates) {
+    let parsed;
+    try {
+      parsed = new URL(url.trim());
+    } catch (_) {
+      continue;
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') continue;
+    if (/\.(?:png|jpe?g|gif|webp|svg|ico|css|js)$/i.test(parsed.pathname)) continue;
+    const target = `${parsed.pathname}${parsed.search}`;
+    if (LINK_NEGATIVE.test(target) || LINK_NEGATIVE.test(label)) continue;
+
+    let score = subjectBonus;
+    if (LINK_URL_KEYWORDS.test(target)) score += 2;
+    if (LINK_TEXT_KEYWORDS.test(label)) score += 3;
+    if (/[?&#/][^=&#/]*=?[A-Za-z0-9_-]{20,}/.test(target)) score += 1;
+    if (score >= 3 && (!best || score > best.score)) best = { url: parsed.href, score };
+  }
+  return best ? best.url.slice(0, 2000) : '';
+}
+
+function decodeHtmlEntities(s) {
+  return String(s || '')
+    .replace(/&amp;/gi, '&')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCharCode(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(parseInt(n, 10)));
+}
@@ -3,76 +3,107 @@
  * @module email/receiver
  */
 
-import { extractEmail } from '../utils/common.js';
-import { getOrCreateMailboxId } from '../db/index.js';
-import { parseEmailBody, extractVerificationCode } from './parser.js';
+import { extractEmail, extractDisplayName, parseAddressList } from '../utils/common.js';
+import { insertMessage, getSpamThreshold, applyMailboxRules } from '../db/index.js';
+import { parseEmailBody, extractVerificationLink, extractAlphanumericCode, decodeMimeWords, parseMessageIdList, stripHtml } from './parser.js';
+import { readAuthVerdicts, computeSpamScore, isSpamScore } from './spamCheck.js';
+import { collectLocalRecipients, resolveDeliveries, parseSubaddressSeparators } from './delivery.js';
+import { sendAutoReply } from './autoReply.js';
+import { dispatchMessageWebhooks } from './webhooks.js';
+import { resolveVerificationCode } from './codeTemplates.js';
+import { parseCalendarEvent } from './calendar.js';
 
 /**
  * 处理通过 HTTP 接收的邮件
  * @param {Request} request - HTTP 请求对象
  * @param {object} db - 数据库连接
  * @param {object} env - 环境变量
+ * @param {object} ctx - Worker 上下文（用于后台推送 Webhook），可选
  * @returns {Promise<Response>} HTTP 响应
  */
-export async function handleEmailReceive(request, db, env) {
+export async function handleEmailReceive(request, db, env, ctx = null) {
   try {
     const emailData = await request.json();
     const to = String(emailData?.to || '');
     const from = String(emailData?.from || '');
-    const subject = String(emailData?.subject || '(无主题)');
+    const subject = decodeMimeWords(String(emailData?.subject || '')) || '(无主题)';
     const text = String(emailData?.text || '');
     const html = String(emailData?.html || '');
+    const ccAddrs = parseAddressList(decodeMimeWords(Array.isArray(emailData?.cc) ? emailData.cc.join(',') : String(emailData?.cc || ''))).join(',');
+    const messageId = parseMessageIdList(String(emailData?.messageId || ''))[0] || null;
+    const inReplyTo = parseMessageIdList(String(emailData?.inReplyTo || ''))[0] || null;
+    const references = parseMessageIdList(Array.isArray(emailData?.references) ? emailData.references.map(id => `<${String(id).replace(/^<|>$/g, '')}>`).join(' ') : String(emailData?.references || ''));
 
-    const mailbox = extractEmail(to);
     const sender = extractEmail(from);
-    const mailboxId = await getOrCreateMailboxId(db, mailbox);
+    const senderName = decodeMimeWords(extractDisplayName(from));
 
-    // 构造简易 EML 并写入 R2
+    // to 中的第一个地址视为信封收件人，其余 to/cc 中的本域地址各投递一份
+    const toHeader = decodeMimeWords(to);
+    const toList = parseAddressList(toHeader);
+    const mailDomains = String(env?.MAIL_DOMAIN || 'temp.example.com').split(/[,\s]+/).map(d => d.trim()).filter(Boolean);
+    const recipients = collectLocalRecipients(toList[0] || extractEmail(to), [toHeader, ccAddrs], mailDomains);
+    const mailbox = recipients[0] || '';
+    const separators = parseSubaddressSeparators(env?.SUBADDRESS_SEPARATOR);
+    const { deliveries, rejectReason, rejectType } = await resolveDeliveries(db, { recipients, sender, subject, messageId, separators });
+    if (rejectReason) {
+      return new Response(rejectType === 'sender' ? '发件人不在允许范围内' : rejectReason, { status: 403 });
+    }
+    if (!deliveries.length) {
+      return Response.json({ success: true, delivered: 0 });
+    }
+
+    // 构造简易 EML
     const now = new Date();
     const dateStr = now.toUTCString();
-    const boundary = 'mf-' + (crypto.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2));
-    let eml = '';
-    if (html) {
-      eml = [
-        `From: <${sender}>`,
-        `To: <${mailbox}>`,
-        `Subject: ${subject}`,
-        `Date: ${dateStr}`,
-        'MIME-Version: 1.0',
-        `Content-Type: multipart/alternative; boundary="${boundary}"`,
-        '',
-        `--${boundary}`,
-        'Content-Type: text/plain; charset="utf-8"',
-        'Content-Transfer-Encoding: 8bit',
-        '',
-        text || '',
-        `--${boundary}`,
-        'Content-Type: text/html; charset="utf-8"',
-        'Content-Transfer-Encoding: 8bit',
-        '',
-        html,
-        `--${boundary}--`,
-        ''
-      ].join('\r\n');
-    } else {
-      eml = [
-        `From: <${sender}>`,
-        `To: <${mailbox}>`,
-        `Subject: ${subject}`,
-        `Date: ${dateStr}`,
-        'MIME-Version: 1.0',
-        'Content-Type: text/plain; charset="utf-8"',
-        'Content-Transfer-Encoding: 8bit',
-        '',
-        text || '',
-        ''
-      ].join('\r\n');
+    const attachmentInputs = Array.isArray(emailData?.attachments) ? emailData.attachments : [];
+    const eml = [
+      `From: <${sender}>`,
+      `To: ${(toList.length ? toList : [mailbox]).map(a => `<${a}>`).join(', ')}`,
+      ...(ccAddrs ? [`Cc: ${ccAddrs}`] : []),
+      `Subject: ${subject}`,
+      `Date: ${dateStr}`,
+      ...(messageId ? [`Message-ID: <${messageId}>`] : []),
+      ...(inReplyTo ? [`In-Reply-To: <${inReplyTo}>`] : []),
+      ...(references.length ? [`References: ${references.map(id => `<${id}>`).join(' ')}`] : []),
+      'MIME-Version: 1.0',
+      ...buildMimeBody(text, html, attachmentInputs),
+      ''
+    ].join('\r\n');
+    // 写入 R2 与解析附件使用同一份 UTF-8 字节，与 SMTP 收件路径一致按字节解析
+    const emlBytes = new TextEncoder().encode(eml);
+
+    const previewBase = (text || html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+    const preview = String(previewBase || '').slice(0, 120);
+    let verificationCode = '';
+    try {
+      verificationCode = await resolveVerificationCode(db, { sender, subject, text, html });
+    } catch (_) { }
+    let verificationLink = '';
+    let verificationOtp = '';
+    try {
+      verificationLink = extractVerificationLink({ subject, text, html });
+      verificationOtp = extractAlphanumericCode({ subject, text, html });
+    } catch (_) { }
+
+    // 上游可通过 headers 字段透传 Authentication-Results / Received-SPF / Reply-To
+    const rawHeaders = emailData?.headers && typeof emailData.headers === 'object' ? emailData.headers : {};
+    const extraHeaders = new Headers();
+    for (const [key, value] of Object.entries(rawHeaders)) {
+      try { extraHeaders.append(key, String(value)); } catch (_) { }
+    }
+
+    // 按邮箱执行收件规则（HTTP 接收无法转发，规则中的转发动作被忽略）
+    const outcomes = [];
+    for (const { mailboxId } of deliveries) {
+      outcomes.push(await applyMailboxRules(db, mailboxId, { sender, subject, verificationCode, headers: extraHeaders }));
     }
+    const needsStorage = outcomes.some(o => !o.drop && !o.skipStorage);
 
+    // 写入 R2（所有邮箱均不保存原始邮件时跳过）
     let objectKey = '';
     try {
       const r2 = env?.MAIL_EML;
-      if (r2) {
+      if (r2 && needsStorage) {
         const y = now.getUTCFullYear();
         const m = String(now.getUTCMonth() + 1).padStart(2, '0');
         const d = String(now.getUTCDate()).padStart(2, '0');
@@ -82,34 +113,154 @@ export async function handleEmailReceive(request, db, env) {
         const keyId = (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
         const safeMailbox = (mailbox || 'unknown').toLowerCase().replace(/[^a-z0-9@._-]/g, '_');
         objectKey = `${y}/${m}/${d}/${safeMailbox}/${hh}${mm}${ss}-${keyId}.eml`;
-        await r2.put(objectKey, eml, { httpMetadata: { contentType: 'message/rfc822' } });
+        await r2.put(objectKey, emlBytes, { httpMetadata: { contentType: 'message/rfc822' } });
       }
     } catch (_) { objectKey = ''; }
 
-    const previewBase = (text || html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
-    const preview = String(previewBase || '').slice(0, 120);
-    let verificationCode = '';
+    let attachments = [];
+    let calendarEvent = null;
     try {
-      verificationCode = extractVerificationCode({ subject, text, html });
+      const parsed = parseEmailBody(emlBytes);
+      attachments = parsed.attachments || [];
+      calendarEvent = parsed.calendar ? parseCalendarEvent(parsed.calendar) : null;
     } catch (_) { }
 
-    await db.prepare(`
-      INSERT INTO messages (mailbox_id, sender, to_addrs, subject, verification_code, preview, r2_bucket, r2_object_key)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      mailboxId,
+    const auth = readAuthVerdicts(extraHeaders);
+    const spam = computeSpamScore({
+      auth,
       sender,
-      String(to || ''),
-      subject || '(无主题)',
-      verificationCode || null,
-      preview || null,
-      'mail-eml',
-      objectKey || ''
-    ).run();
-
-    return Response.json({ success: true });
+      senderName,
+      replyTo: extractEmail(extraHeaders.get('reply-to') || ''),
+      subject,
+      text,
+      html
+    });
+    // 每个收件邮箱插入一条消息记录，共享同一个 R2 对象
+    let delivered = 0;
+    const resendConfig = env?.RESEND_API_KEY || env?.RESEND_TOKEN || env?.RESEND || '';
+    for (let i = 0; i < deliveries.length; i++) {
+      const { mailboxId, address, tag } = deliveries[i];
+      const outcome = outcomes[i];
+      if (outcome.drop) continue;
+      let isSpam = false;
+      try {
+        isSpam = isSpamScore(spam.score, await getSpamThreshold(db, mailboxId));
+      } catch (_) { }
+
+      const storedId = await insertMessage(db, {
+        mailboxId,
+        sender,
+        senderName,
+        toAddrs: toHeader,
+        subject,
+        verificationCode,
+        verificationLink,
+        verificationOtp,
+        calendarEvent,
+        preview,
+        bodyText: text || stripHtml(html),
+        r2ObjectKey: outcome.skipStorage ? '' : objectKey,
+        attachments,
+        ccAddrs,
+        messageId,
+        inReplyTo,
+        references,
+        auth,
+        spamScore: spam.score,
+        spamReasons: spam.reasons,
+        isSpam,
+        tag,
+        labels: outcome.labels,
+        isRead: outcome.markRead
+      });
+      delivered++;
+
+      if (storedId) {
+        const pending = dispatchMessageWebhooks(db, { id: storedId, mailboxId, mailbox: address, sender, subject, verificationCode, preview })
+          .catch(e => console.error('Webhook 推送失败:', e));
+        if (ctx?.waitUntil) ctx.waitUntil(pending);
+        else await pending;
+      }
+
+      if (!isSpam && resendConfig) {
+        try {
+          await sendAutoReply(db, resendConfig, { mailboxId, mailboxAddress: address, sender, subject, messageId, headers: extraHeaders });
+        } catch (e) {
+          console.error('自动回复处理失败:', e);
+        }
+      }
+    }
+
+    return Response.json({ success: true, delivered });
   } catch (error) {
     console.error('处理邮件时出错:', error);
     return new Response('处理邮件失败', { status: 500 });
   }
 }
+
+function newBoundary() {
+  return 'mf-' + (crypto.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2));
+}
+
+/**
+ * 构造 EML 的 MIME 正文部分（Content-Type 头及之后的内容）
+ * @param {string} text - 纯文本内容
+ * @param {string} html - HTML 内容
+ * @param {Array<object>} attachments - 附件列表，元素为 { filename, content_type, content_id, content }，content 为 base64
+ * @returns {Array<string>} EML 行数组
+ */
+function buildMimeBody(text, html, attachments) {
+  let bodyLines;
+  if (html) {
+    const boundary = newBoundary();
+    bodyLines = [
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset="utf-8"',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      text || '',
+      `--${boundary}`,
+      'Content-Type: text/html; charset="utf-8"',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      html,
+      `--${boundary}--`
+    ];
+  } else {
+    bodyLines = [
+      'Content-Type: text/plain; charset="utf-8"',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      text || ''
+    ];
+  }
+
+  const validAttachments = attachments.filter(a => a && typeof a.content === 'string' && a.content);
+  if (!validAttachments.length) return bodyLines;
+
+  const mixedBoundary = newBoundary();
+  const lines = [
+    `Content-Type: multipart/mixed; boundary="${mixedBoundary}"`,
+    '',
+    `--${mixedBoundary}`,
+    ...bodyLines
+  ];
+  validAttachments.forEach((a, i) => {
+    const filename = String(a.filename || `attachment-${i + 1}`).replace(/["\r\n]/g, '');
+    const contentType = String(a.content_type || a.contentType || 'application/octet-stream').replace(/[\r\n]/g, '');
+    const contentId = String(a.content_id || a.contentId || '').replace(/[<>\r\n]/g, '');
+    const encodedName = `utf-8''${encodeURIComponent(filename)}`;
+    lines.push(
+      `--${mixedBoundary}`,
+      `Content-Type: ${contentType}; name*=${encodedName}`,
+      `Content-Disposition: ${contentId ? 'inline' : 'attachment'}; filename*=${encodedName}`,
+      'Content-Transfer-Encoding: base64'
+    );
+    if (contentId) lines.push(`Content-ID: <${contentId}>`);
+    lines.push('', a.content.replace(/\s+/g, '').replace(/(.{76})/g, '$1\r\n').trim());
+  });
+  lines.push(`--${mixedBoundary}--`);
+  return lines;
+}
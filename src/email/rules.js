@@ -0,0 +1,273 @@
+/**
+ * 邮箱收件规则匹配与执行模块
+ * @module email/rules
+ */
+
+import { normalizeSenderPattern, matchSenderPattern } from './senderFilter.js';
+import { isValidEmail } from '../utils/common.js';
+
+/**
+ * 规则条件类型
+ * - sender：发件人模式（同发件人过滤，支持 *@github.com、域名）
+ * - subject：主题正则（不区分大小写）
+ * - has_code：提取到验证码
+ * - header：指定邮件头的值匹配正则（正则为空时只要求该头存在）
+ */
+export const RULE_CONDITIONS = ['sender', 'subject', 'has_code', 'header'];
+
+/**
+ * 规则动作类型
+ * - label：添加标签
+ * - mark_read：标记为已读
+ * - delete：丢弃邮件（不写入该邮箱），并停止后续规则
+ * - skip_storage：只保存元数据，不保存原始邮件（EML）
+ * - forward：转发到指定地址
+ * - stop：停止执行后续规则
+ */
+export const RULE_ACTIONS = ['label', 'mark_read', 'delete', 'skip_storage', 'forward', 'stop'];
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_LABEL_LENGTH = 32;
+// 参与正则匹配的主题与邮件头值的最大长度，超出部分不参与匹配
+const MAX_MATCH_INPUT_LENGTH = 500;
+// 最坏情况回溯步数的估算上限（约 100-200 毫秒）
+const MAX_REGEX_BACKTRACK_COST = 1.5e8;
+
+/**
+ * 读取 index 处的量词
+ * @param {string} source - 正则源码
+ * @param {number} index - 量词起始位置
+ * @returns {{length: number, repeats: boolean, span: number}|null} 量词长度（含惰性标记）、是否可重复多次
+ *   与可选重复次数的个数（不定长为 Infinity），不是量词时返回 null
+ */
+function readQuantifier(source, index) {
+  const match = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/.exec(source.slice(index));
+  if (!match) return null;
+  if (match[1]) return { length: match[0].length, repeats: match[1] !== '?', span: match[1] === '?' ? 2 : Infinity };
+  const min = Number(match[2]);
+  const max = match[3] ? (match[4] === '' ? Infinity : Number(match[4])) : min;
+  return { length: match[0].length, repeats: max > 1, span: max - min + 1 };
+}
+
+/**
+ * 检查正则是否可能导致灾难性回溯（ReDoS）
+ * 拒绝反向引用、内部含量词或 | 分支且自身被重复的分组（如 (a+)+、(a|aa)+），
+ * 并按各量词可选的重复次数估算在最长输入上的回溯步数，拒绝 a*a*a*$x 这类多项式爆炸的写法
+ * @param {string} source - 正则源码
+ * @param {number} maxInputLength - 参与匹配的文本最大长度
+ * @returns {string|null} 不安全的原因，安全时返回 null
+ */
+export function checkRegexSafety(source, maxInputLength = MAX_MATCH_INPUT_LENGTH) {
+  // 每层分组记录其内部是否含可重复的量词与 | 分支
+  const stack = [{ quantified: false, alternation: false }];
+  // 搜索起点数乘以各可重复量词的重复次数个数（不定长按输入长度计）
+  let cost = maxInputLength;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    const current = stack[stack.length - 1];
+    let closed = null;
+    if (ch === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return '不支持反向引用';
+      i++;
+    } else if (ch === '[') {
+      // 跳过字符类，其中的量词符号没有特殊含义
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (ch === '(') {
+      stack.push({ quantified: false, alternation: false });
+      // 跳过 (?: (?= (?! (?<= (?<! 等分组标记中的 ?
+      if (source[i + 1] === '?') i++;
+      continue;
+    } else if (ch === '|') {
+      current.alternation = true;
+      continue;
+    } else if (ch === ')' && stack.length > 1) {
+      closed = stack.pop();
+      const parent = stack[stack.length - 1];
+      parent.quantified = parent.quantified || closed.quantified;
+      parent.alternation = parent.alternation || closed.alternation;
+    }
+
+    const quantifier = readQuantifier(source, i + 1);
+    if (!quantifier) continue;
+    if (quantifier.repeats) {
+      if (closed?.quantified) return '不支持嵌套量词（如 (a+)+）';
+      if (closed?.alternation) return '不支持重复含 | 的分组（如 (a|aa)+）';
+      stack[stack.length - 1].quantified = true;
+      cost *= Math.min(quantifier.span, maxInputLength);
+      if (cost > MAX_REGEX_BACKTRACK_COST) return '不定长量词过多（如 a*a*a*）';
+    }
+    i += quantifier.length;
+  }
+  return null;
+}
+
+/**
+ * 校验并编译规则正则（不区分大小写）
+ * 限制长度并拒绝可能导致灾难性回溯的写法；保存规则与收件匹配时使用相同的校验
+ * @param {string} source - 正则源码
+ * @returns {{regex: RegExp|null, error: string|null}} 编译结果或错误原因
+ */
+function compileRegex(source) {
+  const pattern = String(source || '');
+  if (pattern.length > MAX_PATTERN_LENGTH) return { regex: null, error: '正则过长' };
+  const unsafe = checkRegexSafety(pattern);
+  if (unsafe) return { regex: null, error: unsafe };
+  try {
+    return { regex: new RegExp(pattern, 'i'), error: null };
+  } catch (_) {
+    return { regex: null, error: '语法错误' };
+  }
+}
+
+/**
+ * 截取参与正则匹配的文本
+ * @param {*} value - 主题或邮件头值
+ * @returns {string} 截取后的文本
+ */
+function matchInput(value) {
+  return String(value ?? '').slice(0, MAX_MATCH_INPUT_LENGTH);
+}
+
+/**
+ * 校验并规范化规则输入
+ * @param {object} input - 规则输入
+ * @param {string} input.name - 规则名称，可选
+ * @param {string} input.condition_type - 条件类型
+ * @param {string} input.condition_value - 条件值
+ * @param {string} input.header_name - 邮件头名称（header 条件必需）
+ * @param {string} input.action - 动作类型
+ * @param {string} input.action_value - 动作参数（label 为标签名，forward 为目标地址）
+ * @param {boolean} input.enabled - 是否启用，默认启用
+ * @returns {{rule: object|null, error: string|null}} 规范化后的规则或错误信息
+ */
+export function normalizeRule(input = {}) {
+  const conditionType = String(input.condition_type || '').trim();
+  const action = String(input.action || '').trim();
+  if (!RULE_CONDITIONS.includes(conditionType)) return { rule: null, error: '无效的条件类型' };
+  if (!RULE_ACTIONS.includes(action)) return { rule: null, error: '无效的动作类型' };
+
+  let conditionValue = String(input.condition_value ?? '').trim();
+  let headerName = null;
+  if (conditionValue.length > MAX_PATTERN_LENGTH) return { rule: null, error: '条件值过长' };
+  if (conditionType === 'sender') {
+    conditionValue = normalizeSenderPattern(conditionValue);
+    if (!conditionValue) return { rule: null, error: '发件人模式格式无效' };
+  } else if (conditionType === 'subject') {
+    if (!conditionValue) return { rule: null, error: '主题正则无效' };
+    const { error } = compileRegex(conditionValue);
+    if (error) return { rule: null, error: `主题正则无效：${error}` };
+  } else if (conditionType === 'header') {
+    headerName = String(input.header_name || '').trim().toLowerCase();
+    if (!/^[a-z0-9-]{1,64}$/.test(headerName)) return { rule: null, error: '邮件头名称无效' };
+    const { error } = conditionValue ? compileRegex(conditionValue) : { error: null };
+    if (error) return { rule: null, error: `邮件头正则无效：${error}` };
+  } else {
+    conditionValue = '';
+  }
+
+  let actionValue = null;
+  if (action === 'label') {
+    actionValue = String(input.action_value || '').trim().replace(/,/g, ' ');
+    if (!actionValue || actionValue.length > MAX_LABEL_LENGTH) return { rule: null, error: '标签名称不能为空且不超过 32 个字符' };
+  } else if (action === 'forward') {
+    actionValue = String(input.action_value || '').trim().toLowerCase();
+    if (!isValidEmail(actionValue)) return { rule: null, error: '转发地址格式无效' };
+  }
+
+  return {
+    rule: {
+      name: String(input.name || '').trim().slice(0, 64) || null,
+      condition_type: conditionType,
+      condition_value: conditionValue,
+      header_name: headerName,
+      action,
+      action_value: actionValue,
+      enabled: input.enabled === undefined ? 1 : (input.enabled ? 1 : 0)
+    },
+    error: null
+  };
+}
+
+/**
+ * 预编译规则中的正则，供同一批邮件重复匹配
+ * 正则无效或不安全（如升级前保存的规则）时 regex 为 null，该规则不会命中
+ * @param {Array<object>} rules - 规则列表
+ * @returns {Array<object>} 附加 regex 字段的规则列表（顺序不变）
+ */
+export function compileRules(rules) {
+  return (Array.isArray(rules) ? rules : []).map(rule => {
+    if (!rule || 'regex' in rule) return rule;
+    const needsRegex = rule.condition_type === 'subject' || (rule.condition_type === 'header' && rule.condition_value);
+    return { ...rule, regex: needsRegex ? compileRegex(rule.condition_value).regex : null };
+  });
+}
+
+/**
+ * 判断单条规则是否匹配邮件
+ * 主题与邮件头值只取前 500 个字符参与正则匹配
+ * @param {object} rule - 规则记录（可为 compileRules 预编译后的规则）
+ * @param {object} context - 邮件信息
+ * @param {string} context.sender - 发件人地址
+ * @param {string} context.subject - 邮件主题
+ * @param {string} context.verificationCode - 提取到的验证码
+ * @param {{get: Function}} context.headers - 邮件头（支持 get 方法），可选
+ * @returns {boolean} 是否匹配
+ */
+export function matchRule(rule, { sender = '', subject = '', verificationCode = '', headers = null } = {}) {
+  switch (rule.condition_type) {
+    case 'sender':
+      return matchSenderPattern(rule.condition_value, sender);
+    case 'subject': {
+      const re = 'regex' in rule ? rule.regex : compileRegex(rule.condition_value).regex;
+      return !!re && re.test(matchInput(subject));
+    }
+    case 'has_code':
+      return !!verificationCode;
+    case 'header': {
+      let value = null;
+      try { value = headers?.get?.(rule.header_name) ?? null; } catch (_) { }
+      if (value === null || value === undefined) return false;
+      if (!rule.condition_value) return true;
+      const re = 'regex' in rule ? rule.regex : compileRegex(rule.condition_value).regex;
+      return !!re && re.test(matchInput(value));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * 按顺序执行规则，汇总命中规则的动作
+ * 已停用的规则跳过；命中 stop 或 delete 后不再执行后续规则
+ * 对多封邮件执行同一组规则时，先用 compileRules 预编译以避免重复编译正则
+ * @param {Array<object>} rules - 规则列表（已按执行顺序排列）
+ * @param {object} context - 邮件信息，见 matchRule
+ * forwardRuleIds 与 forwards 一一对应，为产生该转发的规则ID
+ * @returns {{matched: Array<number>, labels: Array<string>, markRead: boolean, drop: boolean, skipStorage: boolean, forwards: Array<string>, forwardRuleIds: Array<number>}} 执行结果
+ */
+export function evaluateRules(rules, context) {
+  const outcome = { matched: [], labels: [], markRead: false, drop: false, skipStorage: false, forwards: [], forwardRuleIds: [] };
+  for (const rule of Array.isArray(rules) ? rules : []) {
+    if (!rule || !rule.enabled) continue;
+    if (!matchRule(rule, context)) continue;
+    outcome.matched.push(rule.id);
+    if (rule.action === 'label' && rule.action_value && !outcome.labels.includes(rule.action_value)) {
+      outcome.labels.push(rule.action_value);
+    } else if (rule.action === 'mark_read') {
+      outcome.markRead = true;
+    } else if (rule.action === 'skip_storage') {
+      outcome.skipStorage = true;
+    } else if (rule.action === 'forward' && rule.action_value && !outcome.forwards.includes(rule.action_value)) {
+      outcome.forwards.push(rule.action_value);
+      outcome.forwardRuleIds.push(rule.id);
+    } else if (rule.action === 'delete') {
+      outcome.drop = true;
+      break;
+    } else if (rule.action === 'stop') {
+      break;
+    }
+  }
+  return outcome;
+}
@@ -0,0 +1,437 @@
+/**
+ * 邮件 HTML 清理模块
+ * 基于白名单保留常见的邮件排版标签与属性，移除脚本、事件处理器、危险链接与可用于外泄数据的 CSS
+ * 可选地改写或屏蔽远程图片地址，并移除 1x1 跟踪像素
+ * 输出包裹在 MESSAGE_SCOPE_CLASS 容器中，<style> 中的选择器限定在该容器内
+ * @module email/sanitizer
+ */
+
+/**
+ * 清理结果外层容器的 class，邮件样式表中的选择器均以此为作用域
+ */
+export const MESSAGE_SCOPE_CLASS = 'freemail-message';
+
+/**
+ * 允许保留的标签
+ */
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'address', 'area', 'article', 'aside', 'b', 'bdi', 'bdo', 'big', 'blockquote', 'br',
+  'caption', 'center', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt',
+  'em', 'figcaption', 'figure', 'font', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+  'i', 'img', 'ins', 'kbd', 'label', 'li', 'main', 'map', 'mark', 'nav', 'ol', 'p', 'pre', 'q', 's',
+  'samp', 'section', 'small', 'span', 'strike', 'strong', 'style', 'sub', 'summary', 'sup', 'table', 'tbody',
+  'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'tt', 'u', 'ul', 'var', 'wbr'
+]);
+
+/**
+ * 只移除标签本身、保留内容的文档结构标签（body 的属性转移到外层容器）
+ */
+const UNWRAP_TAGS = new Set(['html', 'head', 'body']);
+
+/**
+ * 连同内容一起移除的标签
+ */
+const DROP_CONTENT_TAGS = new Set([
+  'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'noembed', 'noframes',
+  'template', 'svg', 'math', 'title', 'textarea', 'select', 'xmp', 'plaintext', 'audio', 'video', 'canvas'
+]);
+
+/**
+ * 内容按原始文本解析的标签（内容中的 < 不视为标签开始）
+ */
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript', 'plaintext']);
+
+const VOID_TAGS = new Set(['area', 'br', 'col', 'hr', 'img', 'wbr', 'meta', 'link', 'base', 'input', 'source', 'param', 'track', 'embed']);
+
+/**
+ * 允许保留的属性（不含 id、name，避免覆盖页面中的同名元素）
+ */
+const ALLOWED_ATTRS = new Set([
+  'abbr', 'align', 'alt', 'background', 'bgcolor', 'border', 'cellpadding', 'cellspacing', 'cite', 'class',
+  'clear', 'color', 'cols', 'colspan', 'compact', 'coords', 'datetime', 'dir', 'face', 'headers', 'height',
+  'href', 'hspace', 'lang', 'nowrap', 'open', 'reversed', 'rowspan', 'rules', 'scope', 'shape', 'size', 'span',
+  'src', 'start', 'style', 'summary', 'title', 'type', 'usemap', 'valign', 'value', 'vspace', 'width'
+]);
+
+const URL_ATTRS = new Set(['href', 'src', 'background', 'cite']);
+
+/**
+ * rewriteCidReferences 生成的内联资源地址（唯一允许的站内图片地址，路径段不允许为 . 或 ..）
+ */
+const INLINE_PART_URL = /^\/api\/email\/\d+\/inline\/(?!(?:\.|%2e){1,2}(?:[?#]|$))[^/?#\\]+(?:\?[^#\\]*)?$/i;
+
+/**
+ * 清理邮件 HTML
+ * @param {string} html - 原始 HTML
+ * @param {object} [options] - 选项
+ * @param {Function} [options.remoteImage] - 远程图片地址处理函数 (url) => string，返回替换后的地址，返回空字符串时移除该图片地址；
+ *   作用于 img 的 src、background 属性以及样式中的 url()，未提供时保留原地址
+ * @param {string} [options.origin] - 本站来源（如 https://mail.example.com），指向本站的绝对地址与相对地址一样被移除
+ * @returns {string} 清理后的 HTML
+ */
+export function sanitizeHtml(html, options = {}) {
+  const input = String(html || '');
+  if (!input) return '';
+  let out = '';
+  let bodyAttrs = null;
+  let i = 0;
+  while (i < input.length) {
+    const lt = input.indexOf('<', i);
+    if (lt === -1) {
+      out += input.slice(i);
+      break;
+    }
+    out += input.slice(i, lt);
+    i = lt;
+
+    // 注释（含 Outlook 条件注释）、DOCTYPE、处理指令一律移除
+    if (input.startsWith('<!--', i)) {
+      const end = input.indexOf('-->', i + 4);
+      i = end === -1 ? input.length : end + 3;
+      continue;
+    }
+    if (input[i + 1] === '!' || input[i + 1] === '?') {
+      const end = input.indexOf('>', i);
+      i = end === -1 ? input.length : end + 1;
+      continue;
+    }
+
+    const endTag = /^<\/([a-zA-Z][a-zA-Z0-9-]*)[^>]*>/.exec(input.slice(i, i + 200));
+    if (endTag) {
+      const name = endTag[1].toLowerCase();
+      if (ALLOWED_TAGS.has(name) && name !== 'style') out += `</${name}>`;
+      i += endTag[0].length;
+      continue;
+    }
+
+    const tag = readStartTag(input, i);
+    if (!tag) {
+      out += '&lt;';
+      i += 1;
+      continue;
+    }
+    i = tag.end;
+    const name = tag.name;
+
+    // 浏览器忽略非空元素上的自闭合斜杠，<style/> 之后的内容仍按样式表解析
+    if (RAW_TEXT_TAGS.has(name)) {
+      const closeRe = new RegExp(`</${name}[^>]*>`, 'i');
+      const rest = input.slice(i);
+      const close = closeRe.exec(rest);
+      const content = close ? rest.slice(0, close.index) : rest;
+      i = close ? i + close.index + close[0].length : input.length;
+      if (name === 'style') out += `<style>${sanitizeStyleSheet(content, options)}</style>`;
+      continue;
+    }
+    if (DROP_CONTENT_TAGS.has(name)) {
+      if (!VOID_TAGS.has(name) && !tag.selfClosing) {
+        const closeRe = new RegExp(`</${name}[^>]*>`, 'i');
+        const close = closeRe.exec(input.slice(i));
+        i = close ? i + close.index + close[0].length : input.length;
+      }
+      continue;
+    }
+    if (UNWRAP_TAGS.has(name)) {
+      if (name === 'body' && bodyAttrs === null) bodyAttrs = sanitizeAttributes(name, tag.attrs, options);
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(name)) continue;
+    if (name === 'img' && isTrackingPixel(tag.attrs)) continue;
+
+    out += `<${name}${sanitizeAttributes(name, tag.attrs, options)}>`;
+  }
+  return `<div class="${MESSAGE_SCOPE_CLASS}"${bodyAttrs || ''}>${out}</div>`;
+}
+
+/**
+ * 读取起始标签（属性值中的 > 不结束标签）
+ * @returns {{name: string, attrs: Array<[string, string]>, selfClosing: boolean, end: number}|null}
+ */
+function readStartTag(input, start) {
+  const m = /^<([a-zA-Z][a-zA-Z0-9-]*)/.exec(input.slice(start, start + 100));
+  if (!m) return null;
+  let i = start + m[0].length;
+  let quote = '';
+  while (i < input.length) {
+    const ch = input[i];
+    if (quote) {
+      if (ch === quote) quote = '';
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      break;
+    }
+    i++;
+  }
+  const body = input.slice(start + m[0].length, i);
+  const attrs = [];
+  const re = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let a;
+  while ((a = re.exec(body)) !== null) {
+    attrs.push([a[1].toLowerCase(), a[2] ?? a[3] ?? a[4] ?? '']);
+  }
+  return { name: m[1].toLowerCase(), attrs, selfClosing: /\/\s*$/.test(body), end: Math.min(i + 1, input.length) };
+}
+
+/**
+ * 过滤属性并重新转义输出；链接统一在新窗口打开
+ */
+function sanitizeAttributes(tagName, attrs, options) {
+  let out = '';
+  const seen = new Set();
+  for (const [name, rawValue] of attrs) {
+    if (seen.has(name) || !ALLOWED_ATTRS.has(name)) continue;
+    // class 由外层容器使用，body 上的 class 不转移
+    if (tagName === 'body' && name === 'class') continue;
+    seen.add(name);
+    let value = decodeEntities(rawValue);
+    if (URL_ATTRS.has(name)) {
+      const isImage = name === 'src' || name === 'background';
+      value = sanitizeUrl(value, isImage, options);
+      if (value && isImage && options.remoteImage && isRemoteUrl(value)) value = options.remoteImage(value.trim());
+      if (!value) continue;
+    } else if (name === 'style') {
+      value = sanitizeDeclarations(value, options);
+      if (!value) continue;
+    }
+    out += ` ${name}="${escapeAttr(value)}"`;
+  }
+  if (tagName === 'a' || tagName === 'area') out += ' target="_blank" rel="noopener noreferrer"';
+  return out;
+}
+
+/**
+ * 校验链接地址：仅允许指向其他站点的 http(s) 以及 mailto、tel，图片额外允许 cid:、data:image 与内联资源地址
+ * 相对地址、页内锚点与指向本站的地址一律移除：查看者打开邮件时这些地址会以其登录身份请求本站接口
+ * @param {string} value - 解码后的地址
+ * @param {boolean} isImage - 是否为图片地址
+ * @param {object} [options] - sanitizeHtml 的选项（使用其中的 origin）
+ * @returns {string} 允许的地址，不允许时返回空字符串
+ */
+function sanitizeUrl(value, isImage, options = {}) {
+  const url = String(value || '').trim();
+  // 去除控制字符与空白后判断协议，防止 "java\nscript:" 之类的绕过
+  const compact = url.replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+  if (!compact) return '';
+  if (/^https?:/.test(compact)) return isSameOrigin(compact, options.origin) ? '' : url;
+  if (/^(mailto:|tel:)/.test(compact)) return url;
+  if (!isImage) return '';
+  if (compact.startsWith('cid:')) return url;
+  if (/^data:image\/(png|gif|jpe?g|webp|bmp);/.test(compact)) return url;
+  if (INLINE_PART_URL.test(compact)) return url;
+  return '';
+}
+
+/**
+ * 判断绝对地址是否指向本站
+ */
+function isSameOrigin(url, origin) {
+  if (!origin) return false;
+  try {
+    return new URL(url).origin === new URL(origin).origin;
+  } catch (_) {
+    // 无法解析的地址不会被浏览器请求，按本站地址处理一并移除
+    return true;
+  }
+}
+
+/**
+ * 判断是否为远程（http/https）地址
+ */
+function isRemoteUrl(value) {
+  return /^https?:/.test(String(value || '').replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase());
+}
+
+/**
+ * 判断图片是否为跟踪像素：远程地址且宽高均不超过 1 像素，或被样式隐藏
+ */
+function isTrackingPixel(attrs) {
+  const get = (key) => (attrs.find(([name]) => name === key) || [])[1];
+  if (!isRemoteUrl(decodeEntities(get('src')))) return false;
+  const style = decodeCssEscapes(decodeEntities(get('style') || '')).replace(/\/\*[\s\S]*?\*\//g, '').toLowerCase();
+  if (/(^|;)\s*(display\s*:\s*none|visibility\s*:\s*hidden)/.test(style)) return true;
+  const size = (key) => {
+    const fromStyle = new RegExp(`(^|;)\\s*${key}\\s*:\\s*([\\d.]+)(px)?\\s*(!important)?\\s*(;|$)`).exec(style);
+    const value = fromStyle ? fromStyle[2] : String(get(key) ?? '').trim().replace(/px$/i, '');
+    return /^\d+(\.\d+)?$/.test(value) ? Number(value) : null;
+  };
+  const width = size('width');
+  const height = size('height');
+  return width !== null && height !== null && width <= 1 && height <= 1;
+}
+
+/**
+ * 清理 style 属性中的声明
+ */
+function sanitizeDeclarations(css, options = {}) {
+  return splitDeclarations(String(css || '').replace(/\/\*[\s\S]*?\*\//g, ''))
+    .map(d => d.trim())
+    .filter(d => d && isSafeDeclaration(d, options))
+    .map(d => (options.remoteImage ? rewriteRemoteUrls(d, options.remoteImage) : d))
+    .filter(Boolean)
+    .join('; ');
+}
+
+/**
+ * 改写声明中的远程 url()；地址被移除、含转义写法或使用 image-set() 引用远程地址时整条声明丢弃
+ */
+function rewriteRemoteUrls(declaration, remoteImage) {
+  if (!hasRemoteUrl(declaration)) return declaration;
+  if (declaration.includes('\\') || /image-set\(/i.test(declaration)) return '';
+  let dropped = false;
+  const rewritten = declaration.replace(/url\(\s*(["']?)([^"')]*)\1\s*\)/gi, (m, quote, value) => {
+    if (!isRemoteUrl(value)) return m;
+    const replaced = remoteImage(value.trim());
+    if (!replaced) {
+      dropped = true;
+      return m;
+    }
+    return `url("${String(replaced).replace(/["\\\n\r]/g, '')}")`;
+  });
+  // 未能识别的写法（如引号内含括号）仍引用远程地址时整条丢弃
+  if (dropped || hasRemoteUrl(rewritten)) return '';
+  return rewritten;
+}
+
+function hasRemoteUrl(declaration) {
+  const compact = decodeCssEscapes(declaration).replace(/\s+/g, '').toLowerCase();
+  return /url\(["']?https?:/.test(compact) || (compact.includes('image-set(') && /["']https?:/.test(compact));
+}
+
+/**
+ * 按分号拆分声明（忽略引号与括号内的分号，如 data: 地址）
+ */
+function splitDeclarations(css) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let quote = '';
+  for (const ch of css) {
+    if (quote) {
+      if (ch === quote) quote = '';
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth = Math.max(depth - 1, 0);
+    } else if (ch === ';' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
+
+function isSafeDeclaration(declaration, options) {
+  const colon = declaration.indexOf(':');
+  if (colon <= 0) return false;
+  const prop = declaration.slice(0, colon).trim().toLowerCase();
+  const value = declaration.slice(colon + 1);
+  const compact = decodeCssEscapes(value).replace(/\s+/g, '').toLowerCase();
+  if (/^(behavior|-moz-binding)$/.test(prop)) return false;
+  if (/expression\(|javascript:|vbscript:|@import/.test(compact)) return false;
+  // 固定定位可覆盖页面其他区域，用于伪造界面
+  if (prop === 'position' && compact.startsWith('fixed')) return false;
+  const urls = compact.match(/url\([^)]*\)?/g) || [];
+  return urls.every(u => !!sanitizeUrl(u.slice(4).replace(/\)$/, '').replace(/^["']|["']$/g, ''), true, options));
+}
+
+/**
+ * 清理 <style> 中的样式表：移除 @import、带属性选择器的规则（可按属性值逐字外泄内容）、不支持的 @ 规则以及不安全的声明，
+ * 其余规则的选择器限定在外层容器内（html、body、:root 替换为容器本身），避免 body{display:none}、*{} 之类的规则作用于邮件以外的页面
+ * 未闭合的规则按样式表结尾处闭合处理，块外的残余文本丢弃
+ */
+function sanitizeStyleSheet(css, options = {}) {
+  const cleaned = String(css || '')
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/<\/?[a-z!][^>]*>/gi, '')
+    .replace(/</g, '')
+    .replace(/@import[^;]*;?/gi, '');
+  let pos = 0;
+  // 读取规则直到当前块结束（遇到 } 或文本结尾）；keyframes 内的帧选择器（from、50% 等）不加作用域
+  const readBlock = (scoped) => {
+    let out = '';
+    while (pos < cleaned.length) {
+      const open = cleaned.indexOf('{', pos);
+      const close = cleaned.indexOf('}', pos);
+      if (close !== -1 && (open === -1 || close < open)) {
+        pos = close + 1;
+        return out;
+      }
+      if (open === -1) {
+        pos = cleaned.length;
+        return out;
+      }
+      const prelude = cleaned.slice(pos, open).split(';').pop().trim();
+      pos = open + 1;
+      if (/^@(media|supports)\b/i.test(prelude)) {
+        out += `${prelude}{${readBlock(scoped)}}`;
+        continue;
+      }
+      if (/^@(-webkit-)?keyframes\b/i.test(prelude)) {
+        out += `${prelude}{${readBlock(false)}}`;
+        continue;
+      }
+      const end = cleaned.indexOf('}', pos);
+      const body = end === -1 ? cleaned.slice(pos) : cleaned.slice(pos, end);
+      pos = end === -1 ? cleaned.length : end + 1;
+      if (!prelude || prelude.includes('[')) continue;
+      let selector = prelude;
+      if (prelude.startsWith('@')) {
+        if (!/^@font-face$/i.test(prelude)) continue;
+      } else if (scoped) {
+        selector = scopeSelectorList(prelude);
+        if (!selector) continue;
+      }
+      out += `${selector}{${sanitizeDeclarations(body, options)}}`;
+    }
+    return out;
+  };
+  let result = '';
+  while (pos < cleaned.length) result += readBlock(true);
+  return result;
+}
+
+/**
+ * 为逗号分隔的选择器列表加上外层容器作用域
+ * @param {string} prelude - 选择器列表
+ * @returns {string} 限定作用域后的选择器列表，全部无效时返回空字符串
+ */
+function scopeSelectorList(prelude) {
+  const scope = `.${MESSAGE_SCOPE_CLASS}`;
+  return prelude.split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(selector => {
+      // 以 html、body、:root（可组合出现，如 html body）开头时替换为容器本身
+      const root = /^(?:(?:html|:root)(?![\w-]))?(?:\s*>?\s*body(?![\w-]))?/i.exec(selector)[0];
+      if (root.trim()) return `${scope}${selector.slice(root.length).replace(/^\s+/, ' ')}`;
+      return `${scope} ${selector}`;
+    })
+    .join(',');
+}
+
+function decodeCssEscapes(value) {
+  return String(value || '').replace(/\\([0-9a-f]{1,6})\s?/gi, (m, hex) => safeFromCodePoint(parseInt(hex, 16))).replace(/\\(.)/g, '$1');
+}
+
+function decodeEntities(value) {
+  return String(value || '')
+    .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => safeFromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (m, dec) => safeFromCodePoint(parseInt(dec, 10)))
+    .replace(/&(quot|apos|lt|gt|colon|tab|newline|nbsp|amp);/gi, (m, name) => ({
+      quot: '"', apos: "'", lt: '<', gt: '>', colon: ':', tab: '\t', newline: '\n', nbsp: ' ', amp: '&'
+    })[name.toLowerCase()]);
+}
+
+function safeFromCodePoint(code) {
+  return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+}
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
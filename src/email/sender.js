@@ -75,6 +75,23 @@ export function getConfiguredDomains(resendConfig) {
   return Object.keys(config);
 }
 
+/**
+ * 为发送参数补充 Message-ID 头（调用方已提供时沿用），用于之后将退信匹配到发件记录
+ * @param {object} payload - 发送参数
+ * @returns {{payload: object, messageId: string}} 带 Message-ID 头的发送参数及 Message-ID（不含尖括号）
+ */
+export function withMessageId(payload) {
+  const headers = payload?.headers && typeof payload.headers === 'object' ? payload.headers : {};
+  const existingKey = Object.keys(headers).find(k => k.toLowerCase() === 'message-id');
+  const existing = existingKey ? String(headers[existingKey] || '').trim().replace(/^<|>$/g, '') : '';
+  if (existing) return { payload, messageId: existing };
+  const domainMatch = String(payload?.from || '').match(/@([^>\s]+)/);
+  const domain = domainMatch ? domainMatch[1].toLowerCase() : 'localhost';
+  const id = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}.${Math.random().toString(36).slice(2)}`;
+  const messageId = `${id}@${domain}`;
+  return { payload: { ...payload, headers: { ...headers, 'Message-ID': `<${messageId}>` } }, messageId };
+}
+
 function buildHeaders(apiKey) {
   return {
     'Authorization': `Bearer ${apiKey}`,
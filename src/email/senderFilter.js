@@ -0,0 +1,64 @@
+/**
+ * 发件人过滤规则匹配模块
+ * @module email/senderFilter
+ */
+
+/**
+ * 规范化发件人过滤模式
+ * 支持：完整地址（a@b.com）、通配地址（*@github.com、noreply@*）、
+ * 域名（github.com 或 @github.com，同时匹配子域名）
+ * @param {string} pattern - 原始模式
+ * @returns {string} 规范化后的模式，无效时返回空字符串
+ */
+export function normalizeSenderPattern(pattern) {
+  const s = String(pattern || '').trim().toLowerCase();
+  if (!s || s.length > 254 || /\s/.test(s)) return '';
+  if (!/^[a-z0-9@._+*-]+$/.test(s)) return '';
+  if ((s.match(/@/g) || []).length > 1) return '';
+  return s.startsWith('@') ? s.slice(1) : s;
+}
+
+/**
+ * 判断发件人地址是否匹配模式
+ * @param {string} pattern - 规范化后的模式
+ * @param {string} sender - 发件人地址
+ * @returns {boolean} 是否匹配
+ */
+export function matchSenderPattern(pattern, sender) {
+  const p = String(pattern || '').toLowerCase();
+  const addr = String(sender || '').trim().toLowerCase();
+  if (!p || !addr) return false;
+
+  // 不含 @ 的模式视为域名，匹配该域名及其子域名
+  if (!p.includes('@')) {
+    const domain = addr.split('@')[1] || '';
+    if (p.includes('*')) return globToRegExp(p).test(domain);
+    return domain === p || domain.endsWith('.' + p);
+  }
+  return globToRegExp(p).test(addr);
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * 按允许/拒绝列表判断发件人是否可投递
+ * 命中拒绝列表则拒收；存在允许列表时，未命中任何允许规则也拒收
+ * @param {Array<{type: string, pattern: string}>} filters - 过滤规则
+ * @param {string} sender - 发件人地址
+ * @returns {{allowed: boolean, type: string|null, pattern: string|null}} 判断结果
+ */
+export function evaluateSenderFilters(filters, sender) {
+  const list = Array.isArray(filters) ? filters : [];
+  const blocked = list.find(f => f.type === 'block' && matchSenderPattern(f.pattern, sender));
+  if (blocked) return { allowed: false, type: 'block', pattern: blocked.pattern };
+
+  const allowList = list.filter(f => f.type === 'allow');
+  if (!allowList.length) return { allowed: true, type: null, pattern: null };
+  const allowed = allowList.find(f => matchSenderPattern(f.pattern, sender));
+  return allowed
+    ? { allowed: true, type: 'allow', pattern: allowed.pattern }
+    : { allowed: false, type: 'allow', pattern: null };
+}
@@ -0,0 +1,176 @@
+/**
+ * 发件认证结果解析与垃圾邮件评分模块
+ * @module email/spamCheck
+ */
+
+/**
+ * 默认垃圾邮件阈值（评分大于等于该值视为垃圾邮件）
+ */
+export const DEFAULT_SPAM_THRESHOLD = 5;
+
+/**
+ * Cloudflare Email Routing 添加的 Authentication-Results 中的 authserv-id
+ */
+export const CLOUDFLARE_AUTHSERV_ID = 'mx.cloudflare.net';
+
+const AUTH_VERDICTS = ['pass', 'fail', 'softfail', 'neutral', 'none', 'temperror', 'permerror', 'policy'];
+
+const SPAM_KEYWORDS = [
+  'viagra', 'casino', 'lottery', 'winner', 'jackpot', 'bitcoin', 'crypto giveaway', 'free money', 'act now',
+  '中奖', '博彩', '代开发票', '贷款', '彩票', '赌场', '兼职日结'
+];
+
+function normalizeVerdict(value) {
+  const v = String(value || '').trim().toLowerCase();
+  if (v === 'hardfail') return 'fail';
+  return AUTH_VERDICTS.includes(v) ? v : null;
+}
+
+function stripComments(value) {
+  // 去掉 RFC 5322 注释，如 spf=pass (mx.cloudflare.net: domain of ...)
+  let s = String(value || '');
+  let prev;
+  do {
+    prev = s;
+    s = s.replace(/\([^()]*\)/g, ' ');
+  } while (s !== prev);
+  return s;
+}
+
+/**
+ * 取同名邮件头的第一个实例（位于最上方，由最后一跳 MTA 添加）
+ * Headers.get 以逗号拼接多个实例，按引号外的逗号拆分
+ * @param {string} value - 已去除注释的头值
+ * @returns {string} 第一个实例
+ */
+function firstHeaderInstance(value) {
+  let quoted = false;
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '"' && value[i - 1] !== '\\') quoted = !quoted;
+    else if (value[i] === ',' && !quoted) return value.slice(0, i);
+  }
+  return value;
+}
+
+/**
+ * 解析 Authentication-Results 头中的 SPF/DKIM/DMARC 结论
+ * 只解析第一个实例：发件方可以自行添加该头，其后的实例不可信；同一实例中多个 DKIM 签名任一通过即视为通过
+ * @param {string} value - Authentication-Results 头值（多个实例以逗号拼接）
+ * @returns {{authservId: string, spf: string|null, dkim: string|null, dmarc: string|null}} authserv-id 与各项结论，未出现为 null
+ */
+export function parseAuthenticationResults(value) {
+  const text = firstHeaderInstance(stripComments(value));
+  const result = { authservId: text.split(';')[0].trim().split(/\s+/)[0].toLowerCase(), spf: null, dkim: null, dmarc: null };
+  const re = /\b(spf|dkim|dmarc)\s*=\s*([a-z]+)/gi;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const method = m[1].toLowerCase();
+    const verdict = normalizeVerdict(m[2]);
+    if (!verdict) continue;
+    if (!result[method] || (method === 'dkim' && verdict === 'pass')) {
+      result[method] = verdict;
+    }
+  }
+  return result;
+}
+
+/**
+ * 解析 Received-SPF 头中的 SPF 结论
+ * @param {string} value - Received-SPF 头值，如 "Pass (mailfrom) identity=mailfrom; ..."
+ * @returns {string|null} SPF 结论
+ */
+export function parseReceivedSpf(value) {
+  const m = /^\s*([a-z]+)/i.exec(String(value || ''));
+  return m ? normalizeVerdict(m[1]) : null;
+}
+
+/**
+ * 从邮件头读取发件认证结论
+ * 只采用最上方的 Authentication-Results；指定 authservId 时该实例的 authserv-id 必须一致，否则视为没有认证结果。
+ * Authentication-Results 中没有 SPF 结论时回退到 Received-SPF（同样只取第一个实例）
+ * @param {{get: Function}} headers - 邮件头（支持 get 方法，如 Headers 或 Map）
+ * @param {object} options - 选项
+ * @param {string} options.authservId - 可信的 authserv-id（如 Email Routing 的 mx.cloudflare.net），可选
+ * @returns {{spf: string|null, dkim: string|null, dmarc: string|null}} 各项结论
+ */
+export function readAuthVerdicts(headers, { authservId = '' } = {}) {
+  const get = (name) => {
+    try { return headers?.get?.(name) || ''; } catch (_) { return ''; }
+  };
+  const { authservId: id, ...auth } = parseAuthenticationResults(get('authentication-results'));
+  if (authservId && id !== authservId.toLowerCase()) {
+    auth.spf = null;
+    auth.dkim = null;
+    auth.dmarc = null;
+  }
+  if (!auth.spf) auth.spf = parseReceivedSpf(get('received-spf'));
+  return auth;
+}
+
+function domainOf(address) {
+  return String(address || '').toLowerCase().split('@')[1] || '';
+}
+
+/**
+ * 结合发件认证结论与简单启发式规则计算垃圾邮件评分
+ * @param {object} input - 评分输入
+ * @param {{spf: string|null, dkim: string|null, dmarc: string|null}} input.auth - 发件认证结论
+ * @param {string} input.sender - 发件人地址
+ * @param {string} input.senderName - 发件人显示名称
+ * @param {string} input.replyTo - Reply-To 地址
+ * @param {string} input.subject - 邮件主题
+ * @param {string} input.text - 纯文本正文
+ * @param {string} input.html - HTML 正文
+ * @returns {{score: number, reasons: Array<string>}} 评分及命中的规则
+ */
+export function computeSpamScore({ auth = {}, sender = '', senderName = '', replyTo = '', subject = '', text = '', html = '' } = {}) {
+  let score = 0;
+  const reasons = [];
+  const add = (points, reason) => { score += points; reasons.push(reason); };
+
+  if (auth.spf === 'fail') add(3, 'spf-fail');
+  else if (auth.spf === 'softfail') add(1.5, 'spf-softfail');
+  if (auth.dkim === 'fail') add(2, 'dkim-fail');
+  if (auth.dmarc === 'fail') add(3, 'dmarc-fail');
+  // 有认证结果但既无 DKIM 签名也无 SPF 通过
+  if ((auth.spf || auth.dkim) && auth.spf !== 'pass' && auth.dkim !== 'pass') add(1, 'no-auth-pass');
+
+  const senderDomain = domainOf(sender);
+  if (!senderDomain) add(2, 'missing-sender');
+
+  // 显示名称中伪装成其他域名的地址
+  const nameAddr = /[a-z0-9._%+-]+@([a-z0-9.-]+\.[a-z]{2,})/i.exec(String(senderName || ''));
+  if (nameAddr && senderDomain && nameAddr[1].toLowerCase() !== senderDomain) add(2, 'display-name-spoof');
+
+  const replyDomain = domainOf(replyTo);
+  if (replyDomain && senderDomain && replyDomain !== senderDomain) add(1, 'reply-to-mismatch');
+
+  const subj = String(subject || '');
+  const letters = subj.replace(/[^a-zA-Z]/g, '');
+  if (letters.length >= 10 && letters === letters.toUpperCase()) add(1, 'subject-all-caps');
+  if (/[!！]{3,}|[$￥]{2,}/.test(subj)) add(0.5, 'subject-punctuation');
+
+  const haystack = `${subj} ${String(text || '').slice(0, 5000)}`.toLowerCase();
+  const keywordHits = SPAM_KEYWORDS.filter(k => haystack.includes(k)).length;
+  if (keywordHits) add(Math.min(keywordHits * 1.5, 3), 'spam-keywords');
+
+  const htmlStr = String(html || '');
+  if (htmlStr && !String(text || '').trim()) {
+    const links = (htmlStr.match(/<a\s[^>]*href=/gi) || []).length;
+    if (links > 20) add(1, 'html-only-many-links');
+  }
+
+  return { score: Math.round(score * 10) / 10, reasons };
+}
+
+/**
+ * 根据评分与阈值判断是否为垃圾邮件
+ * @param {number} score - 垃圾邮件评分
+ * @param {number|null} threshold - 邮箱阈值，为空时使用默认值
+ * @returns {boolean} 是否为垃圾邮件
+ */
+export function isSpamScore(score, threshold) {
+  const hasThreshold = threshold !== null && threshold !== undefined && Number.isFinite(Number(threshold));
+  const limit = hasThreshold ? Number(threshold) : DEFAULT_SPAM_THRESHOLD;
+  return Number(score) >= limit;
+}
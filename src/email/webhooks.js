@@ -0,0 +1,158 @@
+/**
+ * 新邮件 Webhook 推送模块（HMAC-SHA256 签名，失败按退避重试）
+ * @module email/webhooks
+ */
+
+import { getActiveWebhooksForMailbox, recordWebhookDelivery } from '../db/webhooks.js';
+import { parsePublicUrl } from '../utils/common.js';
+
+/**
+ * 新邮件事件名称
+ */
+export const WEBHOOK_EVENT_MESSAGE = 'message.received';
+
+/**
+ * 测试事件名称
+ */
+export const WEBHOOK_EVENT_TEST = 'webhook.test';
+
+const MAX_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * 生成随机签名密钥
+ * @returns {string} 十六进制密钥（64 位）
+ */
+export function generateWebhookSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 计算 Webhook 签名，签名内容为 "时间戳.请求体"
+ * @param {string} secret - 签名密钥
+ * @param {string} timestamp - Unix 时间戳（秒）
+ * @param {string} body - 请求体 JSON 字符串
+ * @returns {Promise<string>} 十六进制 HMAC-SHA256 签名
+ */
+export async function signWebhookPayload(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(String(secret)),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 构造新邮件事件负载
+ * @param {object} message - 邮件信息
+ * @param {number} message.id - 邮件ID
+ * @param {string} message.mailbox - 收件邮箱地址
+ * @param {string} message.sender - 发件人地址
+ * @param {string} message.subject - 邮件主题
+ * @param {string|null} message.verificationCode - 验证码
+ * @param {string} message.preview - 内容预览
+ * @returns {object} 事件负载
+ */
+export function buildMessagePayload({ id, mailbox, sender, subject, verificationCode = null, preview = '' }) {
+  return {
+    event: WEBHOOK_EVENT_MESSAGE,
+    id,
+    mailbox,
+    sender,
+    subject,
+    verification_code: verificationCode || null,
+    preview: preview || ''
+  };
+}
+
+/**
+ * 向单个 Webhook 投递事件，非 2xx 响应或网络错误时按指数退避重试，并记录投递结果
+ * 不跟随重定向；地址不是公网 https 时（如升级前保存的订阅）不发起请求
+ * @param {object} db - 数据库连接对象
+ * @param {object} webhook - Webhook 记录
+ * @param {object} payload - 事件负载（需包含 event 字段）
+ * @param {object} options - 投递选项
+ * @param {number|null} options.messageId - 关联的邮件ID
+ * @param {number} options.maxAttempts - 最大尝试次数，默认 3
+ * @returns {Promise<object>} 投递记录
+ */
+export async function deliverWebhook(db, webhook, payload, { messageId = null, maxAttempts = MAX_ATTEMPTS } = {}) {
+  const body = JSON.stringify({ ...payload, timestamp: new Date().toISOString() });
+  let attempts = 0;
+  let statusCode = null;
+  let error = null;
+  let success = false;
+  const target = parsePublicUrl(webhook.url);
+  if (!target || target.protocol !== 'https:') {
+    error = 'Webhook 地址必须为公网 https URL';
+    maxAttempts = 0;
+  }
+
+  while (attempts < maxAttempts && !success) {
+    if (attempts > 0) {
+      await new Promise(resolve => setTimeout(resolve, BASE_DELAY_MS * Math.pow(4, attempts - 1)));
+    }
+    attempts++;
+    try {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const signature = await signWebhookPayload(webhook.secret, timestamp, body);
+      const resp = await fetch(target.href, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Freemail-Webhook/1.0',
+          'X-Freemail-Event': payload.event,
+          'X-Freemail-Timestamp': timestamp,
+          'X-Freemail-Signature': `sha256=${signature}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      statusCode = resp.status;
+      success = resp.ok;
+      error = success ? null : `HTTP ${resp.status}`;
+    } catch (e) {
+      statusCode = null;
+      error = e?.message || String(e);
+    }
+  }
+
+  try {
+    return await recordWebhookDelivery(db, { webhookId: webhook.id, event: payload.event, messageId, success, statusCode, attempts, error });
+  } catch (e) {
+    console.error('记录 Webhook 投递失败:', e);
+    return { webhook_id: webhook.id, event: payload.event, message_id: messageId, success: success ? 1 : 0, status_code: statusCode, attempts, error };
+  }
+}
+
+/**
+ * 向邮箱的全部订阅（邮箱级与所属用户的用户级）推送新邮件事件，同一地址只推送一次
+ * @param {object} db - 数据库连接对象
+ * @param {object} message - 邮件信息，见 buildMessagePayload
+ * @param {number} message.mailboxId - 邮箱ID
+ * @returns {Promise<number>} 推送的 Webhook 数量
+ */
+export async function dispatchMessageWebhooks(db, message) {
+  let webhooks = [];
+  try {
+    webhooks = await getActiveWebhooksForMailbox(db, message.mailboxId);
+  } catch (e) {
+    console.error('读取 Webhook 订阅失败:', e);
+    return 0;
+  }
+  const seen = new Set();
+  const targets = webhooks.filter(w => !seen.has(w.url) && seen.add(w.url));
+  if (!targets.length) return 0;
+
+  const payload = buildMessagePayload(message);
+  await Promise.allSettled(targets.map(w => deliverWebhook(db, w, payload, { messageId: message.id })));
+  return targets.length;
+}
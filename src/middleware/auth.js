@@ -8,6 +8,9 @@ export const COOKIE_NAME = 'iding-session';
 // 默认会话过期时间（天）
 const DEFAULT_SESSION_EXPIRE_DAYS = 7;
 
+// 邮件资源签名地址的有效期（秒）
+const MEDIA_SIGNATURE_TTL_SECONDS = 6 * 60 * 60;
+
 /**
  * 获取会话过期秒数
  * @param {number|string} days - 过期天数
@@ -261,6 +264,61 @@ export function checkRootAdminOverride(request, JWT_TOKEN) {
   }
 }
 
+/**
+ * 计算签名覆盖的资源标识：内联资源为解码后的路径，图片代理为路径加目标地址
+ * @param {URL} url - 资源地址
+ * @returns {string} 资源标识
+ */
+function getMediaResource(url) {
+  let pathname = url.pathname;
+  try { pathname = decodeURIComponent(pathname); } catch (_) { }
+  return pathname === '/api/image-proxy' ? `${pathname}?url=${url.searchParams.get('url') || ''}` : pathname;
+}
+
+/**
+ * 生成邮件资源（内联图片与图片代理）的签名查询参数，签名绑定邮件ID与具体资源（代理图片绑定目标地址）
+ * 邮件正文在无 allow-same-origin 的沙箱 iframe 中渲染，来源不透明，浏览器不会随其中的图片请求携带 SameSite=Strict 的会话 Cookie
+ * @param {string} secret - JWT签名密钥
+ * @param {number|string} messageId - 邮件ID
+ * @param {string} href - 资源地址（站内路径，如 /api/image-proxy?url=...）
+ * @returns {Promise<string>} 查询参数（mid=...&exp=...&sig=...），未配置密钥时返回空字符串
+ */
+export async function createMediaSignature(secret, messageId, href) {
+  if (!secret) return '';
+  const mid = String(messageId);
+  const exp = Math.floor(Date.now() / 1000) + MEDIA_SIGNATURE_TTL_SECONDS;
+  const resource = getMediaResource(new URL(href, 'https://media.invalid'));
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`media:${mid}:${exp}:${resource}`));
+  return `mid=${encodeURIComponent(mid)}&exp=${exp}&sig=${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * 校验邮件资源签名地址：仅限 GET 所签名的图片代理目标与签名邮件的内联资源，且未过期
+ * @param {string} secret - JWT签名密钥
+ * @param {Request} request - HTTP请求对象
+ * @returns {Promise<object|null>} 资源访问负载 { role: 'media', messageId }，校验失败返回 null
+ */
+export async function verifyMediaSignature(secret, request) {
+  if (!secret || request.method !== 'GET') return null;
+  try {
+    const url = new URL(request.url);
+    const mid = url.searchParams.get('mid') || '';
+    const exp = Number(url.searchParams.get('exp'));
+    const sig = url.searchParams.get('sig') || '';
+    if (!/^\d+$/.test(mid) || !Number.isInteger(exp) || exp <= Math.floor(Date.now() / 1000) || !sig) return null;
+    const inlinePrefix = `/api/email/${mid}/inline/`;
+    if (url.pathname !== '/api/image-proxy' && !url.pathname.startsWith(inlinePrefix)) return null;
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']);
+    const valid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(sig), encoder.encode(`media:${mid}:${exp}:${getMediaResource(url)}`));
+    return valid ? { role: 'media', messageId: Number(mid) } : null;
+  } catch (_) {
+    return null;
+  }
+}
+
 /**
  * 解析请求的认证负载信息
  * @param {Request} request - HTTP请求对象
@@ -296,6 +354,12 @@ export async function authMiddleware(context) {
 
   const payload = await verifyJwtWithCache(JWT_TOKEN, request.headers.get('Cookie') || '');
   if (!payload) {
+    // 沙箱 iframe 中加载的邮件图片不带会话 Cookie，凭签名地址访问
+    const media = await verifyMediaSignature(JWT_TOKEN, request);
+    if (media) {
+      context.authPayload = media;
+      return null;
+    }
     return new Response('Unauthorized', { status: 401 });
   }
 
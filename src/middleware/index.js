@@ -15,5 +15,7 @@ export {
   verifyJwtWithCache,
   checkRootAdminOverride,
   resolveAuthPayload,
+  createMediaSignature,
+  verifyMediaSignature,
   authMiddleware
 } from './auth.js';
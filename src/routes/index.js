@@ -192,7 +192,7 @@ export function createRouter() {
 
   // =================== 邮件接收路由 ===================
   router.post('/receive', async (context) => {
-    const { request, env, authPayload } = context;
+    const { request, env, ctx, authPayload } = context;
 
     if (authPayload === false) {
       return new Response('Unauthorized', { status: 401 });
@@ -207,7 +207,7 @@ export function createRouter() {
     }
 
     const { handleEmailReceive } = await import('../email/receiver.js');
-    return handleEmailReceive(request, DB, env);
+    return handleEmailReceive(request, DB, env, ctx);
   });
 
   return router;
@@ -235,6 +235,18 @@ async function delegateApiRequest(context) {
 
   const RESEND_API_KEY = env.RESEND_API_KEY || env.RESEND_TOKEN || env.RESEND || '';
   const ADMIN_NAME = String(env.ADMIN_NAME || 'admin').trim().toLowerCase();
+  const MEDIA_SECRET = env.JWT_TOKEN || env.JWT_SECRET || '';
+
+  // 凭签名地址访问的邮件资源请求只能读取对应的内联图片与图片代理
+  if (authPayload.role === 'media') {
+    return handleApiRequest(request, DB, MAIL_DOMAINS, {
+      mockOnly: false,
+      adminName: ADMIN_NAME,
+      r2: env.MAIL_EML,
+      authPayload,
+      mediaOnly: true
+    });
+  }
 
   // 访客只允许读取模拟数据
   if ((authPayload.role || 'admin') === 'guest') {
@@ -255,7 +267,8 @@ async function delegateApiRequest(context) {
       adminName: ADMIN_NAME,
       r2: env.MAIL_EML,
       authPayload,
-      mailboxOnly: true
+      mailboxOnly: true,
+      mediaSecret: MEDIA_SECRET
     });
   }
 
@@ -264,7 +277,9 @@ async function delegateApiRequest(context) {
     resendApiKey: RESEND_API_KEY,
     adminName: ADMIN_NAME,
     r2: env.MAIL_EML,
-    authPayload
+    authPayload,
+    forwardRulesEnv: env.FORWARD_RULES,
+    mediaSecret: MEDIA_SECRET
   });
 }
 
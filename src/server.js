@@ -13,10 +13,20 @@
 import { initDatabase, getInitializedDatabase } from './db/index.js';
 import { createRouter, authMiddleware } from './routes/index.js';
 import { createAssetManager } from './assets/index.js';
-import { extractEmail } from './utils/common.js';
-import { forwardByLocalPart, forwardByMailboxConfig } from './email/forwarder.js';
-import { parseEmailBody, extractVerificationCode } from './email/parser.js';
-import { getForwardTarget } from './db/mailboxes.js';
+import { extractEmail, extractDisplayName, parseAddressList } from './utils/common.js';
+import { forwardByMailboxConfig, forwardByGlobalRule, resolveForwardRule, matchForwardConditions, recordForwardAttempts } from './email/forwarder.js';
+import { collectLocalRecipients, resolveDeliveries, parseSubaddressSeparators } from './email/delivery.js';
+import { parseEmailBody, parseDeliveryReport, extractVerificationLink, extractAlphanumericCode, decodeMimeWords, parseMessageIdList, stripHtml } from './email/parser.js';
+import { readAuthVerdicts, computeSpamScore, isSpamScore, CLOUDFLARE_AUTHSERV_ID } from './email/spamCheck.js';
+import { getSpamThreshold } from './db/mailboxes.js';
+import { listMailboxForwards } from './db/mailboxForwards.js';
+import { insertMessage } from './db/messages.js';
+import { applyMailboxRules } from './db/mailboxRules.js';
+import { resolveVerificationCode } from './email/codeTemplates.js';
+import { parseCalendarEvent } from './email/calendar.js';
+import { applyDeliveryReport } from './email/bounces.js';
+import { sendAutoReply } from './email/autoReply.js';
+import { dispatchMessageWebhooks } from './email/webhooks.js';
 
 export default {
   /**
@@ -75,13 +85,18 @@ export default {
     }
 
     try {
-      // 解析邮件头部
+      // 解析邮件头部（解码 RFC 2047 编码字）
       const headers = message.headers;
-      const toHeader = headers.get('to') || headers.get('To') || '';
+      const toHeader = decodeMimeWords(headers.get('to') || headers.get('To') || '');
       const fromHeader = headers.get('from') || headers.get('From') || '';
-      const subject = headers.get('subject') || headers.get('Subject') || '(无主题)';
+      const subject = decodeMimeWords(headers.get('subject') || headers.get('Subject') || '') || '(无主题)';
+      const ccHeader = decodeMimeWords(headers.get('cc') || '');
+      const ccAddrs = parseAddressList(ccHeader).join(',');
+      const messageId = parseMessageIdList(headers.get('message-id') || '')[0] || null;
+      const inReplyTo = parseMessageIdList(headers.get('in-reply-to') || '')[0] || null;
+      const references = parseMessageIdList(headers.get('references') || '');
 
-      // 解析收件人地址
+      // 解析信封收件人
       let envelopeTo = '';
       try {
         const toValue = message.to;
@@ -92,37 +107,119 @@ export default {
         }
       } catch (_) { }
 
-      const resolvedRecipient = (envelopeTo || toHeader || '').toString();
-      const resolvedRecipientAddr = extractEmail(resolvedRecipient);
-      const localPart = (resolvedRecipientAddr.split('@')[0] || '').toLowerCase();
+      // 汇总信封收件人与 To/Cc 中属于本域的收件人
+      const mailDomains = (env.MAIL_DOMAIN || 'temp.example.com')
+        .split(/[,\s]+/)
+        .map(d => d.trim())
+        .filter(Boolean);
+      const recipients = collectLocalRecipients(extractEmail(envelopeTo), [toHeader, ccHeader], mailDomains);
+      const resolvedRecipient = recipients[0] || '';
 
-      // 处理邮件转发（优先使用邮箱配置，否则使用全局规则）
-      const mailboxForwardTo = await getForwardTarget(DB, resolvedRecipientAddr);
-      if (mailboxForwardTo) {
-        forwardByMailboxConfig(message, mailboxForwardTo, ctx);
-      } else {
-        forwardByLocalPart(message, localPart, ctx, env);
+      // 逐个收件人应用子地址路由、域名收件策略与发件人过滤（在转发与写入 R2 之前），信封收件人被拒收时在 SMTP 阶段拒收
+      const sender = extractEmail(fromHeader) || extractEmail(message.from || '');
+      const separators = parseSubaddressSeparators(env.SUBADDRESS_SEPARATOR);
+      const { deliveries, rejectReason } = await resolveDeliveries(DB, { recipients, sender, subject, messageId, separators });
+      if (rejectReason) {
+        message.setReject(rejectReason);
+        return;
       }
+      if (!deliveries.length) return;
 
       // 读取原始邮件内容
       let textContent = '';
       let htmlContent = '';
+      let attachments = [];
+      let calendarEvent = null;
+      let deliveryReport = null;
       let rawBuffer = null;
       try {
         const resp = new Response(message.raw);
         rawBuffer = await resp.arrayBuffer();
-        const rawText = await new Response(rawBuffer).text();
-        const parsed = parseEmailBody(rawText);
+        // 按字节解析 MIME 结构，各部分按声明的字符集解码，不能先把整封邮件当作 UTF-8 文本读取
+        const parsed = parseEmailBody(rawBuffer);
         textContent = parsed.text || '';
         htmlContent = parsed.html || '';
-        if (!textContent && !htmlContent) textContent = (rawText || '').slice(0, 100000);
+        attachments = parsed.attachments || [];
+        calendarEvent = parsed.calendar ? parseCalendarEvent(parsed.calendar) : null;
+        deliveryReport = parseDeliveryReport(rawBuffer);
+        if (!textContent && !htmlContent) textContent = new TextDecoder().decode(rawBuffer).slice(0, 100000);
       } catch (_) {
         textContent = '';
         htmlContent = '';
       }
 
-      const mailbox = extractEmail(resolvedRecipient || toHeader);
-      const sender = extractEmail(fromHeader);
+      const senderName = decodeMimeWords(extractDisplayName(fromHeader));
+
+      // 发件认证结论与垃圾邮件评分（只信任 Email Routing 添加的 Authentication-Results）
+      const auth = readAuthVerdicts(headers, { authservId: CLOUDFLARE_AUTHSERV_ID });
+      const spam = computeSpamScore({
+        auth,
+        sender,
+        senderName,
+        replyTo: extractEmail(headers.get('reply-to') || ''),
+        subject,
+        text: textContent,
+        html: htmlContent
+      });
+
+      // 生成预览和验证码
+      const preview = (() => {
+        const plain = textContent && textContent.trim() ? textContent : (htmlContent || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+        return String(plain || '').slice(0, 120);
+      })();
+      const bodyText = textContent && textContent.trim() ? textContent : stripHtml(htmlContent);
+      let verificationCode = '';
+      try {
+        verificationCode = await resolveVerificationCode(DB, { sender, subject, text: textContent, html: htmlContent });
+      } catch (_) { }
+      let verificationLink = '';
+      let verificationOtp = '';
+      try {
+        verificationLink = extractVerificationLink({ subject, text: textContent, html: htmlContent });
+        verificationOtp = extractAlphanumericCode({ subject, text: textContent, html: htmlContent });
+      } catch (_) { }
+
+      // 按收件人处理邮件转发：邮箱配置了转发目标时逐个判断条件并转发，否则使用全局规则；同一目标只转发一次
+      // 每次转发的结果在邮件入库后写入转发记录
+      const forwardedTargets = new Set();
+      const forwardAttempts = [];
+      const trackForward = (mailboxId, target, source, ruleId, result) => {
+        if (result) forwardAttempts.push({ mailboxId, target, source, ruleId, result });
+      };
+      for (const { address, mailboxId } of deliveries) {
+        let forwards = [];
+        try {
+          forwards = await listMailboxForwards(DB, mailboxId);
+        } catch (e) {
+          console.error('读取转发配置失败:', e);
+        }
+        if (forwards.length) {
+          for (const forward of forwards) {
+            if (forwardedTargets.has(forward.target)) continue;
+            if (!matchForwardConditions(forward, { sender, subject, verificationCode })) continue;
+            forwardedTargets.add(forward.target);
+            trackForward(mailboxId, forward.target, 'mailbox', forward.id, forwardByMailboxConfig(message, forward.target, ctx));
+          }
+          continue;
+        }
+        const { rule, source } = await resolveForwardRule(DB, address, env);
+        if (!rule || forwardedTargets.has(rule.target)) continue;
+        forwardedTargets.add(rule.target);
+        trackForward(mailboxId, rule.target, source === 'db' ? 'global' : 'env', rule.id ?? null, forwardByGlobalRule(message, rule, ctx));
+      }
+
+      // 按邮箱执行收件规则；规则中的转发与邮箱配置共用去重集合
+      const outcomes = [];
+      for (const delivery of deliveries) {
+        const outcome = await applyMailboxRules(DB, delivery.mailboxId, { sender, subject, verificationCode, headers });
+        outcome.forwards.forEach((target, index) => {
+          if (forwardedTargets.has(target)) return;
+          forwardedTargets.add(target);
+          trackForward(delivery.mailboxId, target, 'rule', outcome.forwardRuleIds?.[index] ?? null, forwardByMailboxConfig(message, target, ctx));
+        });
+        outcomes.push(outcome);
+      }
+      const needsStorage = outcomes.some(o => !o.drop && !o.skipStorage);
 
       // 存储到 R2
       const r2 = env.MAIL_EML;
@@ -136,41 +233,15 @@ export default {
         const mm = String(now.getUTCMinutes()).padStart(2, '0');
         const ss = String(now.getUTCSeconds()).padStart(2, '0');
         const keyId = (globalThis.crypto?.randomUUID && crypto.randomUUID()) || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
-        const safeMailbox = (mailbox || 'unknown').toLowerCase().replace(/[^a-z0-9@._-]/g, '_');
+        const safeMailbox = (deliveries[0].address || 'unknown').toLowerCase().replace(/[^a-z0-9@._-]/g, '_');
         objectKey = `${y}/${m}/${d}/${safeMailbox}/${hh}${mm}${ss}-${keyId}.eml`;
-        if (r2 && rawBuffer) {
+        if (r2 && rawBuffer && needsStorage) {
           await r2.put(objectKey, new Uint8Array(rawBuffer), { httpMetadata: { contentType: 'message/rfc822' } });
         }
       } catch (e) {
         console.error('R2 put failed:', e);
       }
 
-      // 生成预览和验证码
-      const preview = (() => {
-        const plain = textContent && textContent.trim() ? textContent : (htmlContent || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-        return String(plain || '').slice(0, 120);
-      })();
-      let verificationCode = '';
-      try {
-        verificationCode = extractVerificationCode({ subject, text: textContent, html: htmlContent });
-      } catch (_) { }
-
-      // 存储到数据库
-      const resMb = await DB.prepare('SELECT id FROM mailboxes WHERE address = ?').bind(mailbox.toLowerCase()).all();
-      let mailboxId;
-      if (Array.isArray(resMb?.results) && resMb.results.length) {
-        mailboxId = resMb.results[0].id;
-      } else {
-        const [localPartMb, domain] = (mailbox || '').toLowerCase().split('@');
-        if (localPartMb && domain) {
-          await DB.prepare('INSERT INTO mailboxes (address, local_part, domain, password_hash, last_accessed_at) VALUES (?, ?, ?, NULL, CURRENT_TIMESTAMP)')
-            .bind((mailbox || '').toLowerCase(), localPartMb, domain).run();
-          const created = await DB.prepare('SELECT id FROM mailboxes WHERE address = ?').bind((mailbox || '').toLowerCase()).all();
-          mailboxId = created?.results?.[0]?.id;
-        }
-      }
-      if (!mailboxId) throw new Error('无法解析或创建 mailbox 记录');
-
       // 解析收件人列表
       let toAddrs = '';
       try {
@@ -186,20 +257,70 @@ export default {
         toAddrs = resolvedRecipient || toHeader || '';
       }
 
-      // 插入消息记录
-      await DB.prepare(`
-        INSERT INTO messages (mailbox_id, sender, to_addrs, subject, verification_code, preview, r2_bucket, r2_object_key)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `).bind(
-        mailboxId,
-        sender,
-        String(toAddrs || ''),
-        subject || '(无主题)',
-        verificationCode || null,
-        preview || null,
-        'mail-eml',
-        objectKey || ''
-      ).run();
+      // 每个收件邮箱插入一条消息记录，共享同一个 R2 对象；垃圾邮件阈值按邮箱分别判断
+      const resendConfig = env.RESEND_API_KEY || env.RESEND_TOKEN || env.RESEND || '';
+      const storedIds = new Map();
+      for (let i = 0; i < deliveries.length; i++) {
+        const { mailboxId, address, tag } = deliveries[i];
+        const outcome = outcomes[i];
+        if (outcome.drop) continue;
+        let isSpam = false;
+        try {
+          isSpam = isSpamScore(spam.score, await getSpamThreshold(DB, mailboxId));
+        } catch (_) { }
+        const storedId = await insertMessage(DB, {
+          mailboxId,
+          sender,
+          senderName,
+          toAddrs,
+          subject,
+          verificationCode,
+          verificationLink,
+          verificationOtp,
+          calendarEvent,
+          preview,
+          bodyText,
+          r2ObjectKey: outcome.skipStorage ? '' : objectKey,
+          attachments,
+          ccAddrs,
+          messageId,
+          inReplyTo,
+          references,
+          auth,
+          spamScore: spam.score,
+          spamReasons: spam.reasons,
+          isSpam,
+          tag,
+          labels: outcome.labels,
+          isRead: outcome.markRead
+        });
+
+        if (storedId) storedIds.set(mailboxId, storedId);
+
+        // 推送新邮件 Webhook（含重试）在后台进行
+        if (storedId) {
+          ctx.waitUntil(dispatchMessageWebhooks(DB, { id: storedId, mailboxId, mailbox: address, sender, subject, verificationCode, preview })
+            .catch(e => console.error('Webhook 推送失败:', e)));
+        }
+
+        // 自动回复在后台发送，不阻塞收件；垃圾邮件不回复
+        if (!isSpam && resendConfig) {
+          ctx.waitUntil(sendAutoReply(DB, resendConfig, { mailboxId, mailboxAddress: address, sender, subject, messageId, headers })
+            .catch(e => console.error('自动回复处理失败:', e)));
+        }
+      }
+
+      // 转发结果写入转发记录
+      if (forwardAttempts.length) {
+        ctx.waitUntil(recordForwardAttempts(DB, forwardAttempts, { messageIds: storedIds, emailMessageId: messageId || null })
+          .catch(e => console.error('记录转发结果失败:', e)));
+      }
+
+      // 退信报告按原邮件 Message-ID 或收件人更新发件记录的投递状态
+      if (deliveryReport) {
+        ctx.waitUntil(applyDeliveryReport(DB, deliveryReport, [...recipients, ...deliveries.map(d => d.address)])
+          .catch(e => console.error('处理退信报告失败:', e)));
+      }
     } catch (err) {
       console.error('Email event handling error:', err);
     }
@@ -8,6 +8,9 @@ const CACHE_EXPIRY = {
   MAILBOX_ID: 5 * 60 * 1000,      // 邮箱ID缓存5分钟
   USER_QUOTA: 60 * 1000,           // 用户配额缓存1分钟
   SYSTEM_STAT: 5 * 60 * 1000,      // 系统统计缓存5分钟
+  DOMAIN_POLICY: 60 * 1000,        // 域名收件策略缓存1分钟
+  FORWARD_RULES: 60 * 1000,        // 全局转发规则缓存1分钟
+  CODE_TEMPLATES: 60 * 1000,       // 验证码提取模板缓存1分钟
 };
 
 // 缓存存储
@@ -15,6 +18,9 @@ const caches = {
   mailboxId: new Map(),    // 邮箱地址 -> { id, expiry }
   userQuota: new Map(),    // 用户ID -> { used, limit, expiry }
   systemStat: new Map(),   // 统计键 -> { value, expiry }
+  domainPolicy: new Map(), // 域名 -> { policy, expiry }
+  forwardRules: new Map(), // 'all' -> { rules, expiry }
+  codeTemplates: new Map(), // 'enabled' -> { templates, expiry }
 };
 
 /**
@@ -181,3 +187,111 @@ export function invalidateSystemStatCache(key) {
     caches.systemStat.delete(key);
   }
 }
+
+// ==================== 域名收件策略缓存 ====================
+
+/**
+ * 获取域名的 catch-all 收件策略（带缓存）
+ * @param {object} db - 数据库连接对象
+ * @param {string} domain - 域名
+ * @returns {Promise<string|null>} 策略名称，未配置返回 null
+ */
+export async function getCachedDomainPolicy(db, domain) {
+  const normalized = String(domain || '').trim().toLowerCase();
+  if (!normalized) return null;
+
+  const now = Date.now();
+  const cached = caches.domainPolicy.get(normalized);
+
+  if (cached && cached.expiry > now) {
+    return cached.policy;
+  }
+
+  const res = await db.prepare('SELECT policy FROM domain_policies WHERE domain = ? LIMIT 1')
+    .bind(normalized).all();
+  const policy = res?.results?.[0]?.policy || null;
+  caches.domainPolicy.set(normalized, {
+    policy,
+    expiry: now + CACHE_EXPIRY.DOMAIN_POLICY
+  });
+  return policy;
+}
+
+/**
+ * 使域名收件策略缓存失效
+ * @param {string} domain - 域名
+ */
+export function invalidateDomainPolicyCache(domain) {
+  const normalized = String(domain || '').trim().toLowerCase();
+  if (normalized) {
+    caches.domainPolicy.delete(normalized);
+  }
+}
+
+// ==================== 全局转发规则缓存 ====================
+
+/**
+ * 获取全部全局转发规则（带缓存，包含已停用的规则）
+ * @param {object} db - 数据库连接对象
+ * @returns {Promise<Array<object>>} 按优先级排序的规则列表
+ */
+export async function getCachedForwardRules(db) {
+  const now = Date.now();
+  const cached = caches.forwardRules.get('all');
+
+  if (cached && cached.expiry > now) {
+    return cached.rules;
+  }
+
+  const res = await db.prepare(`
+    SELECT id, pattern, match_type, domain, target, priority, enabled
+    FROM forward_rules ORDER BY priority ASC, id ASC
+  `).all();
+  const rules = res?.results || [];
+  caches.forwardRules.set('all', {
+    rules,
+    expiry: now + CACHE_EXPIRY.FORWARD_RULES
+  });
+  return rules;
+}
+
+/**
+ * 使全局转发规则缓存失效
+ */
+export function invalidateForwardRulesCache() {
+  caches.forwardRules.delete('all');
+}
+
+// ==================== 验证码提取模板缓存 ====================
+
+/**
+ * 获取已启用的验证码提取模板（带缓存）
+ * @param {object} db - 数据库连接对象
+ * @returns {Promise<Array<object>>} 按优先级排序的模板列表
+ */
+export async function getCachedCodeTemplates(db) {
+  const now = Date.now();
+  const cached = caches.codeTemplates.get('enabled');
+
+  if (cached && cached.expiry > now) {
+    return cached.templates;
+  }
+
+  const res = await db.prepare(`
+    SELECT id, sender, pattern, min_length, max_length, priority, enabled
+    FROM code_templates WHERE enabled = 1 ORDER BY priority ASC, id ASC
+  `).all();
+  const templates = res?.results || [];
+  caches.codeTemplates.set('enabled', {
+    templates,
+    expiry: now + CACHE_EXPIRY.CODE_TEMPLATES
+  });
+  return templates;
+}
+
+/**
+ * 使验证码提取模板缓存失效
+ */
+export function invalidateCodeTemplatesCache() {
+  caches.codeTemplates.delete('enabled');
+}
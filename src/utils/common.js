@@ -16,6 +16,51 @@ export function extractEmail(addr) {
   return s.split(/\s/)[0] || s;
 }
 
+/**
+ * 解析地址列表头部（To、Cc 等），忽略引号内的逗号
+ * @param {string} value - 头部值，如 "A, B" <a@x.com>, b@y.com
+ * @returns {Array<string>} 小写邮箱地址列表（已去重）
+ */
+export function parseAddressList(value) {
+  const s = String(value || '');
+  const parts = [];
+  let current = '';
+  let inQuote = false;
+  let inAngle = false;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === '\\' && inQuote) { current += ch + (s[i + 1] || ''); i++; continue; }
+    if (ch === '"') inQuote = !inQuote;
+    else if (ch === '<' && !inQuote) inAngle = true;
+    else if (ch === '>' && !inQuote) inAngle = false;
+    if ((ch === ',' || ch === ';') && !inQuote && !inAngle) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  const result = [];
+  for (const part of parts) {
+    const addr = extractEmail(part).toLowerCase();
+    if (addr && addr.includes('@') && !result.includes(addr)) result.push(addr);
+  }
+  return result;
+}
+
+/**
+ * 从地址字符串中提取显示名称，如 "张三" <a@b.com> 返回 张三
+ * @param {string} addr - 地址字符串
+ * @returns {string} 显示名称，不存在时返回空字符串
+ */
+export function extractDisplayName(addr) {
+  const s = String(addr || '').trim();
+  const idx = s.indexOf('<');
+  if (idx <= 0) return '';
+  return s.slice(0, idx).trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1').trim();
+}
+
 /**
  * 生成指定长度的随机ID
  * @param {number} length - ID长度，默认为8
@@ -41,6 +86,35 @@ export function isValidEmail(email) {
   return emailRegex.test(email.trim());
 }
 
+/**
+ * 解析本站对外请求的目标地址：仅允许 http(s) 与默认端口，拒绝本机与内网地址
+ * @param {string} value - 目标地址
+ * @returns {URL|null} 解析后的地址，不允许时返回 null
+ */
+export function parsePublicUrl(value) {
+  let target;
+  try {
+    target = new URL(String(value || '').trim());
+  } catch (_) {
+    return null;
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') return null;
+  if (target.port || target.username || target.password) return null;
+  const host = target.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (!host.includes('.') && !host.includes(':')) return null;
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) return null;
+  const ipv4 = /^(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(host);
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+    if (a === 0 || a === 10 || a === 127 || a >= 224 || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127)) {
+      return null;
+    }
+  }
+  if (host.includes(':') && (host === '::1' || host === '::' || /^(fc|fd|fe80|::ffff:)/.test(host))) return null;
+  return target;
+}
+
 /**
  * 计算文本的SHA-256哈希值并返回十六进制字符串
  * @param {string} text - 需要计算哈希的文本内容
@@ -0,0 +1,82 @@
+/**
+ * 邮件字符集解码测试：test/fixtures/charsets 下的 EML 按字节读取后解析，校验正文、主题与附件文件名
+ * 运行：node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseEmailBody, parseRawHeaders, decodeMimeWords, extractAttachment } from '../src/email/parser.js';
+
+const ZH = '你好，世界！您的验证码是 482913，十分钟内有效。';
+const TW = '您好，這是繁體中文測試郵件，驗證碼 739205。';
+const JA = 'こんにちは、日本語のテストメールです。認証コード 615048';
+const RU = 'Здравствуйте! Ваш код подтверждения: 902317';
+const W1252 = 'Café crème – “quoted” text for €5, naïve façade';
+
+function load(name) {
+  return new Uint8Array(readFileSync(new URL(`./fixtures/charsets/${name}.eml`, import.meta.url)));
+}
+
+function subjectOf(raw) {
+  return decodeMimeWords(parseRawHeaders(raw).get('subject') || '');
+}
+
+const SINGLE_PART = [
+  { name: 'gbk-8bit', subject: 'GBK 8bit', text: `${ZH}\r\n第二行` },
+  { name: 'gb18030-base64', subject: 'GB18030 base64', text: `${ZH}\n𠀀 扩展字符` },
+  { name: 'gb2312-quoted-printable', subject: 'GB2312 quoted-printable', text: ZH },
+  { name: 'big5-8bit', subject: 'Big5 8bit', text: TW },
+  { name: 'big5-base64', subject: 'Big5 base64', text: TW },
+  { name: 'shift_jis-8bit', subject: 'Shift_JIS 8bit', text: JA },
+  { name: 'shift_jis-quoted-printable', subject: 'Shift_JIS quoted-printable', text: JA },
+  { name: 'iso-2022-jp-7bit', subject: '日本語の件名', text: JA },
+  { name: 'koi8-r-8bit', subject: 'Тема письма', text: RU },
+  { name: 'windows-1252-8bit', subject: 'Windows-1252 8bit', text: W1252 },
+  { name: 'windows-1252-quoted-printable', subject: 'Windows-1252 quoted-printable', text: W1252 },
+  { name: 'utf-8-8bit-header', subject: '主题：未编码的 UTF-8 标题', text: 'UTF-8 正文 ✓' }
+];
+
+for (const { name, subject, text } of SINGLE_PART) {
+  test(`${name}: 正文与主题按声明的字符集解码`, () => {
+    const raw = load(name);
+    const parsed = parseEmailBody(raw);
+    assert.equal(parsed.text.trim(), text);
+    assert.equal(subjectOf(raw), subject);
+    assert.ok(!parsed.text.includes('�'), '正文不应出现替换字符');
+  });
+}
+
+test('gbk-html-8bit: 8bit GBK HTML 正文', () => {
+  const parsed = parseEmailBody(load('gbk-html-8bit'));
+  assert.equal(parsed.text, '');
+  assert.ok(parsed.html.includes(`<p>${ZH}</p>`));
+});
+
+test('ArrayBuffer 与 Uint8Array 输入结果一致', () => {
+  const raw = load('gbk-8bit');
+  const fromView = parseEmailBody(raw);
+  const fromBuffer = parseEmailBody(raw.buffer.slice(raw.byteOffset, raw.byteOffset + raw.byteLength));
+  assert.deepEqual(fromBuffer, fromView);
+});
+
+test('字符串输入按 UTF-8 编码处理', () => {
+  const raw = 'Subject: =?UTF-8?B?5rWL6K+V?=\r\nContent-Type: text/plain; charset=utf-8\r\n\r\nCafé 中文\r\n';
+  assert.equal(parseEmailBody(raw).text.trim(), 'Café 中文');
+  assert.equal(subjectOf(raw), '测试');
+});
+
+test('multipart-mixed-charsets: 各部分字符集、RFC 2047 与 RFC 2231 头部', () => {
+  const raw = load('multipart-mixed-charsets');
+  const parsed = parseEmailBody(raw);
+  assert.equal(parsed.text.trim(), ZH);
+  assert.ok(parsed.html.includes(`<p>${TW}</p>`));
+  assert.equal(subjectOf(raw), '混合编码主题 ok');
+  assert.equal(decodeMimeWords(parseRawHeaders(raw).get('from')), '发件人 <sender@example.org>');
+
+  assert.deepEqual(parsed.attachments.map(a => a.filename), ['报告 2026.txt', '日本語.bin']);
+  const report = extractAttachment(raw, 0);
+  assert.equal(new TextDecoder('gbk').decode(report.bytes), '附件内容');
+  // 8bit 二进制附件按原始字节还原
+  assert.deepEqual([...extractAttachment(raw, 1).bytes], [0x00, 0x80, 0xff, 0xfe, 0x41]);
+});
@@ -0,0 +1,36 @@
+/**
+ * 验证码模板测试：保存时拒绝可能导致灾难性回溯的正则，匹配时截取输入
+ * 运行：node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCodeTemplate, applyCodeTemplate } from '../src/email/codeTemplates.js';
+
+function templateError(pattern) {
+  return normalizeCodeTemplate({ sender: 'example.com', pattern }).error;
+}
+
+test('保存时拒绝可能导致灾难性回溯的模板正则', () => {
+  for (const pattern of ['((\\d+)+)$', '(a|aa)+(\\d)', '(\\d)\\1', '.*a.*b.*(\\d{6})$']) {
+    assert.match(templateError(pattern), /^正则表达式无效：/, pattern);
+  }
+  for (const pattern of ['验证码[：:]\\s*(\\d{6})', 'code.*?(\\d{4,8})', '\\b([A-Z0-9]{6})\\b']) {
+    assert.equal(templateError(pattern), null, pattern);
+  }
+});
+
+test('已保存的不安全模板不匹配，正文只取前 5000 个字符', () => {
+  const unsafe = { pattern: '((\\d+)+)$', min_length: 1, max_length: 32 };
+  assert.equal(applyCodeTemplate(unsafe, { text: `${'1'.repeat(50000)}x` }), '');
+  const template = { pattern: 'code:\\s*(\\d{6})', min_length: 6, max_length: 6 };
+  assert.equal(applyCodeTemplate(template, { text: `${'x'.repeat(4980)} code: 123456` }), '123456');
+  assert.equal(applyCodeTemplate(template, { text: `${'x'.repeat(5000)} code: 123456` }), '');
+});
+
+test('允许保存的写法在截取后的正文上快速返回', () => {
+  const template = { pattern: 'code.*?(\\d{4,8})x', min_length: 4, max_length: 8 };
+  const started = Date.now();
+  assert.equal(applyCodeTemplate(template, { text: `code${'1'.repeat(50000)}`, html: `<p>${'code'.repeat(20000)}</p>` }), '');
+  assert.ok(Date.now() - started < 2000);
+});
@@ -0,0 +1,60 @@
+/**
+ * 收件规则正则测试：保存时拒绝可能导致灾难性回溯的正则，匹配时预编译并截取输入
+ * 运行：node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRule, compileRules, evaluateRules, matchRule } from '../src/email/rules.js';
+
+function subjectRule(pattern) {
+  return normalizeRule({ condition_type: 'subject', condition_value: pattern, action: 'mark_read' });
+}
+
+test('保存时拒绝嵌套量词、反向引用与过长的正则', () => {
+  for (const pattern of ['(a+)+$', '(a*)*', '(\\w+\\s?)*$', '(?:a+){2,}', '(x+x+)+y']) {
+    assert.match(subjectRule(pattern).error, /嵌套量词/, pattern);
+  }
+  for (const pattern of ['(\\w|\\d)+$', '(a|aa)+$', '(?:x|(a|b)c){2,}']) {
+    assert.match(subjectRule(pattern).error, /含 \| 的分组/, pattern);
+  }
+  for (const pattern of ['a*a*a*a*$x', '.*a.*b.*c$', '\\d{1,50}\\d{1,50}\\d{1,50}\\d{1,50}']) {
+    assert.match(subjectRule(pattern).error, /不定长量词过多/, pattern);
+  }
+  for (const pattern of ['(a)\\1', '(?<n>a)\\k<n>']) {
+    assert.match(subjectRule(pattern).error, /反向引用/, pattern);
+  }
+  assert.equal(subjectRule('x'.repeat(201)).error, '条件值过长');
+  assert.match(subjectRule('(').error, /语法错误/);
+  assert.match(normalizeRule({ condition_type: 'header', header_name: 'x-id', condition_value: '(a+)+', action: 'stop' }).error, /邮件头正则无效/);
+});
+
+test('常见正则可以保存', () => {
+  for (const pattern of ['^验证码.*\\d{6}$', '(?:foo|bar)\\s+baz', '([a-z]+\\.)?example', '[(a+)]+', '\\(a+\\)+', '(ab){2}c+', '\\w+\\d+$', '(foo|bar)\\d{6}']) {
+    assert.equal(subjectRule(pattern).error, null, pattern);
+  }
+});
+
+test('预编译后匹配结果不变，已保存的不安全正则不命中', () => {
+  const rules = compileRules([
+    { id: 1, enabled: 1, condition_type: 'subject', condition_value: '(a+)+$', action: 'label', action_value: 'x' },
+    { id: 2, enabled: 1, condition_type: 'subject', condition_value: '^hello', action: 'mark_read' }
+  ]);
+  assert.equal(rules[0].regex, null);
+  assert.deepEqual(evaluateRules(rules, { subject: `${'a'.repeat(50000)}!` }).matched, []);
+  assert.deepEqual(evaluateRules(rules, { subject: 'Hello world' }).matched, [2]);
+});
+
+test('允许保存的最坏写法在截取后的主题上快速返回', () => {
+  const rules = compileRules(['a*a*$x', '\\w+\\d+$'].map((pattern, i) => ({ ...subjectRule(pattern).rule, id: i + 1 })));
+  const started = Date.now();
+  assert.deepEqual(evaluateRules(rules, { subject: `${'a'.repeat(499)}!` }).matched, []);
+  assert.deepEqual(evaluateRules(rules, { subject: `${'1'.repeat(499)}!` }).matched, []);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('主题只取前 500 个字符参与匹配', () => {
+  const rule = { condition_type: 'subject', condition_value: 'tail$' };
+  assert.equal(matchRule(rule, { subject: `${'x'.repeat(490)}tail` }), true);
+  assert.equal(matchRule(rule, { subject: `${'x'.repeat(1000)}tail` }), false);
+});
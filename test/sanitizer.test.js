@@ -0,0 +1,29 @@
+/**
+ * 邮件 HTML 清理测试：逐条比对 test/fixtures/sanitizer/corpus.json 中的输入与期望输出
+ * 用例的 images 字段指定远程图片处理方式：block 为屏蔽，proxy 为改写为代理地址，未指定时保留原地址
+ * 运行：node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { sanitizeHtml } from '../src/email/sanitizer.js';
+
+const ORIGIN = 'https://mail.example.com';
+
+const REMOTE_IMAGE = {
+  block: () => '',
+  proxy: (src) => `/api/image-proxy?url=${encodeURIComponent(src)}`
+};
+
+const corpus = JSON.parse(readFileSync(new URL('./fixtures/sanitizer/corpus.json', import.meta.url), 'utf8'));
+
+for (const { name, input, expected, images } of corpus) {
+  test(name, () => {
+    const output = sanitizeHtml(input, { origin: ORIGIN, remoteImage: REMOTE_IMAGE[images] });
+    assert.equal(output, expected);
+    assert.doesNotMatch(output, /<(script|svg|math|iframe|object|embed|form|input|meta|base)\b/i);
+    assert.doesNotMatch(output, /\son[a-z]+\s*=/i);
+    assert.doesNotMatch(output, /(java|vb)script:|expression\(/i);
+  });
+}